@@ -22,4 +22,60 @@ export const MESSAGES = {
   // Password Change
   CURRENT_PASSWORD_INCORRECT: "Current password is incorrect.",
   PASSWORD_CHANGED: "Password changed successfully.",
+
+  // Authorization
+  FORBIDDEN: "You do not have permission to perform this action.",
+
+  // Invitations
+  INVITE_SENT: "Invitation sent successfully.",
+  INVITES_FETCHED: "Invitations retrieved successfully.",
+  INVITE_VALID: "Invitation is valid.",
+  INVITE_INVALID: "Invalid, expired or already used invitation.",
+  INVITE_EMAIL_MISMATCH: "Email does not match the invitation.",
+  INVITE_NOT_FOUND: "Invitation not found.",
+  INVITE_REVOKED: "Invitation revoked successfully.",
+  INVITE_NOT_PENDING: "Only pending invitations can be revoked.",
+
+  // Sessions
+  TOKEN_REFRESHED: "Token refreshed successfully.",
+  REFRESH_TOKEN_INVALID: "Invalid or expired refresh token.",
+  LOGOUT_SUCCESS: "Logged out successfully.",
+  LOGOUT_ALL_SUCCESS: "Logged out of all sessions successfully.",
+  SESSIONS_FETCHED: "Sessions retrieved successfully.",
+  SESSION_NOT_FOUND: "Session not found.",
+  SESSION_REVOKED: "Session revoked successfully.",
+
+  // Two-factor authentication
+  TWO_FACTOR_REQUIRED: "Two-factor authentication code required.",
+  TWO_FACTOR_CHALLENGE_INVALID: "Invalid or expired two-factor challenge. Please log in again.",
+  TWO_FACTOR_CODE_INVALID: "Invalid two-factor authentication code.",
+  TWO_FACTOR_SETUP_STARTED: "Scan the QR code with your authenticator app, then confirm with a code.",
+  TWO_FACTOR_SETUP_NOT_STARTED: "Two-factor setup has not been started.",
+  TWO_FACTOR_ENABLED: "Two-factor authentication enabled. Store your recovery codes safely.",
+  TWO_FACTOR_DISABLED: "Two-factor authentication disabled.",
+  TWO_FACTOR_ALREADY_ENABLED: "Two-factor authentication is already enabled.",
+  TWO_FACTOR_NOT_ENABLED: "Two-factor authentication is not enabled.",
+  TWO_FACTOR_ENFORCED: "Two-factor authentication is required for all admins and cannot be disabled.",
+  RECOVERY_CODES_REGENERATED: "Recovery codes regenerated. Previous codes no longer work.",
+  TWO_FACTOR_STATUS_FETCHED: "Two-factor status retrieved successfully.",
+  TWO_FACTOR_POLICY_FETCHED: "Two-factor policy retrieved successfully.",
+  TWO_FACTOR_POLICY_UPDATED: "Two-factor policy updated successfully.",
+
+  // Brute-force protection
+  TOO_MANY_ATTEMPTS: "Too many attempts. Please try again later.",
+  ACCOUNT_LOCKED: "Account is temporarily locked after too many failed login attempts.",
+
+  // Admin user management
+  ADMINS_FETCHED: "Admins retrieved successfully.",
+  ADMIN_FETCHED: "Admin retrieved successfully.",
+  ADMIN_NOT_FOUND: "Admin not found.",
+  ADMIN_UPDATED: "Admin updated successfully.",
+  ADMIN_ACTIVATED: "Admin activated successfully.",
+  ADMIN_DEACTIVATED: "Admin deactivated successfully.",
+  ADMIN_ROLE_UPDATED: "Admin role updated successfully.",
+  ADMIN_DELETED: "Admin deleted successfully.",
+  FORCED_RESET_SENT: "Password reset enforced. A reset link has been emailed to the admin.",
+  MOBILE_EXISTS: "Mobile number already in use.",
+  LAST_SUPER_ADMIN: "This is the last active super-admin and cannot be deactivated, demoted or deleted.",
+  CANNOT_MODIFY_SELF: "You cannot deactivate, demote or delete your own account.",
 };
@@ -0,0 +1,38 @@
+// Actions recorded in the audit log
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete', // Moved to the trash for soft-deletable resources
+  RESTORE: 'restore',
+  PURGE: 'purge',
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+};
+
+// Resource types recorded in the audit log
+export const AUDIT_RESOURCES = {
+  PRODUCT: 'product',
+  CATEGORY: 'category',
+  BRAND: 'brand',
+  COLOR: 'color',
+  ADMIN: 'admin',
+  SESSION: 'session',
+  INVITE: 'invite',
+  SETTING: 'setting',
+  PROMOTION: 'promotion',
+  COUPON: 'coupon',
+  INQUIRY: 'inquiry',
+  QUOTE: 'quote',
+  ORDER: 'order',
+  INVOICE: 'invoice',
+  RETURN: 'return',
+  CUSTOMER: 'customer',
+};
+
+// Audit log messages
+export const AUDIT_MESSAGES = {
+  AUDIT_LOGS_FETCHED: 'Audit logs retrieved successfully',
+  AUDIT_LOG_FETCHED: 'Audit log retrieved successfully',
+  AUDIT_LOG_NOT_FOUND: 'Audit log not found',
+  INVALID_FILTER: 'Invalid audit log filter',
+};
@@ -21,7 +21,7 @@ export const CATEGORY_MESSAGES = {
   CATEGORY_UPDATE_FAILED: "Category update failed.",
 
   // Delete Category
-  CATEGORY_DELETED: "Category deleted successfully.",
+  CATEGORY_DELETED: "Category moved to trash.",
 
   // Get Category By ID
   CATEGORY_ID_NOT_FOUND: "Category not found with the provided ID.",
@@ -0,0 +1,39 @@
+// How a coupon reduces the cart
+export const COUPON_TYPES = {
+  PERCENT: 'percent', // Percentage of the eligible subtotal, optionally capped by maxDiscount
+  FIXED: 'fixed', // Amount off the eligible subtotal
+};
+
+// Format of a coupon code once uppercased: 3-30 letters, digits, '-' or '_'
+export const COUPON_CODE_REGEX = /^[A-Z0-9_-]{3,30}$/;
+
+// Coupon messages
+export const COUPON_MESSAGES = {
+  COUPON_CREATED: 'Coupon created successfully',
+  COUPON_UPDATED: 'Coupon updated successfully',
+  COUPON_DELETED: 'Coupon deleted successfully',
+  COUPONS_FETCHED: 'Coupons retrieved successfully',
+  COUPON_FETCHED: 'Coupon retrieved successfully',
+  COUPON_NOT_FOUND: 'Coupon not found',
+  COUPON_IN_USE: 'Coupon has been redeemed; disable it instead of deleting it',
+  CODE_TAKEN: 'A coupon with this code already exists',
+  INVALID_CODE: 'Coupon code may only contain letters, numbers, "-" and "_" (3-30 characters)',
+  INVALID_DATES: 'endsAt must be later than startsAt',
+  PERCENTAGE_TOO_HIGH: 'A percent coupon cannot exceed 100',
+  COUPON_APPLIED: 'Coupon is valid',
+  REDEMPTION_RECORDED: 'Coupon redemption recorded',
+  REDEMPTIONS_FETCHED: 'Coupon redemptions retrieved successfully',
+};
+
+// Reasons a coupon cannot be applied to a cart
+export const COUPON_REJECTIONS = {
+  NOT_FOUND: 'Coupon code is not valid',
+  NOT_STARTED: 'Coupon is not active yet',
+  EXPIRED: 'Coupon has expired',
+  USAGE_LIMIT_REACHED: 'Coupon has reached its usage limit',
+  CUSTOMER_REQUIRED: 'Customer phone or email is required for this coupon',
+  CUSTOMER_LIMIT_REACHED: 'Coupon has already been used the maximum number of times by this customer',
+  NO_ELIGIBLE_ITEMS: 'Coupon does not apply to any item in the cart',
+  MIN_AMOUNT_NOT_MET: 'Cart does not meet the minimum amount for this coupon',
+  ITEM_NOT_FOUND: 'Product or variant not available',
+};
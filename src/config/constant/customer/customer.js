@@ -0,0 +1,71 @@
+const MINUTE = 60 * 1000;
+
+// JWT audience of customer access tokens; admin auth refuses tokens carrying it
+export const CUSTOMER_TOKEN_AUDIENCE = 'customer';
+
+// Header guests send their device token in (wishlist and enquiry cart)
+export const DEVICE_TOKEN_HEADER = 'x-device-token';
+
+// Shape of a device token (issued by the server or generated by the app)
+export const DEVICE_TOKEN_REGEX = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Email verification codes (the OTP email promises 30 minutes)
+export const CUSTOMER_OTP = {
+  LENGTH: 6,
+  EXPIRE_MS: 30 * MINUTE,
+  MAX_ATTEMPTS: 5,
+};
+
+// Saved addresses allowed per customer
+export const MAX_CUSTOMER_ADDRESSES = 10;
+
+// Customer account messages
+export const CUSTOMER_MESSAGES = {
+  // Registration and verification
+  REGISTER_SUCCESS: 'Registration successful. Enter the code we emailed you to verify your account.',
+  EMAIL_EXISTS: 'This email is already registered.',
+  MOBILE_EXISTS: 'This mobile number is already registered.',
+  OTP_SENT: 'If the account exists and is not yet verified, a new code has been sent.',
+  OTP_INVALID: 'Invalid or expired verification code.',
+  ALREADY_VERIFIED: 'This account is already verified.',
+  VERIFIED: 'Email verified successfully.',
+  NOT_VERIFIED: 'Please verify your email before logging in.',
+
+  // Login and sessions
+  INVALID_CREDENTIALS: 'Invalid credentials or account is deactivated.',
+  LOGIN_SUCCESS: 'Login successful.',
+  ACCOUNT_LOCKED: 'Account is temporarily locked after too many failed login attempts.',
+  TOKEN_REFRESHED: 'Token refreshed successfully.',
+  REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token.',
+  LOGOUT_SUCCESS: 'Logged out successfully.',
+  LOGOUT_ALL_SUCCESS: 'Logged out of all sessions successfully.',
+
+  // Passwords
+  RESET_LINK_SENT: 'If the email exists, a reset link has been sent.',
+  TOKEN_INVALID: 'Invalid or expired token.',
+  RESET_SUCCESS: 'Password reset successful.',
+  CURRENT_PASSWORD_INCORRECT: 'Current password is incorrect.',
+  PASSWORD_CHANGED: 'Password changed successfully.',
+
+  // Profile
+  PROFILE_FETCHED: 'Profile retrieved successfully.',
+  PROFILE_UPDATED: 'Profile updated successfully.',
+
+  // Address book
+  ADDRESSES_FETCHED: 'Addresses retrieved successfully.',
+  ADDRESS_ADDED: 'Address added successfully.',
+  ADDRESS_UPDATED: 'Address updated successfully.',
+  ADDRESS_DELETED: 'Address deleted successfully.',
+  ADDRESS_NOT_FOUND: 'Address not found.',
+  ADDRESS_LIMIT_REACHED: `No more than ${MAX_CUSTOMER_ADDRESSES} addresses can be saved.`,
+
+  // Guest devices
+  INVALID_DEVICE_TOKEN: 'Invalid device token.',
+
+  // Admin
+  CUSTOMERS_FETCHED: 'Customers retrieved successfully.',
+  CUSTOMER_FETCHED: 'Customer retrieved successfully.',
+  CUSTOMER_NOT_FOUND: 'Customer not found.',
+  CUSTOMER_GROUP_UPDATED: 'Customer group updated successfully.',
+  INVALID_FILTER: 'Invalid customer filter',
+};
@@ -0,0 +1,61 @@
+// GST rates (percent) a category or product may carry
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+// HSN code: 4, 6 or 8 digits
+export const HSN_CODE_REGEX = /^\d{4}(\d{2}){0,2}$/;
+
+// GST state codes (the first two digits of a GSTIN) and state names
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+};
+
+// Other spellings of state names found in addresses
+export const GST_STATE_ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'orissa': '21',
+  'pondicherry': '34',
+  'uttaranchal': '05',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'andaman and nicobar': '35',
+  'j&k': '01',
+};
+
+// Place of supply for goods shipped outside India (taxed as inter-state)
+export const GST_FOREIGN_PLACE_OF_SUPPLY = { stateCode: '96', state: 'Other Countries' };
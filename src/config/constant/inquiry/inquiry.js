@@ -0,0 +1,29 @@
+// Lead pipeline for WhatsApp inquiries
+export const INQUIRY_STATUSES = {
+  NEW: 'new',
+  CONTACTED: 'contacted',
+  CONVERTED: 'converted',
+  LOST: 'lost',
+};
+
+// Business number as wa.me expects it: country code and number, digits only
+export const WHATSAPP_NUMBER_REGEX = /^[1-9]\d{7,14}$/;
+
+// Phone number a shopper may leave, before spaces and dashes are stripped
+export const INQUIRY_PHONE_REGEX = /^\+?[\d\s()-]{7,20}$/;
+
+// Inquiry messages
+export const INQUIRY_MESSAGES = {
+  INQUIRY_LOGGED: 'Inquiry recorded',
+  INQUIRIES_FETCHED: 'Inquiries retrieved successfully',
+  INQUIRY_FETCHED: 'Inquiry retrieved successfully',
+  INQUIRY_NOT_FOUND: 'Inquiry not found',
+  STATUS_UPDATED: 'Inquiry status updated successfully',
+  INVALID_FILTER: 'Invalid inquiry filter',
+  PRODUCT_NOT_FOUND: 'Product not found',
+  VARIANT_NOT_FOUND: 'Variant not found',
+  SIZE_NOT_OFFERED: 'The product is not offered in this size',
+  WHATSAPP_NUMBER_FETCHED: 'WhatsApp number retrieved successfully',
+  WHATSAPP_NUMBER_UPDATED: 'WhatsApp number updated successfully',
+  INVALID_WHATSAPP_NUMBER: 'WhatsApp number must include the country code, e.g. 919876543210',
+};
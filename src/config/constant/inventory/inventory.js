@@ -0,0 +1,40 @@
+// Reasons stock can move, recorded on every inventory movement
+export const MOVEMENT_TYPES = {
+  RECEIPT: 'receipt',
+  SALE: 'sale',
+  RETURN: 'return',
+  DAMAGE: 'damage',
+  CORRECTION: 'correction',
+  CANCELLATION: 'cancellation', // Stock back from a cancelled order
+};
+
+// Direction applied to an adjustment's quantity (0 = signed quantity as given)
+export const MOVEMENT_DIRECTIONS = {
+  [MOVEMENT_TYPES.RECEIPT]: 1,
+  [MOVEMENT_TYPES.RETURN]: 1,
+  [MOVEMENT_TYPES.SALE]: -1,
+  [MOVEMENT_TYPES.DAMAGE]: -1,
+  [MOVEMENT_TYPES.CANCELLATION]: 1,
+  [MOVEMENT_TYPES.CORRECTION]: 0,
+};
+
+// Stock at or below which a size is low when neither product nor category sets a threshold
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Stock states reported by the low-stock report and digest
+export const STOCK_STATES = {
+  LOW: 'low',
+  OUT: 'out',
+};
+
+// Inventory messages
+export const INVENTORY_MESSAGES = {
+  STOCK_ADJUSTED: 'Stock adjusted successfully',
+  STOCK_FETCHED: 'Stock levels retrieved successfully',
+  MOVEMENTS_FETCHED: 'Inventory movements retrieved successfully',
+  SIZE_NOT_FOUND: 'Variant or size not found on this product',
+  INSUFFICIENT_STOCK: 'Adjustment would make stock negative',
+  ADJUSTMENT_FAILED: 'Stock adjustment failed',
+  OPENING_BALANCE: 'Opening balance',
+  LOW_STOCK_FETCHED: 'Low stock report retrieved successfully',
+};
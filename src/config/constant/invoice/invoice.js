@@ -0,0 +1,33 @@
+import { ORDER_STATUSES } from '../order/order.js';
+
+// Prefix of invoice numbers, e.g. INV/26-27/000123 (GST allows 16 characters)
+export const INVOICE_NUMBER_PREFIX = 'INV';
+
+// Digits the sequence is padded to within a financial year
+export const INVOICE_SEQUENCE_DIGITS = 6;
+
+// Order statuses an invoice may be issued in
+export const INVOICEABLE_ORDER_STATUSES = [
+  ORDER_STATUSES.CONFIRMED,
+  ORDER_STATUSES.PACKED,
+  ORDER_STATUSES.SHIPPED,
+  ORDER_STATUSES.DELIVERED,
+];
+
+// Invoice messages
+export const INVOICE_MESSAGES = {
+  INVOICE_CREATED: 'Invoice generated successfully',
+  INVOICES_FETCHED: 'Invoices retrieved successfully',
+  INVOICE_FETCHED: 'Invoice retrieved successfully',
+  INVOICE_NOT_FOUND: 'Invoice not found',
+  ORDER_NOT_FOUND: 'Order not found',
+  ORDER_NOT_INVOICEABLE: `An invoice can only be issued for an order that is ${INVOICEABLE_ORDER_STATUSES.join(', ')}`,
+  ALREADY_INVOICED: 'An invoice was already issued for this order',
+  SELLER_NOT_CONFIGURED: 'Set the seller details for invoices first',
+  SELLER_FETCHED: 'Invoice seller details retrieved successfully',
+  SELLER_UPDATED: 'Invoice seller details updated successfully',
+  MISSING_TAX_DETAILS: 'Some products have no HSN code or GST rate; set them on the product or its category',
+  UNKNOWN_BUYER_STATE: 'The state of the shipping address is not a recognised Indian state',
+  INVOICE_FAILED: 'Invoice could not be saved',
+  INVALID_FILTER: 'Invalid invoice filter',
+};
@@ -0,0 +1,59 @@
+// Where an order is in fulfilment
+export const ORDER_STATUSES = {
+  PENDING: 'pending', // Placed, stock reserved, waiting for confirmation
+  CONFIRMED: 'confirmed',
+  PACKED: 'packed',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled', // Reserved stock is put back
+  RETURNED: 'returned', // Goods are restocked through a return request once received and inspected
+};
+
+// Statuses each status may move to; cancelled and returned are final
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATUSES.PENDING]: [ORDER_STATUSES.CONFIRMED, ORDER_STATUSES.CANCELLED],
+  [ORDER_STATUSES.CONFIRMED]: [ORDER_STATUSES.PACKED, ORDER_STATUSES.CANCELLED],
+  [ORDER_STATUSES.PACKED]: [ORDER_STATUSES.SHIPPED, ORDER_STATUSES.CANCELLED],
+  [ORDER_STATUSES.SHIPPED]: [ORDER_STATUSES.DELIVERED, ORDER_STATUSES.RETURNED],
+  [ORDER_STATUSES.DELIVERED]: [ORDER_STATUSES.RETURNED],
+  [ORDER_STATUSES.CANCELLED]: [],
+  [ORDER_STATUSES.RETURNED]: [],
+};
+
+// Statuses a customer may still cancel their own order in
+export const CUSTOMER_CANCELLABLE_STATUSES = [ORDER_STATUSES.PENDING, ORDER_STATUSES.CONFIRMED];
+
+// Where an order came from
+export const ORDER_SOURCES = {
+  STOREFRONT: 'storefront', // Placed by a signed-in customer
+  QUOTE: 'quote', // Created by an admin from an accepted quote
+  EXCHANGE: 'exchange', // Replacement goods for a received return
+};
+
+// Prefix of order numbers, e.g. ORD-261019-4F7A2C
+export const ORDER_NUMBER_PREFIX = 'ORD';
+
+// Lines one order may hold
+export const MAX_ORDER_LINES = 100;
+
+// Order messages
+export const ORDER_MESSAGES = {
+  ORDER_PLACED: 'Order placed successfully',
+  ORDER_CREATED_FROM_QUOTE: 'Order created from the quote',
+  ORDERS_FETCHED: 'Orders retrieved successfully',
+  ORDER_FETCHED: 'Order retrieved successfully',
+  ORDER_NOT_FOUND: 'Order not found',
+  STATUS_UPDATED: 'Order status updated successfully',
+  ORDER_CANCELLED: 'Order cancelled',
+  INVALID_TRANSITION: 'The order cannot move to this status',
+  NOT_CANCELLABLE: 'This order can no longer be cancelled; please contact us',
+  ITEM_NOT_FOUND: 'Product, variant or size not found',
+  ADDRESS_NOT_FOUND: 'Address not found',
+  ADDRESS_REQUIRED: 'A shipping address is required',
+  QUOTE_NOT_FOUND: 'Quote request not found',
+  QUOTE_NOT_ACCEPTED: 'Only an accepted quote can be turned into an order',
+  QUOTE_ALREADY_ORDERED: 'An order was already created from this quote',
+  ORDER_CHANGED: 'The order was changed by someone else; reload it and try again',
+  ORDER_FAILED: 'Order could not be saved',
+  INVALID_FILTER: 'Invalid order filter',
+};
@@ -0,0 +1,38 @@
+// Permission constants used by the authorize middleware
+export const PERMISSIONS = {
+  // Catalog (products, categories, brands, colors)
+  CATALOG_WRITE: 'catalog:write',
+  CATALOG_DELETE: 'catalog:delete',
+
+  // Admin accounts
+  ADMINS_MANAGE: 'admins:manage',
+
+  // Audit log
+  AUDIT_READ: 'audit:read',
+
+  // WhatsApp inquiry leads and quote requests
+  LEADS_MANAGE: 'leads:manage',
+
+  // Orders and fulfilment
+  ORDERS_MANAGE: 'orders:manage',
+
+  // Customer accounts and the price group each buys at
+  CUSTOMERS_MANAGE: 'customers:manage',
+};
+
+// Admin roles (must match the enum on the Admin model)
+export const ROLES = {
+  ADMIN: 'admin',
+  SUPER_ADMIN: 'super-admin',
+};
+
+// Permissions granted to each role
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    PERMISSIONS.CATALOG_WRITE,
+    PERMISSIONS.LEADS_MANAGE,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.CUSTOMERS_MANAGE,
+  ],
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+};
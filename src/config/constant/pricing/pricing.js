@@ -0,0 +1,22 @@
+// Buyer groups, each with its own price list
+export const CUSTOMER_GROUPS = {
+  RETAIL: 'retail',
+  WHOLESALE: 'wholesale',
+  DISTRIBUTOR: 'distributor',
+};
+
+// Group used for anonymous buyers and customers without a group
+export const DEFAULT_CUSTOMER_GROUP = CUSTOMER_GROUPS.RETAIL;
+
+// Groups bound by a product's minimum order quantity and pack size; they don't get retail promotions
+export const B2B_GROUPS = [CUSTOMER_GROUPS.WHOLESALE, CUSTOMER_GROUPS.DISTRIBUTOR];
+
+// Pricing messages
+export const PRICING_MESSAGES = {
+  INVALID_PRICE_TIERS: 'Price tiers are invalid',
+  DUPLICATE_TIER: 'Each group can have only one price tier per minimum quantity',
+  INVALID_TIER: 'Price tiers need a valid group, a minimum quantity of at least 1 and a non-negative price',
+  INVALID_ORDER_QUANTITY: 'Minimum order quantity and pack size must be whole numbers of at least 1',
+  BELOW_MIN_ORDER_QUANTITY: 'Quantity is below the minimum order quantity',
+  NOT_PACK_MULTIPLE: 'Quantity must be a multiple of the pack size',
+};
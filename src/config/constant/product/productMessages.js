@@ -1,3 +1,5 @@
+import { GST_RATES } from '../gst/gst.js';
+
 export const PRODUCT_MESSAGES = {
   // General
   SERVER_ERROR: "Server error occurred.",
@@ -25,9 +27,10 @@ export const PRODUCT_MESSAGES = {
   // Update Product
   PRODUCT_UPDATED: "Product updated successfully.",
   PRODUCT_UPDATE_FAILED: "Product update failed.",
+  PRODUCT_CHANGED: "The product changed while it was being edited. Reload it and try again.",
 
   // Delete Product
-  PRODUCT_DELETED: "Product deleted successfully.",
+  PRODUCT_DELETED: "Product moved to trash.",
 
   // Get Product By ID
   PRODUCT_ID_NOT_FOUND: "Product not found with the provided ID.",
@@ -35,5 +38,35 @@ export const PRODUCT_MESSAGES = {
 
   // Search Products
   PRODUCTS_SEARCHED: "Products retrieved successfully.",
-  SEARCH_FAILED: "Failed to search products."
+  SEARCH_FAILED: "Failed to search products.",
+
+  // Product Revisions
+  REVISIONS_FETCHED: "Product revisions retrieved successfully.",
+  REVISION_FETCHED: "Product revision retrieved successfully.",
+  REVISION_NOT_FOUND: "Product revision not found.",
+  REVISION_DIFF_FETCHED: "Product revision diff retrieved successfully.",
+  INVALID_REVISION: "Revision must be a positive number.",
+  PRODUCT_REVERTED: "Product reverted successfully.",
+  REVERT_FAILED: "Product revert failed.",
+  REVERT_REFERENCE_MISSING: "Cannot revert: the revision references a category, brand or color that no longer exists.",
+
+  // Bulk Import
+  IMPORT_FILE_REQUIRED: "Please upload a CSV or XLSX file in the 'file' field.",
+  IMPORT_FILE_UNREADABLE: "The import file could not be read. Please upload a valid CSV or XLSX file.",
+  IMPORT_MISSING_COLUMNS: "The import file is missing required columns",
+  IMPORT_EMPTY: "The import file has no product rows.",
+  IMPORT_TOO_MANY_ROWS: "The import file has too many rows",
+  IMPORT_VALIDATED: "Import file validated. No products were created (dry run).",
+  IMPORT_NOTHING_VALID: "No products could be imported. See the row report for details.",
+  IMPORT_IMAGE_FAILED: "Image upload failed",
+  IMPORT_COMPLETED: "Products imported successfully.",
+  IMPORT_FAILED: "Product import failed.",
+
+  // Export
+  INVALID_EXPORT_FORMAT: "Export format must be one of: csv, xlsx, json.",
+
+  // Stock
+  INVALID_LOW_STOCK_THRESHOLD: "Low stock threshold must be a whole number of 0 or more.",
+  INVALID_HSN_CODE: "HSN code must be 4, 6 or 8 digits.",
+  INVALID_GST_RATE: `GST rate must be one of: ${GST_RATES.join(', ')}.`,
 };
\ No newline at end of file
@@ -0,0 +1,16 @@
+// Product lifecycle. Only published products are shown to customers.
+export const PRODUCT_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled', // Published by the scheduler once publishAt passes
+  PUBLISHED: 'published', // Archived by the scheduler once unpublishAt passes
+  ARCHIVED: 'archived',
+};
+
+// Publishing messages
+export const PUBLISHING_MESSAGES = {
+  INVALID_STATUS: `Status must be one of: ${Object.values(PRODUCT_STATUS).join(', ')}`,
+  INVALID_DATE: 'publishAt and unpublishAt must be valid dates',
+  PUBLISH_AT_REQUIRED: 'publishAt is required to schedule a product',
+  UNPUBLISH_BEFORE_PUBLISH: 'unpublishAt must be later than publishAt',
+  UNPUBLISH_IN_PAST: 'unpublishAt must be in the future for a published product',
+};
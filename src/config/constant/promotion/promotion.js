@@ -0,0 +1,30 @@
+// How a promotion reduces the price
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed', // Amount off each unit, never below zero
+};
+
+// Where a promotion is in its schedule
+export const PROMOTION_STATES = {
+  SCHEDULED: 'scheduled',
+  RUNNING: 'running',
+  EXPIRED: 'expired',
+  PAUSED: 'paused', // isActive switched off
+};
+
+// Product fields a promotion can target; a product matches when any listed value matches
+export const PROMOTION_TARGETS = ['products', 'categories', 'brands', 'collections', 'tags'];
+
+// Promotion messages
+export const PROMOTION_MESSAGES = {
+  PROMOTION_CREATED: 'Promotion created successfully',
+  PROMOTION_UPDATED: 'Promotion updated successfully',
+  PROMOTION_DELETED: 'Promotion deleted successfully',
+  PROMOTIONS_FETCHED: 'Promotions retrieved successfully',
+  PROMOTION_FETCHED: 'Promotion retrieved successfully',
+  PROMOTION_NOT_FOUND: 'Promotion not found',
+  NO_TARGETS: 'Target at least one product, category, brand, collection or tag, or apply to all products',
+  INVALID_DATES: 'endsAt must be later than startsAt',
+  PERCENTAGE_TOO_HIGH: 'A percentage discount cannot exceed 100',
+  DEALS_FETCHED: 'Products fetched successfully for Deals of the Month',
+};
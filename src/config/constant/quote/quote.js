@@ -0,0 +1,65 @@
+// Where a quote request is in its lifecycle
+export const QUOTE_STATUSES = {
+  PENDING: 'pending', // Submitted, waiting for an admin to price it
+  QUOTED: 'quoted', // Priced and emailed to the buyer
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+};
+
+// Statuses an admin may still (re)price
+export const PRICEABLE_QUOTE_STATUSES = [QUOTE_STATUSES.PENDING, QUOTE_STATUSES.QUOTED];
+
+// Prefix of quote numbers, e.g. QR-261019-4F7A
+export const QUOTE_NUMBER_PREFIX = 'QR';
+
+// Days a quote is valid for when the admin doesn't set a date (read on use so the environment is loaded by then)
+export const quoteValidityDays = () => parseInt(process.env.QUOTE_VALIDITY_DAYS) || 15;
+
+// Lines one enquiry cart may hold
+export const MAX_ENQUIRY_CART_LINES = 50;
+
+// Units one line may ask for
+export const MAX_ENQUIRY_LINE_QUANTITY = 100000;
+
+// Days a guest enquiry cart is kept after its last change (read on use)
+export const guestEnquiryCartTtlDays = () => parseInt(process.env.GUEST_ENQUIRY_CART_TTL_DAYS) || 30;
+
+// GSTIN format: state code, PAN, entity number, Z and a check character
+export const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Enquiry cart messages
+export const ENQUIRY_CART_MESSAGES = {
+  CART_FETCHED: 'Enquiry cart retrieved successfully',
+  LINE_ADDED: 'Product added to the enquiry cart',
+  LINE_UPDATED: 'Enquiry cart line updated',
+  LINE_REMOVED: 'Product removed from the enquiry cart',
+  LINE_NOT_FOUND: 'Enquiry cart line not found',
+  CART_CLEARED: 'Enquiry cart cleared',
+  CART_EMPTY: 'The enquiry cart is empty',
+  CART_FULL: `No more than ${MAX_ENQUIRY_CART_LINES} products can be added to an enquiry`,
+  CART_HAS_ISSUES: 'Some lines can no longer be quoted; update or remove them and try again',
+  CONTACT_REQUIRED: 'Name and email are required to request a quote',
+  PRODUCT_UNAVAILABLE: 'Product is no longer available',
+  COLOR_NOT_OFFERED: 'The product is not offered in this color',
+  SIZE_NOT_OFFERED: 'The product is not offered in this size in this color',
+  OUT_OF_STOCK: 'This size is out of stock',
+  NOT_ENOUGH_STOCK: 'Quantity is more than the stock available',
+};
+
+// Quote request messages
+export const QUOTE_MESSAGES = {
+  QUOTE_REQUESTED: 'Quote requested. We will email you a priced quote shortly.',
+  QUOTES_FETCHED: 'Quote requests retrieved successfully',
+  QUOTE_FETCHED: 'Quote request retrieved successfully',
+  QUOTE_NOT_FOUND: 'Quote request not found',
+  QUOTE_PRICED: 'Quote priced and emailed to the buyer',
+  QUOTE_PRICED_EMAIL_FAILED: 'Quote priced, but the email to the buyer could not be sent',
+  QUOTE_ACCEPTED: 'Quote accepted',
+  QUOTE_REJECTED: 'Quote rejected',
+  NOT_PRICEABLE: 'Only pending or quoted requests can be priced',
+  NOT_ACCEPTABLE: 'Only a quoted request can be accepted',
+  NOT_REJECTABLE: 'Only pending or quoted requests can be rejected',
+  QUOTE_EXPIRED: 'The quote has expired; price it again first',
+  UNKNOWN_LINE: 'Quote line not found',
+  INVALID_FILTER: 'Invalid quote filter',
+};
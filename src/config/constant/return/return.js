@@ -0,0 +1,56 @@
+// Where a return request is in its lifecycle
+export const RETURN_STATUSES = {
+  REQUESTED: 'requested', // Raised by the buyer, waiting for an admin
+  APPROVED: 'approved', // Buyer may send the goods back
+  REJECTED: 'rejected',
+  RECEIVED: 'received', // Goods inspected, restocked and any exchange ordered
+};
+
+// Why goods are being sent back
+export const RETURN_REASONS = {
+  DAMAGED: 'damaged',
+  DEFECTIVE: 'defective',
+  WRONG_SIZE: 'wrong-size',
+  WRONG_ITEM: 'wrong-item',
+  OTHER: 'other',
+};
+
+// What the buyer wants for a returned line
+export const RETURN_RESOLUTIONS = {
+  REFUND: 'refund', // Credit or refund, settled outside the system
+  EXCHANGE: 'exchange', // Another variant or size of the same product, sent on a replacement order
+};
+
+// Prefix of return numbers, e.g. RMA-261019-4F7A
+export const RETURN_NUMBER_PREFIX = 'RMA';
+
+// Days after delivery a return may be requested (read on use so the environment is loaded by then)
+export const returnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Photos one return request may carry
+export const MAX_RETURN_PHOTOS = 5;
+
+// Return messages
+export const RETURN_MESSAGES = {
+  RETURN_REQUESTED: 'Return request submitted',
+  RETURNS_FETCHED: 'Return requests retrieved successfully',
+  RETURN_FETCHED: 'Return request retrieved successfully',
+  RETURN_NOT_FOUND: 'Return request not found',
+  RETURN_APPROVED: 'Return request approved',
+  RETURN_REJECTED: 'Return request rejected',
+  RETURN_RECEIVED: 'Returned goods received',
+  NOT_PENDING: 'Only a requested return can be approved or rejected',
+  NOT_APPROVED: 'Only an approved return can be received',
+  ORDER_NOT_FOUND: 'Order not found',
+  ORDER_NOT_RETURNABLE: 'Only a delivered order can be returned',
+  get RETURN_WINDOW_CLOSED() {
+    return `Returns must be requested within ${returnWindowDays()} days of delivery`;
+  },
+  LINE_NOT_FOUND: 'Order line not found',
+  QUANTITY_EXCEEDED: 'More units than were delivered and not already returned',
+  EXCHANGE_NOT_OFFERED: 'The exchange variant or size is not offered for this product',
+  RETURN_LINE_NOT_FOUND: 'Return line not found',
+  INVALID_LINES: 'Lines must be a JSON array',
+  RETURN_CHANGED: 'The return was changed by someone else; reload it and try again',
+  INVALID_FILTER: 'Invalid return filter',
+};
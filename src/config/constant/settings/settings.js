@@ -0,0 +1,17 @@
+// Keys for application-wide settings stored in the Setting collection
+export const SETTING_KEYS = {
+  // Require every admin to enroll in two-factor authentication
+  REQUIRE_2FA: 'security.require2FA',
+
+  // Pattern used to generate variant size SKUs
+  SKU_PATTERN: 'catalog.skuPattern',
+
+  // Business WhatsApp number inquiry links open a chat with
+  WHATSAPP_NUMBER: 'whatsapp.businessNumber',
+
+  // Seller name, GSTIN and address printed on GST invoices
+  INVOICE_SELLER: 'invoice.seller',
+
+  // When the low stock digest was last sent, so restarts don't reset its schedule
+  LOW_STOCK_DIGEST_SENT_AT: 'inventory.lowStockDigestSentAt',
+};
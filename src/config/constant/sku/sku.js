@@ -0,0 +1,45 @@
+// Pattern used to generate SKUs when none is configured. Tokens take an optional
+// length, e.g. {BRAND:3}; {PRODUCT} is the product name.
+export const DEFAULT_SKU_PATTERN = '{BRAND}-{CATEGORY}-{COLOR}-{SIZE}';
+
+// Pattern tokens and the number of characters each contributes by default
+export const SKU_TOKENS = {
+  BRAND: 4,
+  CATEGORY: 4,
+  PRODUCT: 6,
+  COLOR: 3,
+  SIZE: 6,
+};
+
+// Allowed SKU format (stored uppercase)
+export const SKU_REGEX = /^[A-Z0-9][A-Z0-9._-]{0,63}$/;
+
+// Barcode formats accepted on a size, by digit count
+export const BARCODE_TYPES = {
+  12: 'upca',
+  13: 'ean13',
+};
+
+// Label output formats and their content types
+export const LABEL_FORMATS = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+};
+
+// SKU and barcode messages
+export const SKU_MESSAGES = {
+  SKU_FOUND: 'Product found for SKU',
+  SKU_CONFLICT: 'One or more SKUs or barcodes are invalid or already in use',
+  SKU_NOT_FOUND: 'No product has this SKU or barcode',
+  SKUS_GENERATED: 'SKUs generated successfully',
+  SKU_PATTERN_FETCHED: 'SKU pattern retrieved successfully',
+  SKU_PATTERN_UPDATED: 'SKU pattern updated successfully',
+  INVALID_SKU: 'SKU may only contain letters, numbers, ".", "_" and "-" (max 64 characters)',
+  INVALID_BARCODE: 'Barcode must be a 12-digit UPC-A or 13-digit EAN-13 code with a valid check digit',
+  DUPLICATE_SKU: 'SKU is used more than once',
+  DUPLICATE_BARCODE: 'Barcode is used more than once',
+  SKU_TAKEN: 'SKU is already used by another product',
+  BARCODE_TAKEN: 'Barcode is already used by another product',
+  INVALID_LABEL_FORMAT: `Label format must be one of: ${Object.keys(LABEL_FORMATS).join(', ')}`,
+  LABEL_FAILED: 'Barcode label could not be rendered',
+};
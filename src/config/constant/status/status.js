@@ -15,6 +15,8 @@ export const STATUS = {
   METHOD_NOT_ALLOWED: 405,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  LOCKED: 423,
+  TOO_MANY_REQUESTS: 429,
   
   // Server error status codes
   SERVER_ERROR: 500,
@@ -0,0 +1,19 @@
+// Resource types that can be moved to the trash
+export const TRASH_TYPES = {
+  PRODUCT: 'product',
+  CATEGORY: 'category',
+  BRAND: 'brand',
+  COLOR: 'color',
+};
+
+// Trash messages
+export const TRASH_MESSAGES = {
+  TRASH_FETCHED: 'Trash retrieved successfully',
+  INVALID_TYPE: `Trash type must be one of: ${Object.values(TRASH_TYPES).join(', ')}`,
+  ITEM_NOT_FOUND: 'Item not found in the trash',
+  ITEM_RESTORED: 'Item restored successfully',
+  ITEM_PURGED: 'Item permanently deleted',
+  RESTORE_REFERENCE_MISSING: 'Cannot restore: the product references a category, brand or color that is in the trash or no longer exists. Restore those first.',
+  PURGE_REFERENCED: 'Cannot permanently delete: it is still used by products in the trash. Delete those products first.',
+  NAME_IN_TRASH: 'An item with this name is in the trash. Restore or permanently delete it first.',
+};
@@ -0,0 +1,21 @@
+// Items one customer or device may save
+export const MAX_WISHLIST_ITEMS = 200;
+
+// Days a guest wishlist is kept after its last change (read on use so the environment is loaded by then)
+export const guestWishlistTtlDays = () => parseInt(process.env.GUEST_WISHLIST_TTL_DAYS) || 90;
+
+// Wishlist messages
+export const WISHLIST_MESSAGES = {
+  WISHLIST_FETCHED: 'Wishlist retrieved successfully',
+  ITEM_ADDED: 'Product added to wishlist',
+  ITEM_ALREADY_SAVED: 'Product is already in the wishlist',
+  ITEM_REMOVED: 'Product removed from wishlist',
+  ITEM_NOT_FOUND: 'Wishlist item not found',
+  WISHLIST_CLEARED: 'Wishlist cleared',
+  WISHLIST_MERGED: 'Guest wishlist merged',
+  WISHLIST_FULL: `No more than ${MAX_WISHLIST_ITEMS} products can be saved`,
+  PRODUCT_NOT_FOUND: 'Product not found',
+  COLOR_NOT_OFFERED: 'The product is not offered in this color',
+  SIZE_NOT_OFFERED: 'The product is not offered in this size',
+  REPORT_FETCHED: 'Most wishlisted products retrieved successfully',
+};
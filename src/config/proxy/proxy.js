@@ -0,0 +1,20 @@
+/**
+ * Express `trust proxy` value from TRUST_PROXY. Rate limits key on req.ip,
+ * which is the proxy's address unless the proxy is trusted, so behind a
+ * reverse proxy or load balancer every client would share one bucket.
+ *
+ * - unset or 'false': trust no proxy (Express default; req.ip is the socket address)
+ * - a whole number, e.g. '1': trust that many hops in front of the app
+ * - 'true': trust every hop (only when the app can't be reached directly)
+ * - anything else: comma-separated addresses, subnets or names Express
+ *   understands, e.g. 'loopback, 10.0.0.0/8'
+ * @param {string} [value=process.env.TRUST_PROXY] - Raw setting
+ * @returns {boolean|number|string} Value for app.set('trust proxy')
+ */
+export const trustProxySetting = (value = process.env.TRUST_PROXY) => {
+  const setting = String(value ?? '').trim();
+  if (!setting || setting.toLowerCase() === 'false') return false;
+  if (setting.toLowerCase() === 'true') return true;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting;
+};
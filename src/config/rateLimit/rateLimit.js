@@ -0,0 +1,131 @@
+import { createRateLimiter } from '../../utils/rateLimiter/rateLimiter.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Failed logins allowed per IP before backing off (covers password and 2FA steps)
+ */
+export const loginIpLimiter = createRateLimiter({
+  prefix: 'login:ip',
+  max: 20,
+  windowMs: 15 * MINUTE,
+  blockMs: 5 * MINUTE,
+});
+
+/**
+ * Failed logins allowed per email before backing off
+ */
+export const loginAccountLimiter = createRateLimiter({
+  prefix: 'login:account',
+  max: 3,
+  windowMs: 15 * MINUTE,
+  blockMs: 30 * 1000,
+});
+
+/**
+ * Reset requests allowed per IP
+ */
+export const forgotPasswordIpLimiter = createRateLimiter({
+  prefix: 'forgot-password:ip',
+  max: 5,
+  windowMs: 60 * MINUTE,
+  blockMs: 15 * MINUTE,
+});
+
+/**
+ * Reset emails allowed per address, so an inbox can't be flooded
+ */
+export const forgotPasswordAccountLimiter = createRateLimiter({
+  prefix: 'forgot-password:account',
+  max: 3,
+  windowMs: 60 * MINUTE,
+  blockMs: 60 * MINUTE,
+});
+
+/**
+ * Consecutive failed logins that lock an Admin or Customer account, and for how long
+ */
+export const ACCOUNT_LOCKOUT = {
+  MAX_FAILED_ATTEMPTS: 10,
+  LOCK_DURATION_MS: 30 * MINUTE,
+};
+
+/**
+ * Public coupon checks allowed per IP, so codes can't be guessed by brute force
+ */
+export const couponValidateIpLimiter = createRateLimiter({
+  prefix: 'coupon-validate:ip',
+  max: 30,
+  windowMs: 15 * MINUTE,
+  blockMs: 15 * MINUTE,
+});
+
+/**
+ * Failed customer logins allowed per IP before backing off
+ */
+export const customerLoginIpLimiter = createRateLimiter({
+  prefix: 'customer-login:ip',
+  max: 20,
+  windowMs: 15 * MINUTE,
+  blockMs: 5 * MINUTE,
+});
+
+/**
+ * Failed customer logins allowed per email or mobile number before backing off
+ */
+export const customerLoginAccountLimiter = createRateLimiter({
+  prefix: 'customer-login:account',
+  max: 5,
+  windowMs: 15 * MINUTE,
+  blockMs: 30 * 1000,
+});
+
+/**
+ * Customer reset and verification emails allowed per IP
+ */
+export const customerEmailIpLimiter = createRateLimiter({
+  prefix: 'customer-email:ip',
+  max: 10,
+  windowMs: 60 * MINUTE,
+  blockMs: 15 * MINUTE,
+});
+
+/**
+ * Customer reset and verification emails allowed per address, so an inbox can't be flooded
+ */
+export const customerEmailAccountLimiter = createRateLimiter({
+  prefix: 'customer-email:account',
+  max: 3,
+  windowMs: 60 * MINUTE,
+  blockMs: 60 * MINUTE,
+});
+
+/**
+ * Verification code attempts allowed per IP, on top of the per-code attempt cap
+ */
+export const customerOtpIpLimiter = createRateLimiter({
+  prefix: 'customer-otp:ip',
+  max: 20,
+  windowMs: 15 * MINUTE,
+  blockMs: 15 * MINUTE,
+});
+
+/**
+ * WhatsApp inquiries logged per IP, so the inquiry counter can't be inflated
+ */
+export const inquiryIpLimiter = createRateLimiter({
+  prefix: 'inquiry:ip',
+  max: 20,
+  windowMs: 15 * MINUTE,
+  blockMs: 15 * MINUTE,
+});
+
+/**
+ * Quote requests submitted per IP, so the quote queue can't be flooded
+ */
+export const quoteRequestIpLimiter = createRateLimiter({
+  prefix: 'quote:ip',
+  max: 5,
+  windowMs: 60 * MINUTE,
+  blockMs: 60 * MINUTE,
+});
@@ -0,0 +1,385 @@
+// Import dependencies
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Admin from '../../../models/admin/admin.js';
+import Session from '../../../models/session/session.js';
+import Counter from '../../../models/counter/counter.js';
+import { successResponse, errorResponse } from '../../../utils/responseHandler/responseHandler.js';
+import { sendPasswordResetLink } from '../../../utils/passwordReset/passwordReset.js';
+import EmailTemplates from '../../../utils/emailTemplates/emailTemplate.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { MESSAGES } from '../../../config/constant/admin/adminMessage.js';
+import { ROLES } from '../../../config/constant/permissions/permissions.js';
+import {
+  updateAdminUserValidation,
+  updateAdminStatusValidation,
+  updateAdminRoleValidation,
+} from '../../../validation/admin/adminUserValidation/adminUserValidation.js';
+
+// ============================
+// Helper: Shape admin for responses
+// ============================
+const formatAdmin = (admin) => ({
+  id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  image: admin.image,
+  mobileNumber: admin.mobileNumber,
+  isActive: admin.isActive,
+  twoFactorEnabled: admin.twoFactorEnabled,
+  lockUntil: admin.isLocked() ? admin.lockUntil : null,
+  createdAt: admin.createdAt,
+  updatedAt: admin.updatedAt,
+});
+
+// ============================
+// Helper: Load the target admin, or send 404
+// ============================
+const findTargetAdmin = async (req, res) => {
+  const admin = mongoose.isValidObjectId(req.params.id) ? await Admin.findById(req.params.id) : null;
+  if (!admin) {
+    errorResponse(res, MESSAGES.ADMIN_NOT_FOUND, STATUS.NOT_FOUND);
+    return null;
+  }
+  return admin;
+};
+
+// Counter written by every change that takes super-admin access away, so two
+// at once conflict instead of each counting the other as still active
+const SUPER_ADMIN_GUARD = 'guard:super-admin';
+
+// Attempts at a change that lost such a conflict before giving up
+const MAX_SUPER_ADMIN_ATTEMPTS = 3;
+
+// ============================
+// Helper: Take super-admin access from an admin (deactivate, demote or
+// delete) unless no other active super-admin would remain. The re-count and
+// the change run in one transaction; the loser of two concurrent changes is
+// retried and re-counts. Returns false when the change was refused.
+// ============================
+const removeSuperAdminAccess = async (admin, apply) => {
+  if (admin.role !== ROLES.SUPER_ADMIN || !admin.isActive) {
+    await apply(null);
+    return true;
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      await Counter.next(SUPER_ADMIN_GUARD, session);
+      const others = await Admin.countDocuments({
+        _id: { $ne: admin._id },
+        role: ROLES.SUPER_ADMIN,
+        isActive: true,
+      }).session(session);
+      if (others < 1) {
+        await session.abortTransaction();
+        return false;
+      }
+
+      await apply(session);
+      await session.commitTransaction();
+      return true;
+    } catch (error) {
+      await session.abortTransaction();
+      if (!error.hasErrorLabel?.('TransientTransactionError') || attempt >= MAX_SUPER_ADMIN_ATTEMPTS) throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+// ==========================================
+// @desc    List admins with paging and search
+// @route   GET /api/v1/admin/users
+// ==========================================
+export const getAdmins = async (req, res) => {
+  try {
+    const { search, role, isActive, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    if (search && search.trim()) {
+      const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { name: { $regex: escapedSearch, $options: 'i' } },
+        { email: { $regex: escapedSearch, $options: 'i' } },
+        { mobileNumber: { $regex: escapedSearch, $options: 'i' } },
+      ];
+    }
+    if (Object.values(ROLES).includes(role)) {
+      query.role = role;
+    }
+    if (isActive === 'true' || isActive === 'false') {
+      query.isActive = isActive === 'true';
+    }
+
+    const total = await Admin.countDocuments(query);
+    const admins = await Admin.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    return successResponse(res, MESSAGES.ADMINS_FETCHED, {
+      admins: admins.map(formatAdmin),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    });
+  } catch (error) {
+    console.error('Get admins error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Get a single admin
+// @route   GET /api/v1/admin/users/:id
+// ==========================================
+export const getAdminById = async (req, res) => {
+  try {
+    const admin = await findTargetAdmin(req, res);
+    if (!admin) return;
+
+    return successResponse(res, MESSAGES.ADMIN_FETCHED, { admin: formatAdmin(admin) });
+  } catch (error) {
+    console.error('Get admin error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Update an admin's name or mobile number
+// @route   PUT /api/v1/admin/users/:id
+// ==========================================
+export const updateAdmin = async (req, res) => {
+  try {
+    const { error, value } = updateAdminUserValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const admin = await findTargetAdmin(req, res);
+    if (!admin) return;
+
+    const before = toAuditSnapshot(admin);
+    if (value.name !== undefined) admin.name = value.name;
+    if (value.mobileNumber !== undefined) admin.mobileNumber = value.mobileNumber || undefined;
+    await admin.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      before,
+      after: admin,
+    });
+
+    return successResponse(res, MESSAGES.ADMIN_UPDATED, { admin: formatAdmin(admin) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return errorResponse(res, MESSAGES.MOBILE_EXISTS, STATUS.CONFLICT);
+    }
+    console.error('Update admin error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Activate or deactivate an admin
+// @route   PATCH /api/v1/admin/users/:id/status
+// ==========================================
+export const updateAdminStatus = async (req, res) => {
+  try {
+    const { error, value } = updateAdminStatusValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const admin = await findTargetAdmin(req, res);
+    if (!admin) return;
+
+    const { isActive, reason } = value;
+
+    if (!isActive && admin._id.equals(req.admin._id)) {
+      return errorResponse(res, MESSAGES.CANNOT_MODIFY_SELF, STATUS.BAD_REQUEST);
+    }
+
+    if (admin.isActive !== isActive) {
+      const before = toAuditSnapshot(admin);
+      if (isActive) {
+        admin.isActive = true;
+        // Reactivation also lifts any lockout from before the deactivation
+        admin.resetLoginAttempts();
+        await admin.save({ validateBeforeSave: false });
+      } else {
+        const removed = await removeSuperAdminAccess(admin, (session) =>
+          Admin.updateOne({ _id: admin._id }, { $set: { isActive: false } }, { session })
+        );
+        if (!removed) {
+          return errorResponse(res, MESSAGES.LAST_SUPER_ADMIN, STATUS.CONFLICT);
+        }
+        admin.isActive = false;
+        await Session.revokeAllForAdmin(admin._id, 'account-deactivated');
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        resourceType: AUDIT_RESOURCES.ADMIN,
+        resourceId: admin._id,
+        before,
+        after: admin,
+        metadata: { event: isActive ? 'admin-activated' : 'admin-deactivated', reason: reason || null },
+      });
+
+      try {
+        const recipient = { email: admin.email, fullName: admin.name };
+        if (isActive) {
+          await EmailTemplates.sendAccountActivatedEmail(recipient);
+        } else {
+          await EmailTemplates.sendAccountDeactivatedEmail(recipient, reason);
+        }
+      } catch (emailError) {
+        // The status change stands even if the notification can't be sent
+      }
+    }
+
+    return successResponse(
+      res,
+      isActive ? MESSAGES.ADMIN_ACTIVATED : MESSAGES.ADMIN_DEACTIVATED,
+      { admin: formatAdmin(admin) }
+    );
+  } catch (error) {
+    console.error('Update admin status error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Change an admin's role
+// @route   PATCH /api/v1/admin/users/:id/role
+// ==========================================
+export const updateAdminRole = async (req, res) => {
+  try {
+    const { error, value } = updateAdminRoleValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const admin = await findTargetAdmin(req, res);
+    if (!admin) return;
+
+    const before = toAuditSnapshot(admin);
+    if (admin.role !== value.role && admin.role === ROLES.SUPER_ADMIN) {
+      if (admin._id.equals(req.admin._id)) {
+        return errorResponse(res, MESSAGES.CANNOT_MODIFY_SELF, STATUS.BAD_REQUEST);
+      }
+      const removed = await removeSuperAdminAccess(admin, (session) =>
+        Admin.updateOne({ _id: admin._id }, { $set: { role: value.role } }, { session })
+      );
+      if (!removed) {
+        return errorResponse(res, MESSAGES.LAST_SUPER_ADMIN, STATUS.CONFLICT);
+      }
+      admin.role = value.role;
+    } else {
+      admin.role = value.role;
+      await admin.save({ validateBeforeSave: false });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      before,
+      after: admin,
+    });
+
+    return successResponse(res, MESSAGES.ADMIN_ROLE_UPDATED, { admin: formatAdmin(admin) });
+  } catch (error) {
+    console.error('Update admin role error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Force a password reset: log the admin out, void the
+//          current password and email a reset link
+// @route   POST /api/v1/admin/users/:id/force-password-reset
+// ==========================================
+export const forcePasswordReset = async (req, res) => {
+  try {
+    const admin = await findTargetAdmin(req, res);
+    if (!admin) return;
+
+    // Nobody knows this password, so the admin has to use the reset link
+    admin.password = crypto.randomBytes(32).toString('hex');
+    await admin.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForAdmin(admin._id, 'forced-password-reset');
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      metadata: { event: 'forced-password-reset' },
+    });
+
+    try {
+      await sendPasswordResetLink(admin);
+    } catch (emailError) {
+      // The old password is already void; the admin can still use forgot-password
+      return errorResponse(res, MESSAGES.EMAIL_FAILED, STATUS.SERVER_ERROR);
+    }
+
+    return successResponse(res, MESSAGES.FORCED_RESET_SENT, { admin: formatAdmin(admin) });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Delete an admin and end their sessions
+// @route   DELETE /api/v1/admin/users/:id
+// ==========================================
+export const deleteAdmin = async (req, res) => {
+  try {
+    const admin = await findTargetAdmin(req, res);
+    if (!admin) return;
+
+    if (admin._id.equals(req.admin._id)) {
+      return errorResponse(res, MESSAGES.CANNOT_MODIFY_SELF, STATUS.BAD_REQUEST);
+    }
+    const removed = await removeSuperAdminAccess(admin, (session) =>
+      Admin.deleteOne({ _id: admin._id }, { session })
+    );
+    if (!removed) {
+      return errorResponse(res, MESSAGES.LAST_SUPER_ADMIN, STATUS.CONFLICT);
+    }
+
+    await Session.deleteMany({ admin: admin._id });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DELETE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      before: admin,
+    });
+
+    return successResponse(res, MESSAGES.ADMIN_DELETED, { id: admin._id });
+  } catch (error) {
+    console.error('Delete admin error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import AuditLog from '../../../models/auditLog/auditLog.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES, AUDIT_MESSAGES } from '../../../config/constant/audit/audit.js';
+
+/**
+ * @desc    List audit log entries, filtered by actor, resource, action and date range
+ * @route   GET /api/v1/audit
+ * @access  Super Admin (audit:read)
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const {
+    actor,
+    resourceType,
+    resourceId,
+    action,
+    from,
+    to,
+    page = 1,
+    limit = 50,
+  } = req.query;
+
+  const query = {};
+
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) {
+      return res.status(STATUS.BAD_REQUEST).json({
+        statusCode: STATUS.BAD_REQUEST,
+        message: `${AUDIT_MESSAGES.INVALID_FILTER}: actor must be an admin ID`,
+      });
+    }
+    query.actor = actor;
+  }
+
+  if (resourceType) {
+    if (!Object.values(AUDIT_RESOURCES).includes(resourceType)) {
+      return res.status(STATUS.BAD_REQUEST).json({
+        statusCode: STATUS.BAD_REQUEST,
+        message: `${AUDIT_MESSAGES.INVALID_FILTER}: resourceType must be one of ${Object.values(AUDIT_RESOURCES).join(', ')}`,
+      });
+    }
+    query.resourceType = resourceType;
+  }
+
+  if (resourceId) {
+    if (!mongoose.isValidObjectId(resourceId)) {
+      return res.status(STATUS.BAD_REQUEST).json({
+        statusCode: STATUS.BAD_REQUEST,
+        message: `${AUDIT_MESSAGES.INVALID_FILTER}: resourceId must be a valid ID`,
+      });
+    }
+    query.resourceId = resourceId;
+  }
+
+  if (action) {
+    const actions = action.split(',').map((a) => a.trim());
+    if (actions.some((a) => !Object.values(AUDIT_ACTIONS).includes(a))) {
+      return res.status(STATUS.BAD_REQUEST).json({
+        statusCode: STATUS.BAD_REQUEST,
+        message: `${AUDIT_MESSAGES.INVALID_FILTER}: action must be one of ${Object.values(AUDIT_ACTIONS).join(', ')}`,
+      });
+    }
+    query.action = { $in: actions };
+  }
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(STATUS.BAD_REQUEST).json({
+        statusCode: STATUS.BAD_REQUEST,
+        message: `${AUDIT_MESSAGES.INVALID_FILTER}: from and to must be valid dates`,
+      });
+    }
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await AuditLog.countDocuments(query);
+  const logs = await AuditLog.find(query)
+    .populate('actor', 'name email role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: AUDIT_MESSAGES.AUDIT_LOGS_FETCHED,
+    data: {
+      logs,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get a single audit log entry
+ * @route   GET /api/v1/audit/:id
+ * @access  Super Admin (audit:read)
+ */
+export const getAuditLogById = asyncHandler(async (req, res) => {
+  const log = mongoose.isValidObjectId(req.params.id)
+    ? await AuditLog.findById(req.params.id).populate('actor', 'name email role').lean()
+    : null;
+
+  if (!log) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: AUDIT_MESSAGES.AUDIT_LOG_NOT_FOUND,
+    });
+  }
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: AUDIT_MESSAGES.AUDIT_LOG_FETCHED,
+    data: log,
+  });
+});
@@ -1,8 +1,16 @@
 // Import dependencies
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Admin from '../../../models/admin/admin.js';
+import Invite from '../../../models/invite/invite.js';
+import Session from '../../../models/session/session.js';
+import { verifyInviteToken } from '../../../utils/inviteToken/inviteToken.js';
+import { loginIpLimiter, loginAccountLimiter } from '../../../config/rateLimit/rateLimit.js';
 import sendEmail from '../../../utils/sendemail/sendemail.js';
+import { sendPasswordResetLink } from '../../../utils/passwordReset/passwordReset.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
 import { successResponse, errorResponse } from '../../../utils/responseHandler/responseHandler.js';
 import { STATUS } from '../../../config/constant/status/status.js';
 import { MESSAGES } from '../../../config/constant/admin/adminMessage.js';
@@ -13,25 +21,118 @@ import {
   resetPasswordValidation,
   changePasswordValidation,
   updateProfileValidation,
+  refreshTokenValidation,
+  loginTwoFactorValidation,
 } from '../../../validation/admin/authValidation/authValidation.js';
 import EmailTemplates, {
-  getPasswordResetTemplate,
   getPasswordChangeTemplate,
 } from '../../../utils/emailTemplates/emailTemplate.js';
 
 import cloudinary from '../../../config/cloudinary.js'; // Adjust path as needed
 
 // ============================
-// Helper: Generate JWT Token
+// Helper: Generate short-lived JWT access token bound to a session
 // ============================
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
   });
 };
 
+// ============================
+// Helper: Short-lived token proving the password step of a 2FA login passed
+// ============================
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa-challenge';
+
+const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ============================
+// Helper: Count a failed login against the IP, the email and the account
+// ============================
+const recordFailedLogin = async (req, email, admin = null) => {
+  await Promise.all([
+    loginIpLimiter.hit(req.ip),
+    loginAccountLimiter.hit(email.trim().toLowerCase()),
+  ]);
+
+  if (!admin) return;
+
+  const locked = admin.registerFailedLogin();
+  await admin.save({ validateBeforeSave: false });
+
+  if (locked) {
+    try {
+      await EmailTemplates.sendAccountLockedEmail(admin, admin.lockUntil, req.ip);
+    } catch (emailError) {
+      // The lock still applies even if the notification can't be sent
+    }
+  }
+};
+
+// ============================
+// Helper: Refuse logins to a locked account
+// ============================
+const accountLockedResponse = (res, admin) => {
+  const retryAfter = Math.ceil((admin.lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(STATUS.LOCKED).json({
+    statusCode: STATUS.LOCKED,
+    message: MESSAGES.ACCOUNT_LOCKED,
+    retryAfter,
+    admin: null
+  });
+};
+
+// ============================
+// Helper: Start a new device session and issue its token pair
+// ============================
+const createSession = async (admin, req) => {
+  const session = new Session({
+    admin: admin._id,
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || '',
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    resourceType: AUDIT_RESOURCES.SESSION,
+    resourceId: session._id,
+    actor: admin,
+  });
+
+  return { token: generateToken(admin._id, session._id), refreshToken };
+};
+
+// ============================
+// Helper: Shape session for responses
+// ============================
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.equals(currentSessionId),
+});
+
 // ==================================
-// @desc    Register new admin
+// @desc    Register new admin from an invitation
 // @route   POST /api/admin/register
 // ==================================
 export const register = async (req, res) => {
@@ -41,22 +142,60 @@ export const register = async (req, res) => {
       return errorResponse(res, MESSAGES.VALIDATION_ERROR, STATUS.BAD_REQUEST, error.details[0].message);
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password, mobileNumber, inviteToken } = req.body;
+
+    const decoded = verifyInviteToken(inviteToken);
+    if (!decoded) {
+      return errorResponse(res, MESSAGES.INVITE_INVALID, STATUS.BAD_REQUEST);
+    }
+
+    if (decoded.email !== email.toLowerCase()) {
+      return errorResponse(res, MESSAGES.INVITE_EMAIL_MISMATCH, STATUS.BAD_REQUEST);
+    }
 
     const existingAdmin = await Admin.findOne({ email });
     if (existingAdmin) {
       return errorResponse(res, MESSAGES.EMAIL_EXISTS, STATUS.BAD_REQUEST);
     }
 
-    const admin = await Admin.create({ name, email, password, role: role || 'admin' });
+    // Claim the invitation atomically so the same token can't register twice
+    const invite = await Invite.findOneAndUpdate(
+      { _id: decoded.inviteId, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite) {
+      return errorResponse(res, MESSAGES.INVITE_INVALID, STATUS.BAD_REQUEST);
+    }
+
+    let admin;
+    try {
+      admin = await Admin.create({ name, email, password, mobileNumber, role: invite.role });
+    } catch (createError) {
+      // Release the invitation so the invitee can retry
+      await Invite.updateOne({ _id: invite._id }, { $set: { usedAt: null } });
+      throw createError;
+    }
+
+    invite.usedBy = admin._id;
+    await invite.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CREATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      after: admin,
+      actor: admin,
+      metadata: { inviteId: invite._id, invitedBy: invite.invitedBy },
+    });
 
-    const token = generateToken(admin._id);
+    const tokens = await createSession(admin, req);
 
     return successResponse(
       res,
       MESSAGES.REGISTER_SUCCESS,
       {
-        token,
+        ...tokens,
         admin: {
           id: admin._id,
           name: admin.name,
@@ -93,6 +232,7 @@ export const login = async (req, res) => {
     const admin = await Admin.findOne({ email }).select('+password');
 
     if (!admin || !admin.isActive) {
+      await recordFailedLogin(req, email);
       return res.status(STATUS.UNAUTHORIZED).json({
         statusCode: STATUS.UNAUTHORIZED,
         message: MESSAGES.INVALID_CREDENTIALS,
@@ -100,8 +240,14 @@ export const login = async (req, res) => {
       });
     }
 
+    // Checked before the password so a correct guess during the lock doesn't get in
+    if (admin.isLocked()) {
+      return accountLockedResponse(res, admin);
+    }
+
     const isPasswordMatch = await admin.comparePassword(password);
     if (!isPasswordMatch) {
+      await recordFailedLogin(req, email, admin);
       return res.status(STATUS.UNAUTHORIZED).json({
         statusCode: STATUS.UNAUTHORIZED,
         message: MESSAGES.INVALID_CREDENTIALS,
@@ -109,13 +255,30 @@ export const login = async (req, res) => {
       });
     }
 
-    const token = generateToken(admin._id);
+    await loginAccountLimiter.reset(email.trim().toLowerCase());
+
+    // Hold back the session until the authenticator code is verified
+    if (admin.twoFactorEnabled) {
+      return res.status(STATUS.OK).json({
+        statusCode: STATUS.OK,
+        message: MESSAGES.TWO_FACTOR_REQUIRED,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(admin._id),
+      });
+    }
+
+    if (admin.failedLoginAttempts || admin.lockUntil) {
+      admin.resetLoginAttempts();
+      await admin.save({ validateBeforeSave: false });
+    }
+
+    const tokens = await createSession(admin, req);
 
     return res.status(STATUS.OK).json({
       statusCode: STATUS.OK,
       message: MESSAGES.LOGIN_SUCCESS,
       
-        token,
+        ...tokens,
         admin: {
           id: admin._id,
           name: admin.name,
@@ -135,6 +298,65 @@ export const login = async (req, res) => {
     });
   }
 };
+// ===============================
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/admin/login/2fa
+// ===============================
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { error } = loginTwoFactorValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken);
+    if (!decoded) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_CHALLENGE_INVALID, STATUS.UNAUTHORIZED);
+    }
+
+    const admin = await Admin.findById(decoded.id).select(
+      '+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes'
+    );
+    if (!admin || !admin.isActive || !admin.twoFactorEnabled || admin.changedPasswordAfter(decoded.iat)) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_CHALLENGE_INVALID, STATUS.UNAUTHORIZED);
+    }
+
+    if (admin.isLocked()) {
+      return accountLockedResponse(res, admin);
+    }
+
+    const verified = code ? admin.verifyTwoFactorCode(code) : admin.useRecoveryCode(recoveryCode);
+    if (!verified) {
+      await recordFailedLogin(req, admin.email, admin);
+      return errorResponse(res, MESSAGES.TWO_FACTOR_CODE_INVALID, STATUS.UNAUTHORIZED);
+    }
+    admin.resetLoginAttempts();
+    await admin.save();
+
+    const tokens = await createSession(admin, req);
+
+    return res.status(STATUS.OK).json({
+      statusCode: STATUS.OK,
+      message: MESSAGES.LOGIN_SUCCESS,
+      ...tokens,
+      recoveryCodesRemaining: admin.twoFactorRecoveryCodes.length,
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        role: admin.role,
+        mobileNumber: admin.mobileNumber,
+        createdAt: admin.createdAt,
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
 // ============================================
 // @desc    Forgot password (send reset link)
 // @route   POST /api/admin/forgot-password
@@ -154,21 +376,8 @@ export const forgotPassword = async (req, res) => {
       return successResponse(res, 'If the email exists, a reset link has been sent', {}, STATUS.OK);
     }
 
-    // Generate and save reset token
-    const resetToken = crypto.randomBytes(20).toString('hex');
-    admin.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    admin.resetPasswordExpire = Date.now() + 30 * 60 * 1000;
-    await admin.save({ validateBeforeSave: false });
-
-    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
-
-    // Send password reset email
-    await EmailTemplates.sendPasswordResetEmail(
-      admin.email,
-      'Password Reset Request',
-      getPasswordResetTemplate(admin.name, resetUrl),
-      true
-    );
+    // Generate and save reset token, then send password reset email
+    await sendPasswordResetLink(admin);
 
     return successResponse(res, 'Password reset link sent', { email: admin.email }, STATUS.OK);
   } catch (error) {
@@ -203,15 +412,35 @@ export const resetPassword = async (req, res) => {
     admin.password = password;
     admin.resetPasswordToken = undefined;
     admin.resetPasswordExpire = undefined;
+    admin.resetLoginAttempts();
     await admin.save();
 
+    // Whoever knew the old password must not stay logged in
+    await Session.revokeAllForAdmin(admin._id, 'password-reset');
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      actor: admin,
+      metadata: { event: 'password-reset' },
+    });
+
     // Send confirmation email
     await EmailTemplates.sendPasswordChangedEmail({ email: admin.email, name: admin.name });
 
-    const jwtToken = generateToken(admin._id);
+    // A reset link alone must not get past 2FA
+    if (admin.twoFactorEnabled) {
+      return successResponse(res, MESSAGES.RESET_SUCCESS, {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(admin._id),
+      }, STATUS.OK);
+    }
+
+    const tokens = await createSession(admin, req);
 
     return successResponse(res, MESSAGES.RESET_SUCCESS, {
-      token: jwtToken,
+      ...tokens,
       admin: {
         id: admin._id,
         name: admin.name,
@@ -251,9 +480,22 @@ export const changePassword = async (req, res) => {
     admin.password = newPassword;
     await admin.save();
 
+    // Log out every other device; the current session gets a fresh access token
+    await Session.revokeAllForAdmin(admin._id, 'password-change', req.adminSession._id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      metadata: { event: 'password-change' },
+    });
+
     await EmailTemplates.sendPasswordChangedEmail({ email: admin.email, name: admin.name });
 
-    return successResponse(res, MESSAGES.PASSWORD_CHANGED, { email: admin.email }, STATUS.OK);
+    return successResponse(res, MESSAGES.PASSWORD_CHANGED, {
+      email: admin.email,
+      token: generateToken(admin._id, req.adminSession._id),
+    }, STATUS.OK);
   } catch (error) {
     console.error('Change password error:', error);
     return errorResponse(res, 'Server error', STATUS.SERVER_ERROR);
@@ -305,6 +547,8 @@ export const updateProfile = async (req, res) => {
       return errorResponse(res, 'Admin not found', STATUS.NOT_FOUND);
     }
 
+    const before = toAuditSnapshot(admin);
+
     // Check if new email is already in use
     if (email && email !== admin.email) {
       const existing = await Admin.findOne({ email });
@@ -364,6 +608,14 @@ export const updateProfile = async (req, res) => {
 
     await admin.save();
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      before,
+      after: admin,
+    });
+
     return successResponse(res, 'Profile updated successfully', {
       admin: {
         id: admin._id,
@@ -383,4 +635,150 @@ export const updateProfile = async (req, res) => {
     });
     return errorResponse(res, `Server error: ${error.message}`, STATUS.SERVER_ERROR);
   }
-};
\ No newline at end of file
+};
+
+// =======================================
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/admin/refresh-token
+// =======================================
+export const refreshToken = async (req, res) => {
+  try {
+    const { error } = refreshTokenValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const parts = Session.parseRefreshToken(req.body.refreshToken);
+    const session = parts && (await Session.findById(parts.sessionId).select('+refreshTokenHash'));
+
+    if (!session || !session.isValid()) {
+      return errorResponse(res, MESSAGES.REFRESH_TOKEN_INVALID, STATUS.UNAUTHORIZED);
+    }
+
+    if (!session.matchesSecret(parts.secret)) {
+      // A rotated-out token was replayed, so assume it leaked and end the session
+      session.revokedAt = new Date();
+      session.revokedReason = 'reuse-detected';
+      await session.save();
+      return errorResponse(res, MESSAGES.REFRESH_TOKEN_INVALID, STATUS.UNAUTHORIZED);
+    }
+
+    const admin = await Admin.findById(session.admin);
+    if (!admin || !admin.isActive) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'account-deactivated';
+      await session.save();
+      return errorResponse(res, MESSAGES.INVALID_CREDENTIALS, STATUS.UNAUTHORIZED);
+    }
+
+    const newRefreshToken = session.rotateRefreshToken();
+    await session.save();
+
+    return successResponse(res, MESSAGES.TOKEN_REFRESHED, {
+      token: generateToken(admin._id, session._id),
+      refreshToken: newRefreshToken,
+    }, STATUS.OK);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// =======================================
+// @desc    Log out the current session
+// @route   POST /api/admin/logout
+// =======================================
+export const logout = async (req, res) => {
+  try {
+    req.adminSession.revokedAt = new Date();
+    req.adminSession.revokedReason = 'logout';
+    await req.adminSession.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOGOUT,
+      resourceType: AUDIT_RESOURCES.SESSION,
+      resourceId: req.adminSession._id,
+    });
+
+    return successResponse(res, MESSAGES.LOGOUT_SUCCESS, {}, STATUS.OK);
+  } catch (error) {
+    console.error('Logout error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// =======================================
+// @desc    Log out every session of the admin
+// @route   POST /api/admin/logout-all
+// =======================================
+export const logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForAdmin(req.admin._id, 'logout-all');
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOGOUT,
+      resourceType: AUDIT_RESOURCES.SESSION,
+      metadata: { event: 'logout-all', revoked: result.modifiedCount },
+    });
+
+    return successResponse(res, MESSAGES.LOGOUT_ALL_SUCCESS, { revoked: result.modifiedCount }, STATUS.OK);
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// =======================================
+// @desc    List the admin's active sessions
+// @route   GET /api/admin/sessions
+// =======================================
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      admin: req.admin._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    return successResponse(res, MESSAGES.SESSIONS_FETCHED, {
+      sessions: sessions.map((session) => formatSession(session, req.adminSession._id)),
+    }, STATUS.OK);
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// =======================================
+// @desc    Revoke one of the admin's sessions
+// @route   DELETE /api/admin/sessions/:id
+// =======================================
+export const revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return errorResponse(res, MESSAGES.SESSION_NOT_FOUND, STATUS.NOT_FOUND);
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, admin: req.admin._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } },
+      { new: true }
+    );
+
+    if (!session) {
+      return errorResponse(res, MESSAGES.SESSION_NOT_FOUND, STATUS.NOT_FOUND);
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOGOUT,
+      resourceType: AUDIT_RESOURCES.SESSION,
+      resourceId: session._id,
+      metadata: { event: 'session-revoked' },
+    });
+
+    return successResponse(res, MESSAGES.SESSION_REVOKED, { id: session._id }, STATUS.OK);
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
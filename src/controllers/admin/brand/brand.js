@@ -3,6 +3,9 @@ import Product from '../../../models/product/product.js'; // Import Product mode
 import asyncHandler from 'express-async-handler';
 import { validateBrand } from '../../../validation/admin/brandvalidation/brandvaalidation.js';
 import { STATUS } from '../../../config/constant/status/status.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { TRASH_MESSAGES } from '../../../config/constant/trash/trash.js';
 
 // =======================================
 // @desc    Create a new brand
@@ -11,17 +14,24 @@ import { STATUS } from '../../../config/constant/status/status.js';
 export const createBrand = asyncHandler(async (req, res) => {
   const { name } = req.body;
 
-  const existingBrand = await Brand.findOne({ name });
+  const existingBrand = await Brand.findOne({ name }).setOptions({ withDeleted: true });
   if (existingBrand) {
     return res.status(STATUS.CONFLICT).json({
       statusCode: STATUS.CONFLICT,
-      message: 'Brand already exists',
+      message: existingBrand.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : 'Brand already exists',
     });
   }
 
   const brand = new Brand({ name });
   const createdBrand = await brand.save();
 
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.CREATE,
+    resourceType: AUDIT_RESOURCES.BRAND,
+    resourceId: createdBrand._id,
+    after: createdBrand,
+  });
+
   return res.status(STATUS.CREATED).json({
     statusCode: STATUS.CREATED,
     message: 'Brand created successfully',
@@ -130,12 +140,14 @@ export const updateBrand = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = toAuditSnapshot(brand);
+
   if (name) {
-    const existingBrand = await Brand.findOne({ name });
+    const existingBrand = await Brand.findOne({ name }).setOptions({ withDeleted: true });
     if (existingBrand && existingBrand._id.toString() !== req.params.id) {
       return res.status(STATUS.CONFLICT).json({
         statusCode: STATUS.CONFLICT,
-        message: 'Brand name already exists',
+        message: existingBrand.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : 'Brand name already exists',
       });
     }
     brand.name = name;
@@ -143,6 +155,14 @@ export const updateBrand = asyncHandler(async (req, res) => {
 
   const updatedBrand = await brand.save();
 
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.BRAND,
+    resourceId: updatedBrand._id,
+    before,
+    after: updatedBrand,
+  });
+
   return res.status(STATUS.OK).json({
     statusCode: STATUS.OK,
     message: 'Brand updated successfully',
@@ -151,7 +171,7 @@ export const updateBrand = asyncHandler(async (req, res) => {
 });
 
 // =======================================
-// @desc    Delete a brand
+// @desc    Move a brand to the trash
 // @route   DELETE /api/admin/brands/:id
 // =======================================
 export const deleteBrand = asyncHandler(async (req, res) => {
@@ -173,10 +193,20 @@ export const deleteBrand = asyncHandler(async (req, res) => {
     });
   }
 
-  await Brand.deleteOne({ _id: req.params.id });
+  const before = toAuditSnapshot(brand);
+  brand.softDelete(req.admin);
+  await brand.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.DELETE,
+    resourceType: AUDIT_RESOURCES.BRAND,
+    resourceId: brand._id,
+    before,
+    after: brand,
+  });
 
   return res.status(STATUS.OK).json({
     statusCode: STATUS.OK,
-    message: 'Brand deleted successfully',
+    message: 'Brand moved to trash',
   });
 });
\ No newline at end of file
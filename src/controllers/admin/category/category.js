@@ -4,6 +4,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { CATEGORY_MESSAGES } from '../../../config/constant/category/categoryMessage.js';
 import { STATUS } from '../../../config/constant/status/status.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { TRASH_MESSAGES } from '../../../config/constant/trash/trash.js';
 import categorySchema from '../../../validation/admin/categoryvalidation/categoryValidation.js';
 import { v2 as cloudinary } from 'cloudinary';
 import mongoose from 'mongoose';
@@ -125,17 +128,17 @@ export const parseJsonFields = (fields) => (req, res, next) => {
 
 export const createCategory = asyncHandler(async (req, res) => {
   
-  const { name, description, isActive, sizes } = req.body;
+  const { name, description, isActive, sizes, lowStockThreshold, hsnCode, gstRate } = req.body;
 
   const slug = name
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-+|-+$/g, '');
 
-  const existingCategory = await Category.findOne({ slug });
+  const existingCategory = await Category.findOne({ slug }).setOptions({ withDeleted: true });
   if (existingCategory) {
     res.status(STATUS.BAD_REQUEST);
-    throw new Error(CATEGORY_MESSAGES.CATEGORY_EXISTS);
+    throw new Error(existingCategory.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : CATEGORY_MESSAGES.CATEGORY_EXISTS);
   }
 
   let bannerImage = null;
@@ -181,10 +184,21 @@ if (req.files) {
     iconPublicId,
     isActive: isActive !== undefined ? isActive : true,
     sizes: sizes || [],
+    lowStockThreshold: lowStockThreshold ?? null,
+    hsnCode: hsnCode || null,
+    gstRate: gstRate ?? null,
   });
 
   try {
     const createdCategory = await category.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CREATE,
+      resourceType: AUDIT_RESOURCES.CATEGORY,
+      resourceId: createdCategory._id,
+      after: createdCategory,
+    });
+
     res.status(STATUS.CREATED).json({
       statusCode: STATUS.CREATED,
       message: CATEGORY_MESSAGES.CATEGORY_CREATED,
@@ -209,13 +223,15 @@ export const updateCategory = asyncHandler(async (req, res) => {
     throw new Error(CATEGORY_MESSAGES.CATEGORY_NOT_FOUND);
   }
 
+  const before = toAuditSnapshot(category);
+
   const { error, value } = categorySchema.validate(req.body, { abortEarly: false });
   if (error) {
     res.status(STATUS.BAD_REQUEST);
     throw new Error(`${CATEGORY_MESSAGES.VALIDATION_ERROR}: ${error.details.map(x => x.message).join(', ')}`);
   }
 
-  const { name, description, isActive, sizes } = value;
+  const { name, description, isActive, sizes, lowStockThreshold, hsnCode, gstRate } = value;
 
   if (name && name !== category.name) {
     const slug = name
@@ -223,10 +239,10 @@ export const updateCategory = asyncHandler(async (req, res) => {
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/^-+|-+$/g, '');
 
-    const existingCategory = await Category.findOne({ slug });
+    const existingCategory = await Category.findOne({ slug }).setOptions({ withDeleted: true });
     if (existingCategory && existingCategory._id.toString() !== req.params.id) {
       res.status(STATUS.BAD_REQUEST);
-      throw new Error(CATEGORY_MESSAGES.CATEGORY_EXISTS);
+      throw new Error(existingCategory.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : CATEGORY_MESSAGES.CATEGORY_EXISTS);
     }
     category.slug = slug;
   }
@@ -235,6 +251,9 @@ export const updateCategory = asyncHandler(async (req, res) => {
   category.description = description || category.description;
   category.isActive = isActive !== undefined ? isActive : category.isActive;
   category.sizes = sizes || category.sizes;
+  if (lowStockThreshold !== undefined) category.lowStockThreshold = lowStockThreshold;
+  if (hsnCode !== undefined) category.hsnCode = hsnCode || null;
+  if (gstRate !== undefined) category.gstRate = gstRate;
 
   if (req.files) {
     // Delete old images from Cloudinary if they exist
@@ -284,6 +303,15 @@ export const updateCategory = asyncHandler(async (req, res) => {
 
   try {
     const updatedCategory = await category.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.CATEGORY,
+      resourceId: updatedCategory._id,
+      before,
+      after: updatedCategory,
+    });
+
     res.status(STATUS.OK).json({
       statusCode: STATUS.OK,
       message: CATEGORY_MESSAGES.CATEGORY_UPDATED,
@@ -297,7 +325,7 @@ export const updateCategory = asyncHandler(async (req, res) => {
 });
 
 // ===========================
-// 5. Delete Category
+// 5. Delete Category (move to trash; images are kept until it is purged)
 // ===========================
 
 
@@ -320,24 +348,18 @@ export const deleteCategory = asyncHandler(async (req, res) => {
     );
   }
 
-  // Delete associated images from Cloudinary
-  if (category.bannerImagePublicId) {
-    try {
-      await cloudinary.uploader.destroy(category.bannerImagePublicId);
-    } catch (error) {
-      console.error('Error deleting banner image from Cloudinary:', error);
-    }
-  }
-  if (category.iconPublicId) {
-    try {
-      await cloudinary.uploader.destroy(category.iconPublicId);
-    } catch (error) {
-      console.error('Error deleting icon from Cloudinary:', error);
-    }
-  }
-
-  // Delete the category
-  await Category.deleteOne({ _id: req.params.id });
+  // Move the category to the trash
+  const before = toAuditSnapshot(category);
+  category.softDelete(req.admin);
+  await category.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.DELETE,
+    resourceType: AUDIT_RESOURCES.CATEGORY,
+    resourceId: category._id,
+    before,
+    after: category,
+  });
 
   res.status(STATUS.OK).json({
     statusCode: STATUS.OK,
@@ -2,6 +2,9 @@ import Color from '../../../models/color/color.js';
 import Product from '../../../models/product/product.js'; // Import Product model
 import asyncHandler from 'express-async-handler';
 import { STATUS } from '../../../config/constant/status/status.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { TRASH_MESSAGES } from '../../../config/constant/trash/trash.js';
 
 /**
  * @desc    Create a new color
@@ -20,11 +23,11 @@ export const createColor = asyncHandler(async (req, res) => {
   }
 
   // Check for duplicate color name
-  const existingColor = await Color.findOne({ name: name.toLowerCase() });
+  const existingColor = await Color.findOne({ name: name.toLowerCase() }).setOptions({ withDeleted: true });
   if (existingColor) {
     return res.status(STATUS.CONFLICT).json({
       statuscode: STATUS.CONFLICT,
-      message: 'Color already exists',
+      message: existingColor.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : 'Color already exists',
     });
   }
 
@@ -32,6 +35,13 @@ export const createColor = asyncHandler(async (req, res) => {
   const color = new Color({ name, hex });
   const createdColor = await color.save();
 
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.CREATE,
+    resourceType: AUDIT_RESOURCES.COLOR,
+    resourceId: createdColor._id,
+    after: createdColor,
+  });
+
   res.status(STATUS.CREATED).json({
     statuscode: STATUS.CREATED,
     message: 'Color created successfully',
@@ -159,13 +169,15 @@ export const updateColor = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = toAuditSnapshot(color);
+
   // Check if the new name already exists in another record
   if (name) {
-    const existingColor = await Color.findOne({ name: name.toLowerCase() });
+    const existingColor = await Color.findOne({ name: name.toLowerCase() }).setOptions({ withDeleted: true });
     if (existingColor && existingColor._id.toString() !== req.params.id) {
       return res.status(STATUS.CONFLICT).json({
         statuscode: STATUS.CONFLICT,
-        message: 'Color name already exists',
+        message: existingColor.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : 'Color name already exists',
       });
     }
     color.name = name;
@@ -178,6 +190,14 @@ export const updateColor = asyncHandler(async (req, res) => {
 
   const updatedColor = await color.save();
 
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.COLOR,
+    resourceId: updatedColor._id,
+    before,
+    after: updatedColor,
+  });
+
   res.status(STATUS.OK).json({
     statuscode: STATUS.OK,
     message: 'Color updated successfully',
@@ -186,7 +206,7 @@ export const updateColor = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete a color by ID
+ * @desc    Move a color to the trash
  * @route   DELETE /api/admin/colors/:id
  * @access  Private
  */
@@ -209,10 +229,20 @@ export const deleteColor = asyncHandler(async (req, res) => {
     });
   }
 
-  await Color.deleteOne({ _id: req.params.id });
+  const before = toAuditSnapshot(color);
+  color.softDelete(req.admin);
+  await color.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.DELETE,
+    resourceType: AUDIT_RESOURCES.COLOR,
+    resourceId: color._id,
+    before,
+    after: color,
+  });
 
   res.status(STATUS.OK).json({
     statuscode: STATUS.OK,
-    message: 'Color deleted successfully',
+    message: 'Color moved to trash',
   });
 });
\ No newline at end of file
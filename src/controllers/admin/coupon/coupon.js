@@ -0,0 +1,400 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Coupon from '../../../models/coupon/coupon.js';
+import CouponRedemption from '../../../models/couponRedemption/couponRedemption.js';
+import { COUPON_MESSAGES, COUPON_REJECTIONS } from '../../../config/constant/coupon/coupon.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { DEFAULT_CUSTOMER_GROUP } from '../../../config/constant/pricing/pricing.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import {
+  normalizeCouponCode,
+  normalizeCustomer,
+  priceCartLines,
+  evaluateCoupon,
+  redeemCoupon,
+} from '../../../utils/coupons/coupons.js';
+import { resolveCustomerGroup } from '../../../utils/pricing/pricing.js';
+
+// Fields an admin may set on a coupon
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'products',
+  'categories',
+  'brands',
+  'minAmount',
+  'startsAt',
+  'endsAt',
+  'usageLimit',
+  'perCustomerLimit',
+  'isActive',
+];
+
+/**
+ * Copy the editable fields present in the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Coupon fields
+ */
+const pickFields = (body = {}) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+/**
+ * Save a coupon, turning schema validation failures into a 400 response
+ * @param {mongoose.Document} coupon - Coupon to save
+ * @param {Object} res - Express response object
+ * @returns {Promise<mongoose.Document|null>} Saved coupon, or null when a response was sent
+ */
+const saveCoupon = async (coupon, res) => {
+  try {
+    return await coupon.save();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map((err) => ({ field: err.path, message: err.message })),
+    });
+    return null;
+  }
+};
+
+/**
+ * Find a coupon by the :id route parameter, sending a 404 when it does not exist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<mongoose.Document|null>} Coupon, or null when a response was sent
+ */
+const findCoupon = async (req, res) => {
+  const coupon = mongoose.isValidObjectId(req.params.id) ? await Coupon.findById(req.params.id) : null;
+  if (!coupon) {
+    res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: COUPON_MESSAGES.COUPON_NOT_FOUND,
+    });
+  }
+  return coupon;
+};
+
+/**
+ * Check that no other coupon uses a code
+ * @param {string} code - Normalised code
+ * @param {*} [couponId] - Coupon being updated
+ * @returns {Promise<boolean>} True when the code is free
+ */
+const isCodeFree = async (code, couponId = null) =>
+  !(await Coupon.exists({ code, _id: { $ne: couponId } }));
+
+/**
+ * @desc    List coupons (?search=&isActive=&page=&limit=)
+ * @route   GET /api/v1/coupons
+ * @access  Admin (Protected)
+ */
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { search = '', isActive, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.code = { $regex: escapedSearch, $options: 'i' };
+  }
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [total, coupons] = await Promise.all([
+    Coupon.countDocuments(query),
+    Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+  ]);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: COUPON_MESSAGES.COUPONS_FETCHED,
+    data: {
+      coupons,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get a coupon with its scope
+ * @route   GET /api/v1/coupons/:id
+ * @access  Admin (Protected)
+ */
+export const getCouponById = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req, res);
+  if (!coupon) return;
+
+  await coupon.populate([
+    { path: 'products', select: 'name slug base_price' },
+    { path: 'categories', select: 'name slug' },
+    { path: 'brands', select: 'name slug' },
+  ]);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: COUPON_MESSAGES.COUPON_FETCHED,
+    data: coupon,
+  });
+});
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/v1/coupons
+ * @access  Admin (catalog:write)
+ */
+export const createCoupon = asyncHandler(async (req, res) => {
+  const fields = pickFields(req.body);
+  fields.code = normalizeCouponCode(fields.code);
+
+  if (!(await isCodeFree(fields.code))) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: COUPON_MESSAGES.CODE_TAKEN,
+    });
+  }
+
+  const createdCoupon = await saveCoupon(new Coupon({ ...fields, createdBy: req.admin._id }), res);
+  if (!createdCoupon) return;
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.CREATE,
+    resourceType: AUDIT_RESOURCES.COUPON,
+    resourceId: createdCoupon._id,
+    after: createdCoupon,
+  });
+
+  res.status(STATUS.CREATED).json({
+    statusCode: STATUS.CREATED,
+    message: COUPON_MESSAGES.COUPON_CREATED,
+    data: createdCoupon,
+  });
+});
+
+/**
+ * @desc    Update a coupon (set isActive to false to disable it)
+ * @route   PUT /api/v1/coupons/:id
+ * @access  Admin (catalog:write)
+ */
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req, res);
+  if (!coupon) return;
+
+  const fields = pickFields(req.body);
+  if (fields.code !== undefined) {
+    fields.code = normalizeCouponCode(fields.code);
+    if (!(await isCodeFree(fields.code, coupon._id))) {
+      return res.status(STATUS.CONFLICT).json({
+        statusCode: STATUS.CONFLICT,
+        message: COUPON_MESSAGES.CODE_TAKEN,
+      });
+    }
+  }
+
+  const before = toAuditSnapshot(coupon);
+  coupon.set(fields);
+  const updatedCoupon = await saveCoupon(coupon, res);
+  if (!updatedCoupon) return;
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.COUPON,
+    resourceId: updatedCoupon._id,
+    before,
+    after: updatedCoupon,
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: COUPON_MESSAGES.COUPON_UPDATED,
+    data: updatedCoupon,
+  });
+});
+
+/**
+ * @desc    Delete a coupon that has never been redeemed
+ * @route   DELETE /api/v1/coupons/:id
+ * @access  Admin (catalog:write)
+ */
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req, res);
+  if (!coupon) return;
+
+  if (coupon.usedCount > 0) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: COUPON_MESSAGES.COUPON_IN_USE,
+    });
+  }
+
+  const before = toAuditSnapshot(coupon);
+  await coupon.deleteOne();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.DELETE,
+    resourceType: AUDIT_RESOURCES.COUPON,
+    resourceId: coupon._id,
+    before,
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: COUPON_MESSAGES.COUPON_DELETED,
+  });
+});
+
+/**
+ * @desc    Check a coupon code against a cart and return the discount breakdown
+ * @route   POST /api/v1/coupons/validate
+ * @access  Public
+ */
+export const validateCoupon = asyncHandler(async (req, res) => {
+  const { lines, error: itemError } = await priceCartLines(req.body.items, resolveCustomerGroup(req));
+  if (itemError) {
+    return res.status(STATUS.UNPROCESSABLE_ENTITY).json({
+      statusCode: STATUS.UNPROCESSABLE_ENTITY,
+      message: itemError.message,
+      data: itemError.data,
+    });
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(req.body.code) }).lean();
+  const { breakdown, error } = await evaluateCoupon(coupon, lines, {
+    customer: normalizeCustomer(req.body.customer || req.customer?.email),
+  });
+  if (error) {
+    return res.status(STATUS.UNPROCESSABLE_ENTITY).json({
+      statusCode: STATUS.UNPROCESSABLE_ENTITY,
+      message: error,
+    });
+  }
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: COUPON_MESSAGES.COUPON_APPLIED,
+    data: breakdown,
+  });
+});
+
+/**
+ * @desc    Record a use of a coupon (e.g. a sale closed over WhatsApp)
+ * @route   POST /api/v1/coupons/:id/redemptions
+ * @access  Admin (catalog:write)
+ */
+export const recordCouponRedemption = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req, res);
+  if (!coupon) return;
+
+  const { lines, error: itemError } = await priceCartLines(req.body.items, req.body.customerGroup || DEFAULT_CUSTOMER_GROUP);
+  if (itemError) {
+    return res.status(STATUS.UNPROCESSABLE_ENTITY).json({
+      statusCode: STATUS.UNPROCESSABLE_ENTITY,
+      message: itemError.message,
+      data: itemError.data,
+    });
+  }
+
+  const customer = normalizeCustomer(req.body.customer);
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let breakdown;
+  let redemption;
+  try {
+    const evaluation = await evaluateCoupon(coupon, lines, { customer, session });
+    breakdown = evaluation.breakdown;
+    redemption = evaluation.error
+      ? null
+      : await redeemCoupon(coupon, {
+          customer,
+          discount: breakdown.discount,
+          reference: req.body.reference || '',
+          createdBy: req.admin._id,
+        }, session);
+
+    if (!redemption) {
+      await session.abortTransaction();
+      return res.status(STATUS.UNPROCESSABLE_ENTITY).json({
+        statusCode: STATUS.UNPROCESSABLE_ENTITY,
+        message: evaluation.error || COUPON_REJECTIONS.USAGE_LIMIT_REACHED,
+      });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.COUPON,
+    resourceId: coupon._id,
+    before: { usedCount: coupon.usedCount },
+    after: { usedCount: coupon.usedCount + 1 },
+    metadata: { event: 'coupon-redeem', redemption: redemption._id, customer },
+  });
+
+  res.status(STATUS.CREATED).json({
+    statusCode: STATUS.CREATED,
+    message: COUPON_MESSAGES.REDEMPTION_RECORDED,
+    data: { redemption, breakdown },
+  });
+});
+
+/**
+ * @desc    List a coupon's redemptions (?customer=&page=&limit=)
+ * @route   GET /api/v1/coupons/:id/redemptions
+ * @access  Admin (Protected)
+ */
+export const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req, res);
+  if (!coupon) return;
+
+  const { customer, page = 1, limit = 20 } = req.query;
+  const query = { coupon: coupon._id };
+  if (customer) query.customer = normalizeCustomer(customer);
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [total, redemptions] = await Promise.all([
+    CouponRedemption.countDocuments(query),
+    CouponRedemption.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+  ]);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: COUPON_MESSAGES.REDEMPTIONS_FETCHED,
+    data: {
+      redemptions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    },
+  });
+});
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Customer from '../../../models/customer/customer.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { CUSTOMER_MESSAGES } from '../../../config/constant/customer/customer.js';
+import { CUSTOMER_GROUPS } from '../../../config/constant/pricing/pricing.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+
+// Fields admins see; secrets such as codes, tokens and lockout counters are left out
+const CUSTOMER_FIELDS = 'name email mobileNumber group isVerified isActive lockUntil addresses createdAt updatedAt';
+
+/**
+ * Send a 400 for a bad list filter
+ * @param {Object} res - Express response object
+ * @param {string} detail - What was wrong
+ * @returns {Object} Express response
+ */
+const invalidFilter = (res, detail) =>
+  res.status(STATUS.BAD_REQUEST).json({
+    statusCode: STATUS.BAD_REQUEST,
+    message: `${CUSTOMER_MESSAGES.INVALID_FILTER}: ${detail}`,
+  });
+
+/**
+ * Send a 404 for an unknown customer
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const customerNotFound = (res) =>
+  res.status(STATUS.NOT_FOUND).json({
+    statusCode: STATUS.NOT_FOUND,
+    message: CUSTOMER_MESSAGES.CUSTOMER_NOT_FOUND,
+  });
+
+/**
+ * @desc    List customers (filters: group, isActive, isVerified, search; page, limit)
+ * @route   GET /api/v1/admin/customers
+ * @access  Admin (customers:manage)
+ */
+export const getCustomers = asyncHandler(async (req, res) => {
+  const { group, isActive, isVerified, search = '', page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (isActive !== undefined) {
+    if (!['true', 'false'].includes(isActive)) return invalidFilter(res, 'isActive must be true or false');
+    query.isActive = isActive === 'true';
+  }
+
+  if (isVerified !== undefined) {
+    if (!['true', 'false'].includes(isVerified)) return invalidFilter(res, 'isVerified must be true or false');
+    query.isVerified = isVerified === 'true';
+  }
+
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { name: { $regex: escapedSearch, $options: 'i' } },
+      { email: { $regex: escapedSearch, $options: 'i' } },
+      { mobileNumber: { $regex: escapedSearch, $options: 'i' } },
+    ];
+  }
+
+  // Counts per group ignore the group filter, for the list tabs
+  const countQuery = { ...query };
+
+  if (group) {
+    const groups = group.split(',').map((g) => g.trim());
+    if (groups.some((g) => !Object.values(CUSTOMER_GROUPS).includes(g))) {
+      return invalidFilter(res, `group must be one of ${Object.values(CUSTOMER_GROUPS).join(', ')}`);
+    }
+    query.group = { $in: groups };
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [customers, total, counts] = await Promise.all([
+    Customer.find(query)
+      .select(CUSTOMER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Customer.countDocuments(query),
+    Customer.aggregate([{ $match: countQuery }, { $group: { _id: '$group', count: { $sum: 1 } } }]),
+  ]);
+
+  const groupCounts = Object.fromEntries(Object.values(CUSTOMER_GROUPS).map((g) => [g, 0]));
+  counts.forEach(({ _id, count }) => { if (_id in groupCounts) groupCounts[_id] = count; });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: CUSTOMER_MESSAGES.CUSTOMERS_FETCHED,
+    data: {
+      customers,
+      groupCounts,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get one customer
+ * @route   GET /api/v1/admin/customers/:id
+ * @access  Admin (customers:manage)
+ */
+export const getCustomerById = asyncHandler(async (req, res) => {
+  const customer = mongoose.isValidObjectId(req.params.id)
+    ? await Customer.findById(req.params.id).select(CUSTOMER_FIELDS).lean()
+    : null;
+  if (!customer) return customerNotFound(res);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: CUSTOMER_MESSAGES.CUSTOMER_FETCHED,
+    data: customer,
+  });
+});
+
+/**
+ * @desc    Move a customer to another price group (retail, wholesale or
+ *          distributor); their next request is priced from the new list
+ * @route   PATCH /api/v1/admin/customers/:id
+ * @access  Admin (customers:manage)
+ */
+export const updateCustomer = asyncHandler(async (req, res) => {
+  const customer = mongoose.isValidObjectId(req.params.id)
+    ? await Customer.findById(req.params.id).select(CUSTOMER_FIELDS)
+    : null;
+  if (!customer) return customerNotFound(res);
+
+  if (customer.group !== req.body.group) {
+    const before = toAuditSnapshot(customer);
+    customer.group = req.body.group;
+    await customer.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.CUSTOMER,
+      resourceId: customer._id,
+      before,
+      after: customer,
+      metadata: { event: 'customer-group-changed' },
+    });
+  }
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: CUSTOMER_MESSAGES.CUSTOMER_GROUP_UPDATED,
+    data: customer,
+  });
+});
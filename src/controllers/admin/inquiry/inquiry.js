@@ -0,0 +1,212 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Inquiry from '../../../models/inquiry/inquiry.js';
+import Setting from '../../../models/setting/setting.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { SETTING_KEYS } from '../../../config/constant/settings/settings.js';
+import { INQUIRY_STATUSES, INQUIRY_MESSAGES } from '../../../config/constant/inquiry/inquiry.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { getWhatsappNumber, normalizePhone } from '../../../utils/inquiry/inquiry.js';
+
+/**
+ * Send a 400 for a bad list filter
+ * @param {Object} res - Express response object
+ * @param {string} detail - What was wrong
+ * @returns {Object} Express response
+ */
+const invalidFilter = (res, detail) =>
+  res.status(STATUS.BAD_REQUEST).json({
+    statusCode: STATUS.BAD_REQUEST,
+    message: `${INQUIRY_MESSAGES.INVALID_FILTER}: ${detail}`,
+  });
+
+/**
+ * @desc    List inquiry leads (filters: status, product, utmSource, from, to, search; page, limit)
+ * @route   GET /api/v1/inquiries
+ * @access  Admin (leads:manage)
+ */
+export const getInquiries = asyncHandler(async (req, res) => {
+  const { status, product, utmSource, from, to, search = '', page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (product) {
+    if (!mongoose.isValidObjectId(product)) return invalidFilter(res, 'product must be a valid ID');
+    query.product = new mongoose.Types.ObjectId(product);
+  }
+
+  if (utmSource) query['utm.source'] = utmSource.trim();
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return invalidFilter(res, 'from and to must be valid dates');
+    }
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Phone numbers are stored without spaces or dashes, so match on the digits
+    const digits = normalizePhone(search).replace(/^\+/, '');
+    query.$or = [
+      { name: { $regex: escapedSearch, $options: 'i' } },
+      { productName: { $regex: escapedSearch, $options: 'i' } },
+      ...(digits.length >= 3 ? [{ phone: { $regex: digits } }] : []),
+    ];
+  }
+
+  // Counts per status ignore the status filter, for the pipeline tabs
+  const countQuery = { ...query };
+
+  if (status) {
+    const statuses = status.split(',').map((s) => s.trim());
+    if (statuses.some((s) => !Object.values(INQUIRY_STATUSES).includes(s))) {
+      return invalidFilter(res, `status must be one of ${Object.values(INQUIRY_STATUSES).join(', ')}`);
+    }
+    query.status = { $in: statuses };
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [inquiries, total, counts] = await Promise.all([
+    Inquiry.find(query)
+      .populate('product', 'name slug')
+      .populate('color', 'name hex')
+      .populate('customer', 'name email mobileNumber')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Inquiry.countDocuments(query),
+    Inquiry.aggregate([{ $match: countQuery }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const statusCounts = Object.fromEntries(Object.values(INQUIRY_STATUSES).map((s) => [s, 0]));
+  counts.forEach(({ _id, count }) => { statusCounts[_id] = count; });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INQUIRY_MESSAGES.INQUIRIES_FETCHED,
+    data: {
+      inquiries,
+      statusCounts,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get one inquiry lead
+ * @route   GET /api/v1/inquiries/:id
+ * @access  Admin (leads:manage)
+ */
+export const getInquiryById = asyncHandler(async (req, res) => {
+  const inquiry = mongoose.isValidObjectId(req.params.id)
+    ? await Inquiry.findById(req.params.id)
+      .populate('product', 'name slug')
+      .populate('color', 'name hex')
+      .populate('customer', 'name email mobileNumber')
+      .populate('statusChangedBy', 'name email')
+      .lean()
+    : null;
+
+  if (!inquiry) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: INQUIRY_MESSAGES.INQUIRY_NOT_FOUND,
+    });
+  }
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INQUIRY_MESSAGES.INQUIRY_FETCHED,
+    data: inquiry,
+  });
+});
+
+/**
+ * @desc    Move a lead to another status, optionally replacing its notes
+ * @route   PATCH /api/v1/inquiries/:id/status
+ * @access  Admin (leads:manage)
+ */
+export const updateInquiryStatus = asyncHandler(async (req, res) => {
+  const inquiry = mongoose.isValidObjectId(req.params.id) ? await Inquiry.findById(req.params.id) : null;
+  if (!inquiry) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: INQUIRY_MESSAGES.INQUIRY_NOT_FOUND,
+    });
+  }
+
+  const before = toAuditSnapshot(inquiry);
+
+  if (inquiry.status !== req.body.status) {
+    inquiry.status = req.body.status;
+    inquiry.statusChangedAt = new Date();
+    inquiry.statusChangedBy = req.admin._id;
+  }
+  if (req.body.notes !== undefined) inquiry.notes = req.body.notes;
+  await inquiry.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.INQUIRY,
+    resourceId: inquiry._id,
+    before,
+    after: inquiry,
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INQUIRY_MESSAGES.STATUS_UPDATED,
+    data: inquiry,
+  });
+});
+
+/**
+ * @desc    Get the business number inquiry links open a chat with
+ * @route   GET /api/v1/inquiries/whatsapp-number
+ * @access  Admin (Protected)
+ */
+export const getWhatsappNumberSetting = asyncHandler(async (req, res) => {
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INQUIRY_MESSAGES.WHATSAPP_NUMBER_FETCHED,
+    data: { number: await getWhatsappNumber() },
+  });
+});
+
+/**
+ * @desc    Change the business number inquiry links open a chat with
+ * @route   PUT /api/v1/inquiries/whatsapp-number
+ * @access  Admin (leads:manage)
+ */
+export const updateWhatsappNumberSetting = asyncHandler(async (req, res) => {
+  const number = normalizePhone(req.body.number).replace(/^\+/, '');
+  const previous = await getWhatsappNumber();
+  const setting = await Setting.setValue(SETTING_KEYS.WHATSAPP_NUMBER, number, req.admin._id);
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.SETTING,
+    resourceId: setting._id,
+    before: { key: SETTING_KEYS.WHATSAPP_NUMBER, value: previous },
+    after: { key: SETTING_KEYS.WHATSAPP_NUMBER, value: number },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INQUIRY_MESSAGES.WHATSAPP_NUMBER_UPDATED,
+    data: { number },
+  });
+});
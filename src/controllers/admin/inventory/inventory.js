@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Product from '../../../models/product/product.js';
+import InventoryMovement from '../../../models/inventoryMovement/inventoryMovement.js';
+import { INVENTORY_MESSAGES, MOVEMENT_TYPES } from '../../../config/constant/inventory/inventory.js';
+import { PRODUCT_MESSAGES } from '../../../config/constant/product/productMessages.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { applyStockAdjustment, getStockLevels, skuKey } from '../../../utils/inventory/inventory.js';
+import { getLowStockReport } from '../../../utils/lowStock/lowStock.js';
+
+/**
+ * Find a product by the :id route param
+ * @param {string} id - Product ID
+ * @returns {Promise<Object|null>} Lean product with variant colors populated
+ */
+const findProduct = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Product.findById(id).populate('variants.color', 'name hex').lean();
+};
+
+/**
+ * Build a paginated movement listing
+ * @param {Object} filter - Movement filter
+ * @param {Object} params - Request query (type, from, to, page, limit)
+ * @returns {Promise<Object>} Movements and pagination
+ */
+const listMovements = async (filter, { type, from, to, page = 1, limit = 50 }) => {
+  const query = { ...filter };
+  const types = type ? type.split(',').filter((t) => Object.values(MOVEMENT_TYPES).includes(t)) : [];
+  if (types.length) query.type = { $in: types };
+  if (from || to) {
+    query.createdAt = {};
+    if (from && !isNaN(Date.parse(from))) query.createdAt.$gte = new Date(from);
+    if (to && !isNaN(Date.parse(to))) query.createdAt.$lte = new Date(to);
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+  const total = await InventoryMovement.countDocuments(query);
+  const movements = await InventoryMovement.find(query)
+    .populate('createdBy', 'name email')
+    .populate('color', 'name hex')
+    .sort({ createdAt: -1, _id: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum)
+    .lean();
+
+  return {
+    movements,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      totalItems: total,
+      limit: limitNum,
+    },
+  };
+};
+
+/**
+ * @desc    Adjust stock of one or more variant sizes. All adjustments succeed or none do.
+ * @route   POST /api/v1/products/:id/inventory/adjustments
+ * @access  Admin (catalog:write)
+ */
+export const adjustStock = asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id);
+  if (!product) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: PRODUCT_MESSAGES.PRODUCT_NOT_FOUND,
+    });
+  }
+
+  const before = toAuditSnapshot(product);
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  const movements = [];
+  let updatedProduct = null;
+
+  try {
+    for (const [index, adjustment] of req.body.adjustments.entries()) {
+      const result = await applyStockAdjustment(product._id, adjustment, { admin: req.admin, session });
+
+      if (result.error) {
+        await session.abortTransaction();
+        const statusCode = result.error === INVENTORY_MESSAGES.INSUFFICIENT_STOCK ? STATUS.CONFLICT : STATUS.NOT_FOUND;
+        return res.status(statusCode).json({
+          statusCode,
+          message: result.error,
+          data: { index, adjustment },
+        });
+      }
+
+      movements.push(result.movement);
+      updatedProduct = result.product;
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Stock adjustment error:', error.message);
+    return res.status(STATUS.SERVER_ERROR).json({
+      statusCode: STATUS.SERVER_ERROR,
+      message: `${INVENTORY_MESSAGES.ADJUSTMENT_FAILED}: ${error.message}`,
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.PRODUCT,
+    resourceId: product._id,
+    before,
+    after: updatedProduct,
+    metadata: { event: 'stock-adjustment', movements: movements.map((m) => m._id) },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVENTORY_MESSAGES.STOCK_ADJUSTED,
+    data: {
+      movements,
+      stock: getStockLevels(updatedProduct),
+    },
+  });
+});
+
+/**
+ * @desc    Out-of-stock and low-stock sizes across active, published products
+ * @route   GET /api/v1/products/low-stock
+ * @access  Admin (Protected)
+ */
+export const getLowStock = asyncHandler(async (req, res) => {
+  const report = await getLowStockReport();
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVENTORY_MESSAGES.LOW_STOCK_FETCHED,
+    data: report,
+  });
+});
+
+/**
+ * @desc    Current stock per variant size, alongside the stock derived from the ledger
+ * @route   GET /api/v1/products/:id/inventory
+ * @access  Admin (Protected)
+ */
+export const getProductStock = asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id);
+  if (!product) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: PRODUCT_MESSAGES.PRODUCT_NOT_FOUND,
+    });
+  }
+
+  const ledger = await InventoryMovement.getLedgerStock(product._id);
+  const colors = new Map(product.variants.map((v) => [v._id.toString(), v.color]));
+
+  const stock = getStockLevels(product).map((unit) => {
+    const ledgerStock = ledger.get(skuKey(unit.variant, unit.size));
+    return {
+      ...unit,
+      color: colors.get(unit.variant) || unit.color,
+      // Units with no movements yet haven't been touched since the ledger started
+      ledgerStock: ledgerStock ?? null,
+      inSync: ledgerStock === undefined || ledgerStock === unit.stock,
+    };
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVENTORY_MESSAGES.STOCK_FETCHED,
+    data: {
+      product: { _id: product._id, name: product.name, slug: product.slug },
+      totalStock: stock.reduce((sum, unit) => sum + unit.stock, 0),
+      stock,
+    },
+  });
+});
+
+/**
+ * @desc    Movement history of a product (filters: type, from, to)
+ * @route   GET /api/v1/products/:id/inventory/movements
+ * @access  Admin (Protected)
+ */
+export const getProductMovements = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: 'Invalid product ID',
+    });
+  }
+
+  const data = await listMovements({ product: req.params.id }, req.query);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVENTORY_MESSAGES.MOVEMENTS_FETCHED,
+    data,
+  });
+});
+
+/**
+ * @desc    Movement history and ledger stock of one variant size (filters: type, from, to)
+ * @route   GET /api/v1/products/:id/inventory/:variantId/:size/movements
+ * @access  Admin (Protected)
+ */
+export const getSkuMovements = asyncHandler(async (req, res) => {
+  const { id, variantId, size } = req.params;
+  const product = mongoose.isValidObjectId(variantId) ? await findProduct(id) : null;
+  const variant = product?.variants.find((v) => v._id.toString() === variantId);
+  const unit = variant?.sizes.find((s) => s.size === size);
+
+  if (!unit) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: INVENTORY_MESSAGES.SIZE_NOT_FOUND,
+    });
+  }
+
+  const ledger = await InventoryMovement.getLedgerStock(product._id);
+  const data = await listMovements({ product: product._id, variant: variant._id, size }, req.query);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVENTORY_MESSAGES.MOVEMENTS_FETCHED,
+    data: {
+      variant: variant._id,
+      color: variant.color,
+      size,
+      stock: unit.stock,
+      ledgerStock: ledger.get(skuKey(variant._id, size)) ?? null,
+      ...data,
+    },
+  });
+});
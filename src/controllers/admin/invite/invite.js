@@ -0,0 +1,186 @@
+// Import dependencies
+import mongoose from 'mongoose';
+import Invite from '../../../models/invite/invite.js';
+import Admin from '../../../models/admin/admin.js';
+import { successResponse, errorResponse } from '../../../utils/responseHandler/responseHandler.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { MESSAGES } from '../../../config/constant/admin/adminMessage.js';
+import { createInviteValidation } from '../../../validation/admin/inviteValidation/inviteValidation.js';
+import { signInviteToken, verifyInviteToken, inviteExpiry } from '../../../utils/inviteToken/inviteToken.js';
+import EmailTemplates from '../../../utils/emailTemplates/emailTemplate.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+
+// ============================
+// Helper: Shape invite for responses
+// ============================
+const formatInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  status: invite.status,
+  invitedBy: invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  usedAt: invite.usedAt,
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt,
+});
+
+// ==========================================
+// @desc    Create an invitation and email it
+// @route   POST /api/v1/admin/invites
+// ==========================================
+export const createInvite = async (req, res) => {
+  try {
+    const { error, value } = createInviteValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const { email, role } = value;
+
+    const existingAdmin = await Admin.findOne({ email });
+    if (existingAdmin) {
+      return errorResponse(res, MESSAGES.EMAIL_EXISTS, STATUS.BAD_REQUEST);
+    }
+
+    // Only the most recent invitation for an email should be usable
+    await Invite.updateMany(
+      { email, usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const invite = await Invite.create({
+      email,
+      role,
+      invitedBy: req.admin._id,
+      expiresAt: inviteExpiry(),
+    });
+
+    const token = signInviteToken(invite);
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/register?token=${token}`;
+
+    try {
+      await EmailTemplates.sendAdminInviteEmail(invite, inviteUrl, req.admin.name);
+    } catch (emailError) {
+      // An invitation nobody received is useless, so don't leave it pending
+      invite.revokedAt = new Date();
+      await invite.save();
+      return errorResponse(res, MESSAGES.EMAIL_FAILED, STATUS.SERVER_ERROR);
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CREATE,
+      resourceType: AUDIT_RESOURCES.INVITE,
+      resourceId: invite._id,
+      after: invite,
+    });
+
+    return successResponse(res, MESSAGES.INVITE_SENT, { invite: formatInvite(invite) }, STATUS.CREATED);
+  } catch (error) {
+    console.error('Create invite error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    List invitations
+// @route   GET /api/v1/admin/invites
+// ==========================================
+export const getInvites = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const now = new Date();
+    const statusQueries = {
+      pending: { usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      used: { usedAt: { $ne: null } },
+      revoked: { usedAt: null, revokedAt: { $ne: null } },
+      expired: { usedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+    };
+    const query = statusQueries[status] || {};
+
+    const total = await Invite.countDocuments(query);
+    const invites = await Invite.find(query)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    return successResponse(res, MESSAGES.INVITES_FETCHED, {
+      invites: invites.map(formatInvite),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Check an invitation token before registering
+// @route   GET /api/v1/admin/invites/verify/:token
+// ==========================================
+export const verifyInvite = async (req, res) => {
+  try {
+    const decoded = verifyInviteToken(req.params.token);
+    const invite = decoded && (await Invite.findById(decoded.inviteId));
+
+    if (!invite || invite.status !== 'pending') {
+      return errorResponse(res, MESSAGES.INVITE_INVALID, STATUS.BAD_REQUEST);
+    }
+
+    return successResponse(res, MESSAGES.INVITE_VALID, {
+      email: invite.email,
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+    });
+  } catch (error) {
+    console.error('Verify invite error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/v1/admin/invites/:id
+// ==========================================
+export const revokeInvite = async (req, res) => {
+  try {
+    const invite = mongoose.isValidObjectId(req.params.id) && (await Invite.findById(req.params.id));
+    if (!invite) {
+      return errorResponse(res, MESSAGES.INVITE_NOT_FOUND, STATUS.NOT_FOUND);
+    }
+
+    if (invite.status !== 'pending') {
+      return errorResponse(res, MESSAGES.INVITE_NOT_PENDING, STATUS.BAD_REQUEST);
+    }
+
+    const before = toAuditSnapshot(invite);
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.INVITE,
+      resourceId: invite._id,
+      before,
+      after: invite,
+      metadata: { event: 'invite-revoked' },
+    });
+
+    return successResponse(res, MESSAGES.INVITE_REVOKED, { invite: formatInvite(invite) });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
@@ -0,0 +1,281 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Invoice from '../../../models/invoice/invoice.js';
+import Order from '../../../models/order/order.js';
+import Setting from '../../../models/setting/setting.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { SETTING_KEYS } from '../../../config/constant/settings/settings.js';
+import { INVOICEABLE_ORDER_STATUSES, INVOICE_MESSAGES } from '../../../config/constant/invoice/invoice.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit } from '../../../utils/audit/audit.js';
+import { createInvoice, getInvoiceSeller } from '../../../utils/invoice/invoice.js';
+
+/**
+ * Send a 400 for a bad list filter
+ * @param {Object} res - Express response object
+ * @param {string} detail - What was wrong
+ * @returns {Object} Express response
+ */
+const invalidFilter = (res, detail) =>
+  res.status(STATUS.BAD_REQUEST).json({
+    statusCode: STATUS.BAD_REQUEST,
+    message: `${INVOICE_MESSAGES.INVALID_FILTER}: ${detail}`,
+  });
+
+/**
+ * Send a 404 for an unknown invoice
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const invoiceNotFound = (res) =>
+  res.status(STATUS.NOT_FOUND).json({
+    statusCode: STATUS.NOT_FOUND,
+    message: INVOICE_MESSAGES.INVOICE_NOT_FOUND,
+  });
+
+/**
+ * File name an invoice is downloaded as (slashes are not allowed in names)
+ * @param {Object} invoice - Invoice
+ * @param {string} extension - File extension
+ * @returns {string} File name, e.g. INV-26-27-000123.pdf
+ */
+const invoiceFilename = (invoice, extension) => `${invoice.number.replace(/\//g, '-')}.${extension}`;
+
+/**
+ * @desc    List invoices (filters: financialYear, order, from, to, search; page, limit)
+ * @route   GET /api/v1/invoices
+ * @access  Admin (orders:manage)
+ */
+export const getInvoices = asyncHandler(async (req, res) => {
+  const { financialYear, order, from, to, search = '', page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (financialYear) {
+    if (!/^\d{2}-\d{2}$/.test(financialYear)) return invalidFilter(res, 'financialYear must look like 26-27');
+    query.financialYear = financialYear;
+  }
+
+  if (order) {
+    if (!mongoose.isValidObjectId(order)) return invalidFilter(res, 'order must be a valid ID');
+    query.order = new mongoose.Types.ObjectId(order);
+  }
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return invalidFilter(res, 'from and to must be valid dates');
+    }
+    query.invoiceDate = {};
+    if (fromDate) query.invoiceDate.$gte = fromDate;
+    if (toDate) query.invoiceDate.$lte = toDate;
+  }
+
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { number: { $regex: escapedSearch, $options: 'i' } },
+      { orderNumber: { $regex: escapedSearch, $options: 'i' } },
+      { 'buyer.name': { $regex: escapedSearch, $options: 'i' } },
+      { 'buyer.company': { $regex: escapedSearch, $options: 'i' } },
+      { 'buyer.gstin': { $regex: escapedSearch, $options: 'i' } },
+    ];
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [invoices, total] = await Promise.all([
+    Invoice.find(query)
+      .select('-lines')
+      .sort({ invoiceDate: -1, sequence: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Invoice.countDocuments(query),
+  ]);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVOICE_MESSAGES.INVOICES_FETCHED,
+    data: {
+      invoices,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get one invoice
+ * @route   GET /api/v1/invoices/:id
+ * @access  Admin (orders:manage)
+ */
+export const getInvoiceById = asyncHandler(async (req, res) => {
+  const invoice = mongoose.isValidObjectId(req.params.id)
+    ? await Invoice.findById(req.params.id).populate('createdBy', 'name email').lean()
+    : null;
+  if (!invoice) return invoiceNotFound(res);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVOICE_MESSAGES.INVOICE_FETCHED,
+    data: invoice,
+  });
+});
+
+/**
+ * @desc    Printable HTML invoice, exactly as issued
+ * @route   GET /api/v1/invoices/:id/html
+ * @access  Admin (orders:manage)
+ */
+export const getInvoiceHtml = asyncHandler(async (req, res) => {
+  const invoice = mongoose.isValidObjectId(req.params.id)
+    ? await Invoice.findById(req.params.id).select('number +html').lean()
+    : null;
+  if (!invoice) return invoiceNotFound(res);
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${invoiceFilename(invoice, 'html')}"`);
+  res.status(STATUS.OK).send(invoice.html);
+});
+
+/**
+ * @desc    Download the PDF invoice, exactly as issued
+ * @route   GET /api/v1/invoices/:id/pdf
+ * @access  Admin (orders:manage)
+ */
+export const downloadInvoicePdf = asyncHandler(async (req, res) => {
+  const invoice = mongoose.isValidObjectId(req.params.id)
+    ? await Invoice.findById(req.params.id).select('number +pdf')
+    : null;
+  if (!invoice) return invoiceNotFound(res);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoiceFilename(invoice, 'pdf')}"`);
+  res.status(STATUS.OK).send(invoice.pdf);
+});
+
+/**
+ * @desc    Issue the GST invoice for an order with the next number of the
+ *          financial year, and store it as HTML and PDF
+ * @route   POST /api/v1/invoices/orders/:orderId
+ * @access  Admin (orders:manage)
+ */
+export const createOrderInvoice = asyncHandler(async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.orderId)
+    ? await Order.findById(req.params.orderId).lean()
+    : null;
+  if (!order) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: INVOICE_MESSAGES.ORDER_NOT_FOUND,
+    });
+  }
+
+  if (!INVOICEABLE_ORDER_STATUSES.includes(order.status)) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: INVOICE_MESSAGES.ORDER_NOT_INVOICEABLE,
+    });
+  }
+
+  const existing = await Invoice.findOne({ order: order._id }).select('number').lean();
+  if (existing) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: INVOICE_MESSAGES.ALREADY_INVOICED,
+      data: existing,
+    });
+  }
+
+  const seller = await getInvoiceSeller();
+  if (!seller) {
+    return res.status(STATUS.UNPROCESSABLE_ENTITY).json({
+      statusCode: STATUS.UNPROCESSABLE_ENTITY,
+      message: INVOICE_MESSAGES.SELLER_NOT_CONFIGURED,
+    });
+  }
+
+  const result = await createInvoice(order, seller, { admin: req.admin });
+  if (result.error) {
+    const status = result.error.message === INVOICE_MESSAGES.ALREADY_INVOICED
+      ? STATUS.CONFLICT
+      : STATUS.UNPROCESSABLE_ENTITY;
+    return res.status(status).json({
+      statusCode: status,
+      message: result.error.message,
+      data: result.error.data,
+    });
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.CREATE,
+    resourceType: AUDIT_RESOURCES.INVOICE,
+    resourceId: result.invoice._id,
+    after: result.invoice,
+    metadata: { event: 'invoice-issued', order: order.number },
+  });
+
+  res.status(STATUS.CREATED).json({
+    statusCode: STATUS.CREATED,
+    message: INVOICE_MESSAGES.INVOICE_CREATED,
+    data: result.invoice,
+  });
+});
+
+/**
+ * @desc    Get the seller details printed on invoices
+ * @route   GET /api/v1/invoices/seller
+ * @access  Admin (orders:manage)
+ */
+export const getInvoiceSellerSetting = asyncHandler(async (req, res) => {
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVOICE_MESSAGES.SELLER_FETCHED,
+    data: await Setting.getValue(SETTING_KEYS.INVOICE_SELLER, null),
+  });
+});
+
+/**
+ * @desc    Change the seller details printed on invoices issued from now on
+ * @route   PUT /api/v1/invoices/seller
+ * @access  Admin (orders:manage)
+ */
+export const updateInvoiceSellerSetting = asyncHandler(async (req, res) => {
+  const { name, gstin, address, phone = '', email = '' } = req.body;
+  const seller = {
+    name: name.trim(),
+    gstin: gstin.trim().toUpperCase(),
+    address: {
+      line1: address.line1.trim(),
+      line2: (address.line2 || '').trim(),
+      city: address.city.trim(),
+      state: address.state.trim(),
+      postalCode: address.postalCode.trim(),
+    },
+    phone: phone.trim(),
+    email: email.trim().toLowerCase(),
+  };
+
+  const previous = await Setting.getValue(SETTING_KEYS.INVOICE_SELLER, null);
+  const setting = await Setting.setValue(SETTING_KEYS.INVOICE_SELLER, seller, req.admin._id);
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.SETTING,
+    resourceId: setting._id,
+    before: { key: SETTING_KEYS.INVOICE_SELLER, value: previous },
+    after: { key: SETTING_KEYS.INVOICE_SELLER, value: seller },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: INVOICE_MESSAGES.SELLER_UPDATED,
+    data: seller,
+  });
+});
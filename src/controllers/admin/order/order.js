@@ -0,0 +1,291 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Order from '../../../models/order/order.js';
+import QuoteRequest from '../../../models/quoteRequest/quoteRequest.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import {
+  ORDER_STATUSES,
+  ORDER_SOURCES,
+  ORDER_TRANSITIONS,
+  ORDER_MESSAGES,
+} from '../../../config/constant/order/order.js';
+import { QUOTE_STATUSES } from '../../../config/constant/quote/quote.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { isDuplicateKeyError } from '../../../utils/reference/reference.js';
+import {
+  buildQuoteOrderLines,
+  canTransition,
+  createOrder,
+  changeOrderStatus,
+  notifyOrderStatus,
+} from '../../../utils/order/order.js';
+
+/**
+ * Send a 400 for a bad list filter
+ * @param {Object} res - Express response object
+ * @param {string} detail - What was wrong
+ * @returns {Object} Express response
+ */
+const invalidFilter = (res, detail) =>
+  res.status(STATUS.BAD_REQUEST).json({
+    statusCode: STATUS.BAD_REQUEST,
+    message: `${ORDER_MESSAGES.INVALID_FILTER}: ${detail}`,
+  });
+
+/**
+ * Send a 404 for a missing order
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const orderNotFound = (res) =>
+  res.status(STATUS.NOT_FOUND).json({
+    statusCode: STATUS.NOT_FOUND,
+    message: ORDER_MESSAGES.ORDER_NOT_FOUND,
+  });
+
+/**
+ * @desc    List orders (filters: status, source, customer, quote, from, to, search; page, limit)
+ * @route   GET /api/v1/orders
+ * @access  Admin (orders:manage)
+ */
+export const getOrders = asyncHandler(async (req, res) => {
+  const { status, source, customer, quote, from, to, search = '', page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (source) {
+    if (!Object.values(ORDER_SOURCES).includes(source)) {
+      return invalidFilter(res, `source must be one of ${Object.values(ORDER_SOURCES).join(', ')}`);
+    }
+    query.source = source;
+  }
+
+  if (customer) {
+    if (!mongoose.isValidObjectId(customer)) return invalidFilter(res, 'customer must be a valid ID');
+    query.customer = new mongoose.Types.ObjectId(customer);
+  }
+
+  if (quote) {
+    if (!mongoose.isValidObjectId(quote)) return invalidFilter(res, 'quote must be a valid ID');
+    query.quote = new mongoose.Types.ObjectId(quote);
+  }
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return invalidFilter(res, 'from and to must be valid dates');
+    }
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { number: { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.name': { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.email': { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.company': { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.phone': { $regex: escapedSearch, $options: 'i' } },
+    ];
+  }
+
+  // Counts per status ignore the status filter, for the list tabs
+  const countQuery = { ...query };
+
+  if (status) {
+    const statuses = status.split(',').map((s) => s.trim());
+    if (statuses.some((s) => !Object.values(ORDER_STATUSES).includes(s))) {
+      return invalidFilter(res, `status must be one of ${Object.values(ORDER_STATUSES).join(', ')}`);
+    }
+    query.status = { $in: statuses };
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [orders, total, counts] = await Promise.all([
+    Order.find(query)
+      .select('-lines -statusHistory')
+      .populate('customer', 'name email group')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Order.countDocuments(query),
+    Order.aggregate([{ $match: countQuery }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const statusCounts = Object.fromEntries(Object.values(ORDER_STATUSES).map((s) => [s, 0]));
+  counts.forEach(({ _id, count }) => { statusCounts[_id] = count; });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: ORDER_MESSAGES.ORDERS_FETCHED,
+    data: {
+      orders,
+      statusCounts,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get one order with its lines, status history and the statuses it may move to
+ * @route   GET /api/v1/orders/:id
+ * @access  Admin (orders:manage)
+ */
+export const getOrderById = asyncHandler(async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.id)
+    ? await Order.findById(req.params.id)
+      .populate('customer', 'name email mobileNumber group')
+      .populate('quote', 'number status')
+      .populate('statusHistory.admin', 'name email')
+      .populate('createdBy', 'name email')
+      .lean()
+    : null;
+  if (!order) return orderNotFound(res);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: ORDER_MESSAGES.ORDER_FETCHED,
+    data: { ...order, allowedTransitions: ORDER_TRANSITIONS[order.status] },
+  });
+});
+
+/**
+ * @desc    Create an order from an accepted quote at the quoted prices, reserving its stock
+ * @route   POST /api/v1/orders/from-quote/:quoteId
+ * @access  Admin (orders:manage)
+ */
+export const createOrderFromQuote = asyncHandler(async (req, res) => {
+  const quote = mongoose.isValidObjectId(req.params.quoteId) ? await QuoteRequest.findById(req.params.quoteId) : null;
+  if (!quote) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: ORDER_MESSAGES.QUOTE_NOT_FOUND,
+    });
+  }
+  if (quote.status !== QUOTE_STATUSES.ACCEPTED) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: ORDER_MESSAGES.QUOTE_NOT_ACCEPTED,
+    });
+  }
+
+  const quoteOrdered = () =>
+    res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: ORDER_MESSAGES.QUOTE_ALREADY_ORDERED,
+    });
+  if (await Order.exists({ quote: quote._id })) return quoteOrdered();
+
+  let result;
+  try {
+    result = await createOrder({
+      source: ORDER_SOURCES.QUOTE,
+      customer: quote.customer,
+      customerGroup: quote.customerGroup,
+      quote: quote._id,
+      contact: quote.contact.toObject(),
+      shippingAddress: req.body.shippingAddress,
+      lines: buildQuoteOrderLines(quote),
+      notes: quote.message,
+      internalNotes: req.body.internalNotes || '',
+    }, { admin: req.admin });
+  } catch (error) {
+    // Created by a simultaneous request
+    if (isDuplicateKeyError(error, 'quote')) return quoteOrdered();
+    throw error;
+  }
+
+  if (result.error) {
+    const line = quote.lines[result.error.index];
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: result.error.message,
+      data: { index: result.error.index, line: { productName: line.productName, colorName: line.colorName, size: line.size } },
+    });
+  }
+
+  const { order } = result;
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.CREATE,
+    resourceType: AUDIT_RESOURCES.ORDER,
+    resourceId: order._id,
+    after: order,
+    metadata: { event: 'order-from-quote', quote: quote._id },
+  });
+
+  const emailed = await notifyOrderStatus(order);
+
+  res.status(STATUS.CREATED).json({
+    statusCode: STATUS.CREATED,
+    message: ORDER_MESSAGES.ORDER_CREATED_FROM_QUOTE,
+    data: { order, emailed },
+  });
+});
+
+/**
+ * @desc    Move an order to another status allowed by the transition table and
+ *          email the buyer. Cancelling puts the reserved stock back.
+ * @route   PATCH /api/v1/orders/:id/status
+ * @access  Admin (orders:manage)
+ */
+export const updateOrderStatus = asyncHandler(async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.id) ? await Order.findById(req.params.id) : null;
+  if (!order) return orderNotFound(res);
+
+  const { status, tracking, internalNotes } = req.body;
+  if (!canTransition(order.status, status)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: `${ORDER_MESSAGES.INVALID_TRANSITION}: ${order.status} → ${status}`,
+      data: { allowedTransitions: ORDER_TRANSITIONS[order.status] },
+    });
+  }
+
+  const before = toAuditSnapshot(order);
+  const note = req.body.note?.trim() || '';
+
+  if (tracking) {
+    ['carrier', 'number', 'url'].forEach((field) => {
+      if (tracking[field] !== undefined) order.tracking[field] = tracking[field].trim();
+    });
+  }
+  if (internalNotes !== undefined) order.internalNotes = internalNotes.trim();
+  if (status === ORDER_STATUSES.CANCELLED) order.cancellationReason = note;
+
+  const { error, skippedLines } = await changeOrderStatus(order, status, { admin: req.admin, note });
+  if (error) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: error,
+    });
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.ORDER,
+    resourceId: order._id,
+    before,
+    after: order,
+    metadata: { event: 'order-status', from: before.status, to: status, skippedLines },
+  });
+
+  const emailed = await notifyOrderStatus(order);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: ORDER_MESSAGES.STATUS_UPDATED,
+    data: { order, emailed, skippedLines },
+  });
+});
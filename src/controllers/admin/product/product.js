@@ -3,17 +3,74 @@ import Product from '../../../models/product/product.js';
 import Category from '../../../models/category/category.js';
 import Color from '../../../models/color/color.js';
 import Brand from '../../../models/brand/brand.js';
+import ProductRevision, { REVISION_SOURCES } from '../../../models/productRevision/productRevision.js';
 import asyncHandler from 'express-async-handler';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { PRODUCT_MESSAGES } from '../../../config/constant/product/productMessages.js';
 import { STATUS } from '../../../config/constant/status/status.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { syncProductCounts, getVariantColorIds } from '../../../utils/productCounts/productCounts.js';
+import { recordStockChanges, rebaseStock, applyStockAdjustment } from '../../../utils/inventory/inventory.js';
+import { MOVEMENT_TYPES } from '../../../config/constant/inventory/inventory.js';
+import { prepareSkus, carryOverSkuFields } from '../../../utils/sku/sku.js';
+import { SKU_MESSAGES } from '../../../config/constant/sku/sku.js';
+import { resolvePublishing } from '../../../utils/publishing/publishing.js';
+import { findPriceTierErrors } from '../../../utils/pricing/pricing.js';
+import { PRICING_MESSAGES } from '../../../config/constant/pricing/pricing.js';
+import { buildProductFilter, buildProductSort } from '../../../utils/productFilters/productFilters.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { TRASH_MESSAGES } from '../../../config/constant/trash/trash.js';
+import { GST_RATES, HSN_CODE_REGEX } from '../../../config/constant/gst/gst.js';
 import mongoose from 'mongoose';
 
-// Resolve __dirname for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Parse a low stock threshold from the request body
+ * @param {*} value - Raw value (form fields arrive as strings)
+ * @returns {number|null|undefined} Threshold, null to clear it, undefined when not sent,
+ *   or NaN when invalid
+ */
+const parseLowStockThreshold = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+  const threshold = Number(value);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : NaN;
+};
+
+/**
+ * Parse an HSN code from the request body
+ * @param {*} value - Raw value
+ * @returns {string|null|undefined} HSN code, null to clear it, undefined when not sent,
+ *   or NaN when invalid
+ */
+const parseHsnCode = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+  const hsnCode = String(value).trim();
+  return HSN_CODE_REGEX.test(hsnCode) ? hsnCode : NaN;
+};
+
+/**
+ * Parse a GST rate from the request body
+ * @param {*} value - Raw value (form fields arrive as strings)
+ * @returns {number|null|undefined} Rate in percent, null to clear it, undefined when not sent,
+ *   or NaN when invalid
+ */
+const parseGstRate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+  const rate = Number(value);
+  return GST_RATES.includes(rate) ? rate : NaN;
+};
+
+/**
+ * Parse a minimum order quantity or pack size from the request body
+ * @param {*} value - Raw value (form fields arrive as strings)
+ * @returns {number|undefined} Quantity, undefined when not sent, or NaN when invalid
+ */
+const parseOrderQuantity = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : NaN;
+};
 
 
 /**
@@ -34,6 +91,7 @@ export const getProducts = asyncHandler(async (req, res) => {
     sortBy = 'createdAt',
     sortOrder = 'desc',
     tags,
+    status,
   } = req.query;
 
   if (!search) {
@@ -44,62 +102,13 @@ export const getProducts = asyncHandler(async (req, res) => {
   const limitNum = parseInt(limit) || 10;
   const skip = (pageNum - 1) * limitNum;
 
-  const query = {};
-  let message = PRODUCT_MESSAGES.PRODUCTS_FETCHED;
-
-  if (search?.trim()) {
-    const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    query.$or = [
-      { name: { $regex: escapedSearch, $options: 'i' } },
-      { description: { $regex: escapedSearch, $options: 'i' } },
-      { tags: { $regex: escapedSearch, $options: 'i' } },
-    ];
-    message += ` matching "${search}"`;
-    console.log('Search Query:', query.$or);
-  }
-
-  if (category?.trim()) {
-    if (mongoose.isValidObjectId(category)) {
-      query.category = new mongoose.Types.ObjectId(category);
-    } else {
-      const categoryDoc = await Category.findOne({ slug: category, isActive: true }).lean();
-      console.log('Category Document:', categoryDoc);
-      if (!categoryDoc) {
-        res.status(STATUS.BAD_REQUEST);
-        throw new Error('Invalid category');
-      }
-      query.category = categoryDoc._id;
-    }
-    message += ` in category "${category}"`;
+  const { query, message } = await buildProductFilter({ search, category, minPrice, maxPrice, tags, status });
+  if (!query) {
+    res.status(STATUS.BAD_REQUEST);
+    throw new Error('Invalid category');
   }
 
-  if (minPrice || maxPrice) {
-    query.base_price = {};
-    if (minPrice) {
-      query.base_price.$gte = parseFloat(minPrice);
-      message += ` with price >= ${minPrice}`;
-    }
-    if (maxPrice) {
-      query.base_price.$lte = parseFloat(maxPrice);
-      message += ` with price <= ${maxPrice}`;
-    }
-    console.log('Price Query:', query.base_price);
-  }
-
-  if (tags?.trim()) {
-    const tagArray = tags.split(',').map((tag) => tag.trim().toLowerCase());
-    console.log('Tags Array:', tagArray);
-    query.tags = { $all: tagArray };
-    message += ` with tags "${tags}"`;
-  }
-
-  const sort = {};
-  const validSortFields = ['createdAt', 'base_price', 'rating', 'viewCount'];
-  if (validSortFields.includes(sortBy)) {
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
-  } else {
-    sort.createdAt = -1;
-  }
+  const sort = buildProductSort(sortBy, sortOrder);
   console.log('Sort Object:', sort);
 
   console.log('Constructed Query:', query);
@@ -160,11 +169,18 @@ export const createProduct = asyncHandler(async (req, res) => {
     tags,
     videoUrl,
     isFeatured,
-    isSoldOut,
     isVisible,
     specifications,
     collections,
     discount,
+    lowStockThreshold,
+    hsnCode,
+    gstRate,
+    minOrderQuantity,
+    packSize,
+    status,
+    publishAt,
+    unpublishAt,
     variantImagesMeta,
   } = req.body;
 
@@ -230,6 +246,56 @@ const parseJsonField = (field, fieldName) => {
     });
   }
 
+  lowStockThreshold = parseLowStockThreshold(lowStockThreshold);
+  if (Number.isNaN(lowStockThreshold)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_LOW_STOCK_THRESHOLD,
+    });
+  }
+
+  hsnCode = parseHsnCode(hsnCode);
+  if (Number.isNaN(hsnCode)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_HSN_CODE,
+    });
+  }
+
+  gstRate = parseGstRate(gstRate);
+  if (Number.isNaN(gstRate)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_GST_RATE,
+    });
+  }
+
+  minOrderQuantity = parseOrderQuantity(minOrderQuantity);
+  packSize = parseOrderQuantity(packSize);
+  if (Number.isNaN(minOrderQuantity) || Number.isNaN(packSize)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRICING_MESSAGES.INVALID_ORDER_QUANTITY,
+    });
+  }
+
+  const priceTierErrors = findPriceTierErrors(variants);
+  if (priceTierErrors.length > 0) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRICING_MESSAGES.INVALID_PRICE_TIERS,
+      errors: priceTierErrors,
+    });
+  }
+
+  const publishing = resolvePublishing({ status, publishAt, unpublishAt });
+  if (publishing.error) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: publishing.error,
+    });
+  }
+
   // Validate category
   const categoryDoc = await Category.findById(category).select('name description').lean();
   if (!categoryDoc) {
@@ -262,11 +328,11 @@ const parseJsonField = (field, fieldName) => {
 
   // Generate slug
   const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-  const existingProduct = await Product.findOne({ slug }).lean();
+  const existingProduct = await Product.findOne({ slug }).setOptions({ withDeleted: true }).lean();
   if (existingProduct) {
     return res.status(STATUS.CONFLICT).json({
       statusCode: STATUS.CONFLICT,
-      message: PRODUCT_MESSAGES.PRODUCT_EXISTS,
+      message: existingProduct.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : PRODUCT_MESSAGES.PRODUCT_EXISTS,
     });
   }
 
@@ -299,6 +365,16 @@ const parseJsonField = (field, fieldName) => {
     });
   }
 
+  // Validate hand-set SKUs and barcodes, and generate the missing SKUs
+  const skuErrors = await prepareSkus({ name, brand, category, variants });
+  if (skuErrors.length > 0) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: SKU_MESSAGES.SKU_CONFLICT,
+      errors: skuErrors,
+    });
+  }
+
   // Create new product
  const product = new Product({
     name,
@@ -312,11 +388,16 @@ const parseJsonField = (field, fieldName) => {
     tags,
     videoUrl,
     isFeatured: isFeatured ?? false,
-    isSoldOut: isSoldOut ?? false,
     isVisible: isVisible ?? true,
     specifications,
     collections,
     discount: discount ?? 0,
+    lowStockThreshold: lowStockThreshold ?? null,
+    hsnCode: hsnCode ?? null,
+    gstRate: gstRate ?? null,
+    minOrderQuantity: minOrderQuantity ?? 1,
+    packSize: packSize ?? 1,
+    ...publishing.fields,
   });
 
   try {
@@ -328,26 +409,38 @@ const parseJsonField = (field, fieldName) => {
       // Save the product
       const createdProduct = await product.save({ session });
 
-      // Increment productCount in the category
-      await Category.findByIdAndUpdate(
-        category,
-        { $inc: { productCount: 1 } },
-        { session }
+      // First revision of the product's history
+      await ProductRevision.record(createdProduct, {
+        source: REVISION_SOURCES.CREATE,
+        changedBy: req.admin,
+        session,
+      });
+
+      // Increment productCount in the category and each unique variant color
+      await syncProductCounts(
+        null,
+        { category, colorIds: getVariantColorIds(variants) },
+        session
       );
 
-      // Increment productCount for each unique color in variants
-      const colorIds = [...new Set(variants.map((v) => v.color).filter(Boolean))]; // Get unique color IDs
-      if (colorIds.length > 0) {
-        await Color.updateMany(
-          { _id: { $in: colorIds } },
-          { $inc: { productCount: 1 } },
-          { session }
-        );
-      }
+      // Opening stock enters the inventory ledger as a receipt
+      await recordStockChanges(null, createdProduct, {
+        type: MOVEMENT_TYPES.RECEIPT,
+        reason: 'Initial stock',
+        admin: req.admin,
+        session,
+      });
 
       // Commit the transaction
       await session.commitTransaction();
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        resourceType: AUDIT_RESOURCES.PRODUCT,
+        resourceId: createdProduct._id,
+        after: createdProduct,
+      });
+
       // Re-fetch with populated fields
       const populatedProduct = await Product.findById(createdProduct._id)
         .populate('category', 'name description')
@@ -408,6 +501,9 @@ export const updateProduct = asyncHandler(async (req, res) => {
     });
   }
 
+  // Snapshot before any field is touched (populated refs are reduced to ids)
+  const before = toAuditSnapshot(product);
+
   // Destructure request body
   let {
     name,
@@ -420,13 +516,61 @@ export const updateProduct = asyncHandler(async (req, res) => {
     tags,
     videoUrl,
     isFeatured,
-    isSoldOut,
     isVisible,
     specifications,
     collections,
     discount,
+    lowStockThreshold,
+    hsnCode,
+    gstRate,
+    minOrderQuantity,
+    packSize,
+    status,
+    publishAt,
+    unpublishAt,
   } = req.body;
 
+  lowStockThreshold = parseLowStockThreshold(lowStockThreshold);
+  if (Number.isNaN(lowStockThreshold)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_LOW_STOCK_THRESHOLD,
+    });
+  }
+
+  hsnCode = parseHsnCode(hsnCode);
+  if (Number.isNaN(hsnCode)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_HSN_CODE,
+    });
+  }
+
+  gstRate = parseGstRate(gstRate);
+  if (Number.isNaN(gstRate)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_GST_RATE,
+    });
+  }
+
+  minOrderQuantity = parseOrderQuantity(minOrderQuantity);
+  packSize = parseOrderQuantity(packSize);
+  if (Number.isNaN(minOrderQuantity) || Number.isNaN(packSize)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRICING_MESSAGES.INVALID_ORDER_QUANTITY,
+    });
+  }
+
+  const publishing = resolvePublishing({ status, publishAt, unpublishAt }, product);
+  if (publishing.error) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: publishing.error,
+    });
+  }
+
   // Validate variants
   if (variants && Array.isArray(variants)) {
     for (const variant of variants) {
@@ -590,6 +734,7 @@ export const updateProduct = asyncHandler(async (req, res) => {
             color: variant.color ?? updatedVariants[existingVariantIndex].color,
             price: variant.price ?? updatedVariants[existingVariantIndex].price,
             sizes: variant.sizes ?? updatedVariants[existingVariantIndex].sizes,
+            priceTiers: variant.priceTiers ?? updatedVariants[existingVariantIndex].priceTiers,
             images: updatedVariants[existingVariantIndex].images, // Preserve images for now
           };
         }
@@ -600,6 +745,7 @@ export const updateProduct = asyncHandler(async (req, res) => {
           color: variant.color,
           price: variant.price,
           sizes: variant.sizes || [],
+          priceTiers: variant.priceTiers || [],
           images: variant.images || [],
         });
       }
@@ -652,15 +798,43 @@ export const updateProduct = asyncHandler(async (req, res) => {
     }
   }
 
+  const priceTierErrors = findPriceTierErrors(updatedVariants);
+  if (priceTierErrors.length > 0) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRICING_MESSAGES.INVALID_PRICE_TIERS,
+      errors: priceTierErrors,
+    });
+  }
+
+  // Keep SKUs of re-sent sizes, validate new ones and generate the missing ones
+  carryOverSkuFields(updatedVariants, product.variants);
+  const skuErrors = await prepareSkus(
+    {
+      name: name ?? product.name,
+      brand: brand ?? product.brand,
+      category: category ?? product.category,
+      variants: updatedVariants,
+    },
+    { productId: product._id }
+  );
+  if (skuErrors.length > 0) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: SKU_MESSAGES.SKU_CONFLICT,
+      errors: skuErrors,
+    });
+  }
+
   // Update slug if name changes
   let slug = product.slug;
   if (name && name !== product.name) {
     slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-    const existingProduct = await Product.findOne({ slug });
+    const existingProduct = await Product.findOne({ slug }).setOptions({ withDeleted: true });
     if (existingProduct && existingProduct._id.toString() !== req.params.id) {
       return res.status(STATUS.CONFLICT).json({
         statusCode: STATUS.CONFLICT,
-        message: PRODUCT_MESSAGES.PRODUCT_EXISTS,
+        message: existingProduct.deletedAt ? TRASH_MESSAGES.NAME_IN_TRASH : PRODUCT_MESSAGES.PRODUCT_EXISTS,
       });
     }
   }
@@ -670,14 +844,17 @@ const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    // Determine colors before and after the update
-    const oldColorIds = [...new Set(product.variants.map((v) => v.color?._id?.toString()).filter(Boolean))];
-    const newColorIds = [...new Set(updatedVariants.map((v) => v.color?.toString()).filter(Boolean))];
-
-    // Colors to increment (added colors)
-    const colorsToIncrement = newColorIds.filter((id) => !oldColorIds.includes(id));
-    // Colors to decrement (removed colors)
-    const colorsToDecrement = oldColorIds.filter((id) => !newColorIds.includes(id));
+    // Start from the stock the product holds now, not when it was loaded, so
+    // the edit does not undo sales, returns or adjustments made in between
+    const current = await Product.findById(req.params.id).select('variants').session(session).lean();
+    if (!current) {
+      await session.abortTransaction();
+      return res.status(STATUS.NOT_FOUND).json({
+        statusCode: STATUS.NOT_FOUND,
+        message: PRODUCT_MESSAGES.PRODUCT_NOT_FOUND,
+      });
+    }
+    const { variants: rebasedVariants, edits: stockEdits } = rebaseStock(updatedVariants, product, current);
 
     // Update product fields
     const updateData = {
@@ -687,63 +864,87 @@ const session = await mongoose.startSession();
       brand: brand ?? product.brand._id,
       base_price: parseFloat(base_price) || product.base_price,
       description: description ?? product.description,
-      variants: updatedVariants,
+      variants: rebasedVariants,
       isActive: isActive === 'true' || isActive === true ? true : product.isActive,
       tags: tags ?? product.tags,
       videoUrl: videoUrl ?? product.videoUrl,
       isFeatured: isFeatured === 'true' || isFeatured === true ? true : product.isFeatured,
-      isSoldOut: isSoldOut === 'false' || isSoldOut === false ? false : product.isSoldOut,
+      isSoldOut: Product.isOutOfStock(rebasedVariants),
       isVisible: isVisible === 'true' || isVisible === true ? true : product.isVisible,
       specifications: specifications ?? product.specifications,
       collections: collections ?? product.collections,
       discount: parseFloat(discount) || product.discount,
+      lowStockThreshold: lowStockThreshold === undefined ? product.lowStockThreshold : lowStockThreshold,
+      hsnCode: hsnCode === undefined ? product.hsnCode : hsnCode,
+      gstRate: gstRate === undefined ? product.gstRate : gstRate,
+      minOrderQuantity: minOrderQuantity ?? product.minOrderQuantity,
+      packSize: packSize ?? product.packSize,
+      ...publishing.fields,
     };
 
-    // Update productCount for category if changed
-    if (category && category !== product.category._id.toString()) {
-      await Category.findByIdAndUpdate(
-        product.category._id,
-        { $inc: { productCount: -1 } },
-        { session }
-      );
-      await Category.findByIdAndUpdate(
-        category,
-        { $inc: { productCount: 1 } },
-        { session }
-      );
-    }
-
-    // Increment productCount for newly added colors
-    if (colorsToIncrement.length > 0) {
-      await Color.updateMany(
-        { _id: { $in: colorsToIncrement } },
-        { $inc: { productCount: 1 } },
-        { session }
-      );
-    }
-
-    // Decrement productCount for removed colors
-    if (colorsToDecrement.length > 0) {
-      await Color.updateMany(
-        { _id: { $in: colorsToDecrement } },
-        { $inc: { productCount: -1 } },
-        { session }
-      );
-    }
+    // Keep category and color productCount in step with the new category and variants
+    await syncProductCounts(
+      { category: product.category, colorIds: getVariantColorIds(product.variants) },
+      { category: updateData.category, colorIds: getVariantColorIds(updatedVariants) },
+      session
+    );
 
     // Update product
-    const updatedProduct = await Product.findByIdAndUpdate(
+    const savedProduct = await Product.findByIdAndUpdate(
       req.params.id,
       { $set: updateData },
       { new: true, session }
-    )
+    );
+
+    // Sizes added or removed by the edit are recorded as corrections
+    await recordStockChanges(current, savedProduct, {
+      reason: 'Product edit',
+      admin: req.admin,
+      session,
+    });
+
+    // Stock typed into the edit form is applied as a correction on top of the current stock
+    for (const [index, edit] of stockEdits.entries()) {
+      const result = await applyStockAdjustment(
+        savedProduct._id,
+        { ...edit, type: MOVEMENT_TYPES.CORRECTION, reason: 'Product edit' },
+        { admin: req.admin, session }
+      );
+
+      if (result.error) {
+        await session.abortTransaction();
+        return res.status(STATUS.CONFLICT).json({
+          statusCode: STATUS.CONFLICT,
+          message: result.error,
+          data: { index, adjustment: edit },
+        });
+      }
+    }
+
+    const updatedProduct = await Product.findById(savedProduct._id)
+      .session(session)
       .populate('category', 'name description')
-.populate('brand', 'name description')
-.populate('variants.color', 'name hex');
+      .populate('brand', 'name description')
+      .populate('variants.color', 'name hex');
+
+    // Store the saved state as a new revision
+    await ProductRevision.record(updatedProduct, {
+      changedBy: req.admin,
+      previous: before,
+      session,
+    });
 
     // Commit transaction
     await session.commitTransaction();
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.PRODUCT,
+      resourceId: updatedProduct._id,
+      before,
+      after: updatedProduct,
+    });
+
     // Transform response to convert ObjectId to strings, remove 'id' fields, and handle dates
     const transformResponse = (obj) => {
       if (Array.isArray(obj)) {
@@ -780,6 +981,13 @@ const session = await mongoose.startSession();
     });
   } catch (error) {
     await session.abortTransaction();
+    // Another write to the product landed after this transaction read it
+    if (error.hasErrorLabel?.('TransientTransactionError')) {
+      return res.status(STATUS.CONFLICT).json({
+        statusCode: STATUS.CONFLICT,
+        message: PRODUCT_MESSAGES.PRODUCT_CHANGED,
+      });
+    }
     console.error('Product update error:', error.message);
     res.status(STATUS.SERVER_ERROR).json({
       statusCode: STATUS.SERVER_ERROR,
@@ -791,13 +999,7 @@ const session = await mongoose.startSession();
 });
 
 /**
- * @desc    Delete a product
- * @route   DELETE /api/products/:id
- * @access  Private (Admin)
- */
-
-/**
- * @desc    Delete a product
+ * @desc    Move a product to the trash (images are kept until it is purged)
  * @route   DELETE /api/products/:id
  * @access  Private (Admin)
  */
@@ -815,42 +1017,35 @@ export const deleteProduct = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  const before = toAuditSnapshot(product);
+
   try {
-    // Delete associated images
-    const uploadsDir = path.join(__dirname, '../../../Uploads');
-    product.variants.forEach(variant => {
-      variant.images?.forEach(img => {
-        const imagePath = path.join(uploadsDir, path.basename(img.url));
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
-        }
-      });
-    });
+    // Trashed products no longer count towards their category and colors
+    await syncProductCounts(
+      { category: product.category, colorIds: getVariantColorIds(product.variants) },
+      null,
+      session
+    );
 
-    // Decrease productCount in the category
-    await Category.findByIdAndUpdate(
-      product.category,
-      { $inc: { productCount: -1 } },
+    // Move product to the trash (updateOne skips the stock-count save hooks)
+    product.softDelete(req.admin);
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { deletedAt: product.deletedAt, deletedBy: product.deletedBy } },
       { session }
     );
 
-    // Decrease productCount for each unique color in variants
-    const colorIds = [...new Set(product.variants.map((v) => v.color?._id?.toString()).filter(Boolean))];
-    if (colorIds.length > 0) {
-      await Color.updateMany(
-        { _id: { $in: colorIds } },
-        { $inc: { productCount: -1 } },
-        { session }
-      );
-    }
-
-    // Delete product
-    Image
-    await Product.deleteOne({ _id: req.params.id }, { session });
-
     // Commit transaction
     await session.commitTransaction();
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DELETE,
+      resourceType: AUDIT_RESOURCES.PRODUCT,
+      resourceId: product._id,
+      before,
+      after: product,
+    });
+
     res.status(STATUS.OK).json({
       statusCode: STATUS.OK,
       message: PRODUCT_MESSAGES.PRODUCT_DELETED,
@@ -0,0 +1,69 @@
+import asyncHandler from 'express-async-handler';
+import Product from '../../../models/product/product.js';
+import { PRODUCT_MESSAGES } from '../../../config/constant/product/productMessages.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { buildProductFilter, buildProductSort } from '../../../utils/productFilters/productFilters.js';
+import {
+  EXPORT_FORMATS,
+  flattenProductForExport,
+  createExportWriter,
+} from '../../../utils/productExport/productExport.js';
+
+/**
+ * @desc    Stream the catalog as CSV, XLSX or JSON, one row per variant and size.
+ *          Accepts the same filters and sorting as getProducts.
+ * @route   GET /api/v1/products/export?format=csv|xlsx|json
+ * @access  Admin (Protected)
+ */
+export const exportProducts = asyncHandler(async (req, res) => {
+  const { format = 'csv', search, category, minPrice, maxPrice, tags, status, sortBy, sortOrder } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_EXPORT_FORMAT,
+    });
+  }
+
+  const { query } = await buildProductFilter({ search, category, minPrice, maxPrice, tags, status });
+  if (!query) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_CATEGORY_ID,
+    });
+  }
+
+  const cursor = Product.find(query)
+    .populate('category', 'name')
+    .populate('brand', 'name')
+    .populate('variants.color', 'name hex')
+    .sort(buildProductSort(sortBy, sortOrder))
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  const filename = `catalog-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.status(STATUS.OK);
+  res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const writer = createExportWriter(format, res);
+
+  try {
+    for await (const product of cursor) {
+      // Stop reading when the client goes away
+      if (res.destroyed) break;
+
+      for (const row of flattenProductForExport(product)) {
+        await writer.writeRow(row);
+      }
+    }
+
+    if (!res.destroyed) await writer.end();
+  } catch (error) {
+    // Headers are already sent, so the only option left is to cut the download short
+    console.error('Product export error:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+});
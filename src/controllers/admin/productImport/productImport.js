@@ -0,0 +1,220 @@
+import { v2 as cloudinary } from 'cloudinary';
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Product from '../../../models/product/product.js';
+import ProductRevision, { REVISION_SOURCES } from '../../../models/productRevision/productRevision.js';
+import { PRODUCT_MESSAGES } from '../../../config/constant/product/productMessages.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit } from '../../../utils/audit/audit.js';
+import { syncProductCounts, getVariantColorIds } from '../../../utils/productCounts/productCounts.js';
+import { recordStockChanges } from '../../../utils/inventory/inventory.js';
+import { assignSkus } from '../../../utils/sku/sku.js';
+import { MOVEMENT_TYPES } from '../../../config/constant/inventory/inventory.js';
+import {
+  IMPORT_MAX_ROWS,
+  IMPORT_ROW_STATUS,
+  readImportFile,
+  buildImportPlan,
+} from '../../../utils/productImport/productImport.js';
+
+/**
+ * Upload a product's image URLs to Cloudinary, replacing them with the stored copies
+ * @param {Object} data - Validated product data (mutated)
+ * @param {string[]} uploaded - Collects public IDs so they can be cleaned up on failure
+ * @returns {Promise<void>}
+ */
+const uploadProductImages = async (data, uploaded) => {
+  for (const variant of data.variants) {
+    for (const image of variant.images) {
+      const result = await cloudinary.uploader.upload(image.url, { folder: 'misha_brand/products' });
+      uploaded.push(result.public_id);
+      image.url = result.secure_url;
+      image.public_id = result.public_id;
+    }
+  }
+};
+
+/**
+ * Remove uploaded images after a failed import
+ * @param {string[]} publicIds - Cloudinary public IDs
+ * @returns {Promise<void>}
+ */
+const destroyUploadedImages = async (publicIds) => {
+  for (const publicId of publicIds) {
+    try {
+      await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+      console.error('Error deleting imported image from Cloudinary:', error);
+    }
+  }
+};
+
+/**
+ * Summarise the row report
+ * @param {Object[]} report - Per-row report
+ * @param {Object[]} products - Planned products
+ * @returns {Object} Counts
+ */
+const summarize = (report, products) => {
+  const rowsByStatus = Object.fromEntries(Object.values(IMPORT_ROW_STATUS).map((status) => [status, 0]));
+  report.forEach((entry) => { rowsByStatus[entry.status]++; });
+
+  return {
+    totalRows: report.length,
+    rows: rowsByStatus,
+    validProducts: products.filter((p) => p.valid).length,
+    invalidProducts: products.filter((p) => !p.valid).length,
+  };
+};
+
+/**
+ * @desc    Bulk import products from a CSV or XLSX file. One row per size:
+ *          rows with the same name form a product, rows with the same color a variant.
+ *          With dryRun=true only the validation report is returned.
+ * @route   POST /api/v1/products/import?dryRun=true
+ * @access  Admin (catalog:write)
+ */
+export const importProducts = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.IMPORT_FILE_REQUIRED,
+    });
+  }
+
+  const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? 'false').toLowerCase() === 'true';
+
+  let parsed;
+  try {
+    parsed = await readImportFile(req.file);
+  } catch (error) {
+    console.error('Import file read error:', error.message);
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.IMPORT_FILE_UNREADABLE,
+    });
+  }
+
+  const { rows, missingColumns } = parsed;
+
+  if (missingColumns.length > 0) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: `${PRODUCT_MESSAGES.IMPORT_MISSING_COLUMNS}: ${missingColumns.join(', ')}`,
+    });
+  }
+  if (rows.length === 0 || rows.length > IMPORT_MAX_ROWS) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: rows.length === 0 ? PRODUCT_MESSAGES.IMPORT_EMPTY : `${PRODUCT_MESSAGES.IMPORT_TOO_MANY_ROWS} (${IMPORT_MAX_ROWS})`,
+    });
+  }
+
+  const { report, products } = await buildImportPlan(rows);
+  const validProducts = products.filter((p) => p.valid);
+
+  if (dryRun || validProducts.length === 0) {
+    const statusCode = validProducts.length === 0 ? STATUS.UNPROCESSABLE_ENTITY : STATUS.OK;
+    return res.status(statusCode).json({
+      statusCode,
+      message: validProducts.length === 0 ? PRODUCT_MESSAGES.IMPORT_NOTHING_VALID : PRODUCT_MESSAGES.IMPORT_VALIDATED,
+      data: { dryRun, summary: summarize(report, products), rows: report, created: [] },
+    });
+  }
+
+  // Copy image URLs into Cloudinary first; a product whose images fail is left out
+  const uploaded = [];
+  const toCreate = [];
+  for (const product of validProducts) {
+    const productUploads = [];
+    try {
+      await uploadProductImages(product.data, productUploads);
+      uploaded.push(...productUploads);
+      toCreate.push(product);
+    } catch (error) {
+      await destroyUploadedImages(productUploads);
+      product.rowIndexes.forEach((index) => {
+        report[index].status = IMPORT_ROW_STATUS.FAILED;
+        report[index].errors.push(`${PRODUCT_MESSAGES.IMPORT_IMAGE_FAILED}: ${error.message}`);
+      });
+    }
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  const created = [];
+  try {
+    for (const product of toCreate) {
+      // Generated inside the transaction so products earlier in the file are seen
+      await assignSkus(product.data, { session });
+
+      const createdProduct = await new Product({ ...product.data, slug: product.slug }).save({ session });
+
+      await ProductRevision.record(createdProduct, {
+        source: REVISION_SOURCES.CREATE,
+        changedBy: req.admin,
+        session,
+      });
+
+      // Same category and color productCount updates as createProduct
+      await syncProductCounts(
+        null,
+        { category: createdProduct.category, colorIds: getVariantColorIds(createdProduct.variants) },
+        session
+      );
+
+      await recordStockChanges(null, createdProduct, {
+        type: MOVEMENT_TYPES.RECEIPT,
+        reason: 'Bulk import',
+        admin: req.admin,
+        session,
+      });
+
+      created.push({ product, createdProduct });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    await destroyUploadedImages(uploaded);
+    console.error('Product import error:', error);
+    return res.status(STATUS.SERVER_ERROR).json({
+      statusCode: STATUS.SERVER_ERROR,
+      message: `${PRODUCT_MESSAGES.IMPORT_FAILED}: ${error.message}`,
+    });
+  } finally {
+    session.endSession();
+  }
+
+  for (const { product, createdProduct } of created) {
+    product.rowIndexes.forEach((index) => {
+      report[index].status = IMPORT_ROW_STATUS.CREATED;
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CREATE,
+      resourceType: AUDIT_RESOURCES.PRODUCT,
+      resourceId: createdProduct._id,
+      after: createdProduct,
+      metadata: { event: 'import', file: req.file.originalname },
+    });
+  }
+
+  const statusCode = created.length > 0 ? STATUS.CREATED : STATUS.UNPROCESSABLE_ENTITY;
+  res.status(statusCode).json({
+    statusCode,
+    message: created.length > 0 ? PRODUCT_MESSAGES.IMPORT_COMPLETED : PRODUCT_MESSAGES.IMPORT_NOTHING_VALID,
+    data: {
+      dryRun,
+      summary: summarize(report, products),
+      rows: report,
+      created: created.map(({ createdProduct }) => ({
+        _id: createdProduct._id,
+        name: createdProduct.name,
+        slug: createdProduct.slug,
+      })),
+    },
+  });
+});
@@ -0,0 +1,313 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Product from '../../../models/product/product.js';
+import Category from '../../../models/category/category.js';
+import Brand from '../../../models/brand/brand.js';
+import Color from '../../../models/color/color.js';
+import ProductRevision, { REVISION_SOURCES } from '../../../models/productRevision/productRevision.js';
+import { PRODUCT_MESSAGES } from '../../../config/constant/product/productMessages.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot, diffSnapshots } from '../../../utils/audit/audit.js';
+import { syncProductCounts, getVariantColorIds } from '../../../utils/productCounts/productCounts.js';
+import { recordStockChanges, rebaseStock } from '../../../utils/inventory/inventory.js';
+import { prepareSkus } from '../../../utils/sku/sku.js';
+import { SKU_MESSAGES } from '../../../config/constant/sku/sku.js';
+import { resolvePublishing } from '../../../utils/publishing/publishing.js';
+
+// Fields a revert never touches: identity, bookkeeping and live counters
+const NON_REVERTABLE_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'viewCount', 'whatsappInquiryCount', 'rating',
+  'publishedAt',
+];
+
+/**
+ * Parse a revision number from the request
+ * @param {string} value - Raw value
+ * @returns {number|null} Positive integer, or null if invalid
+ */
+const parseRevision = (value) => {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+/**
+ * Load a product's revision, or null if the id or number is invalid
+ * @param {string} productId - Product ID
+ * @param {string} revisionParam - Revision number from the request
+ * @returns {Promise<Object|null>} Revision document
+ */
+const findRevision = async (productId, revisionParam) => {
+  const revision = parseRevision(revisionParam);
+  if (!revision || !mongoose.isValidObjectId(productId)) return null;
+  return ProductRevision.findOne({ product: productId, revision }).populate('changedBy', 'name email');
+};
+
+/**
+ * @desc    List a product's revisions, newest first
+ * @route   GET /api/v1/products/:id/revisions
+ * @access  Admin (Protected)
+ */
+export const getProductRevisions = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: 'Invalid product ID',
+    });
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { product: req.params.id };
+  const total = await ProductRevision.countDocuments(query);
+  const revisions = await ProductRevision.find(query)
+    .select('-snapshot')
+    .populate('changedBy', 'name email')
+    .sort({ revision: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: PRODUCT_MESSAGES.REVISIONS_FETCHED,
+    data: {
+      revisions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get a single revision with its full snapshot
+ * @route   GET /api/v1/products/:id/revisions/:revision
+ * @access  Admin (Protected)
+ */
+export const getProductRevision = asyncHandler(async (req, res) => {
+  const revision = await findRevision(req.params.id, req.params.revision);
+  if (!revision) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: PRODUCT_MESSAGES.REVISION_NOT_FOUND,
+    });
+  }
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: PRODUCT_MESSAGES.REVISION_FETCHED,
+    data: revision,
+  });
+});
+
+/**
+ * @desc    Field-level diff between two revisions (`to` defaults to the latest)
+ * @route   GET /api/v1/products/:id/revisions/diff?from=1&to=3
+ * @access  Admin (Protected)
+ */
+export const diffProductRevisions = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  if (!parseRevision(from) || (to !== undefined && !parseRevision(to))) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: PRODUCT_MESSAGES.INVALID_REVISION,
+    });
+  }
+
+  const fromRevision = await findRevision(req.params.id, from);
+  const toRevision = to !== undefined
+    ? await findRevision(req.params.id, to)
+    : mongoose.isValidObjectId(req.params.id)
+      ? await ProductRevision.findOne({ product: req.params.id }).sort({ revision: -1 })
+      : null;
+
+  if (!fromRevision || !toRevision) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: PRODUCT_MESSAGES.REVISION_NOT_FOUND,
+    });
+  }
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: PRODUCT_MESSAGES.REVISION_DIFF_FETCHED,
+    data: {
+      from: fromRevision.revision,
+      to: toRevision.revision,
+      changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot),
+    },
+  });
+});
+
+/**
+ * @desc    Restore a product to an earlier revision (recorded as a new revision).
+ *          Images of variants that still exist are kept, because replaced
+ *          images are deleted from Cloudinary when a product is updated.
+ * @route   POST /api/v1/products/:id/revisions/:revision/revert
+ * @access  Admin (Protected)
+ */
+export const revertProductRevision = asyncHandler(async (req, res) => {
+  const revision = await findRevision(req.params.id, req.params.revision);
+  const product = revision && (await Product.findById(req.params.id));
+
+  if (!revision || !product) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: revision ? PRODUCT_MESSAGES.PRODUCT_NOT_FOUND : PRODUCT_MESSAGES.REVISION_NOT_FOUND,
+    });
+  }
+
+  const before = toAuditSnapshot(product);
+  const restored = { ...revision.snapshot };
+  NON_REVERTABLE_FIELDS.forEach((field) => delete restored[field]);
+
+  // Keep current images for variants that still exist
+  restored.variants = (restored.variants || []).map((variant) => {
+    const current = product.variants.find((v) => v._id.toString() === variant._id);
+    return current ? { ...variant, images: current.toObject().images } : variant;
+  });
+
+  // Revisions from before the lifecycle keep the current status; a schedule that has passed is applied
+  const publishing = resolvePublishing(
+    { status: restored.status, publishAt: restored.publishAt, unpublishAt: restored.unpublishAt },
+    product
+  );
+  if (publishing.error) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: publishing.error,
+    });
+  }
+  Object.assign(restored, publishing.fields);
+
+  // The category, brand and colors must still exist
+  const colorIds = getVariantColorIds(restored.variants);
+  const [categoryExists, brandExists, colorCount] = await Promise.all([
+    Category.exists({ _id: restored.category }),
+    restored.brand ? Brand.exists({ _id: restored.brand }) : true,
+    Color.countDocuments({ _id: { $in: colorIds } }),
+  ]);
+  if (!categoryExists || !brandExists || colorCount !== colorIds.length) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: PRODUCT_MESSAGES.REVERT_REFERENCE_MISSING,
+    });
+  }
+
+  // Another product may have taken the old name since
+  if (restored.slug && restored.slug !== product.slug) {
+    const slugTaken = await Product.exists({ slug: restored.slug, _id: { $ne: product._id } })
+      .setOptions({ withDeleted: true });
+    if (slugTaken) {
+      return res.status(STATUS.CONFLICT).json({
+        statusCode: STATUS.CONFLICT,
+        message: PRODUCT_MESSAGES.PRODUCT_EXISTS,
+      });
+    }
+  }
+
+  // SKUs may have been reused by another product since; revisions from before SKUs get new ones
+  const skuErrors = await prepareSkus({ ...restored, name: restored.name ?? product.name }, { productId: product._id });
+  if (skuErrors.length > 0) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: SKU_MESSAGES.SKU_CONFLICT,
+      errors: skuErrors,
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Stock is not part of the revert: sizes that still exist keep the stock
+    // they hold now, so reservations and sales since the revision are not undone
+    const current = await Product.findById(product._id).select('variants').session(session).lean();
+    if (!current) {
+      await session.abortTransaction();
+      return res.status(STATUS.NOT_FOUND).json({
+        statusCode: STATUS.NOT_FOUND,
+        message: PRODUCT_MESSAGES.PRODUCT_NOT_FOUND,
+      });
+    }
+    restored.variants = rebaseStock(restored.variants, restored, current).variants;
+    restored.isSoldOut = Product.isOutOfStock(restored.variants);
+
+    await syncProductCounts(
+      { category: product.category, colorIds: getVariantColorIds(product.variants) },
+      { category: restored.category, colorIds },
+      session
+    );
+
+    const revertedProduct = await Product.findByIdAndUpdate(
+      product._id,
+      { $set: restored },
+      { new: true, runValidators: true, session }
+    );
+
+    const newRevision = await ProductRevision.record(revertedProduct, {
+      source: REVISION_SOURCES.REVERT,
+      revertedFrom: revision.revision,
+      changedBy: req.admin,
+      previous: before,
+      session,
+    });
+
+    await recordStockChanges(current, revertedProduct, {
+      reason: `Revert to revision ${revision.revision}`,
+      admin: req.admin,
+      session,
+    });
+
+    await session.commitTransaction();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.PRODUCT,
+      resourceId: product._id,
+      before,
+      after: revertedProduct,
+      metadata: { event: 'revert', revertedFrom: revision.revision, revision: newRevision.revision },
+    });
+
+    const populatedProduct = await Product.findById(product._id)
+      .populate('category', 'name description')
+      .populate('brand', 'name description')
+      .populate('variants.color', 'name hex')
+      .lean();
+
+    res.status(STATUS.OK).json({
+      statusCode: STATUS.OK,
+      message: PRODUCT_MESSAGES.PRODUCT_REVERTED,
+      data: {
+        product: populatedProduct,
+        revision: newRevision.revision,
+        revertedFrom: revision.revision,
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    // Another write to the product landed after this transaction read it
+    if (error.hasErrorLabel?.('TransientTransactionError')) {
+      return res.status(STATUS.CONFLICT).json({
+        statusCode: STATUS.CONFLICT,
+        message: PRODUCT_MESSAGES.PRODUCT_CHANGED,
+      });
+    }
+    console.error('Product revert error:', error.message);
+    res.status(STATUS.SERVER_ERROR).json({
+      statusCode: STATUS.SERVER_ERROR,
+      message: `${PRODUCT_MESSAGES.REVERT_FAILED}: ${error.message}`,
+    });
+  } finally {
+    session.endSession();
+  }
+});
@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Promotion from '../../../models/promotion/promotion.js';
+import { PROMOTION_MESSAGES, PROMOTION_STATES } from '../../../config/constant/promotion/promotion.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+
+// Fields an admin may set on a promotion
+const EDITABLE_FIELDS = [
+  'name',
+  'label',
+  'description',
+  'discountType',
+  'discountValue',
+  'appliesToAll',
+  'products',
+  'categories',
+  'brands',
+  'collections',
+  'tags',
+  'startsAt',
+  'endsAt',
+  'priority',
+  'isActive',
+];
+
+/**
+ * Copy the editable fields present in the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Promotion fields
+ */
+const pickFields = (body = {}) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+/**
+ * Add the schedule state to a promotion for responses
+ * @param {Object} promotion - Promotion document or lean object
+ * @returns {Object} Plain promotion with state
+ */
+const withState = (promotion) => ({
+  ...(promotion.toObject ? promotion.toObject() : promotion),
+  state: Promotion.getState(promotion),
+});
+
+/**
+ * Save a promotion, turning schema validation failures into a 400 response
+ * @param {mongoose.Document} promotion - Promotion to save
+ * @param {Object} res - Express response object
+ * @returns {Promise<mongoose.Document|null>} Saved promotion, or null when a response was sent
+ */
+const savePromotion = async (promotion, res) => {
+  try {
+    return await promotion.save();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map((err) => ({ field: err.path, message: err.message })),
+    });
+    return null;
+  }
+};
+
+/**
+ * Find a promotion by the :id route parameter, sending a 404 when it does not exist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<mongoose.Document|null>} Promotion, or null when a response was sent
+ */
+const findPromotion = async (req, res) => {
+  const promotion = mongoose.isValidObjectId(req.params.id) ? await Promotion.findById(req.params.id) : null;
+  if (!promotion) {
+    res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: PROMOTION_MESSAGES.PROMOTION_NOT_FOUND,
+    });
+  }
+  return promotion;
+};
+
+/**
+ * @desc    List promotions (?state=running|scheduled|expired|paused&search=&page=&limit=)
+ * @route   GET /api/v1/promotions
+ * @access  Admin (Protected)
+ */
+export const getPromotions = asyncHandler(async (req, res) => {
+  const { state, search = '', page = 1, limit = 20 } = req.query;
+
+  if (state && !Object.values(PROMOTION_STATES).includes(state)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: `State must be one of: ${Object.values(PROMOTION_STATES).join(', ')}`,
+    });
+  }
+
+  const query = state ? Promotion.stateFilter(state) : {};
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { name: { $regex: escapedSearch, $options: 'i' } },
+      { label: { $regex: escapedSearch, $options: 'i' } },
+    ];
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [total, promotions] = await Promise.all([
+    Promotion.countDocuments(query),
+    Promotion.find(query)
+      .sort({ startsAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+  ]);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: PROMOTION_MESSAGES.PROMOTIONS_FETCHED,
+    data: {
+      promotions: promotions.map(withState),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get a promotion with its targets
+ * @route   GET /api/v1/promotions/:id
+ * @access  Admin (Protected)
+ */
+export const getPromotionById = asyncHandler(async (req, res) => {
+  const promotion = await findPromotion(req, res);
+  if (!promotion) return;
+
+  await promotion.populate([
+    { path: 'products', select: 'name slug base_price' },
+    { path: 'categories', select: 'name slug' },
+    { path: 'brands', select: 'name slug' },
+  ]);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: PROMOTION_MESSAGES.PROMOTION_FETCHED,
+    data: withState(promotion),
+  });
+});
+
+/**
+ * @desc    Create a promotion
+ * @route   POST /api/v1/promotions
+ * @access  Admin (catalog:write)
+ */
+export const createPromotion = asyncHandler(async (req, res) => {
+  const promotion = new Promotion({ ...pickFields(req.body), createdBy: req.admin._id });
+  const createdPromotion = await savePromotion(promotion, res);
+  if (!createdPromotion) return;
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.CREATE,
+    resourceType: AUDIT_RESOURCES.PROMOTION,
+    resourceId: createdPromotion._id,
+    after: createdPromotion,
+  });
+
+  res.status(STATUS.CREATED).json({
+    statusCode: STATUS.CREATED,
+    message: PROMOTION_MESSAGES.PROMOTION_CREATED,
+    data: withState(createdPromotion),
+  });
+});
+
+/**
+ * @desc    Update a promotion (set isActive to false to pause it)
+ * @route   PUT /api/v1/promotions/:id
+ * @access  Admin (catalog:write)
+ */
+export const updatePromotion = asyncHandler(async (req, res) => {
+  const promotion = await findPromotion(req, res);
+  if (!promotion) return;
+
+  const before = toAuditSnapshot(promotion);
+  promotion.set(pickFields(req.body));
+  const updatedPromotion = await savePromotion(promotion, res);
+  if (!updatedPromotion) return;
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.PROMOTION,
+    resourceId: updatedPromotion._id,
+    before,
+    after: updatedPromotion,
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: PROMOTION_MESSAGES.PROMOTION_UPDATED,
+    data: withState(updatedPromotion),
+  });
+});
+
+/**
+ * @desc    Delete a promotion
+ * @route   DELETE /api/v1/promotions/:id
+ * @access  Admin (catalog:write)
+ */
+export const deletePromotion = asyncHandler(async (req, res) => {
+  const promotion = await findPromotion(req, res);
+  if (!promotion) return;
+
+  const before = toAuditSnapshot(promotion);
+  await promotion.deleteOne();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.DELETE,
+    resourceType: AUDIT_RESOURCES.PROMOTION,
+    resourceId: promotion._id,
+    before,
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: PROMOTION_MESSAGES.PROMOTION_DELETED,
+  });
+});
@@ -0,0 +1,298 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import QuoteRequest from '../../../models/quoteRequest/quoteRequest.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import {
+  QUOTE_STATUSES,
+  PRICEABLE_QUOTE_STATUSES,
+  QUOTE_MESSAGES,
+} from '../../../config/constant/quote/quote.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { defaultQuoteValidUntil } from '../../../utils/quote/quote.js';
+import { roundAmount } from '../../../utils/pricing/pricing.js';
+import EmailTemplates from '../../../utils/emailTemplates/emailTemplate.js';
+
+/**
+ * Send a 400 for a bad list filter
+ * @param {Object} res - Express response object
+ * @param {string} detail - What was wrong
+ * @returns {Object} Express response
+ */
+const invalidFilter = (res, detail) =>
+  res.status(STATUS.BAD_REQUEST).json({
+    statusCode: STATUS.BAD_REQUEST,
+    message: `${QUOTE_MESSAGES.INVALID_FILTER}: ${detail}`,
+  });
+
+/**
+ * Send a 404 for a missing quote request
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const quoteNotFound = (res) =>
+  res.status(STATUS.NOT_FOUND).json({
+    statusCode: STATUS.NOT_FOUND,
+    message: QUOTE_MESSAGES.QUOTE_NOT_FOUND,
+  });
+
+/**
+ * Load a quote request by the :id route parameter
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} QuoteRequest document, or null
+ */
+const findQuote = (req) =>
+  mongoose.isValidObjectId(req.params.id) ? QuoteRequest.findById(req.params.id) : null;
+
+/**
+ * Move a quote request to a status and stamp who did it
+ * @param {Object} quote - QuoteRequest document
+ * @param {string} status - A QUOTE_STATUSES value
+ * @param {Object} req - Express request object (req.admin set by auth)
+ */
+const setStatus = (quote, status, req) => {
+  quote.status = status;
+  quote.statusChangedAt = new Date();
+  quote.statusChangedBy = req.admin._id;
+};
+
+/**
+ * @desc    List quote requests (filters: status, from, to, search; page, limit)
+ * @route   GET /api/v1/quotes
+ * @access  Admin (leads:manage)
+ */
+export const getQuotes = asyncHandler(async (req, res) => {
+  const { status, from, to, search = '', page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return invalidFilter(res, 'from and to must be valid dates');
+    }
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { number: { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.name': { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.email': { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.company': { $regex: escapedSearch, $options: 'i' } },
+    ];
+  }
+
+  // Counts per status ignore the status filter, for the list tabs
+  const countQuery = { ...query };
+
+  if (status) {
+    const statuses = status.split(',').map((s) => s.trim());
+    if (statuses.some((s) => !Object.values(QUOTE_STATUSES).includes(s))) {
+      return invalidFilter(res, `status must be one of ${Object.values(QUOTE_STATUSES).join(', ')}`);
+    }
+    query.status = { $in: statuses };
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [quotes, total, counts] = await Promise.all([
+    QuoteRequest.find(query)
+      .select('-lines')
+      .populate('customer', 'name email group')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    QuoteRequest.countDocuments(query),
+    QuoteRequest.aggregate([{ $match: countQuery }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const statusCounts = Object.fromEntries(Object.values(QUOTE_STATUSES).map((s) => [s, 0]));
+  counts.forEach(({ _id, count }) => { statusCounts[_id] = count; });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: QUOTE_MESSAGES.QUOTES_FETCHED,
+    data: {
+      quotes,
+      statusCounts,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get one quote request with its lines
+ * @route   GET /api/v1/quotes/:id
+ * @access  Admin (leads:manage)
+ */
+export const getQuoteById = asyncHandler(async (req, res) => {
+  const quote = mongoose.isValidObjectId(req.params.id)
+    ? await QuoteRequest.findById(req.params.id)
+      .populate('customer', 'name email mobileNumber group')
+      .populate('lines.product', 'name slug isVisible status')
+      .populate('quotedBy', 'name email')
+      .populate('statusChangedBy', 'name email')
+    : null;
+  if (!quote) return quoteNotFound(res);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: QUOTE_MESSAGES.QUOTE_FETCHED,
+    data: quote,
+  });
+});
+
+/**
+ * @desc    Price a pending or quoted request and email the quote to the buyer.
+ *          Lines left out are quoted at their list price; pricing again
+ *          replaces the earlier quote.
+ * @route   PUT /api/v1/quotes/:id/price
+ * @access  Admin (leads:manage)
+ */
+export const priceQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuote(req);
+  if (!quote) return quoteNotFound(res);
+
+  if (!PRICEABLE_QUOTE_STATUSES.includes(quote.status)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: QUOTE_MESSAGES.NOT_PRICEABLE,
+    });
+  }
+
+  const prices = new Map(
+    (req.body.lines || []).map((line) => [String(line.lineId), roundAmount(Number(line.unitPrice))])
+  );
+  const unknown = [...prices.keys()].find((lineId) => !quote.lines.id(lineId));
+  if (unknown) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: `${QUOTE_MESSAGES.UNKNOWN_LINE}: ${unknown}`,
+    });
+  }
+
+  const before = toAuditSnapshot(quote);
+
+  quote.lines.forEach((line) => {
+    line.quotedUnitPrice = prices.get(String(line._id)) ?? line.listUnitPrice;
+    line.lineTotal = roundAmount(line.quotedUnitPrice * line.quantity);
+  });
+  quote.quotedSubtotal = roundAmount(quote.lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  quote.validUntil = req.body.validUntil ? new Date(req.body.validUntil) : defaultQuoteValidUntil();
+  if (req.body.notes !== undefined) quote.notes = req.body.notes.trim();
+  if (req.body.internalNotes !== undefined) quote.internalNotes = req.body.internalNotes.trim();
+  quote.quotedAt = new Date();
+  quote.quotedBy = req.admin._id;
+  if (quote.status !== QUOTE_STATUSES.QUOTED) setStatus(quote, QUOTE_STATUSES.QUOTED, req);
+  await quote.save();
+
+  // The quote stays priced when the email fails; pricing again resends it
+  let emailed = true;
+  try {
+    await EmailTemplates.sendQuoteEmail(quote);
+    quote.emailedAt = new Date();
+    await quote.save();
+  } catch (error) {
+    emailed = false;
+    console.error('Quote email error:', error);
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.QUOTE,
+    resourceId: quote._id,
+    before,
+    after: quote,
+    metadata: { event: 'quote-priced', emailed },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: emailed ? QUOTE_MESSAGES.QUOTE_PRICED : QUOTE_MESSAGES.QUOTE_PRICED_EMAIL_FAILED,
+    data: { quote, emailed },
+  });
+});
+
+/**
+ * @desc    Accept a quoted request whose validity has not run out
+ * @route   POST /api/v1/quotes/:id/accept
+ * @access  Admin (leads:manage)
+ */
+export const acceptQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuote(req);
+  if (!quote) return quoteNotFound(res);
+
+  if (quote.status !== QUOTE_STATUSES.QUOTED || quote.isExpired) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: quote.status === QUOTE_STATUSES.QUOTED ? QUOTE_MESSAGES.QUOTE_EXPIRED : QUOTE_MESSAGES.NOT_ACCEPTABLE,
+    });
+  }
+
+  const before = toAuditSnapshot(quote);
+  setStatus(quote, QUOTE_STATUSES.ACCEPTED, req);
+  await quote.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.QUOTE,
+    resourceId: quote._id,
+    before,
+    after: quote,
+    metadata: { event: 'quote-accepted' },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: QUOTE_MESSAGES.QUOTE_ACCEPTED,
+    data: quote,
+  });
+});
+
+/**
+ * @desc    Reject a pending or quoted request with a reason
+ * @route   POST /api/v1/quotes/:id/reject
+ * @access  Admin (leads:manage)
+ */
+export const rejectQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuote(req);
+  if (!quote) return quoteNotFound(res);
+
+  if (!PRICEABLE_QUOTE_STATUSES.includes(quote.status)) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: QUOTE_MESSAGES.NOT_REJECTABLE,
+    });
+  }
+
+  const before = toAuditSnapshot(quote);
+  setStatus(quote, QUOTE_STATUSES.REJECTED, req);
+  quote.rejectionReason = req.body.reason.trim();
+  await quote.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.QUOTE,
+    resourceId: quote._id,
+    before,
+    after: quote,
+    metadata: { event: 'quote-rejected' },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: QUOTE_MESSAGES.QUOTE_REJECTED,
+    data: quote,
+  });
+});
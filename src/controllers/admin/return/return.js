@@ -0,0 +1,356 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Order from '../../../models/order/order.js';
+import ReturnRequest from '../../../models/returnRequest/returnRequest.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import {
+  RETURN_STATUSES,
+  RETURN_REASONS,
+  RETURN_MESSAGES,
+} from '../../../config/constant/return/return.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import {
+  receiveReturn as receiveReturnGoods,
+  rejectReturnRequest,
+  notifyReturnStatus,
+} from '../../../utils/return/return.js';
+import { notifyOrderStatus } from '../../../utils/order/order.js';
+
+/**
+ * Send a 400 for a bad list filter
+ * @param {Object} res - Express response object
+ * @param {string} detail - What was wrong
+ * @returns {Object} Express response
+ */
+const invalidFilter = (res, detail) =>
+  res.status(STATUS.BAD_REQUEST).json({
+    statusCode: STATUS.BAD_REQUEST,
+    message: `${RETURN_MESSAGES.INVALID_FILTER}: ${detail}`,
+  });
+
+/**
+ * Send a 404 for a missing return request
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const returnNotFound = (res) =>
+  res.status(STATUS.NOT_FOUND).json({
+    statusCode: STATUS.NOT_FOUND,
+    message: RETURN_MESSAGES.RETURN_NOT_FOUND,
+  });
+
+/**
+ * Send a 409 when the return was saved by someone else since it was loaded
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const returnChanged = (res) =>
+  res.status(STATUS.CONFLICT).json({
+    statusCode: STATUS.CONFLICT,
+    message: RETURN_MESSAGES.RETURN_CHANGED,
+  });
+
+/**
+ * Load a return request by the :id route parameter
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} ReturnRequest document, or null
+ */
+const findReturn = (req) =>
+  mongoose.isValidObjectId(req.params.id) ? ReturnRequest.findById(req.params.id) : null;
+
+/**
+ * Move a return request to a status and stamp who did it
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {string} status - A RETURN_STATUSES value
+ * @param {Object} req - Express request object (req.admin set by auth)
+ */
+const setStatus = (returnRequest, status, req) => {
+  returnRequest.status = status;
+  returnRequest.statusChangedAt = new Date();
+  returnRequest.statusChangedBy = req.admin._id;
+};
+
+/**
+ * Save a return request unless another admin saved it first
+ * @param {Object} returnRequest - ReturnRequest document
+ * @returns {Promise<boolean>} False when the return changed since it was loaded
+ */
+const saveReturn = async (returnRequest) => {
+  try {
+    await returnRequest.save();
+    return true;
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return false;
+    throw error;
+  }
+};
+
+/**
+ * @desc    List return requests (filters: status, reason, order, customer, from,
+ *          to, search; page, limit)
+ * @route   GET /api/v1/returns
+ * @access  Admin (orders:manage)
+ */
+export const getReturns = asyncHandler(async (req, res) => {
+  const { status, reason, order, customer, from, to, search = '', page = 1, limit = 20 } = req.query;
+  const query = {};
+
+  if (reason) {
+    if (!Object.values(RETURN_REASONS).includes(reason)) {
+      return invalidFilter(res, `reason must be one of ${Object.values(RETURN_REASONS).join(', ')}`);
+    }
+    query.reason = reason;
+  }
+
+  if (order) {
+    if (!mongoose.isValidObjectId(order)) return invalidFilter(res, 'order must be a valid ID');
+    query.order = new mongoose.Types.ObjectId(order);
+  }
+
+  if (customer) {
+    if (!mongoose.isValidObjectId(customer)) return invalidFilter(res, 'customer must be a valid ID');
+    query.customer = new mongoose.Types.ObjectId(customer);
+  }
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return invalidFilter(res, 'from and to must be valid dates');
+    }
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { number: { $regex: escapedSearch, $options: 'i' } },
+      { orderNumber: { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.name': { $regex: escapedSearch, $options: 'i' } },
+      { 'contact.email': { $regex: escapedSearch, $options: 'i' } },
+    ];
+  }
+
+  // Counts per status ignore the status filter, for the list tabs
+  const countQuery = { ...query };
+
+  if (status) {
+    const statuses = status.split(',').map((s) => s.trim());
+    if (statuses.some((s) => !Object.values(RETURN_STATUSES).includes(s))) {
+      return invalidFilter(res, `status must be one of ${Object.values(RETURN_STATUSES).join(', ')}`);
+    }
+    query.status = { $in: statuses };
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [returns, total, counts] = await Promise.all([
+    ReturnRequest.find(query)
+      .populate('customer', 'name email group')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    ReturnRequest.countDocuments(query),
+    ReturnRequest.aggregate([{ $match: countQuery }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const statusCounts = Object.fromEntries(Object.values(RETURN_STATUSES).map((s) => [s, 0]));
+  counts.forEach(({ _id, count }) => { statusCounts[_id] = count; });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: RETURN_MESSAGES.RETURNS_FETCHED,
+    data: {
+      returns,
+      statusCounts,
+      pagination: {
+        total,
+        page: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get one return request with its lines and photos
+ * @route   GET /api/v1/returns/:id
+ * @access  Admin (orders:manage)
+ */
+export const getReturnById = asyncHandler(async (req, res) => {
+  const returnRequest = mongoose.isValidObjectId(req.params.id)
+    ? await ReturnRequest.findById(req.params.id)
+      .populate('customer', 'name email mobileNumber group')
+      .populate('order', 'number status createdAt')
+      .populate('replacementOrder', 'number status')
+      .populate('statusChangedBy', 'name email')
+    : null;
+  if (!returnRequest) return returnNotFound(res);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: RETURN_MESSAGES.RETURN_FETCHED,
+    data: returnRequest,
+  });
+});
+
+/**
+ * @desc    Approve a requested return so the buyer can send the goods back
+ * @route   POST /api/v1/returns/:id/approve
+ * @access  Admin (orders:manage)
+ */
+export const approveReturn = asyncHandler(async (req, res) => {
+  const returnRequest = await findReturn(req);
+  if (!returnRequest) return returnNotFound(res);
+
+  if (returnRequest.status !== RETURN_STATUSES.REQUESTED) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: RETURN_MESSAGES.NOT_PENDING,
+    });
+  }
+
+  const before = toAuditSnapshot(returnRequest);
+  setStatus(returnRequest, RETURN_STATUSES.APPROVED, req);
+  if (req.body.internalNotes !== undefined) returnRequest.internalNotes = req.body.internalNotes.trim();
+  if (!(await saveReturn(returnRequest))) return returnChanged(res);
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.RETURN,
+    resourceId: returnRequest._id,
+    before,
+    after: returnRequest,
+    metadata: { event: 'return-approved' },
+  });
+
+  await notifyReturnStatus(returnRequest);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: RETURN_MESSAGES.RETURN_APPROVED,
+    data: returnRequest,
+  });
+});
+
+/**
+ * @desc    Reject a requested return with a reason the buyer is emailed; its
+ *          units may be requested again
+ * @route   POST /api/v1/returns/:id/reject
+ * @access  Admin (orders:manage)
+ */
+export const rejectReturn = asyncHandler(async (req, res) => {
+  const returnRequest = await findReturn(req);
+  if (!returnRequest) return returnNotFound(res);
+
+  if (returnRequest.status !== RETURN_STATUSES.REQUESTED) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: RETURN_MESSAGES.NOT_PENDING,
+    });
+  }
+
+  const before = toAuditSnapshot(returnRequest);
+  setStatus(returnRequest, RETURN_STATUSES.REJECTED, req);
+  returnRequest.rejectionReason = req.body.reason.trim();
+  if (req.body.internalNotes !== undefined) returnRequest.internalNotes = req.body.internalNotes.trim();
+  // The units go back to the order lines so they can be returned again
+  const { error } = await rejectReturnRequest(returnRequest);
+  if (error) return returnChanged(res);
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.RETURN,
+    resourceId: returnRequest._id,
+    before,
+    after: returnRequest,
+    metadata: { event: 'return-rejected' },
+  });
+
+  await notifyReturnStatus(returnRequest);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: RETURN_MESSAGES.RETURN_REJECTED,
+    data: returnRequest,
+  });
+});
+
+/**
+ * @desc    Record the goods of an approved return as received. Lines not
+ *          listed as unsellable are restocked to their variant size, and
+ *          exchanged lines go out on a new replacement order.
+ * @route   POST /api/v1/returns/:id/receive
+ * @access  Admin (orders:manage)
+ */
+export const receiveReturn = asyncHandler(async (req, res) => {
+  const returnRequest = await findReturn(req);
+  if (!returnRequest) return returnNotFound(res);
+
+  if (returnRequest.status !== RETURN_STATUSES.APPROVED) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: RETURN_MESSAGES.NOT_APPROVED,
+    });
+  }
+
+  const rejectedLines = new Set((req.body.unsellableLines || []).map(String));
+  const unknown = [...rejectedLines].find((lineId) => !returnRequest.lines.id(lineId));
+  if (unknown) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: `${RETURN_MESSAGES.RETURN_LINE_NOT_FOUND}: ${unknown}`,
+    });
+  }
+
+  const order = await Order.findById(returnRequest.order).lean();
+  if (!order) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: RETURN_MESSAGES.ORDER_NOT_FOUND,
+    });
+  }
+
+  const before = toAuditSnapshot(returnRequest);
+  if (req.body.internalNotes !== undefined) returnRequest.internalNotes = req.body.internalNotes.trim();
+
+  const { replacementOrder, error } = await receiveReturnGoods(returnRequest, order, {
+    rejectedLines,
+    admin: req.admin,
+  });
+  if (error) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: error.message,
+      data: error.index === undefined ? undefined : { index: error.index },
+    });
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.RETURN,
+    resourceId: returnRequest._id,
+    before,
+    after: returnRequest,
+    metadata: {
+      event: 'return-received',
+      restocked: returnRequest.lines.filter((line) => line.restocked).length,
+      replacementOrder: replacementOrder?.number,
+    },
+  });
+
+  await notifyReturnStatus(returnRequest);
+  if (replacementOrder) await notifyOrderStatus(replacementOrder);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: RETURN_MESSAGES.RETURN_RECEIVED,
+    data: { returnRequest, replacementOrder },
+  });
+});
@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Product from '../../../models/product/product.js';
+import ProductRevision from '../../../models/productRevision/productRevision.js';
+import Setting from '../../../models/setting/setting.js';
+import { SKU_MESSAGES, LABEL_FORMATS } from '../../../config/constant/sku/sku.js';
+import { PRODUCT_MESSAGES } from '../../../config/constant/product/productMessages.js';
+import { SETTING_KEYS } from '../../../config/constant/settings/settings.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { assignSkus, getSkuPattern, normalizeSku } from '../../../utils/sku/sku.js';
+import { renderBarcodeLabel } from '../../../utils/barcode/barcode.js';
+
+/**
+ * Find the product and size a SKU or barcode belongs to
+ * @param {string} code - SKU or barcode as scanned
+ * @returns {Promise<Object|null>} { product, variant, size } or null
+ */
+const findBySku = async (code) => {
+  const sku = normalizeSku(code);
+  const product = await Product.findOne({
+    $or: [{ 'variants.sizes.sku': sku }, { 'variants.sizes.barcode': sku }],
+  })
+    .populate('category', 'name slug')
+    .populate('brand', 'name slug')
+    .populate('variants.color', 'name hex')
+    .lean();
+  if (!product) return null;
+
+  for (const variant of product.variants) {
+    const size = variant.sizes.find((s) => s.sku === sku || s.barcode === sku);
+    if (size) return { product, variant, size };
+  }
+  return null;
+};
+
+/**
+ * @desc    Look up the product, variant and size for a SKU or barcode
+ * @route   GET /api/v1/products/sku/:sku
+ * @access  Admin (Protected)
+ */
+export const getProductBySku = asyncHandler(async (req, res) => {
+  const match = await findBySku(req.params.sku);
+  if (!match) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: SKU_MESSAGES.SKU_NOT_FOUND,
+    });
+  }
+
+  const { product, variant, size } = match;
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: SKU_MESSAGES.SKU_FOUND,
+    data: {
+      product,
+      variant: { _id: variant._id, color: variant.color, price: variant.price, images: variant.images },
+      size,
+    },
+  });
+});
+
+/**
+ * @desc    Render a printable barcode label for a SKU (?format=svg|png&scale=1-8)
+ * @route   GET /api/v1/products/sku/:sku/label
+ * @access  Admin (Protected)
+ */
+export const getSkuLabel = asyncHandler(async (req, res) => {
+  const format = String(req.query.format || 'svg').toLowerCase();
+  if (!LABEL_FORMATS[format]) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: SKU_MESSAGES.INVALID_LABEL_FORMAT,
+    });
+  }
+
+  const match = await findBySku(req.params.sku);
+  if (!match) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: SKU_MESSAGES.SKU_NOT_FOUND,
+    });
+  }
+
+  let label;
+  try {
+    label = await renderBarcodeLabel(match.size, { format, scale: req.query.scale });
+  } catch (error) {
+    console.error('Barcode label error:', error.message);
+    return res.status(STATUS.SERVER_ERROR).json({
+      statusCode: STATUS.SERVER_ERROR,
+      message: SKU_MESSAGES.LABEL_FAILED,
+    });
+  }
+
+  res.setHeader('Content-Type', LABEL_FORMATS[format]);
+  res.setHeader('Content-Disposition', `inline; filename="${match.size.sku}.${format}"`);
+  res.status(STATUS.OK).send(label);
+});
+
+/**
+ * @desc    Generate SKUs for a product's sizes that have none ({ overwrite: true } regenerates all)
+ * @route   POST /api/v1/products/:id/skus/generate
+ * @access  Admin (catalog:write)
+ */
+export const generateProductSkus = asyncHandler(async (req, res) => {
+  const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+  if (!product) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: PRODUCT_MESSAGES.PRODUCT_NOT_FOUND,
+    });
+  }
+
+  const overwrite = req.body?.overwrite === true || req.body?.overwrite === 'true';
+  const before = toAuditSnapshot(product);
+  const data = product.toObject();
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let updatedProduct;
+  try {
+    await assignSkus(data, { productId: product._id, overwrite, session });
+
+    // findByIdAndUpdate rather than save: the legacy post-save hook would recount brand stock
+    updatedProduct = await Product.findByIdAndUpdate(
+      product._id,
+      { $set: { variants: data.variants } },
+      { new: true, runValidators: true, session }
+    );
+
+    await ProductRevision.record(updatedProduct, {
+      changedBy: req.admin,
+      previous: before,
+      session,
+    });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('SKU generation error:', error.message);
+    return res.status(STATUS.SERVER_ERROR).json({
+      statusCode: STATUS.SERVER_ERROR,
+      message: `${PRODUCT_MESSAGES.PRODUCT_UPDATE_FAILED}: ${error.message}`,
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.PRODUCT,
+    resourceId: updatedProduct._id,
+    before,
+    after: updatedProduct,
+    metadata: { event: 'sku-generate', overwrite },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: SKU_MESSAGES.SKUS_GENERATED,
+    data: updatedProduct,
+  });
+});
+
+/**
+ * @desc    Get the pattern used to generate SKUs
+ * @route   GET /api/v1/products/sku-pattern
+ * @access  Admin (Protected)
+ */
+export const getSkuPatternSetting = asyncHandler(async (req, res) => {
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: SKU_MESSAGES.SKU_PATTERN_FETCHED,
+    data: { pattern: await getSkuPattern() },
+  });
+});
+
+/**
+ * @desc    Change the pattern used to generate SKUs (existing SKUs are kept)
+ * @route   PUT /api/v1/products/sku-pattern
+ * @access  Admin (catalog:write)
+ */
+export const updateSkuPatternSetting = asyncHandler(async (req, res) => {
+  const pattern = req.body.pattern.trim();
+  const previous = await getSkuPattern();
+  const setting = await Setting.setValue(SETTING_KEYS.SKU_PATTERN, pattern, req.admin._id);
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.UPDATE,
+    resourceType: AUDIT_RESOURCES.SETTING,
+    resourceId: setting._id,
+    before: { key: SETTING_KEYS.SKU_PATTERN, value: previous },
+    after: { key: SETTING_KEYS.SKU_PATTERN, value: pattern },
+  });
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: SKU_MESSAGES.SKU_PATTERN_UPDATED,
+    data: { pattern },
+  });
+});
@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Category from '../../../models/category/category.js';
+import Brand from '../../../models/brand/brand.js';
+import Color from '../../../models/color/color.js';
+import { TRASH_TYPES, TRASH_MESSAGES } from '../../../config/constant/trash/trash.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { AUDIT_ACTIONS } from '../../../config/constant/audit/audit.js';
+import { recordAudit, toAuditSnapshot } from '../../../utils/audit/audit.js';
+import { syncProductCounts, getVariantColorIds } from '../../../utils/productCounts/productCounts.js';
+import { TRASH_REGISTRY, countTrashReferences, purgeTrashedDocument } from '../../../utils/trash/trash.js';
+
+/**
+ * Load a trashed document for the :type/:id route params
+ * @param {Object} params - Route params
+ * @returns {Promise<{entry: Object|null, doc: Object|null}>} Registry entry and document
+ */
+const findTrashedItem = async ({ type, id }) => {
+  const entry = TRASH_REGISTRY[type] || null;
+  if (!entry || !mongoose.isValidObjectId(id)) return { entry, doc: null };
+
+  const doc = await entry.model.findOne({ _id: id, deletedAt: { $ne: null } });
+  return { entry, doc };
+};
+
+/**
+ * Check that the category, brand and colors of a product are all live
+ * @param {Object} product - Product document
+ * @returns {Promise<boolean>} True if every reference exists outside the trash
+ */
+const productReferencesExist = async (product) => {
+  const colorIds = getVariantColorIds(product.variants);
+  const [categoryExists, brandExists, colorCount] = await Promise.all([
+    Category.exists({ _id: product.category }),
+    Brand.exists({ _id: product.brand }),
+    Color.countDocuments({ _id: { $in: colorIds } }),
+  ]);
+  return !!categoryExists && !!brandExists && colorCount === colorIds.length;
+};
+
+// =======================================
+// @desc    List trashed items of one type, most recently deleted first
+// @route   GET /api/v1/trash?type=product&search=&page=1&limit=20
+// =======================================
+export const getTrash = asyncHandler(async (req, res) => {
+  const { type = TRASH_TYPES.PRODUCT, search = '', page = 1, limit = 20 } = req.query;
+
+  const entry = TRASH_REGISTRY[type];
+  if (!entry) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: TRASH_MESSAGES.INVALID_TYPE,
+    });
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { deletedAt: { $ne: null } };
+  if (search.trim()) {
+    const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.name = { $regex: escapedSearch, $options: 'i' };
+  }
+
+  const total = await entry.model.countDocuments(query);
+  const items = await entry.model.find(query)
+    .populate('deletedBy', 'name email')
+    .sort({ deletedAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: TRASH_MESSAGES.TRASH_FETCHED,
+    data: {
+      type,
+      items,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalItems: total,
+        limit: limitNum,
+      },
+    },
+  });
+});
+
+// =======================================
+// @desc    Restore a trashed item
+// @route   POST /api/v1/trash/:type/:id/restore
+// =======================================
+export const restoreTrashItem = asyncHandler(async (req, res) => {
+  const { entry, doc } = await findTrashedItem(req.params);
+
+  if (!entry) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: TRASH_MESSAGES.INVALID_TYPE,
+    });
+  }
+  if (!doc) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: TRASH_MESSAGES.ITEM_NOT_FOUND,
+    });
+  }
+
+  const before = toAuditSnapshot(doc);
+
+  if (req.params.type === TRASH_TYPES.PRODUCT) {
+    if (!(await productReferencesExist(doc))) {
+      return res.status(STATUS.CONFLICT).json({
+        statusCode: STATUS.CONFLICT,
+        message: TRASH_MESSAGES.RESTORE_REFERENCE_MISSING,
+      });
+    }
+
+    // The product counts again towards its category and colors
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await syncProductCounts(
+        null,
+        { category: doc.category, colorIds: getVariantColorIds(doc.variants) },
+        session
+      );
+      // updateOne skips the product stock-count save hooks
+      doc.restore();
+      await entry.model.updateOne(
+        { _id: doc._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { session }
+      );
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  } else {
+    doc.restore();
+    await doc.save();
+  }
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.RESTORE,
+    resourceType: entry.resourceType,
+    resourceId: doc._id,
+    before,
+    after: doc,
+  });
+
+  return res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: TRASH_MESSAGES.ITEM_RESTORED,
+    data: doc,
+  });
+});
+
+// =======================================
+// @desc    Permanently delete a trashed item and its Cloudinary assets
+// @route   DELETE /api/v1/trash/:type/:id
+// =======================================
+export const purgeTrashItem = asyncHandler(async (req, res) => {
+  const { entry, doc } = await findTrashedItem(req.params);
+
+  if (!entry) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      statusCode: STATUS.BAD_REQUEST,
+      message: TRASH_MESSAGES.INVALID_TYPE,
+    });
+  }
+  if (!doc) {
+    return res.status(STATUS.NOT_FOUND).json({
+      statusCode: STATUS.NOT_FOUND,
+      message: TRASH_MESSAGES.ITEM_NOT_FOUND,
+    });
+  }
+
+  if (await countTrashReferences(req.params.type, doc._id)) {
+    return res.status(STATUS.CONFLICT).json({
+      statusCode: STATUS.CONFLICT,
+      message: TRASH_MESSAGES.PURGE_REFERENCED,
+    });
+  }
+
+  await purgeTrashedDocument(req.params.type, doc);
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.PURGE,
+    resourceType: entry.resourceType,
+    resourceId: doc._id,
+    before: doc,
+  });
+
+  return res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: TRASH_MESSAGES.ITEM_PURGED,
+  });
+});
@@ -0,0 +1,253 @@
+// Import dependencies
+import QRCode from 'qrcode';
+import Admin from '../../../models/admin/admin.js';
+import Session from '../../../models/session/session.js';
+import Setting from '../../../models/setting/setting.js';
+import { successResponse, errorResponse } from '../../../utils/responseHandler/responseHandler.js';
+import { generateSecret, buildOtpauthUri, verifyTOTP } from '../../../utils/totp/totp.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { MESSAGES } from '../../../config/constant/admin/adminMessage.js';
+import { SETTING_KEYS } from '../../../config/constant/settings/settings.js';
+import { recordAudit } from '../../../utils/audit/audit.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../../config/constant/audit/audit.js';
+import {
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  twoFactorPolicyValidation,
+} from '../../../validation/admin/twoFactorValidation/twoFactorValidation.js';
+
+// ==========================================
+// @desc    Get the authenticated admin's 2FA status
+// @route   GET /api/v1/admin/2fa
+// ==========================================
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select('+twoFactorRecoveryCodes');
+    const required = await Setting.getValue(SETTING_KEYS.REQUIRE_2FA, false);
+
+    return successResponse(res, MESSAGES.TWO_FACTOR_STATUS_FETCHED, {
+      enabled: admin.twoFactorEnabled,
+      required,
+      recoveryCodesRemaining: admin.twoFactorEnabled ? admin.twoFactorRecoveryCodes.length : 0,
+    }, STATUS.OK);
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Start 2FA enrollment and return the secret and QR code
+// @route   POST /api/v1/admin/2fa/setup
+// ==========================================
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id);
+    if (admin.twoFactorEnabled) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_ALREADY_ENABLED, STATUS.BAD_REQUEST);
+    }
+
+    // Starting over replaces any earlier, unconfirmed secret
+    const secret = generateSecret();
+    admin.twoFactorPendingSecret = secret;
+    await admin.save();
+
+    const otpauthUri = buildOtpauthUri(secret, admin.email, process.env.TWO_FACTOR_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    return successResponse(res, MESSAGES.TWO_FACTOR_SETUP_STARTED, {
+      secret,
+      otpauthUri,
+      qrCode,
+    }, STATUS.OK);
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Confirm enrollment with a code and enable 2FA
+// @route   POST /api/v1/admin/2fa/enable
+// ==========================================
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { error } = twoFactorCodeValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const admin = await Admin.findById(req.admin._id).select('+twoFactorPendingSecret');
+    if (admin.twoFactorEnabled) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_ALREADY_ENABLED, STATUS.BAD_REQUEST);
+    }
+    if (!admin.twoFactorPendingSecret) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_SETUP_NOT_STARTED, STATUS.BAD_REQUEST);
+    }
+
+    const step = verifyTOTP(admin.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_CODE_INVALID, STATUS.BAD_REQUEST);
+    }
+
+    admin.twoFactorSecret = admin.twoFactorPendingSecret;
+    admin.twoFactorPendingSecret = undefined;
+    admin.twoFactorLastStep = step;
+    admin.twoFactorEnabled = true;
+    const recoveryCodes = admin.generateRecoveryCodes();
+    await admin.save();
+
+    // Sessions opened with only a password should not outlive the upgrade
+    await Session.revokeAllForAdmin(admin._id, '2fa-enabled', req.adminSession._id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      metadata: { event: '2fa-enabled' },
+    });
+
+    return successResponse(res, MESSAGES.TWO_FACTOR_ENABLED, { recoveryCodes }, STATUS.OK);
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Disable 2FA (requires password and a code)
+// @route   POST /api/v1/admin/2fa/disable
+// ==========================================
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { error } = disableTwoFactorValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    if (await Setting.getValue(SETTING_KEYS.REQUIRE_2FA, false)) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_ENFORCED, STATUS.FORBIDDEN);
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const admin = await Admin.findById(req.admin._id).select(
+      '+password +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes'
+    );
+    if (!admin.twoFactorEnabled) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_NOT_ENABLED, STATUS.BAD_REQUEST);
+    }
+
+    const isMatch = await admin.comparePassword(password);
+    if (!isMatch) {
+      return errorResponse(res, MESSAGES.CURRENT_PASSWORD_INCORRECT, STATUS.BAD_REQUEST);
+    }
+
+    const verified = code ? admin.verifyTwoFactorCode(code) : admin.useRecoveryCode(recoveryCode);
+    if (!verified) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_CODE_INVALID, STATUS.BAD_REQUEST);
+    }
+
+    admin.twoFactorEnabled = false;
+    admin.twoFactorSecret = undefined;
+    admin.twoFactorLastStep = undefined;
+    admin.twoFactorRecoveryCodes = [];
+    await admin.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      metadata: { event: '2fa-disabled' },
+    });
+
+    return successResponse(res, MESSAGES.TWO_FACTOR_DISABLED, {}, STATUS.OK);
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Replace the recovery codes (requires a code)
+// @route   POST /api/v1/admin/2fa/recovery-codes
+// ==========================================
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { error } = twoFactorCodeValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const admin = await Admin.findById(req.admin._id).select('+twoFactorSecret +twoFactorLastStep');
+    if (!admin.twoFactorEnabled) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_NOT_ENABLED, STATUS.BAD_REQUEST);
+    }
+
+    if (!admin.verifyTwoFactorCode(req.body.code)) {
+      return errorResponse(res, MESSAGES.TWO_FACTOR_CODE_INVALID, STATUS.BAD_REQUEST);
+    }
+
+    const recoveryCodes = admin.generateRecoveryCodes();
+    await admin.save();
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.ADMIN,
+      resourceId: admin._id,
+      metadata: { event: 'recovery-codes-regenerated' },
+    });
+
+    return successResponse(res, MESSAGES.RECOVERY_CODES_REGENERATED, { recoveryCodes }, STATUS.OK);
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Get the global 2FA policy
+// @route   GET /api/v1/admin/2fa/policy
+// ==========================================
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const required = await Setting.getValue(SETTING_KEYS.REQUIRE_2FA, false);
+    const adminsWithoutTwoFactor = await Admin.countDocuments({ isActive: true, twoFactorEnabled: false });
+
+    return successResponse(res, MESSAGES.TWO_FACTOR_POLICY_FETCHED, {
+      required,
+      adminsWithoutTwoFactor,
+    }, STATUS.OK);
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
+
+// ==========================================
+// @desc    Require (or stop requiring) 2FA for every admin
+// @route   PUT /api/v1/admin/2fa/policy
+// ==========================================
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { error, value } = twoFactorPolicyValidation.validate(req.body);
+    if (error) {
+      return errorResponse(res, `Validation error: ${error.details[0].message}`, STATUS.BAD_REQUEST);
+    }
+
+    const previous = await Setting.getValue(SETTING_KEYS.REQUIRE_2FA, false);
+    const setting = await Setting.setValue(SETTING_KEYS.REQUIRE_2FA, value.required, req.admin._id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.SETTING,
+      resourceId: setting._id,
+      before: { key: SETTING_KEYS.REQUIRE_2FA, value: previous },
+      after: { key: SETTING_KEYS.REQUIRE_2FA, value: value.required },
+    });
+
+    return successResponse(res, MESSAGES.TWO_FACTOR_POLICY_UPDATED, { required: value.required }, STATUS.OK);
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    return errorResponse(res, MESSAGES.SERVER_ERROR, STATUS.SERVER_ERROR);
+  }
+};
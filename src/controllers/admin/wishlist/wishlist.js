@@ -0,0 +1,64 @@
+import asyncHandler from 'express-async-handler';
+import WishlistItem from '../../../models/wishlistItem/wishlistItem.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { WISHLIST_MESSAGES } from '../../../config/constant/wishlist/wishlist.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc    Products saved to the most wishlists (?days= to count only recent saves, ?limit=)
+ * @route   GET /api/v1/wishlist/most-wishlisted
+ * @access  Admin (Protected)
+ */
+export const getMostWishlisted = asyncHandler(async (req, res) => {
+  const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const days = parseInt(req.query.days);
+
+  const match = {};
+  if (days > 0) match.createdAt = { $gte: new Date(Date.now() - Math.min(days, 365) * DAY_MS) };
+
+  const products = await WishlistItem.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$product',
+        saves: { $sum: 1 },
+        customers: { $addToSet: '$customer' },
+        guests: { $addToSet: '$guestToken' },
+        lastSavedAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { saves: -1, lastSavedAt: -1 } },
+    { $limit: limitNum },
+    {
+      $lookup: {
+        from: 'products',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'product',
+        pipeline: [{ $project: { name: 1, slug: 1, base_price: 1, isVisible: 1, status: 1, isSoldOut: 1, deletedAt: 1 } }],
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        product: { $ifNull: [{ $first: '$product' }, null] },
+        saves: 1,
+        // Sets include the null owner of the other kind of item
+        customers: { $size: { $setDifference: ['$customers', [null]] } },
+        guests: { $size: { $setDifference: ['$guests', [null]] } },
+        lastSavedAt: 1,
+      },
+    },
+  ]);
+
+  res.status(STATUS.OK).json({
+    statusCode: STATUS.OK,
+    message: WISHLIST_MESSAGES.REPORT_FETCHED,
+    data: {
+      products,
+      days: days > 0 ? Math.min(days, 365) : null,
+      limit: limitNum,
+    },
+  });
+});
@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Customer from '../../models/customer/customer.js';
+import CustomerSession from '../../models/customerSession/customerSession.js';
+import { CUSTOMER_MESSAGES, MAX_CUSTOMER_ADDRESSES } from '../../config/constant/customer/customer.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import { formatCustomer } from './customerauth.js';
+import { generateCustomerToken } from '../../utils/customerToken/customerToken.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+import EmailTemplates from '../../utils/emailTemplates/emailTemplate.js';
+
+// Address fields a customer may set
+const ADDRESS_FIELDS = ['label', 'name', 'mobileNumber', 'line1', 'line2', 'city', 'state', 'postalCode', 'country'];
+
+/**
+ * Copy the address fields present in the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Address fields
+ */
+const pickAddressFields = (body) =>
+  Object.fromEntries(ADDRESS_FIELDS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]]));
+
+/**
+ * Find one of the signed-in customer's addresses, answering 404 when it doesn't exist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Address subdocument, or null once a response was sent
+ */
+const findAddress = (req, res) => {
+  const address = mongoose.isValidObjectId(req.params.addressId)
+    ? req.customer.addresses.id(req.params.addressId)
+    : null;
+  if (!address) {
+    errorResponse(res, CUSTOMER_MESSAGES.ADDRESS_NOT_FOUND, STATUS.NOT_FOUND);
+    return null;
+  }
+  return address;
+};
+
+/**
+ * @desc    Get the signed-in customer's profile
+ * @route   GET /api/v1/customer/account/profile
+ * @access  Private (Customer)
+ */
+export const getProfile = asyncHandler(async (req, res) => {
+  return successResponse(res, CUSTOMER_MESSAGES.PROFILE_FETCHED, {
+    customer: formatCustomer(req.customer),
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Update the signed-in customer's name or mobile number
+ * @route   PUT /api/v1/customer/account/profile
+ * @access  Private (Customer)
+ */
+export const updateProfile = asyncHandler(async (req, res) => {
+  const { customer } = req;
+  const { name } = req.body;
+
+  if (name !== undefined) customer.name = name.trim();
+
+  if (req.body.mobileNumber !== undefined) {
+    const mobileNumber = req.body.mobileNumber?.trim() || undefined;
+    if (mobileNumber && mobileNumber !== customer.mobileNumber
+      && (await Customer.exists({ mobileNumber, _id: { $ne: customer._id } }))) {
+      return errorResponse(res, CUSTOMER_MESSAGES.MOBILE_EXISTS, STATUS.CONFLICT);
+    }
+    customer.mobileNumber = mobileNumber;
+  }
+
+  await customer.save();
+
+  return successResponse(res, CUSTOMER_MESSAGES.PROFILE_UPDATED, {
+    customer: formatCustomer(customer),
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Change the signed-in customer's password
+ * @route   PUT /api/v1/customer/account/change-password
+ * @access  Private (Customer)
+ */
+export const changePassword = asyncHandler(async (req, res) => {
+  const customer = await Customer.findById(req.customer._id).select('+password');
+
+  if (!(await customer.comparePassword(req.body.currentPassword))) {
+    return errorResponse(res, CUSTOMER_MESSAGES.CURRENT_PASSWORD_INCORRECT, STATUS.BAD_REQUEST);
+  }
+
+  customer.password = req.body.newPassword;
+  await customer.save();
+
+  // Log out every other device; the current session gets a fresh access token
+  await CustomerSession.revokeAllForCustomer(customer._id, 'password-change', req.customerSession._id);
+
+  try {
+    await EmailTemplates.sendPasswordChangedEmail({ email: customer.email, name: customer.name });
+  } catch (error) {
+    console.error('Customer password changed email failed:', error);
+  }
+
+  return successResponse(res, CUSTOMER_MESSAGES.PASSWORD_CHANGED, {
+    token: generateCustomerToken(customer._id, req.customerSession._id),
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    List the signed-in customer's saved addresses
+ * @route   GET /api/v1/customer/account/addresses
+ * @access  Private (Customer)
+ */
+export const getAddresses = asyncHandler(async (req, res) => {
+  return successResponse(res, CUSTOMER_MESSAGES.ADDRESSES_FETCHED, {
+    addresses: req.customer.addresses,
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Save a new address; the first one becomes the default
+ * @route   POST /api/v1/customer/account/addresses
+ * @access  Private (Customer)
+ */
+export const addAddress = asyncHandler(async (req, res) => {
+  const { customer } = req;
+  if (customer.addresses.length >= MAX_CUSTOMER_ADDRESSES) {
+    return errorResponse(res, CUSTOMER_MESSAGES.ADDRESS_LIMIT_REACHED, STATUS.BAD_REQUEST);
+  }
+
+  customer.addresses.push(pickAddressFields(req.body));
+  const address = customer.addresses[customer.addresses.length - 1];
+  if (req.body.isDefault || customer.addresses.length === 1) {
+    customer.setDefaultAddress(address._id);
+  }
+  await customer.save();
+
+  return successResponse(res, CUSTOMER_MESSAGES.ADDRESS_ADDED, {
+    address,
+    addresses: customer.addresses,
+  }, STATUS.CREATED);
+});
+
+/**
+ * @desc    Update a saved address
+ * @route   PUT /api/v1/customer/account/addresses/:addressId
+ * @access  Private (Customer)
+ */
+export const updateAddress = asyncHandler(async (req, res) => {
+  const { customer } = req;
+  const address = findAddress(req, res);
+  if (!address) return;
+
+  address.set(pickAddressFields(req.body));
+  // Unsetting the default is ignored: one address always stays the default
+  if (req.body.isDefault) customer.setDefaultAddress(address._id);
+  await customer.save();
+
+  return successResponse(res, CUSTOMER_MESSAGES.ADDRESS_UPDATED, {
+    address,
+    addresses: customer.addresses,
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Delete a saved address; the next one takes over as default
+ * @route   DELETE /api/v1/customer/account/addresses/:addressId
+ * @access  Private (Customer)
+ */
+export const deleteAddress = asyncHandler(async (req, res) => {
+  const { customer } = req;
+  const address = findAddress(req, res);
+  if (!address) return;
+
+  const wasDefault = address.isDefault;
+  customer.addresses.pull(address._id);
+  if (wasDefault && customer.addresses.length) {
+    customer.setDefaultAddress(customer.addresses[0]._id);
+  }
+  await customer.save();
+
+  return successResponse(res, CUSTOMER_MESSAGES.ADDRESS_DELETED, {
+    addresses: customer.addresses,
+  }, STATUS.OK);
+});
@@ -0,0 +1,360 @@
+import crypto from 'crypto';
+import asyncHandler from 'express-async-handler';
+import Customer from '../../models/customer/customer.js';
+import CustomerSession from '../../models/customerSession/customerSession.js';
+import { CUSTOMER_MESSAGES } from '../../config/constant/customer/customer.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import {
+  customerLoginIpLimiter,
+  customerLoginAccountLimiter,
+} from '../../config/rateLimit/rateLimit.js';
+import { customerLoginKey } from '../../middlewares/admin/rateLimit/rateLimit.js';
+import { generateCustomerToken } from '../../utils/customerToken/customerToken.js';
+import { sendPasswordResetLink } from '../../utils/passwordReset/passwordReset.js';
+import { readDeviceToken } from '../../utils/deviceToken/deviceToken.js';
+import { mergeGuestWishlist } from '../../utils/wishlist/wishlist.js';
+import { mergeGuestEnquiryCart } from '../../utils/enquiryCart/enquiryCart.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+import EmailTemplates from '../../utils/emailTemplates/emailTemplate.js';
+
+// Storefront page that takes a customer's reset token
+const CUSTOMER_RESET_PATH = '/account/reset-password';
+
+/**
+ * Shape a customer for responses
+ * @param {Object} customer - Customer document
+ * @returns {Object} Public profile fields
+ */
+export const formatCustomer = (customer) => ({
+  id: customer._id,
+  name: customer.name,
+  email: customer.email,
+  mobileNumber: customer.mobileNumber,
+  group: customer.group,
+  isVerified: customer.isVerified,
+  addresses: customer.addresses,
+  createdAt: customer.createdAt,
+  updatedAt: customer.updatedAt,
+});
+
+/**
+ * Start a new device session and issue its token pair. A guest wishlist and
+ * enquiry cart sent in the X-Device-Token header move to the customer.
+ * @param {Object} customer - Customer document
+ * @param {Object} req - Express request object
+ * @returns {Promise<{token: string, refreshToken: string}>} Access and refresh tokens
+ */
+const createSession = async (customer, req) => {
+  const session = new CustomerSession({
+    customer: customer._id,
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || '',
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  const deviceToken = readDeviceToken(req);
+  try {
+    await mergeGuestWishlist(deviceToken, customer._id);
+  } catch (error) {
+    // The guest list stays on the device and can be merged later
+    console.error('Guest wishlist merge error:', error);
+  }
+  try {
+    await mergeGuestEnquiryCart(deviceToken, customer._id);
+  } catch (error) {
+    // The guest cart stays on the device until it expires
+    console.error('Guest enquiry cart merge error:', error);
+  }
+
+  return { token: generateCustomerToken(customer._id, session._id), refreshToken };
+};
+
+/**
+ * Email a fresh verification code. A failed send is logged rather than
+ * thrown; the customer can ask for another code.
+ * @param {Object} customer - Customer document with the OTP fields selected
+ * @returns {Promise<void>} Resolves once the code is saved
+ */
+const sendVerificationCode = async (customer) => {
+  const otp = customer.createVerificationOtp();
+  await customer.save({ validateBeforeSave: false });
+
+  try {
+    await EmailTemplates.sendVerificationOTP({ email: customer.email, fullName: customer.name }, otp);
+  } catch (error) {
+    console.error('Customer verification code email failed:', error);
+  }
+};
+
+/**
+ * Count a failed login against the IP, the identifier and the account
+ * @param {Object} req - Express request object
+ * @param {Object|null} [customer] - Customer the attempt was for, if any
+ * @returns {Promise<void>} Resolves once recorded
+ */
+const recordFailedLogin = async (req, customer = null) => {
+  await Promise.all([
+    customerLoginIpLimiter.hit(req.ip),
+    customerLoginAccountLimiter.hit(customerLoginKey(req)),
+  ]);
+
+  if (!customer) return;
+  customer.registerFailedLogin();
+  await customer.save({ validateBeforeSave: false });
+};
+
+/**
+ * @desc    Register a customer account and email a verification code
+ * @route   POST /api/v1/customer/auth/register
+ * @access  Public
+ */
+export const register = asyncHandler(async (req, res) => {
+  const { name, password } = req.body;
+  const email = req.body.email.trim().toLowerCase();
+  const mobileNumber = req.body.mobileNumber?.trim() || undefined;
+
+  if (await Customer.exists({ email })) {
+    return errorResponse(res, CUSTOMER_MESSAGES.EMAIL_EXISTS, STATUS.CONFLICT);
+  }
+  if (mobileNumber && (await Customer.exists({ mobileNumber }))) {
+    return errorResponse(res, CUSTOMER_MESSAGES.MOBILE_EXISTS, STATUS.CONFLICT);
+  }
+
+  const customer = new Customer({ name, email, mobileNumber, password });
+  try {
+    await customer.save();
+  } catch (error) {
+    // Lost a race with a simultaneous sign-up
+    if (error.code === 11000) {
+      const message = error.keyPattern?.mobileNumber ? CUSTOMER_MESSAGES.MOBILE_EXISTS : CUSTOMER_MESSAGES.EMAIL_EXISTS;
+      return errorResponse(res, message, STATUS.CONFLICT);
+    }
+    throw error;
+  }
+  await sendVerificationCode(customer);
+
+  return successResponse(res, CUSTOMER_MESSAGES.REGISTER_SUCCESS, {
+    customer: formatCustomer(customer),
+  }, STATUS.CREATED);
+});
+
+/**
+ * @desc    Verify the email with the emailed code and log in
+ * @route   POST /api/v1/customer/auth/verify-otp
+ * @access  Public
+ */
+export const verifyOtp = asyncHandler(async (req, res) => {
+  const customer = await Customer.findOne({ email: req.body.email.trim().toLowerCase() })
+    .select('+verificationOtp +verificationOtpExpire +verificationOtpAttempts');
+
+  if (!customer || !customer.isActive) {
+    return errorResponse(res, CUSTOMER_MESSAGES.OTP_INVALID, STATUS.BAD_REQUEST);
+  }
+  if (customer.isVerified) {
+    return errorResponse(res, CUSTOMER_MESSAGES.ALREADY_VERIFIED, STATUS.BAD_REQUEST);
+  }
+
+  if (!customer.checkVerificationOtp(req.body.otp.trim())) {
+    await customer.save({ validateBeforeSave: false });
+    return errorResponse(res, CUSTOMER_MESSAGES.OTP_INVALID, STATUS.BAD_REQUEST);
+  }
+
+  customer.markVerified();
+  await customer.save({ validateBeforeSave: false });
+
+  const tokens = await createSession(customer, req);
+
+  return successResponse(res, CUSTOMER_MESSAGES.VERIFIED, {
+    ...tokens,
+    customer: formatCustomer(customer),
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Email a new verification code
+ * @route   POST /api/v1/customer/auth/resend-otp
+ * @access  Public
+ */
+export const resendOtp = asyncHandler(async (req, res) => {
+  const customer = await Customer.findOne({ email: req.body.email.trim().toLowerCase() });
+
+  // Same answer whether or not the account exists
+  if (customer && customer.isActive && !customer.isVerified) {
+    await sendVerificationCode(customer);
+  }
+
+  return successResponse(res, CUSTOMER_MESSAGES.OTP_SENT, {}, STATUS.OK);
+});
+
+/**
+ * @desc    Log in with an email or mobile number and password
+ * @route   POST /api/v1/customer/auth/login
+ * @access  Public
+ */
+export const login = asyncHandler(async (req, res) => {
+  const { email, mobileNumber, password } = req.body;
+  const customer = await Customer.findOne(
+    email ? { email: email.trim().toLowerCase() } : { mobileNumber: mobileNumber.trim() }
+  ).select('+password');
+
+  if (!customer || !customer.isActive) {
+    await recordFailedLogin(req);
+    return errorResponse(res, CUSTOMER_MESSAGES.INVALID_CREDENTIALS, STATUS.UNAUTHORIZED);
+  }
+
+  // Checked before the password so a correct guess during the lock doesn't get in
+  if (customer.isLocked()) {
+    const retryAfter = Math.ceil((customer.lockUntil.getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return errorResponse(res, CUSTOMER_MESSAGES.ACCOUNT_LOCKED, STATUS.LOCKED);
+  }
+
+  if (!(await customer.comparePassword(password))) {
+    await recordFailedLogin(req, customer);
+    return errorResponse(res, CUSTOMER_MESSAGES.INVALID_CREDENTIALS, STATUS.UNAUTHORIZED);
+  }
+
+  await customerLoginAccountLimiter.reset(customerLoginKey(req));
+
+  if (customer.failedLoginAttempts || customer.lockUntil) {
+    customer.resetLoginAttempts();
+    await customer.save({ validateBeforeSave: false });
+  }
+
+  if (!customer.isVerified) {
+    return res.status(STATUS.FORBIDDEN).json({
+      success: false,
+      message: CUSTOMER_MESSAGES.NOT_VERIFIED,
+      statusCode: STATUS.FORBIDDEN,
+      verificationRequired: true,
+      email: customer.email,
+    });
+  }
+
+  const tokens = await createSession(customer, req);
+
+  return successResponse(res, CUSTOMER_MESSAGES.LOGIN_SUCCESS, {
+    ...tokens,
+    customer: formatCustomer(customer),
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/v1/customer/auth/refresh-token
+ * @access  Public (requires a valid customer refresh token)
+ */
+export const refreshToken = asyncHandler(async (req, res) => {
+  const parts = CustomerSession.parseRefreshToken(req.body.refreshToken);
+  const session = parts && (await CustomerSession.findById(parts.sessionId).select('+refreshTokenHash'));
+
+  if (!session || !session.isValid()) {
+    return errorResponse(res, CUSTOMER_MESSAGES.REFRESH_TOKEN_INVALID, STATUS.UNAUTHORIZED);
+  }
+
+  if (!session.matchesSecret(parts.secret)) {
+    // A rotated-out token was replayed, so assume it leaked and end the session
+    session.revokedAt = new Date();
+    session.revokedReason = 'reuse-detected';
+    await session.save();
+    return errorResponse(res, CUSTOMER_MESSAGES.REFRESH_TOKEN_INVALID, STATUS.UNAUTHORIZED);
+  }
+
+  const customer = await Customer.findById(session.customer);
+  if (!customer || !customer.isActive) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'account-deactivated';
+    await session.save();
+    return errorResponse(res, CUSTOMER_MESSAGES.INVALID_CREDENTIALS, STATUS.UNAUTHORIZED);
+  }
+
+  const newRefreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  return successResponse(res, CUSTOMER_MESSAGES.TOKEN_REFRESHED, {
+    token: generateCustomerToken(customer._id, session._id),
+    refreshToken: newRefreshToken,
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/v1/customer/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const customer = await Customer.findOne({ email: req.body.email.trim().toLowerCase() });
+
+  // Same answer whether or not the account exists
+  if (customer && customer.isActive) {
+    await sendPasswordResetLink(customer, CUSTOMER_RESET_PATH);
+  }
+
+  return successResponse(res, CUSTOMER_MESSAGES.RESET_LINK_SENT, {}, STATUS.OK);
+});
+
+/**
+ * @desc    Reset the password with the emailed token and log in
+ * @route   POST /api/v1/customer/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const hashedToken = crypto.createHash('sha256').update(req.body.token).digest('hex');
+  const customer = await Customer.findOne({
+    resetPasswordToken: hashedToken,
+    resetPasswordExpire: { $gt: Date.now() },
+  });
+
+  if (!customer || !customer.isActive) {
+    return errorResponse(res, CUSTOMER_MESSAGES.TOKEN_INVALID, STATUS.BAD_REQUEST);
+  }
+
+  customer.password = req.body.password;
+  customer.resetPasswordToken = undefined;
+  customer.resetPasswordExpire = undefined;
+  customer.resetLoginAttempts();
+  // The link reached the inbox, which proves the email as well as a code would
+  if (!customer.isVerified) customer.markVerified();
+  await customer.save();
+
+  // Whoever knew the old password must not stay logged in
+  await CustomerSession.revokeAllForCustomer(customer._id, 'password-reset');
+
+  try {
+    await EmailTemplates.sendPasswordChangedEmail({ email: customer.email, name: customer.name });
+  } catch (error) {
+    console.error('Customer password changed email failed:', error);
+  }
+
+  const tokens = await createSession(customer, req);
+
+  return successResponse(res, CUSTOMER_MESSAGES.RESET_SUCCESS, {
+    ...tokens,
+    customer: formatCustomer(customer),
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Log out the current session
+ * @route   POST /api/v1/customer/auth/logout
+ * @access  Private (Customer)
+ */
+export const logout = asyncHandler(async (req, res) => {
+  req.customerSession.revokedAt = new Date();
+  req.customerSession.revokedReason = 'logout';
+  await req.customerSession.save();
+
+  return successResponse(res, CUSTOMER_MESSAGES.LOGOUT_SUCCESS, {}, STATUS.OK);
+});
+
+/**
+ * @desc    Log out every session of the customer
+ * @route   POST /api/v1/customer/auth/logout-all
+ * @access  Private (Customer)
+ */
+export const logoutAll = asyncHandler(async (req, res) => {
+  const result = await CustomerSession.revokeAllForCustomer(req.customer._id, 'logout-all');
+
+  return successResponse(res, CUSTOMER_MESSAGES.LOGOUT_ALL_SUCCESS, { revoked: result.modifiedCount }, STATUS.OK);
+});
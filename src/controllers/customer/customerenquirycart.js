@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import EnquiryCart from '../../models/enquiryCart/enquiryCart.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import { DEVICE_TOKEN_HEADER } from '../../config/constant/customer/customer.js';
+import {
+  ENQUIRY_CART_MESSAGES,
+  QUOTE_MESSAGES,
+  MAX_ENQUIRY_CART_LINES,
+  MAX_ENQUIRY_LINE_QUANTITY,
+} from '../../config/constant/quote/quote.js';
+import { readDeviceToken, generateDeviceToken, ownerFilter } from '../../utils/deviceToken/deviceToken.js';
+import {
+  describeCartLines,
+  summarizeCartLines,
+  guestEnquiryCartExpiry,
+} from '../../utils/enquiryCart/enquiryCart.js';
+import { createQuoteRequest } from '../../utils/quote/quote.js';
+import { normalizePhone } from '../../utils/inquiry/inquiry.js';
+import { resolveCustomerGroup } from '../../utils/pricing/pricing.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+
+/**
+ * Send the cart with every line checked against current stock and prices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object|null} cart - EnquiryCart document, or null for no cart
+ * @param {string} message - Response message
+ * @param {Object} [extra={}] - Extra response data (e.g. deviceToken)
+ * @returns {Promise<Object>} Express response
+ */
+const sendCart = async (req, res, cart, message, extra = {}) => {
+  const lines = cart ? await describeCartLines(cart.lines, resolveCustomerGroup(req)) : [];
+  return successResponse(res, message, { lines, summary: summarizeCartLines(lines), ...extra }, STATUS.OK);
+};
+
+/**
+ * Check a line as it would be after a change
+ * @param {Object} req - Express request object
+ * @param {Object} line - { product, color, size, quantity }
+ * @returns {Promise<Object>} Described line; its issue is null when allowed
+ */
+const checkLine = async (req, line) => {
+  const [described] = await describeCartLines([line], resolveCustomerGroup(req));
+  return described;
+};
+
+/**
+ * @desc    Get the enquiry cart of the signed-in customer or guest device, each
+ *          line checked against current visibility, stock and order rules
+ * @route   GET /api/v1/customer/enquiry-cart
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const getEnquiryCart = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  const cart = owner ? await EnquiryCart.findOne(owner).lean() : null;
+
+  return sendCart(req, res, cart, ENQUIRY_CART_MESSAGES.CART_FETCHED);
+});
+
+/**
+ * @desc    Add a product in a color and size, or add to the quantity of a line
+ *          already in the cart. Guests without a device token are issued one,
+ *          returned in the body and X-Device-Token header.
+ * @route   POST /api/v1/customer/enquiry-cart/lines
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const addEnquiryCartLine = asyncHandler(async (req, res) => {
+  const { productId, color } = req.body;
+  const size = req.body.size.trim();
+  const quantity = Number(req.body.quantity);
+
+  const deviceToken = req.customer ? null : readDeviceToken(req) || generateDeviceToken();
+  const owner = ownerFilter(req, deviceToken);
+  if (deviceToken) res.set(DEVICE_TOKEN_HEADER, deviceToken);
+
+  const cart = await EnquiryCart.findOne(owner);
+  const existing = cart?.findLine(productId, color, size);
+  if (!existing && cart && cart.lines.length >= MAX_ENQUIRY_CART_LINES) {
+    return errorResponse(res, ENQUIRY_CART_MESSAGES.CART_FULL, STATUS.BAD_REQUEST);
+  }
+
+  const newQuantity = (existing?.quantity || 0) + quantity;
+  if (newQuantity > MAX_ENQUIRY_LINE_QUANTITY) {
+    return errorResponse(res, `Quantity cannot exceed ${MAX_ENQUIRY_LINE_QUANTITY}`, STATUS.BAD_REQUEST);
+  }
+
+  const checked = await checkLine(req, { product: productId, color, size, quantity: newQuantity });
+  if (checked.issue) {
+    const status = checked.issue === ENQUIRY_CART_MESSAGES.PRODUCT_UNAVAILABLE ? STATUS.NOT_FOUND : STATUS.BAD_REQUEST;
+    return errorResponse(res, checked.issue, status);
+  }
+
+  // Created only once the line is known to be valid, so guests leave no empty carts behind
+  const target = cart
+    || await EnquiryCart.findOneAndUpdate(owner, { $setOnInsert: owner }, { upsert: true, new: true });
+  const line = target.findLine(productId, color, size);
+  if (line) line.quantity = newQuantity;
+  else target.lines.push({ product: productId, color, size, quantity: newQuantity });
+  // Any change keeps a guest cart alive for another TTL
+  if (deviceToken) target.expiresAt = guestEnquiryCartExpiry();
+  await target.save();
+
+  return sendCart(req, res, target, ENQUIRY_CART_MESSAGES.LINE_ADDED, { deviceToken });
+});
+
+/**
+ * @desc    Change the quantity of a line
+ * @route   PUT /api/v1/customer/enquiry-cart/lines/:lineId
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const updateEnquiryCartLine = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  const cart = owner && mongoose.isValidObjectId(req.params.lineId) ? await EnquiryCart.findOne(owner) : null;
+  const line = cart?.lines.id(req.params.lineId);
+  if (!line) {
+    return errorResponse(res, ENQUIRY_CART_MESSAGES.LINE_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  const quantity = Number(req.body.quantity);
+  const checked = await checkLine(req, { product: line.product, color: line.color, size: line.size, quantity });
+  // A line that became unavailable can only be removed
+  if (checked.issue) {
+    return errorResponse(res, checked.issue, STATUS.BAD_REQUEST);
+  }
+
+  line.quantity = quantity;
+  if (cart.guestToken) cart.expiresAt = guestEnquiryCartExpiry();
+  await cart.save();
+
+  return sendCart(req, res, cart, ENQUIRY_CART_MESSAGES.LINE_UPDATED);
+});
+
+/**
+ * @desc    Remove a line
+ * @route   DELETE /api/v1/customer/enquiry-cart/lines/:lineId
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const removeEnquiryCartLine = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  const cart = owner && mongoose.isValidObjectId(req.params.lineId) ? await EnquiryCart.findOne(owner) : null;
+  const line = cart?.lines.id(req.params.lineId);
+  if (!line) {
+    return errorResponse(res, ENQUIRY_CART_MESSAGES.LINE_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  line.deleteOne();
+  if (cart.guestToken) cart.expiresAt = guestEnquiryCartExpiry();
+  await cart.save();
+
+  return sendCart(req, res, cart, ENQUIRY_CART_MESSAGES.LINE_REMOVED);
+});
+
+/**
+ * @desc    Remove every line
+ * @route   DELETE /api/v1/customer/enquiry-cart
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const clearEnquiryCart = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  if (owner) await EnquiryCart.deleteOne(owner);
+
+  return sendCart(req, res, null, ENQUIRY_CART_MESSAGES.CART_CLEARED);
+});
+
+/**
+ * @desc    Submit the cart as a quote request. Every line is checked again;
+ *          if any can't be quoted nothing is submitted and the checked lines
+ *          are returned. The cart is emptied once the request is created.
+ * @route   POST /api/v1/customer/enquiry-cart/submit
+ * @access  Public (customer token or X-Device-Token header; rate limited per IP)
+ */
+export const submitEnquiryCart = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  const cart = owner ? await EnquiryCart.findOne(owner) : null;
+  if (!cart || cart.lines.length === 0) {
+    return errorResponse(res, ENQUIRY_CART_MESSAGES.CART_EMPTY, STATUS.BAD_REQUEST);
+  }
+
+  // Signed-in customers default to their profile's contact details
+  const contact = {
+    name: req.body.name?.trim() || req.customer?.name || '',
+    email: req.body.email?.trim().toLowerCase() || req.customer?.email || '',
+    phone: normalizePhone(req.body.phone || '') || req.customer?.mobileNumber || '',
+    company: req.body.company?.trim() || '',
+    gstin: req.body.gstin?.trim().toUpperCase() || '',
+  };
+  if (!contact.name || !contact.email) {
+    return errorResponse(res, ENQUIRY_CART_MESSAGES.CONTACT_REQUIRED, STATUS.BAD_REQUEST);
+  }
+
+  const group = resolveCustomerGroup(req);
+  const lines = await describeCartLines(cart.lines, group);
+  const summary = summarizeCartLines(lines);
+  if (summary.hasIssues) {
+    return res.status(STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ENQUIRY_CART_MESSAGES.CART_HAS_ISSUES,
+      statusCode: STATUS.BAD_REQUEST,
+      data: { lines, summary },
+    });
+  }
+
+  const quote = await createQuoteRequest({
+    customer: req.customer?._id ?? null,
+    customerGroup: group,
+    contact,
+    message: req.body.message?.trim() || '',
+    lines: lines.map((line) => ({
+      product: line.product._id,
+      productName: line.product.name,
+      variant: line.variant,
+      color: line.color._id,
+      colorName: line.color.name || '',
+      size: line.size,
+      sku: line.sku || '',
+      quantity: line.quantity,
+      listUnitPrice: line.unitPrice,
+    })),
+    listSubtotal: summary.estimatedSubtotal,
+  });
+
+  await cart.deleteOne();
+
+  return successResponse(res, QUOTE_MESSAGES.QUOTE_REQUESTED, {
+    id: quote._id,
+    number: quote.number,
+    status: quote.status,
+    contact: quote.contact,
+    lines: quote.lines,
+    listSubtotal: quote.listSubtotal,
+    createdAt: quote.createdAt,
+  }, STATUS.CREATED);
+});
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Product from '../../models/product/product.js';
+import Inquiry from '../../models/inquiry/inquiry.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { INQUIRY_MESSAGES } from '../../config/constant/inquiry/inquiry.js';
+import {
+  normalizePhone,
+  getWhatsappNumber,
+  buildInquiryMessage,
+  buildWhatsappLink,
+} from '../../utils/inquiry/inquiry.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+
+/**
+ * @desc    Log a WhatsApp inquiry about a product and return the wa.me link to open
+ * @route   POST /api/v1/customerproducts/:id/inquiry
+ * @access  Public (rate limited per IP)
+ */
+export const logProductInquiry = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return errorResponse(res, 'Invalid product ID', STATUS.BAD_REQUEST);
+  }
+
+  const product = await Product.findOne({
+    _id: req.params.id,
+    isVisible: true,
+    status: PRODUCT_STATUS.PUBLISHED,
+  })
+    .select('name slug variants._id variants.color variants.sizes.size')
+    .populate('variants.color', 'name');
+  if (!product) {
+    return errorResponse(res, INQUIRY_MESSAGES.PRODUCT_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  const { variantId, size } = req.body;
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (variantId && !variant) {
+    return errorResponse(res, INQUIRY_MESSAGES.VARIANT_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+  if (size && !(variant ? [variant] : product.variants).some((v) => v.sizes.some((s) => s.size === size))) {
+    return errorResponse(res, INQUIRY_MESSAGES.SIZE_NOT_OFFERED, STATUS.BAD_REQUEST);
+  }
+
+  const inquiry = await Inquiry.create({
+    product: product._id,
+    productName: product.name,
+    variant: variant?._id ?? null,
+    color: variant?.color?._id ?? null,
+    size: size || null,
+    name: req.body.name || '',
+    phone: normalizePhone(req.body.phone),
+    customer: req.customer?._id ?? null,
+    utm: {
+      source: req.body.utmSource || '',
+      medium: req.body.utmMedium || '',
+      campaign: req.body.utmCampaign || '',
+    },
+    referrer: (req.body.referrer || req.get('referer') || '').slice(0, 500),
+    ip: req.ip || '',
+    userAgent: req.headers['user-agent'] || '',
+  });
+
+  // An inquiry is not an edit, so updatedAt is left alone
+  await Product.updateOne({ _id: product._id }, { $inc: { whatsappInquiryCount: 1 } }, { timestamps: false });
+
+  const message = buildInquiryMessage(product, { color: variant?.color?.name, size });
+  const businessNumber = await getWhatsappNumber();
+
+  return successResponse(res, INQUIRY_MESSAGES.INQUIRY_LOGGED, {
+    inquiryId: inquiry._id,
+    message,
+    businessNumber,
+    whatsappUrl: buildWhatsappLink(businessNumber, message),
+  }, STATUS.CREATED);
+});
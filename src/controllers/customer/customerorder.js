@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Order from '../../models/order/order.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import {
+  ORDER_STATUSES,
+  ORDER_SOURCES,
+  ORDER_MESSAGES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+} from '../../config/constant/order/order.js';
+import {
+  buildOrderLines,
+  createOrder,
+  changeOrderStatus,
+  notifyOrderStatus,
+} from '../../utils/order/order.js';
+import { resolveCustomerGroup } from '../../utils/pricing/pricing.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+
+// Admin-only fields left out of the customer's view
+const HIDDEN_FIELDS = '-internalNotes -createdBy -statusHistory.admin';
+
+/**
+ * Shape an order for the customer who placed it
+ * @param {Object} order - Order document
+ * @returns {Object} Order without admin-only fields
+ */
+const formatOrder = (order) => {
+  const { internalNotes, createdBy, ...rest } = order.toObject();
+  return {
+    ...rest,
+    statusHistory: rest.statusHistory.map(({ admin, ...event }) => event),
+  };
+};
+
+/**
+ * @desc    Place an order for variant sizes at today's prices for the customer's
+ *          group. Stock for every line is reserved, or the order is refused.
+ * @route   POST /api/v1/customer/orders
+ * @access  Private (Customer)
+ */
+export const placeOrder = asyncHandler(async (req, res) => {
+  const { customer } = req;
+  const address = req.body.addressId
+    ? customer.addresses.id(req.body.addressId)
+    : customer.addresses.find((a) => a.isDefault) || customer.addresses[0];
+  if (!address) {
+    return req.body.addressId
+      ? errorResponse(res, ORDER_MESSAGES.ADDRESS_NOT_FOUND, STATUS.NOT_FOUND)
+      : errorResponse(res, ORDER_MESSAGES.ADDRESS_REQUIRED, STATUS.BAD_REQUEST);
+  }
+
+  const group = resolveCustomerGroup(req);
+  const { lines, error: itemError } = await buildOrderLines(req.body.items, group);
+  if (itemError) {
+    return res.status(STATUS.UNPROCESSABLE_ENTITY).json({
+      success: false,
+      message: itemError.message,
+      statusCode: STATUS.UNPROCESSABLE_ENTITY,
+      data: itemError.data,
+    });
+  }
+
+  const { order, error: stockError } = await createOrder({
+    source: ORDER_SOURCES.STOREFRONT,
+    customer: customer._id,
+    customerGroup: group,
+    contact: {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.mobileNumber || address.mobileNumber,
+      company: req.body.company?.trim() || '',
+      gstin: req.body.gstin?.trim().toUpperCase() || '',
+    },
+    shippingAddress: {
+      name: address.name,
+      mobileNumber: address.mobileNumber,
+      line1: address.line1,
+      line2: address.line2,
+      city: address.city,
+      state: address.state,
+      postalCode: address.postalCode,
+      country: address.country,
+    },
+    lines,
+    notes: req.body.notes?.trim() || '',
+  });
+  if (stockError) {
+    return res.status(STATUS.CONFLICT).json({
+      success: false,
+      message: stockError.message,
+      statusCode: STATUS.CONFLICT,
+      data: { index: stockError.index, item: req.body.items[stockError.index] },
+    });
+  }
+
+  await notifyOrderStatus(order);
+
+  return successResponse(res, ORDER_MESSAGES.ORDER_PLACED, formatOrder(order), STATUS.CREATED);
+});
+
+/**
+ * @desc    List the signed-in customer's orders, newest first (?status=&page=&limit=)
+ * @route   GET /api/v1/customer/orders
+ * @access  Private (Customer)
+ */
+export const getMyOrders = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const query = { customer: req.customer._id };
+  if (status && Object.values(ORDER_STATUSES).includes(status)) query.status = status;
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [orders, total] = await Promise.all([
+    Order.find(query)
+      .select(HIDDEN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Order.countDocuments(query),
+  ]);
+
+  return successResponse(res, ORDER_MESSAGES.ORDERS_FETCHED, {
+    orders,
+    pagination: {
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      limit: limitNum,
+    },
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Get one of the signed-in customer's orders with its status history
+ * @route   GET /api/v1/customer/orders/:id
+ * @access  Private (Customer)
+ */
+export const getMyOrderById = asyncHandler(async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.id)
+    ? await Order.findOne({ _id: req.params.id, customer: req.customer._id }).select(HIDDEN_FIELDS).lean()
+    : null;
+  if (!order) {
+    return errorResponse(res, ORDER_MESSAGES.ORDER_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  return successResponse(res, ORDER_MESSAGES.ORDER_FETCHED, order, STATUS.OK);
+});
+
+/**
+ * @desc    Cancel an order that hasn't been packed yet; its stock is put back
+ * @route   POST /api/v1/customer/orders/:id/cancel
+ * @access  Private (Customer)
+ */
+export const cancelMyOrder = asyncHandler(async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.id)
+    ? await Order.findOne({ _id: req.params.id, customer: req.customer._id })
+    : null;
+  if (!order) {
+    return errorResponse(res, ORDER_MESSAGES.ORDER_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+  if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+    return errorResponse(res, ORDER_MESSAGES.NOT_CANCELLABLE, STATUS.BAD_REQUEST);
+  }
+
+  const reason = req.body.reason?.trim() || '';
+  order.cancellationReason = reason;
+  const { error } = await changeOrderStatus(order, ORDER_STATUSES.CANCELLED, { customer: req.customer, note: reason });
+  if (error) {
+    return errorResponse(res, error, STATUS.CONFLICT);
+  }
+
+  await notifyOrderStatus(order);
+
+  return successResponse(res, ORDER_MESSAGES.ORDER_CANCELLED, formatOrder(order), STATUS.OK);
+});
@@ -5,6 +5,10 @@ import Brand from '../../models/brand/brand.js';
 import asyncHandler from 'express-async-handler';
 import { PRODUCT_MESSAGES } from '../../config/constant/product/productMessages.js';
 import { STATUS } from '../../config/constant/status/status.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { PROMOTION_MESSAGES } from '../../config/constant/promotion/promotion.js';
+import { getRunningPromotions, promotionProductFilter } from '../../utils/promotions/promotions.js';
+import { priceForBuyer, priceProductsForBuyer, resolveCustomerGroup } from '../../utils/pricing/pricing.js';
 import mongoose from 'mongoose';
 
 /**
@@ -25,6 +29,7 @@ export const getCustomerProductById = asyncHandler(async (req, res) => {
   const product = await Product.findOne({ 
     _id: req.params.id,
     isVisible: true,
+    status: PRODUCT_STATUS.PUBLISHED,
     isSoldOut: false 
   })
     .populate('category', 'name slug')
@@ -45,7 +50,7 @@ export const getCustomerProductById = asyncHandler(async (req, res) => {
   res.status(STATUS.OK).json({
     statuscode: STATUS.OK,
     message: PRODUCT_MESSAGES.PRODUCT_ID_FETCHED,
-    data: product,
+    data: priceForBuyer(product, resolveCustomerGroup(req), await getRunningPromotions()),
   });
 });
 
@@ -76,7 +81,7 @@ export const getCustomerProducts = asyncHandler(async (req, res) => {
   const skip = (pageNum - 1) * limitNum;
 
   // Initialize query for visible and non-sold-out products
-  const query = { isVisible: true, isSoldOut: false };
+  const query = { isVisible: true, status: PRODUCT_STATUS.PUBLISHED, isSoldOut: false };
   let message = PRODUCT_MESSAGES.PRODUCTS_FETCHED;
 
   // Handle search query
@@ -181,7 +186,7 @@ export const getCustomerProducts = asyncHandler(async (req, res) => {
 
   // Define sorting
   const sort = {};
-  const validSortFields = ['createdAt', 'base_price', 'rating', 'viewCount'];
+  const validSortFields = ['createdAt', 'publishedAt', 'base_price', 'rating', 'viewCount'];
   if (validSortFields.includes(sortBy)) {
     sort[sortBy] = sortOrder.toLowerCase() === 'asc' ? 1 : -1;
   } else {
@@ -203,7 +208,7 @@ export const getCustomerProducts = asyncHandler(async (req, res) => {
       statuscode: STATUS.OK,
       message,
       data: {
-        products,
+        products: await priceProductsForBuyer(products, resolveCustomerGroup(req)),
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(totalProducts / limitNum),
@@ -264,11 +269,12 @@ export const getNewArrivals = asyncHandler(async (req, res) => {
   try {
     let query = Product.find({
       isVisible: true,
+      status: PRODUCT_STATUS.PUBLISHED,
       isSoldOut: false,
       tags: { $in: tagArray },
     })
-      .select('name slug base_price images isFeatured createdAt tags description variants')
-      .sort({ createdAt: -1 })
+      .select('name slug base_price images isFeatured createdAt publishedAt tags description variants minOrderQuantity packSize')
+      .sort({ publishedAt: -1, createdAt: -1 })
       .limit(parsedLimit)
       .lean();
 
@@ -288,7 +294,7 @@ export const getNewArrivals = asyncHandler(async (req, res) => {
     res.status(STATUS.OK).json({
       statuscode: STATUS.OK,
       message: PRODUCT_MESSAGES.PRODUCTS_FETCHED,
-      data: products,
+      data: await priceProductsForBuyer(products, resolveCustomerGroup(req)),
     });
   } catch (error) {
     console.error('New Arrivals Error:', error);
@@ -320,6 +326,7 @@ export const searchCustomerProducts = asyncHandler(async (req, res) => {
 
   const query = { 
     isVisible: true,
+    status: PRODUCT_STATUS.PUBLISHED,
     isSoldOut: false 
   };
   let message = PRODUCT_MESSAGES.PRODUCTS_FETCHED;
@@ -349,7 +356,7 @@ export const searchCustomerProducts = asyncHandler(async (req, res) => {
       statuscode: STATUS.OK,
       message,
       data: {
-        products,
+        products: await priceProductsForBuyer(products, resolveCustomerGroup(req)),
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(totalProducts / limitNum),
@@ -404,7 +411,7 @@ export const filterCustomerProducts = asyncHandler(async (req, res) => {
   const skip = (pageNum - 1) * limitNum;
 
   // Initialize query for visible products
-  const query = { isVisible: true };
+  const query = { isVisible: true, status: PRODUCT_STATUS.PUBLISHED };
   let message = PRODUCT_MESSAGES.PRODUCTS_FETCHED;
 
   // Helper function to parse filter arrays
@@ -543,7 +550,7 @@ export const filterCustomerProducts = asyncHandler(async (req, res) => {
 
   // Sorting
   const sort = {};
-  const validSortFields = ['createdAt', 'base_price', 'rating', 'viewCount', 'name'];
+  const validSortFields = ['createdAt', 'publishedAt', 'base_price', 'rating', 'viewCount', 'name'];
   if (validSortFields.includes(sortBy)) {
     sort[sortBy] = sortOrder.toLowerCase() === 'asc' ? 1 : -1;
   } else {
@@ -580,6 +587,7 @@ export const filterCustomerProducts = asyncHandler(async (req, res) => {
     if (categoryId || collectionsArray.length > 0 || tagsArray.length > 0) {
       const relatedQuery = {
         isVisible: true,
+        status: PRODUCT_STATUS.PUBLISHED,
         _id: { $nin: products.map(p => p._id) },
         ...(priceFilter ? { 'variants.price': priceFilter } : {}), // Apply price filter to variants.price
         $or: [
@@ -605,6 +613,7 @@ export const filterCustomerProducts = asyncHandler(async (req, res) => {
     }
 
     // Prepare applied filters
+    const promotions = await getRunningPromotions();
     const appliedFilters = {
       category: category || null,
       size: size ? parseFilterArray(size) : null,
@@ -622,8 +631,8 @@ export const filterCustomerProducts = asyncHandler(async (req, res) => {
       statuscode: STATUS.OK,
       message,
       data: {
-        products,
-        relatedProducts,
+        products: await priceProductsForBuyer(products, resolveCustomerGroup(req), promotions),
+        relatedProducts: await priceProductsForBuyer(relatedProducts, resolveCustomerGroup(req), promotions),
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(totalProducts / limitNum),
@@ -646,24 +655,42 @@ export const filterCustomerProducts = asyncHandler(async (req, res) => {
 
 
 
+/**
+ * @desc    Fetch products on a running promotion, biggest saving first
+ * @route   GET /api/customer/v1/products/dealsofthemonth
+ * @access  Public
+ */
 export const getDealsOfTheMonth = asyncHandler(async (req, res) => {
+  const parsedLimit = Math.min(parseInt(req.query.limit) || 5, 50);
+
   try {
+    const promotions = await getRunningPromotions();
+    const targetFilter = promotionProductFilter(promotions);
+    if (!targetFilter) {
+      return res.status(STATUS.NOT_FOUND).json({
+        statuscode: STATUS.NOT_FOUND,
+        message: PRODUCT_MESSAGES.NO_PRODUCTS_FOUND,
+      });
+    }
+
     const products = await Product.find({
-      isFeatured: true,
+      ...targetFilter,
       isSoldOut: false,
       isVisible: true,
+      status: PRODUCT_STATUS.PUBLISHED,
       isActive: true,
-      discount: { $exists: true, $ne: null, $gt: 0 } // Ensure discount exists and is greater than 0
     })
-      .select('name slug base_price discount images variants')
-      // .populate('category', 'name slug')
-      // .populate('variants.color', 'name hex')
-      // .populate('brand', 'name slug')
-      .sort({ discount: -1 }) // Sort by discount in descending order
-      .limit(5) // Limit to top 5 products
+      .select('name slug base_price images variants category brand collections tags')
       .lean();
 
-    if (!products || products.length === 0) {
+    // Saving is compared as a share of the regular price so cheap and dear items rank fairly
+    const saving = (product) => (product.base_price ? 1 - product.finalPrice / product.base_price : 0);
+    const deals = (await priceProductsForBuyer(products, resolveCustomerGroup(req), promotions))
+      .filter((product) => product.promotion)
+      .sort((a, b) => saving(b) - saving(a))
+      .slice(0, parsedLimit);
+
+    if (deals.length === 0) {
       return res.status(STATUS.NOT_FOUND).json({
         statuscode: STATUS.NOT_FOUND,
         message: PRODUCT_MESSAGES.NO_PRODUCTS_FOUND,
@@ -671,7 +698,7 @@ export const getDealsOfTheMonth = asyncHandler(async (req, res) => {
     }
 
     // Transform the response to include only the first variant's image
-    const transformedProducts = products.map(product => ({
+    const transformedProducts = deals.map(({ category, brand, collections, tags, ...product }) => ({
       ...product,
       images: product.variants[0]?.images?.[0] || null, // Select first image of first variant
       variants: undefined // Remove variants to avoid sending unnecessary data
@@ -679,7 +706,7 @@ export const getDealsOfTheMonth = asyncHandler(async (req, res) => {
 
     res.status(STATUS.OK).json({
       statuscode: STATUS.OK,
-      message: PRODUCT_MESSAGES.PRODUCTS_FETCHED + ' for Deals of the Month',
+      message: PROMOTION_MESSAGES.DEALS_FETCHED,
       data: transformedProducts,
     });
   } catch (error) {
@@ -699,7 +726,7 @@ export const getFilterOptions = asyncHandler(async (req, res) => {
     const { tags } = req.query;
 
     // Initialize query for visible and non-sold-out products
-    const productQuery = { isVisible: true, isSoldOut: false };
+    const productQuery = { isVisible: true, status: PRODUCT_STATUS.PUBLISHED, isSoldOut: false };
 
     // Handle tags filter if provided
     let tagsArray = [];
@@ -790,7 +817,7 @@ export const getFilterOptions = asyncHandler(async (req, res) => {
       tagsData = tagsArray.map(tag => ({ name: tag }));
     } else {
       const tagsAggregation = await Product.aggregate([
-        { $match: { isVisible: true, isSoldOut: false } },
+        { $match: { isVisible: true, status: PRODUCT_STATUS.PUBLISHED, isSoldOut: false } },
         { $unwind: '$tags' },
         { $group: { _id: '$tags' } },
         { $sort: { _id: 1 } },
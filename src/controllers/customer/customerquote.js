@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import QuoteRequest from '../../models/quoteRequest/quoteRequest.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import { QUOTE_MESSAGES } from '../../config/constant/quote/quote.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+
+// Admin-only fields left out of the customer's view
+const HIDDEN_FIELDS = '-internalNotes -quotedBy -statusChangedBy';
+
+/**
+ * @desc    List the signed-in customer's quote requests, newest first
+ * @route   GET /api/v1/customer/quotes
+ * @access  Private (Customer)
+ */
+export const getMyQuotes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const query = { customer: req.customer._id };
+
+  const [quotes, total] = await Promise.all([
+    QuoteRequest.find(query)
+      .select(HIDDEN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    QuoteRequest.countDocuments(query),
+  ]);
+
+  return successResponse(res, QUOTE_MESSAGES.QUOTES_FETCHED, {
+    quotes,
+    pagination: {
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      limit: limitNum,
+    },
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Get one of the signed-in customer's quote requests
+ * @route   GET /api/v1/customer/quotes/:id
+ * @access  Private (Customer)
+ */
+export const getMyQuoteById = asyncHandler(async (req, res) => {
+  const quote = mongoose.isValidObjectId(req.params.id)
+    ? await QuoteRequest.findOne({ _id: req.params.id, customer: req.customer._id }).select(HIDDEN_FIELDS)
+    : null;
+  if (!quote) {
+    return errorResponse(res, QUOTE_MESSAGES.QUOTE_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  return successResponse(res, QUOTE_MESSAGES.QUOTE_FETCHED, quote, STATUS.OK);
+});
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import cloudinary from '../../config/cloudinary.js';
+import Order from '../../models/order/order.js';
+import ReturnRequest from '../../models/returnRequest/returnRequest.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import { ORDER_STATUSES } from '../../config/constant/order/order.js';
+import { RETURN_STATUSES, RETURN_MESSAGES } from '../../config/constant/return/return.js';
+import {
+  buildReturnLines,
+  createReturnRequest,
+  isWithinReturnWindow,
+  notifyReturnStatus,
+} from '../../utils/return/return.js';
+import { requestReturnValidation } from '../../validation/customer/returnValidation/returnValidation.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+
+// Admin-only fields left out of the customer's view
+const HIDDEN_FIELDS = '-internalNotes -statusChangedBy';
+
+/**
+ * Remove uploaded photos from Cloudinary when the request they came with is
+ * refused. A failed delete is logged; it leaves an orphan, nothing worse.
+ * @param {Object[]} [files=[]] - Multer files from the Cloudinary storage
+ * @returns {Promise<void>}
+ */
+const discardPhotos = async (files = []) => {
+  await Promise.all(files.map(async (file) => {
+    try {
+      await cloudinary.uploader.destroy(file.filename);
+    } catch (error) {
+      console.error('Return photo cleanup error:', error);
+    }
+  }));
+};
+
+/**
+ * @desc    Ask to return lines of a delivered order, for a refund or an
+ *          exchange, with up to five photos of the goods ('photos' field).
+ *          Sent as multipart form data, with `lines` as a JSON string.
+ * @route   POST /api/v1/customer/returns
+ * @access  Private (Customer)
+ */
+export const requestReturn = asyncHandler(async (req, res) => {
+  const refuse = async (message, status, data) => {
+    await discardPhotos(req.files);
+    return data === undefined
+      ? errorResponse(res, message, status)
+      : res.status(status).json({ success: false, message, statusCode: status, data });
+  };
+
+  let lines = req.body.lines;
+  if (typeof lines === 'string') {
+    try {
+      lines = JSON.parse(lines);
+    } catch {
+      return refuse(RETURN_MESSAGES.INVALID_LINES, STATUS.BAD_REQUEST);
+    }
+  }
+
+  const { error, value } = requestReturnValidation.validate({ ...req.body, lines }, { abortEarly: false });
+  if (error) {
+    await discardPhotos(req.files);
+    return res.status(STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: error.details.map((detail) => ({
+        field: detail.context.key,
+        message: detail.message,
+      })),
+    });
+  }
+
+  const order = await Order.findOne({ _id: value.orderId, customer: req.customer._id });
+  if (!order) {
+    return refuse(RETURN_MESSAGES.ORDER_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+  if (order.status !== ORDER_STATUSES.DELIVERED) {
+    return refuse(RETURN_MESSAGES.ORDER_NOT_RETURNABLE, STATUS.BAD_REQUEST);
+  }
+  if (!isWithinReturnWindow(order)) {
+    return refuse(RETURN_MESSAGES.RETURN_WINDOW_CLOSED, STATUS.BAD_REQUEST);
+  }
+
+  const { lines: returnLines, error: lineError } = await buildReturnLines(order, value.lines);
+  if (lineError) {
+    return refuse(lineError.message, STATUS.UNPROCESSABLE_ENTITY, lineError.data);
+  }
+
+  let created;
+  try {
+    created = await createReturnRequest(order, {
+      order: order._id,
+      orderNumber: order.number,
+      customer: req.customer._id,
+      contact: { name: order.contact.name, email: order.contact.email },
+      lines: returnLines,
+      reason: value.reason,
+      details: value.details || '',
+      photos: (req.files || []).map((file) => ({ url: file.path, publicId: file.filename })),
+    });
+  } catch (createError) {
+    await discardPhotos(req.files);
+    throw createError;
+  }
+  // Another request took the units between the check above and this one
+  if (created.error) {
+    const { index } = created.error.data;
+    return refuse(created.error.message, STATUS.CONFLICT, { index, item: value.lines[index] });
+  }
+
+  const { returnRequest } = created;
+  await notifyReturnStatus(returnRequest);
+
+  const { internalNotes, statusChangedBy, ...data } = returnRequest.toObject();
+  return successResponse(res, RETURN_MESSAGES.RETURN_REQUESTED, data, STATUS.CREATED);
+});
+
+/**
+ * @desc    List the signed-in customer's return requests, newest first (?status=&page=&limit=)
+ * @route   GET /api/v1/customer/returns
+ * @access  Private (Customer)
+ */
+export const getMyReturns = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const query = { customer: req.customer._id };
+  if (status && Object.values(RETURN_STATUSES).includes(status)) query.status = status;
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [returns, total] = await Promise.all([
+    ReturnRequest.find(query)
+      .select(HIDDEN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    ReturnRequest.countDocuments(query),
+  ]);
+
+  return successResponse(res, RETURN_MESSAGES.RETURNS_FETCHED, {
+    returns,
+    pagination: {
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      limit: limitNum,
+    },
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Get one of the signed-in customer's return requests
+ * @route   GET /api/v1/customer/returns/:id
+ * @access  Private (Customer)
+ */
+export const getMyReturnById = asyncHandler(async (req, res) => {
+  const returnRequest = mongoose.isValidObjectId(req.params.id)
+    ? await ReturnRequest.findOne({ _id: req.params.id, customer: req.customer._id })
+      .select(HIDDEN_FIELDS)
+      .populate('replacementOrder', 'number status')
+      .lean()
+    : null;
+  if (!returnRequest) {
+    return errorResponse(res, RETURN_MESSAGES.RETURN_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  return successResponse(res, RETURN_MESSAGES.RETURN_FETCHED, returnRequest, STATUS.OK);
+});
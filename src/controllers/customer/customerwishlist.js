@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import Product from '../../models/product/product.js';
+import WishlistItem from '../../models/wishlistItem/wishlistItem.js';
+import { STATUS } from '../../config/constant/status/status.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { MAX_WISHLIST_ITEMS, WISHLIST_MESSAGES } from '../../config/constant/wishlist/wishlist.js';
+import { DEVICE_TOKEN_HEADER } from '../../config/constant/customer/customer.js';
+import { readDeviceToken, generateDeviceToken, ownerFilter } from '../../utils/deviceToken/deviceToken.js';
+import {
+  guestWishlistExpiry,
+  mergeGuestWishlist,
+  describeWishlistItems,
+} from '../../utils/wishlist/wishlist.js';
+import { resolveCustomerGroup } from '../../utils/pricing/pricing.js';
+import { successResponse, errorResponse } from '../../utils/responseHandler/responseHandler.js';
+
+/**
+ * @desc    List the wishlist of the signed-in customer or guest device, with current prices and stock
+ * @route   GET /api/v1/customer/wishlist
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const getWishlist = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  const items = owner ? await WishlistItem.find(owner).sort({ createdAt: -1 }).lean() : [];
+
+  return successResponse(res, WISHLIST_MESSAGES.WISHLIST_FETCHED, {
+    items: await describeWishlistItems(items, resolveCustomerGroup(req)),
+    count: items.length,
+  }, STATUS.OK);
+});
+
+/**
+ * @desc    Save a product, optionally in a color and size. Guests without a
+ *          device token are issued one, returned in the body and X-Device-Token header.
+ * @route   POST /api/v1/customer/wishlist
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const addToWishlist = asyncHandler(async (req, res) => {
+  const { productId } = req.body;
+  const color = req.body.color || null;
+  const size = req.body.size?.trim() || null;
+
+  const product = await Product.findOne({
+    _id: productId,
+    isVisible: true,
+    status: PRODUCT_STATUS.PUBLISHED,
+  })
+    .select('variants.color variants.sizes.size')
+    .lean();
+  if (!product) {
+    return errorResponse(res, WISHLIST_MESSAGES.PRODUCT_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  const variants = color
+    ? product.variants.filter((variant) => String(variant.color) === String(color))
+    : product.variants;
+  if (variants.length === 0) {
+    return errorResponse(res, WISHLIST_MESSAGES.COLOR_NOT_OFFERED, STATUS.BAD_REQUEST);
+  }
+  if (size && !variants.some((variant) => (variant.sizes || []).some((s) => s.size === size))) {
+    return errorResponse(res, WISHLIST_MESSAGES.SIZE_NOT_OFFERED, STATUS.BAD_REQUEST);
+  }
+
+  const deviceToken = req.customer ? null : readDeviceToken(req) || generateDeviceToken();
+  const owner = ownerFilter(req, deviceToken);
+  if (deviceToken) res.set(DEVICE_TOKEN_HEADER, deviceToken);
+
+  // Any change keeps the whole guest wishlist alive for another TTL
+  if (deviceToken) {
+    await WishlistItem.updateMany(owner, { $set: { expiresAt: guestWishlistExpiry() } });
+  }
+
+  const key = { ...owner, product: product._id, color, size };
+  let item = await WishlistItem.findOne(key).lean();
+  if (item) {
+    const [described] = await describeWishlistItems([item], resolveCustomerGroup(req));
+    return successResponse(res, WISHLIST_MESSAGES.ITEM_ALREADY_SAVED, { item: described, deviceToken }, STATUS.OK);
+  }
+
+  if ((await WishlistItem.countDocuments(owner)) >= MAX_WISHLIST_ITEMS) {
+    return errorResponse(res, WISHLIST_MESSAGES.WISHLIST_FULL, STATUS.BAD_REQUEST);
+  }
+
+  try {
+    item = (await WishlistItem.create({ ...key, expiresAt: deviceToken ? guestWishlistExpiry() : null })).toObject();
+  } catch (error) {
+    // Saved by a simultaneous request
+    if (error.code !== 11000) throw error;
+    item = await WishlistItem.findOne(key).lean();
+  }
+
+  const [described] = await describeWishlistItems([item], resolveCustomerGroup(req));
+  return successResponse(res, WISHLIST_MESSAGES.ITEM_ADDED, { item: described, deviceToken }, STATUS.CREATED);
+});
+
+/**
+ * @desc    Remove an item from the wishlist
+ * @route   DELETE /api/v1/customer/wishlist/:itemId
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const removeFromWishlist = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  if (!owner || !mongoose.isValidObjectId(req.params.itemId)) {
+    return errorResponse(res, WISHLIST_MESSAGES.ITEM_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  const { deletedCount } = await WishlistItem.deleteOne({ _id: req.params.itemId, ...owner });
+  if (deletedCount === 0) {
+    return errorResponse(res, WISHLIST_MESSAGES.ITEM_NOT_FOUND, STATUS.NOT_FOUND);
+  }
+
+  return successResponse(res, WISHLIST_MESSAGES.ITEM_REMOVED, { id: req.params.itemId }, STATUS.OK);
+});
+
+/**
+ * @desc    Remove every item from the wishlist
+ * @route   DELETE /api/v1/customer/wishlist
+ * @access  Public (customer token or X-Device-Token header)
+ */
+export const clearWishlist = asyncHandler(async (req, res) => {
+  const owner = ownerFilter(req);
+  const { deletedCount } = owner ? await WishlistItem.deleteMany(owner) : { deletedCount: 0 };
+
+  return successResponse(res, WISHLIST_MESSAGES.WISHLIST_CLEARED, { removed: deletedCount }, STATUS.OK);
+});
+
+/**
+ * @desc    Merge a guest device's wishlist into the signed-in customer's
+ *          (done automatically at login when the X-Device-Token header is sent)
+ * @route   POST /api/v1/customer/wishlist/merge
+ * @access  Private (Customer)
+ */
+export const mergeWishlist = asyncHandler(async (req, res) => {
+  const merged = await mergeGuestWishlist(req.body.deviceToken, req.customer._id);
+
+  return successResponse(res, WISHLIST_MESSAGES.WISHLIST_MERGED, { merged }, STATUS.OK);
+});
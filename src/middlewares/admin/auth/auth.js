@@ -1,14 +1,19 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../../../models/admin/admin.js';
+import Session from '../../../models/session/session.js';
+import Setting from '../../../models/setting/setting.js';
+import { SETTING_KEYS } from '../../../config/constant/settings/settings.js';
+import { CUSTOMER_TOKEN_AUDIENCE } from '../../../config/constant/customer/customer.js';
 
 /**
- * Middleware to authenticate admin users using JWT
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- * @returns {void}
+ * Build middleware that authenticates admin users using a short-lived JWT access token
+ * bound to a server-side session
+ * @param {Object} [options]
+ * @param {boolean} [options.allowTwoFactorSetup=false] - Let admins without 2FA through
+ *   even when 2FA is required, so they can enroll
+ * @returns {Function} Express middleware (req, res, next)
  */
-const auth = async (req, res, next) => {
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     // Extract token from Authorization header
     let token;
@@ -27,6 +32,14 @@ const auth = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Customer tokens may share the secret but never grant admin access
+    if (decoded.aud === CUSTOMER_TOKEN_AUDIENCE) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid',
+      });
+    }
+
     // Fetch admin from database, excluding password
     const admin = await Admin.findById(decoded.id).select('-password');
 
@@ -46,8 +59,38 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Attach admin to request object
+    // Reject tokens issued before the last password change
+    if (admin.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please log in again.',
+      });
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+    if (!session || !session.isValid() || !session.admin.equals(admin._id)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+      });
+    }
+
+    // Admins without 2FA may only reach the enrollment routes while 2FA is required
+    if (!admin.twoFactorEnabled && !allowTwoFactorSetup) {
+      const twoFactorRequired = await Setting.getValue(SETTING_KEYS.REQUIRE_2FA, false);
+      if (twoFactorRequired) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be set up before continuing.',
+          twoFactorSetupRequired: true,
+        });
+      }
+    }
+
+    // Attach admin and current session to request object
     req.admin = admin;
+    req.adminSession = session;
 
     // Proceed to next middleware
     next();
@@ -63,4 +106,14 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate an admin and enforce the 2FA policy
+ */
+const auth = authenticate();
+
+/**
+ * Authenticate an admin without enforcing the 2FA policy (2FA enrollment routes only)
+ */
+export const authAllowingTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
 export default auth;
\ No newline at end of file
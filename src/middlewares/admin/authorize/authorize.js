@@ -0,0 +1,35 @@
+import { STATUS } from '../../../config/constant/status/status.js';
+import { MESSAGES } from '../../../config/constant/admin/adminMessage.js';
+
+/**
+ * Middleware factory to restrict a route to admins whose role grants
+ * every one of the given permissions. Must run after the auth middleware.
+ * @param {...string} permissions - Required permission keys (see PERMISSIONS)
+ * @returns {Function} Express middleware
+ */
+const authorize = (...permissions) => {
+  return (req, res, next) => {
+    // auth middleware should have attached the admin already
+    if (!req.admin) {
+      return res.status(STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: 'Access denied. No token provided.',
+      });
+    }
+
+    const missing = permissions.filter((permission) => !req.admin.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return res.status(STATUS.FORBIDDEN).json({
+        success: false,
+        statusCode: STATUS.FORBIDDEN,
+        message: MESSAGES.FORBIDDEN,
+        requiredPermissions: missing,
+      });
+    }
+
+    next();
+  };
+};
+
+export default authorize;
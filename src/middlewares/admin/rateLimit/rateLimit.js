@@ -0,0 +1,254 @@
+import {
+  loginIpLimiter,
+  loginAccountLimiter,
+  forgotPasswordIpLimiter,
+  forgotPasswordAccountLimiter,
+  couponValidateIpLimiter,
+  customerLoginIpLimiter,
+  customerLoginAccountLimiter,
+  customerEmailIpLimiter,
+  customerEmailAccountLimiter,
+  customerOtpIpLimiter,
+  inquiryIpLimiter,
+  quoteRequestIpLimiter,
+} from '../../../config/rateLimit/rateLimit.js';
+import { STATUS } from '../../../config/constant/status/status.js';
+import { MESSAGES } from '../../../config/constant/admin/adminMessage.js';
+
+/**
+ * Send a 429 response with a Retry-After header
+ * @param {Object} res - Express response object
+ * @param {number} retryAfterMs - Milliseconds until the client may retry
+ * @returns {Object} Express response
+ */
+const tooManyRequests = (res, retryAfterMs) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(STATUS.TOO_MANY_REQUESTS).json({
+    success: false,
+    message: MESSAGES.TOO_MANY_ATTEMPTS,
+    retryAfter,
+  });
+};
+
+/**
+ * Normalize the submitted email so limiter keys don't depend on letter case
+ * @param {Object} req - Express request object
+ * @returns {string} Lowercased, trimmed email
+ */
+const emailKey = (req) => String(req.body?.email || '').trim().toLowerCase();
+
+/**
+ * Normalize the email or mobile number a customer logs in with
+ * @param {Object} req - Express request object
+ * @returns {string} Lowercased, trimmed identifier
+ */
+export const customerLoginKey = (req) =>
+  String(req.body?.email || req.body?.mobileNumber || '').trim().toLowerCase();
+
+/**
+ * Middleware refusing login attempts from a blocked IP or for a blocked email.
+ * Failures are counted by the login controller.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const loginRateLimit = async (req, res, next) => {
+  try {
+    const [byIp, byAccount] = await Promise.all([
+      loginIpLimiter.check(req.ip),
+      loginAccountLimiter.check(emailKey(req)),
+    ]);
+
+    if (!byIp.allowed || !byAccount.allowed) {
+      return tooManyRequests(res, Math.max(byIp.retryAfterMs, byAccount.retryAfterMs));
+    }
+    next();
+  } catch (error) {
+    // A limiter outage shouldn't lock every admin out
+    console.error('Login rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware refusing 2FA login attempts from a blocked IP
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const loginTwoFactorRateLimit = async (req, res, next) => {
+  try {
+    const byIp = await loginIpLimiter.check(req.ip);
+    if (!byIp.allowed) {
+      return tooManyRequests(res, byIp.retryAfterMs);
+    }
+    next();
+  } catch (error) {
+    console.error('Two-factor rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware counting every forgot-password request per IP and per email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const forgotPasswordRateLimit = async (req, res, next) => {
+  try {
+    const email = emailKey(req);
+    const [ipBlock, accountBlock] = await Promise.all([
+      forgotPasswordIpLimiter.check(req.ip),
+      forgotPasswordAccountLimiter.check(email),
+    ]);
+    if (!ipBlock.allowed || !accountBlock.allowed) {
+      return tooManyRequests(res, Math.max(ipBlock.retryAfterMs, accountBlock.retryAfterMs));
+    }
+
+    const [byIp, byAccount] = await Promise.all([
+      forgotPasswordIpLimiter.hit(req.ip),
+      forgotPasswordAccountLimiter.hit(email),
+    ]);
+    if (!byIp.allowed || !byAccount.allowed) {
+      return tooManyRequests(res, Math.max(byIp.retryAfterMs, byAccount.retryAfterMs));
+    }
+    next();
+  } catch (error) {
+    console.error('Forgot password rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware counting every public coupon check per IP
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const couponValidateRateLimit = async (req, res, next) => {
+  try {
+    const byIp = await couponValidateIpLimiter.hit(req.ip);
+    if (!byIp.allowed) {
+      return tooManyRequests(res, byIp.retryAfterMs);
+    }
+    next();
+  } catch (error) {
+    console.error('Coupon rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware refusing customer logins from a blocked IP or for a blocked account.
+ * Failures are counted by the customer login controller.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const customerLoginRateLimit = async (req, res, next) => {
+  try {
+    const [byIp, byAccount] = await Promise.all([
+      customerLoginIpLimiter.check(req.ip),
+      customerLoginAccountLimiter.check(customerLoginKey(req)),
+    ]);
+
+    if (!byIp.allowed || !byAccount.allowed) {
+      return tooManyRequests(res, Math.max(byIp.retryAfterMs, byAccount.retryAfterMs));
+    }
+    next();
+  } catch (error) {
+    console.error('Customer login rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware counting every customer email request (password reset or a new
+ * verification code) per IP and per email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const customerEmailRateLimit = async (req, res, next) => {
+  try {
+    const email = emailKey(req);
+    const [ipBlock, accountBlock] = await Promise.all([
+      customerEmailIpLimiter.check(req.ip),
+      customerEmailAccountLimiter.check(email),
+    ]);
+    if (!ipBlock.allowed || !accountBlock.allowed) {
+      return tooManyRequests(res, Math.max(ipBlock.retryAfterMs, accountBlock.retryAfterMs));
+    }
+
+    const [byIp, byAccount] = await Promise.all([
+      customerEmailIpLimiter.hit(req.ip),
+      customerEmailAccountLimiter.hit(email),
+    ]);
+    if (!byIp.allowed || !byAccount.allowed) {
+      return tooManyRequests(res, Math.max(byIp.retryAfterMs, byAccount.retryAfterMs));
+    }
+    next();
+  } catch (error) {
+    console.error('Customer email rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware counting every verification code attempt per IP
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const customerOtpRateLimit = async (req, res, next) => {
+  try {
+    const byIp = await customerOtpIpLimiter.hit(req.ip);
+    if (!byIp.allowed) {
+      return tooManyRequests(res, byIp.retryAfterMs);
+    }
+    next();
+  } catch (error) {
+    console.error('Customer OTP rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware counting every WhatsApp inquiry per IP
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const inquiryRateLimit = async (req, res, next) => {
+  try {
+    const byIp = await inquiryIpLimiter.hit(req.ip);
+    if (!byIp.allowed) {
+      return tooManyRequests(res, byIp.retryAfterMs);
+    }
+    next();
+  } catch (error) {
+    console.error('Inquiry rate limit error:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware counting every quote request submission per IP
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const quoteRequestRateLimit = async (req, res, next) => {
+  try {
+    const byIp = await quoteRequestIpLimiter.hit(req.ip);
+    if (!byIp.allowed) {
+      return tooManyRequests(res, byIp.retryAfterMs);
+    }
+    next();
+  } catch (error) {
+    console.error('Quote request rate limit error:', error);
+    next();
+  }
+};
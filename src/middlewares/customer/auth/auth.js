@@ -0,0 +1,111 @@
+import Customer from '../../../models/customer/customer.js';
+import CustomerSession from '../../../models/customerSession/customerSession.js';
+import { verifyCustomerToken } from '../../../utils/customerToken/customerToken.js';
+
+/**
+ * Read the Bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Token, if one was sent
+ */
+const bearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return undefined;
+};
+
+/**
+ * Resolve a customer access token to its customer and session
+ * @param {string} token - JWT access token
+ * @returns {Promise<{customer?: Object, session?: Object, error?: string}>} Customer and
+ *   session, or the reason the token was refused
+ */
+const resolveCustomer = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyCustomerToken(token);
+  } catch (error) {
+    return { error: 'Token is not valid' };
+  }
+
+  const customer = await Customer.findById(decoded.id);
+  if (!customer) return { error: 'Token is not valid' };
+  if (!customer.isActive) return { error: 'Account is deactivated' };
+
+  // Reject tokens issued before the last password change
+  if (customer.changedPasswordAfter(decoded.iat)) {
+    return { error: 'Password was changed. Please log in again.' };
+  }
+
+  // Reject tokens whose session was logged out or revoked
+  const session = decoded.sid && (await CustomerSession.findById(decoded.sid));
+  if (!session || !session.isValid() || !session.customer.equals(customer._id)) {
+    return { error: 'Session has been revoked. Please log in again.' };
+  }
+
+  return { customer, session };
+};
+
+/**
+ * Middleware that authenticates customers using a short-lived JWT access token
+ * bound to a server-side session. Admin tokens are refused.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const customerAuth = async (req, res, next) => {
+  try {
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.',
+      });
+    }
+
+    const { customer, session, error } = await resolveCustomer(token);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Attach customer and current session to request object
+    req.customer = customer;
+    req.customerSession = session;
+    next();
+  } catch (error) {
+    console.error('Customer auth middleware error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Token is not valid',
+    });
+  }
+};
+
+/**
+ * Middleware attaching the signed-in customer when a valid token is sent, so
+ * public routes can show the customer's prices. Missing or bad tokens fall
+ * back to an anonymous request instead of failing.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const optionalCustomerAuth = async (req, res, next) => {
+  try {
+    const token = bearerToken(req);
+    if (token) {
+      const { customer, session } = await resolveCustomer(token);
+      if (customer) {
+        req.customer = customer;
+        req.customerSession = session;
+      }
+    }
+  } catch (error) {
+    console.error('Optional customer auth error:', error);
+  }
+  next();
+};
+
+export default customerAuth;
@@ -5,6 +5,7 @@ import { CloudinaryStorage } from 'multer-storage-cloudinary';
 // import { v2 as cloudinary } from 'cloudinary';
 
 import cloudinary from '../config/cloudinary.js'; // Adjust path as needed
+import { MAX_RETURN_PHOTOS } from '../config/constant/return/return.js';
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -61,6 +62,20 @@ const profileStorage = new CloudinaryStorage({
   },
 });
 
+// Cloudinary storage configuration for photos of returned goods
+const returnStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'misha_brand/returns',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [{ width: 1600, height: 1600, crop: 'limit', quality: 'auto' }],
+    public_id: (req, file) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+      return `return_${uniqueSuffix}-${file.originalname.split('.')[0]}`;
+    },
+  },
+});
+
 // File filter to allow only images
 const fileFilter = (req, file, cb) => {
   const allowedTypes = /jpeg|jpg|png|gif|webp|svg/;
@@ -73,6 +88,15 @@ const fileFilter = (req, file, cb) => {
   cb(new Error('Only images (jpg, jpeg, png, gif, webp, svg) are allowed'));
 };
 
+// File filter to allow only spreadsheets for bulk import
+const importFileFilter = (req, file, cb) => {
+  const extname = /\.(csv|xlsx)$/i.test(path.extname(file.originalname));
+  if (extname) {
+    return cb(null, true);
+  }
+  cb(new Error('Only CSV or XLSX files are allowed'));
+};
+
 // Multer instances
 const categoryUpload = multer({
   storage: categoryStorage,
@@ -93,6 +117,12 @@ const profileUpload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
 });
 
+const returnUpload = multer({
+  storage: returnStorage,
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024, files: MAX_RETURN_PHOTOS },
+});
+
 // Helper function to create dynamic upload fields
 const createUploadFields = (variantCount = 5, maxCount = 10) => {
   const fields = [];
@@ -139,6 +169,16 @@ export const uploadProductImagesEnv = createProductImageUpload({
   fieldPrefix: 'variants'
 });
 
+// Bulk import spreadsheet, kept in memory and parsed (never stored)
+export const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: importFileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 },
+}).single('file');
+
+// Photos of returned goods ('photos' field)
+export const uploadReturnPhotos = returnUpload.array('photos', MAX_RETURN_PHOTOS);
+
 // Middleware for single profile image upload
 export const uploadProfileImage = categoryUpload.single('image');
 
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { ROLES, ROLE_PERMISSIONS } from '../../config/constant/permissions/permissions.js';
+import { verifyTOTP } from '../../utils/totp/totp.js';
+import { ACCOUNT_LOCKOUT } from '../../config/rateLimit/rateLimit.js';
 
 /**
  * Mongoose schema for Admin model
@@ -53,8 +56,8 @@ const adminSchema = new mongoose.Schema(
      */
     role: {
       type: String,
-      enum: ['admin', 'super-admin'],
-      default: 'admin',
+      enum: Object.values(ROLES),
+      default: ROLES.ADMIN,
     },
 
     /**
@@ -71,6 +74,28 @@ const adminSchema = new mongoose.Schema(
       type: Date,
     },
 
+    /**
+     * Last time the password was changed; tokens issued before it are rejected
+     */
+    passwordChangedAt: {
+      type: Date,
+    },
+
+    /**
+     * Consecutive failed logins since the last success or lockout
+     */
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Logins are refused until this date after too many failures
+     */
+    lockUntil: {
+      type: Date,
+    },
+
     /**
      * Indicates if the admin account is active
      */
@@ -79,6 +104,46 @@ const adminSchema = new mongoose.Schema(
       default: true,
     },
 
+    /**
+     * Indicates if TOTP two-factor authentication is enabled
+     */
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Base32 TOTP secret in use once 2FA is enabled (not selected by default)
+     */
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+
+    /**
+     * Base32 TOTP secret awaiting confirmation during enrollment
+     */
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+
+    /**
+     * SHA-256 hashes of unused one-time recovery codes
+     */
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+
+    /**
+     * Last accepted TOTP time step, so a code can't be replayed
+     */
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+
     mobileNumber: {
       type: String,
       unique: true,
@@ -105,6 +170,11 @@ adminSchema.pre('save', async function (next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Back-date by a second so a token issued right after the change stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = Date.now() - 1000;
+    }
     next();
   } catch (error) {
     next(error);
@@ -137,6 +207,105 @@ adminSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+/**
+ * Method to check whether the password changed after a token was issued
+ * @param {number} tokenIssuedAt - JWT `iat` claim (seconds since epoch)
+ * @returns {boolean} True if the token predates the last password change
+ */
+adminSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+/**
+ * Method to check whether the account is temporarily locked
+ * @returns {boolean} True if logins are currently refused
+ */
+adminSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * Method to count a failed login and lock the account once the limit is reached.
+ * The caller saves.
+ * @returns {boolean} True if this failure locked the account
+ */
+adminSchema.methods.registerFailedLogin = function () {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS) {
+    this.lockUntil = new Date(Date.now() + ACCOUNT_LOCKOUT.LOCK_DURATION_MS);
+    this.failedLoginAttempts = 0;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Method to clear failed login tracking after a successful login. The caller saves.
+ */
+adminSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+/**
+ * Method to verify a TOTP code against the active 2FA secret.
+ * Requires twoFactorSecret and twoFactorLastStep to be selected; the caller saves.
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {boolean} True if the code is valid and has not been used before
+ */
+adminSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = verifyTOTP(this.twoFactorSecret, code, { afterStep: this.twoFactorLastStep ?? -1 });
+  if (step === null) return false;
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+/**
+ * Method to generate a fresh set of recovery codes, replacing any existing ones
+ * @param {number} [count=10] - Number of codes to generate
+ * @returns {string[]} Recovery codes (unhashed, shown to the admin once)
+ */
+adminSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map((code) =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+/**
+ * Method to consume a recovery code. Requires twoFactorRecoveryCodes to be selected; the caller saves.
+ * @param {string} code - Recovery code entered by the admin
+ * @returns {boolean} True if the code was valid and has now been used up
+ */
+adminSchema.methods.useRecoveryCode = function (code) {
+  const hashed = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Method to check whether the admin's role grants a permission
+ * @param {string} permission - Permission key (e.g. 'catalog:write')
+ * @returns {boolean} True if the role grants the permission
+ */
+adminSchema.methods.hasPermission = function (permission) {
+  return (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+};
+
 /**
  * Mongoose model for Admin
  * @type {mongoose.Model}
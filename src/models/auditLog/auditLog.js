@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../config/constant/audit/audit.js';
+
+/**
+ * Mongoose schema for AuditLog model (who changed what, and when)
+ * @typedef {Object} AuditLogSchema
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    /**
+     * Admin who performed the action (null for anonymous actions)
+     */
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+
+    /**
+     * Actor's email at the time, kept in case the admin is deleted later
+     */
+    actorEmail: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Action performed
+     */
+    action: {
+      type: String,
+      enum: Object.values(AUDIT_ACTIONS),
+      required: true,
+    },
+
+    /**
+     * Type of the affected resource
+     */
+    resourceType: {
+      type: String,
+      enum: Object.values(AUDIT_RESOURCES),
+      required: true,
+    },
+
+    /**
+     * ID of the affected resource
+     */
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    /**
+     * Field-level differences between the before and after states
+     */
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+
+    /**
+     * Extra context (e.g. { event: 'password-reset' })
+     */
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    /**
+     * Client IP address
+     */
+    ip: {
+      type: String,
+      default: '',
+    },
+
+    /**
+     * Client user agent
+     */
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Entries are never edited
+  }
+);
+
+// Indexes for the audit log filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for AuditLog
+ * @type {mongoose.Model}
+ */
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from '../../utils/softDelete/softDelete.js';
 
 /**
  * Mongoose schema for Brand model
@@ -59,6 +60,11 @@ BrandSchema.pre('save', function (next) {
 BrandSchema.index({ slug: 1 }, { unique: true }); // Ensure unique slugs
 BrandSchema.index({ name: 'text' }); // Enable text search on name
 
+/**
+ * Trash support: deleted brands are hidden from queries by default
+ */
+BrandSchema.plugin(softDeletePlugin);
+
 /**
  * Mongoose model for Brand
  * @type {mongoose.Model}
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from '../../utils/softDelete/softDelete.js';
+import { GST_RATES, HSN_CODE_REGEX } from '../../config/constant/gst/gst.js';
 
 const CategorySchema = new mongoose.Schema(
   {
@@ -59,6 +61,31 @@ const CategorySchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Product count cannot be negative'],
     },
+    lowStockThreshold: {
+      type: Number,
+      default: null,
+      min: [0, 'Low stock threshold cannot be negative'],
+    },
+    /**
+     * HSN code printed on GST invoices for the category's products
+     */
+    hsnCode: {
+      type: String,
+      trim: true,
+      default: null,
+      match: [HSN_CODE_REGEX, 'HSN code must be 4, 6 or 8 digits'],
+    },
+    /**
+     * GST rate in percent for the category's products
+     */
+    gstRate: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: (rate) => rate === null || GST_RATES.includes(rate),
+        message: `GST rate must be one of: ${GST_RATES.join(', ')}`,
+      },
+    },
   },
   {
     timestamps: true,
@@ -79,6 +106,9 @@ CategorySchema.index({ slug: 1 }, { unique: true });
 CategorySchema.index({ name: 'text' });
 CategorySchema.index({ isActive: 1 });
 
+// Trash support: deleted categories are hidden from queries by default
+CategorySchema.plugin(softDeletePlugin);
+
 const Category = mongoose.model('Category', CategorySchema);
 
 export default Category;
\ No newline at end of file
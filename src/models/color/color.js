@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from '../../utils/softDelete/softDelete.js';
 
 /**
  * Mongoose schema for Color model
@@ -69,6 +70,11 @@ ColorSchema.index({ slug: 1 }, { unique: true }); // Ensure unique slugs
 ColorSchema.index({ name: 'text' }); // Enable text search on name
 ColorSchema.index({ 'product_counts_by_category.category': 1 }); // Optimize queries by category
 
+/**
+ * Trash support: deleted colors are hidden from queries by default
+ */
+ColorSchema.plugin(softDeletePlugin);
+
 /**
  * Mongoose model for Color
  * @type {mongoose.Model}
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for Counter model: named sequences that only move forward,
+ * e.g. invoice numbers within a financial year
+ * @typedef {Object} CounterSchema
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    /**
+     * Sequence name, e.g. 'invoice:26-27'
+     */
+    _id: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Last value handed out
+     */
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+/**
+ * Take the next value of a sequence, creating it at 1. Run inside the
+ * transaction that uses the value so an aborted write gives it back.
+ * @param {string} name - Sequence name
+ * @param {mongoose.ClientSession} [session] - Transaction session
+ * @returns {Promise<number>} Next value
+ */
+counterSchema.statics.next = async function (name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+/**
+ * Mongoose model for Counter
+ * @type {mongoose.Model}
+ */
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import { COUPON_TYPES, COUPON_CODE_REGEX, COUPON_MESSAGES } from '../../config/constant/coupon/coupon.js';
+
+/**
+ * Mongoose schema for Coupon model: a code customers quote to get a discount
+ * on the eligible items of their cart. With no products, categories or brands
+ * in scope the coupon applies to the whole cart.
+ * @typedef {Object} CouponSchema
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    /**
+     * Code quoted by the customer (stored uppercase, unique)
+     */
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      trim: true,
+      uppercase: true,
+      unique: true,
+      match: [COUPON_CODE_REGEX, COUPON_MESSAGES.INVALID_CODE],
+    },
+
+    /**
+     * Optional notes
+     */
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    /**
+     * Percent or fixed amount off
+     */
+    type: {
+      type: String,
+      enum: Object.values(COUPON_TYPES),
+      required: [true, 'Coupon type is required'],
+    },
+
+    /**
+     * Percentage (0-100] or amount, depending on type
+     */
+    value: {
+      type: Number,
+      required: [true, 'Coupon value is required'],
+      min: [0.01, 'Coupon value must be greater than zero'],
+      validate: {
+        validator: function (v) {
+          return this.type !== COUPON_TYPES.PERCENT || v <= 100;
+        },
+        message: COUPON_MESSAGES.PERCENTAGE_TOO_HIGH,
+      },
+    },
+
+    /**
+     * Largest discount a percent coupon may give (null = no cap)
+     */
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: [0, 'Maximum discount cannot be negative'],
+    },
+
+    /**
+     * Products in scope
+     */
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+
+    /**
+     * Categories in scope
+     */
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+
+    /**
+     * Brands in scope
+     */
+    brands: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Brand' }],
+
+    /**
+     * Smallest eligible subtotal the coupon applies to
+     */
+    minAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum amount cannot be negative'],
+    },
+
+    /**
+     * Start of the validity window
+     */
+    startsAt: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+
+    /**
+     * End of the validity window (exclusive, null = open-ended)
+     */
+    endsAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || !this.startsAt || v > this.startsAt;
+        },
+        message: COUPON_MESSAGES.INVALID_DATES,
+      },
+    },
+
+    /**
+     * Redemptions allowed in total (null = unlimited)
+     */
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'Usage limit must be at least 1'],
+    },
+
+    /**
+     * Redemptions allowed per customer (null = unlimited)
+     */
+    perCustomerLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'Per-customer limit must be at least 1'],
+    },
+
+    /**
+     * Redemptions so far
+     */
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Used count cannot be negative'],
+    },
+
+    /**
+     * Switch to disable a coupon without deleting it
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Admin who created the coupon
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Indexes for improved query performance
+ */
+couponSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+/**
+ * Mongoose model for Coupon
+ * @type {mongoose.Model}
+ */
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for CouponRedemption model: one use of a coupon, counted
+ * against its total and per-customer caps.
+ * @typedef {Object} CouponRedemptionSchema
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    /**
+     * Coupon used
+     */
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Normalised customer phone or email
+     */
+    customer: {
+      type: String,
+      required: [true, 'Customer is required'],
+      trim: true,
+      lowercase: true,
+      immutable: true,
+    },
+
+    /**
+     * Discount given
+     */
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      immutable: true,
+    },
+
+    /**
+     * Order or chat reference the coupon was used on
+     */
+    reference: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [100, 'Reference cannot exceed 100 characters'],
+      immutable: true,
+    },
+
+    /**
+     * Admin who recorded the redemption (null for system redemptions)
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Indexes for improved query performance
+ */
+couponRedemptionSchema.index({ coupon: 1, customer: 1 }); // Per-customer caps
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for CouponRedemption
+ * @type {mongoose.Model}
+ */
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
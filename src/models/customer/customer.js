@@ -0,0 +1,397 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { CUSTOMER_GROUPS, DEFAULT_CUSTOMER_GROUP } from '../../config/constant/pricing/pricing.js';
+import { CUSTOMER_OTP } from '../../config/constant/customer/customer.js';
+import { ACCOUNT_LOCKOUT } from '../../config/rateLimit/rateLimit.js';
+
+const MOBILE_REGEX = /^\+?[1-9]\d{1,14}$/;
+
+/**
+ * Hash a verification code for storage
+ * @param {string} otp - Code as emailed
+ * @returns {string} SHA-256 hex digest
+ */
+const hashOtp = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+/**
+ * Mongoose schema for a saved delivery address
+ * @typedef {Object} AddressSchema
+ */
+const addressSchema = new mongoose.Schema(
+  {
+    /**
+     * Short name shown in the address book (Home, Shop, ...)
+     */
+    label: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [30, 'Label cannot exceed 30 characters'],
+    },
+
+    /**
+     * Recipient name
+     */
+    name: {
+      type: String,
+      required: [true, 'Recipient name is required'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+
+    /**
+     * Recipient mobile number
+     */
+    mobileNumber: {
+      type: String,
+      required: [true, 'Mobile number is required'],
+      trim: true,
+      match: [MOBILE_REGEX, 'Please enter a valid mobile number (e.g., +1234567890)'],
+    },
+
+    line1: {
+      type: String,
+      required: [true, 'Address line 1 is required'],
+      trim: true,
+      maxlength: [120, 'Address line cannot exceed 120 characters'],
+    },
+
+    line2: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [120, 'Address line cannot exceed 120 characters'],
+    },
+
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true,
+      maxlength: [50, 'City cannot exceed 50 characters'],
+    },
+
+    state: {
+      type: String,
+      required: [true, 'State is required'],
+      trim: true,
+      maxlength: [50, 'State cannot exceed 50 characters'],
+    },
+
+    postalCode: {
+      type: String,
+      required: [true, 'Postal code is required'],
+      trim: true,
+      maxlength: [12, 'Postal code cannot exceed 12 characters'],
+    },
+
+    country: {
+      type: String,
+      trim: true,
+      default: 'India',
+      maxlength: [50, 'Country cannot exceed 50 characters'],
+    },
+
+    /**
+     * Address used when the customer doesn't pick one
+     */
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Mongoose schema for Customer model (storefront accounts, separate from Admin)
+ * @typedef {Object} CustomerSchema
+ */
+const customerSchema = new mongoose.Schema(
+  {
+    /**
+     * Customer's full name
+     */
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+
+    /**
+     * Customer's email address (unique and lowercase); verification codes go here
+     */
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+    },
+
+    /**
+     * Customer's mobile number, usable in place of the email to log in
+     */
+    mobileNumber: {
+      type: String,
+      unique: true,
+      sparse: true, // Allows null/undefined values while maintaining uniqueness
+      trim: true,
+      match: [MOBILE_REGEX, 'Please enter a valid mobile number (e.g., +1234567890)'],
+    },
+
+    /**
+     * Customer's hashed password (not selected by default)
+     */
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [6, 'Password must be at least 6 characters'],
+      select: false,
+    },
+
+    /**
+     * Price list the customer buys at; only admins change it
+     * (PATCH /api/v1/admin/customers/:id)
+     */
+    group: {
+      type: String,
+      enum: Object.values(CUSTOMER_GROUPS),
+      default: DEFAULT_CUSTOMER_GROUP,
+    },
+
+    /**
+     * Set once the customer proves they own the email
+     */
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Hash of the pending email verification code
+     */
+    verificationOtp: {
+      type: String,
+      select: false,
+    },
+
+    /**
+     * Expiration date of the verification code
+     */
+    verificationOtpExpire: {
+      type: Date,
+      select: false,
+    },
+
+    /**
+     * Wrong codes entered against the current verification code
+     */
+    verificationOtpAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+
+    /**
+     * Token for password reset
+     */
+    resetPasswordToken: {
+      type: String,
+    },
+
+    /**
+     * Expiration date for password reset token
+     */
+    resetPasswordExpire: {
+      type: Date,
+    },
+
+    /**
+     * Last time the password was changed; tokens issued before it are rejected
+     */
+    passwordChangedAt: {
+      type: Date,
+    },
+
+    /**
+     * Consecutive failed logins since the last success or lockout
+     */
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Logins are refused until this date after too many failures
+     */
+    lockUntil: {
+      type: Date,
+    },
+
+    /**
+     * Indicates if the customer account is active
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Saved delivery addresses
+     */
+    addresses: {
+      type: [addressSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Pre-save middleware to hash password before saving
+ * @param {Function} next - Mongoose middleware next function
+ */
+customerSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+
+    // Back-date by a second so a token issued right after the change stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = Date.now() - 1000;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Method to compare candidate password with stored hashed password
+ * @param {string} candidatePassword - Password to compare
+ * @returns {Promise<boolean>} True if passwords match, false otherwise
+ */
+customerSchema.methods.comparePassword = async function (candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+/**
+ * Method to issue a new email verification code, replacing any pending one.
+ * The caller saves.
+ * @returns {string} Code (unhashed, emailed to the customer)
+ */
+customerSchema.methods.createVerificationOtp = function () {
+  const otp = String(crypto.randomInt(0, 10 ** CUSTOMER_OTP.LENGTH)).padStart(CUSTOMER_OTP.LENGTH, '0');
+  this.verificationOtp = hashOtp(otp);
+  this.verificationOtpExpire = new Date(Date.now() + CUSTOMER_OTP.EXPIRE_MS);
+  this.verificationOtpAttempts = 0;
+  return otp;
+};
+
+/**
+ * Method to check a verification code. Wrong guesses are counted and the code
+ * stops working after CUSTOMER_OTP.MAX_ATTEMPTS of them. Requires the OTP
+ * fields to be selected; the caller saves.
+ * @param {string} otp - Code entered by the customer
+ * @returns {boolean} True if the code is valid
+ */
+customerSchema.methods.checkVerificationOtp = function (otp) {
+  if (
+    !this.verificationOtp
+    || !this.verificationOtpExpire
+    || this.verificationOtpExpire <= Date.now()
+    || this.verificationOtpAttempts >= CUSTOMER_OTP.MAX_ATTEMPTS
+  ) {
+    return false;
+  }
+
+  const candidate = Buffer.from(hashOtp(otp));
+  const stored = Buffer.from(this.verificationOtp);
+  if (candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored)) {
+    return true;
+  }
+
+  this.verificationOtpAttempts += 1;
+  return false;
+};
+
+/**
+ * Method to mark the email as verified and drop the pending code. The caller saves.
+ */
+customerSchema.methods.markVerified = function () {
+  this.isVerified = true;
+  this.verificationOtp = undefined;
+  this.verificationOtpExpire = undefined;
+  this.verificationOtpAttempts = 0;
+};
+
+/**
+ * Method to check whether the password changed after a token was issued
+ * @param {number} tokenIssuedAt - JWT `iat` claim (seconds since epoch)
+ * @returns {boolean} True if the token predates the last password change
+ */
+customerSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+/**
+ * Method to check whether the account is temporarily locked
+ * @returns {boolean} True if logins are currently refused
+ */
+customerSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * Method to count a failed login and lock the account once the limit is reached.
+ * The caller saves.
+ * @returns {boolean} True if this failure locked the account
+ */
+customerSchema.methods.registerFailedLogin = function () {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS) {
+    this.lockUntil = new Date(Date.now() + ACCOUNT_LOCKOUT.LOCK_DURATION_MS);
+    this.failedLoginAttempts = 0;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Method to clear failed login tracking after a successful login. The caller saves.
+ */
+customerSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+/**
+ * Method to make one saved address the default. The caller saves.
+ * @param {mongoose.Types.ObjectId|string} addressId - Address to promote
+ */
+customerSchema.methods.setDefaultAddress = function (addressId) {
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
+/**
+ * Mongoose model for Customer
+ * @type {mongoose.Model}
+ */
+const Customer = mongoose.model('Customer', customerSchema);
+
+export default Customer;
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * Refresh token lifetime in days (configurable via REFRESH_TOKEN_EXPIRE_DAYS).
+ * Read on use so the environment is loaded by then.
+ * @returns {number} Days
+ */
+const refreshTokenExpireDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Unhashed token secret
+ * @returns {string} SHA-256 hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Mongoose schema for CustomerSession model (one per customer device/login)
+ * @typedef {Object} CustomerSessionSchema
+ */
+const customerSessionSchema = new mongoose.Schema(
+  {
+    /**
+     * Customer who owns the session
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer is required'],
+    },
+
+    /**
+     * Hash of the current refresh token secret (rotated on every refresh)
+     */
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    /**
+     * Client user agent at login
+     */
+    userAgent: {
+      type: String,
+      default: '',
+    },
+
+    /**
+     * Client IP address at login
+     */
+    ip: {
+      type: String,
+      default: '',
+    },
+
+    /**
+     * Last time the refresh token was used
+     */
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Expiration date of the refresh token
+     */
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    /**
+     * Set when the session is logged out or revoked
+     */
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Why the session was revoked (logout, logout-all, password-change, reuse-detected, ...)
+     */
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Indexes for improved query performance
+ */
+customerSessionSchema.index({ customer: 1, revokedAt: 1 });
+customerSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop expired sessions
+
+/**
+ * Method to check whether the session can still be used
+ * @returns {boolean} True if neither revoked nor expired
+ */
+customerSessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+/**
+ * Method to rotate the refresh token secret and extend the session
+ * @returns {string} New refresh token (unhashed, `<sessionId>.<secret>`)
+ */
+customerSessionSchema.methods.rotateRefreshToken = function () {
+  const secret = crypto.randomBytes(40).toString('hex');
+  this.refreshTokenHash = hashSecret(secret);
+  this.lastUsedAt = Date.now();
+  this.expiresAt = Date.now() + refreshTokenExpireDays() * 24 * 60 * 60 * 1000;
+  return `${this._id}.${secret}`;
+};
+
+/**
+ * Method to compare a refresh token secret with the stored hash
+ * @param {string} secret - Secret part of the refresh token
+ * @returns {boolean} True if it matches
+ */
+customerSessionSchema.methods.matchesSecret = function (secret) {
+  const candidate = Buffer.from(hashSecret(secret));
+  const stored = Buffer.from(this.refreshTokenHash || '');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+/**
+ * Split a refresh token into its session id and secret
+ * @param {string} refreshToken - Token in the form `<sessionId>.<secret>`
+ * @returns {{sessionId: string, secret: string}|null} Parts, or null if malformed
+ */
+customerSessionSchema.statics.parseRefreshToken = function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Revoke every active session of a customer
+ * @param {mongoose.Types.ObjectId|string} customerId - Customer ID
+ * @param {string} reason - Revocation reason
+ * @param {mongoose.Types.ObjectId|string} [exceptSessionId] - Session to keep (e.g. the current one)
+ * @returns {Promise<Object>} Update result
+ */
+customerSessionSchema.statics.revokeAllForCustomer = function (customerId, reason, exceptSessionId = null) {
+  const filter = { customer: customerId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+/**
+ * Mongoose model for CustomerSession
+ * @type {mongoose.Model}
+ */
+const CustomerSession = mongoose.model('CustomerSession', customerSessionSchema);
+
+export default CustomerSession;
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { MAX_ENQUIRY_LINE_QUANTITY } from '../../config/constant/quote/quote.js';
+
+/**
+ * Schema for one enquiry cart line: a product in a color and size
+ * @typedef {Object} EnquiryCartLineSchema
+ */
+const enquiryCartLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+    },
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      required: [true, 'Color is required'],
+    },
+    size: {
+      type: String,
+      trim: true,
+      required: [true, 'Size is required'],
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [1, 'Quantity must be at least 1'],
+      max: [MAX_ENQUIRY_LINE_QUANTITY, `Quantity cannot exceed ${MAX_ENQUIRY_LINE_QUANTITY}`],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Mongoose schema for EnquiryCart model: the products a wholesale buyer wants
+ * a quote for, one cart per customer or guest device. Guest carts carry an
+ * expiry and are dropped by MongoDB once it passes.
+ * @typedef {Object} EnquiryCartSchema
+ */
+const enquiryCartSchema = new mongoose.Schema(
+  {
+    /**
+     * Owner when signed in
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+    },
+
+    /**
+     * Owner when browsing as a guest (device token)
+     */
+    guestToken: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Products asked about, in the order they were added
+     */
+    lines: {
+      type: [enquiryCartLineSchema],
+      default: [],
+    },
+
+    /**
+     * When a guest cart is dropped (null for customer carts)
+     */
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Exactly one owner: a customer or a guest device
+ */
+enquiryCartSchema.pre('validate', function (next) {
+  if (!this.customer === !this.guestToken) {
+    this.invalidate('customer', 'An enquiry cart belongs to either a customer or a guest device');
+  }
+  next();
+});
+
+/**
+ * Find the line for a product, color and size
+ * @param {mongoose.Types.ObjectId|string} product - Product ID
+ * @param {mongoose.Types.ObjectId|string} color - Color ID
+ * @param {string} size - Size label
+ * @returns {Object|undefined} Line subdocument
+ */
+enquiryCartSchema.methods.findLine = function (product, color, size) {
+  return this.lines.find(
+    (line) => String(line.product) === String(product) && String(line.color) === String(color) && line.size === size
+  );
+};
+
+/**
+ * Indexes for improved query performance
+ */
+enquiryCartSchema.index(
+  { customer: 1 },
+  { unique: true, partialFilterExpression: { customer: { $type: 'objectId' } } }
+);
+enquiryCartSchema.index(
+  { guestToken: 1 },
+  { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } }
+);
+enquiryCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop stale guest carts
+
+/**
+ * Mongoose model for EnquiryCart
+ * @type {mongoose.Model}
+ */
+const EnquiryCart = mongoose.model('EnquiryCart', enquiryCartSchema);
+
+export default EnquiryCart;
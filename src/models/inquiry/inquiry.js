@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import { INQUIRY_STATUSES } from '../../config/constant/inquiry/inquiry.js';
+
+/**
+ * Mongoose schema for Inquiry model: a shopper opening a WhatsApp chat about
+ * a product, kept as a sales lead
+ * @typedef {Object} InquirySchema
+ */
+const inquirySchema = new mongoose.Schema(
+  {
+    /**
+     * Product asked about
+     */
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+      immutable: true,
+    },
+
+    /**
+     * Product name at the time, so the lead reads well after a rename or delete
+     */
+    productName: {
+      type: String,
+      trim: true,
+      immutable: true,
+    },
+
+    /**
+     * Variant asked about, if any
+     */
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Color of that variant
+     */
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Size label asked about, if any
+     */
+    size: {
+      type: String,
+      trim: true,
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Name the shopper left, optional
+     */
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+
+    /**
+     * Phone number the shopper left (digits and a leading +), optional
+     */
+    phone: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    /**
+     * Signed-in customer who asked, if any
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Campaign attribution
+     */
+    utm: {
+      source: { type: String, trim: true, default: '' },
+      medium: { type: String, trim: true, default: '' },
+      campaign: { type: String, trim: true, default: '' },
+    },
+
+    /**
+     * Page the shopper came from
+     */
+    referrer: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    /**
+     * Client details at the time of the inquiry
+     */
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+
+    /**
+     * Where the lead is in the pipeline
+     */
+    status: {
+      type: String,
+      enum: Object.values(INQUIRY_STATUSES),
+      default: INQUIRY_STATUSES.NEW,
+    },
+
+    /**
+     * Admin notes on the lead
+     */
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    /**
+     * Last status change and who made it
+     */
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
+    statusChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Indexes for improved query performance
+ */
+inquirySchema.index({ status: 1, createdAt: -1 }); // Lead list
+inquirySchema.index({ product: 1, createdAt: -1 });
+inquirySchema.index({ 'utm.source': 1 });
+inquirySchema.index({ phone: 1 });
+
+/**
+ * Mongoose model for Inquiry
+ * @type {mongoose.Model}
+ */
+const Inquiry = mongoose.model('Inquiry', inquirySchema);
+
+export default Inquiry;
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import { MOVEMENT_TYPES } from '../../config/constant/inventory/inventory.js';
+
+/**
+ * Mongoose schema for InventoryMovement model (append-only stock ledger).
+ * A stock-keeping unit is a product variant plus a size label; the sum of a
+ * unit's movement quantities equals its current stock.
+ * @typedef {Object} InventoryMovementSchema
+ */
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    /**
+     * Product whose stock moved
+     */
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Variant (_id of the product's variant subdocument)
+     */
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Variant color at the time of the movement
+     */
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Size label (e.g. 'M', '42')
+     */
+    size: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Why the stock moved
+     */
+    type: {
+      type: String,
+      enum: Object.values(MOVEMENT_TYPES),
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Signed change in stock (positive in, negative out)
+     */
+    quantity: {
+      type: Number,
+      required: true,
+      immutable: true,
+      validate: {
+        validator: (v) => Number.isInteger(v) && v !== 0,
+        message: 'Quantity must be a non-zero integer',
+      },
+    },
+
+    /**
+     * Stock of the unit after the movement
+     */
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: [0, 'Stock cannot be negative'],
+      immutable: true,
+    },
+
+    /**
+     * Free-text explanation
+     */
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      immutable: true,
+    },
+
+    /**
+     * External reference such as a purchase order or invoice number
+     */
+    reference: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [100, 'Reference cannot exceed 100 characters'],
+      immutable: true,
+    },
+
+    /**
+     * Admin who made the change (null for system changes)
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Movements are never edited
+  }
+);
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, variant: 1, size: 1, createdAt: -1 });
+inventoryMovementSchema.index({ type: 1, createdAt: -1 });
+
+/**
+ * Refuse query-level updates; the ledger is append-only
+ */
+inventoryMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function () {
+  throw new Error('Inventory movements are immutable');
+});
+
+/**
+ * Refuse re-saving an existing movement
+ */
+inventoryMovementSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Inventory movements are immutable');
+  }
+});
+
+/**
+ * Sum movement quantities per stock-keeping unit of a product
+ * @param {*} productId - Product ID
+ * @param {mongoose.ClientSession} [session] - Transaction session
+ * @returns {Promise<Map<string, number>>} Ledger stock keyed by `${variantId}:${size}`
+ */
+inventoryMovementSchema.statics.getLedgerStock = async function (productId, session = null) {
+  const totals = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+    { $group: { _id: { variant: '$variant', size: '$size' }, quantity: { $sum: '$quantity' } } },
+  ]).session(session);
+
+  return new Map(totals.map(({ _id, quantity }) => [`${_id.variant}:${_id.size}`, quantity]));
+};
+
+/**
+ * Mongoose model for InventoryMovement
+ * @type {mongoose.Model}
+ */
+const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
+
+export default InventoryMovement;
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import { ROLES } from '../../config/constant/permissions/permissions.js';
+
+/**
+ * Mongoose schema for Invite model (admin registration invitations)
+ * @typedef {Object} InviteSchema
+ */
+const inviteSchema = new mongoose.Schema(
+  {
+    /**
+     * Email address the invitation was sent to
+     */
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+    },
+
+    /**
+     * Role the invited admin will receive on registration
+     */
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.ADMIN,
+    },
+
+    /**
+     * Super-admin who created the invitation
+     */
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: [true, 'Inviting admin is required'],
+    },
+
+    /**
+     * Expiration date of the invitation
+     */
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiration date is required'],
+    },
+
+    /**
+     * Set when the invitation has been used to register
+     */
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Admin account created from this invitation
+     */
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+
+    /**
+     * Set when a super-admin revokes the invitation
+     */
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Virtual status derived from the usage, revocation and expiry fields
+ */
+inviteSchema.virtual('status').get(function () {
+  if (this.usedAt) return 'used';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+/**
+ * Indexes for improved query performance
+ */
+inviteSchema.index({ email: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for Invite
+ * @type {mongoose.Model}
+ */
+const Invite = mongoose.model('Invite', inviteSchema);
+
+export default Invite;
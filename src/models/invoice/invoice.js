@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for a postal address printed on an invoice
+ * @typedef {Object} InvoiceAddressSchema
+ */
+const invoiceAddressSchema = new mongoose.Schema(
+  {
+    line1: { type: String, trim: true, default: '' },
+    line2: { type: String, trim: true, default: '' },
+    city: { type: String, trim: true, default: '' },
+    state: { type: String, trim: true, default: '' },
+    postalCode: { type: String, trim: true, default: '' },
+    country: { type: String, trim: true, default: 'India' },
+  },
+  { _id: false }
+);
+
+/**
+ * Schema for one invoice line. Amounts are in rupees; the taxable value is
+ * the order line total, with GST added on top.
+ * @typedef {Object} InvoiceLineSchema
+ */
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productName: { type: String, trim: true, required: true },
+    sku: { type: String, trim: true, default: '' },
+    colorName: { type: String, trim: true, default: '' },
+    size: { type: String, trim: true, default: '' },
+    hsnCode: { type: String, trim: true, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    taxableValue: { type: Number, required: true, min: 0 },
+
+    /**
+     * GST rate in percent; split equally into CGST and SGST within a state
+     */
+    gstRate: { type: Number, required: true, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+
+    /**
+     * Taxable value plus GST
+     */
+    total: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose schema for Invoice model: a GST tax invoice issued for an order.
+ * Seller, buyer and line details are copied when it is issued, and the
+ * rendered HTML and PDF are stored, so it never changes afterwards.
+ * @typedef {Object} InvoiceSchema
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    /**
+     * Invoice number, e.g. INV/26-27/000123; consecutive within a financial year
+     */
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+
+    /**
+     * Financial year (April to March), e.g. 26-27
+     */
+    financialYear: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Position of the invoice within its financial year
+     */
+    sequence: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+
+    invoiceDate: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true, // One invoice per order
+      immutable: true,
+    },
+    orderNumber: { type: String, required: true },
+
+    seller: {
+      name: { type: String, trim: true, required: true },
+      gstin: { type: String, trim: true, required: true },
+      stateCode: { type: String, required: true },
+      address: invoiceAddressSchema,
+      phone: { type: String, trim: true, default: '' },
+      email: { type: String, trim: true, default: '' },
+    },
+
+    buyer: {
+      name: { type: String, trim: true, required: true },
+      company: { type: String, trim: true, default: '' },
+      gstin: { type: String, trim: true, default: '' }, // Empty for unregistered buyers
+      email: { type: String, trim: true, default: '' },
+      phone: { type: String, trim: true, default: '' },
+      address: invoiceAddressSchema,
+    },
+
+    /**
+     * State the goods are delivered to, which decides CGST/SGST or IGST
+     */
+    placeOfSupply: {
+      stateCode: { type: String, required: true },
+      state: { type: String, required: true },
+    },
+
+    /**
+     * True when the seller and place of supply are in different states (IGST)
+     */
+    interState: {
+      type: Boolean,
+      required: true,
+    },
+
+    lines: {
+      type: [invoiceLineSchema],
+      validate: [(lines) => lines.length > 0, 'An invoice needs at least one line'],
+    },
+
+    /**
+     * Totals: taxable value, GST by head, rounding to whole rupees and the amount due
+     */
+    taxableTotal: { type: Number, required: true, min: 0 },
+    cgstTotal: { type: Number, default: 0, min: 0 },
+    sgstTotal: { type: Number, default: 0, min: 0 },
+    igstTotal: { type: Number, default: 0, min: 0 },
+    taxTotal: { type: Number, required: true, min: 0 },
+    roundOff: { type: Number, default: 0 },
+    grandTotal: { type: Number, required: true, min: 0 },
+    amountInWords: { type: String, required: true },
+
+    /**
+     * Printable invoice, kept exactly as issued
+     */
+    html: { type: String, required: true, select: false },
+    pdf: { type: Buffer, required: true, select: false },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Indexes for improved query performance
+ */
+invoiceSchema.index({ financialYear: 1, sequence: -1 }); // Admin list within a year
+invoiceSchema.index({ invoiceDate: -1 });
+
+/**
+ * Mongoose model for Invoice
+ * @type {mongoose.Model}
+ */
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
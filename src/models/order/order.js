@@ -0,0 +1,283 @@
+import mongoose from 'mongoose';
+import { ORDER_STATUSES, ORDER_SOURCES } from '../../config/constant/order/order.js';
+import { CUSTOMER_GROUPS } from '../../config/constant/pricing/pricing.js';
+
+/**
+ * Schema for one order line. Product details and prices are copied when the
+ * order is placed so it reads the same after the catalog changes.
+ * @typedef {Object} OrderLineSchema
+ */
+const orderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  productName: { type: String, trim: true, required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, required: true },
+  color: { type: mongoose.Schema.Types.ObjectId, ref: 'Color', default: null },
+  colorName: { type: String, trim: true, default: '' },
+  size: { type: String, trim: true, required: true },
+  sku: { type: String, trim: true, default: '' },
+  quantity: { type: Number, required: true, min: 1 },
+
+  /**
+   * Units on return requests that weren't rejected. Only changed by a
+   * conditional $inc, so two requests at once can't return the same units.
+   */
+  returnedQuantity: { type: Number, default: 0, min: 0 },
+
+  /**
+   * Price per unit before any discount: the variant price, or on orders
+   * from a quote the buyer's list price
+   */
+  listPrice: { type: Number, required: true, min: 0 },
+
+  /**
+   * Price charged per unit (group tier, promotion or quoted price)
+   */
+  unitPrice: { type: Number, required: true, min: 0 },
+
+  /**
+   * (listPrice − unitPrice) × quantity
+   */
+  discount: { type: Number, default: 0, min: 0 },
+
+  /**
+   * Running promotion the unit price came from, if any
+   */
+  promotion: { type: String, trim: true, default: '' },
+
+  /**
+   * unitPrice × quantity
+   */
+  lineTotal: { type: Number, required: true, min: 0 },
+});
+
+/**
+ * Schema for the address an order ships to
+ * @typedef {Object} OrderAddressSchema
+ */
+const orderAddressSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: [true, 'Recipient name is required'] },
+    mobileNumber: { type: String, trim: true, required: [true, 'Mobile number is required'] },
+    line1: { type: String, trim: true, required: [true, 'Address line 1 is required'] },
+    line2: { type: String, trim: true, default: '' },
+    city: { type: String, trim: true, required: [true, 'City is required'] },
+    state: { type: String, trim: true, required: [true, 'State is required'] },
+    postalCode: { type: String, trim: true, required: [true, 'Postal code is required'] },
+    country: { type: String, trim: true, default: 'India' },
+  },
+  { _id: false }
+);
+
+/**
+ * Schema for one entry of an order's status history
+ * @typedef {Object} OrderStatusEventSchema
+ */
+const orderStatusEventSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: Object.values(ORDER_STATUSES), required: true },
+    at: { type: Date, default: Date.now },
+    /**
+     * Admin or customer who made the change (null for neither)
+     */
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+    note: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose schema for Order model: goods a buyer has ordered, with the stock
+ * reserved for them and their way through fulfilment
+ * @typedef {Object} OrderSchema
+ */
+const orderSchema = new mongoose.Schema(
+  {
+    /**
+     * Human-readable reference, e.g. ORD-261019-4F7A2C
+     */
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+
+    /**
+     * Where the order came from
+     */
+    source: {
+      type: String,
+      enum: Object.values(ORDER_SOURCES),
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Buyer's account, if any (quotes from guests have none)
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Price list the prices came from
+     */
+    customerGroup: {
+      type: String,
+      enum: Object.values(CUSTOMER_GROUPS),
+      default: CUSTOMER_GROUPS.RETAIL,
+      immutable: true,
+    },
+
+    /**
+     * Quote the order was created from
+     */
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuoteRequest',
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Return request a replacement (exchange) order was created for
+     */
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest',
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Who status emails go to
+     */
+    contact: {
+      name: { type: String, trim: true, required: [true, 'Name is required'] },
+      email: { type: String, trim: true, lowercase: true, required: [true, 'Email is required'] },
+      phone: { type: String, trim: true, default: '' },
+      company: { type: String, trim: true, default: '' },
+      gstin: { type: String, trim: true, uppercase: true, default: '' },
+    },
+
+    shippingAddress: {
+      type: orderAddressSchema,
+      required: [true, 'Shipping address is required'],
+    },
+
+    lines: {
+      type: [orderLineSchema],
+      validate: [(lines) => lines.length > 0, 'An order needs at least one line'],
+    },
+
+    /**
+     * Money totals: list value, discounts and the amount due
+     */
+    subtotal: { type: Number, required: true, min: 0 },
+    discountTotal: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+
+    status: {
+      type: String,
+      enum: Object.values(ORDER_STATUSES),
+      default: ORDER_STATUSES.PENDING,
+    },
+
+    /**
+     * Every status the order has been in, oldest first
+     */
+    statusHistory: {
+      type: [orderStatusEventSchema],
+      default: [],
+    },
+
+    /**
+     * Whether the lines' stock is still held by the order (false once put
+     * back on cancellation)
+     */
+    stockReserved: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Shipment tracking, set when shipped
+     */
+    tracking: {
+      carrier: { type: String, trim: true, default: '' },
+      number: { type: String, trim: true, default: '' },
+      url: { type: String, trim: true, default: '' },
+    },
+
+    /**
+     * Buyer's note with the order
+     */
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    /**
+     * Admin-only notes, never shown to the buyer
+     */
+    internalNotes: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Internal notes cannot exceed 1000 characters'],
+    },
+
+    cancellationReason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    /**
+     * Admin who created the order (null when placed by the customer)
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+    optimisticConcurrency: true, // Two status changes can't both release stock
+  }
+);
+
+/**
+ * Indexes for improved query performance
+ */
+orderSchema.index({ status: 1, createdAt: -1 }); // Admin list
+orderSchema.index({ customer: 1, createdAt: -1 }); // Customer's orders
+orderSchema.index({ 'contact.email': 1 });
+orderSchema.index(
+  { quote: 1 },
+  { unique: true, partialFilterExpression: { quote: { $type: 'objectId' } } }
+); // One order per quote
+orderSchema.index(
+  { returnRequest: 1 },
+  { unique: true, partialFilterExpression: { returnRequest: { $type: 'objectId' } } }
+); // One replacement order per return
+
+/**
+ * Mongoose model for Order
+ * @type {mongoose.Model}
+ */
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from '../../utils/softDelete/softDelete.js';
+import { isValidBarcode } from '../../utils/barcode/barcode.js';
+import { SKU_REGEX, SKU_MESSAGES } from '../../config/constant/sku/sku.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { CUSTOMER_GROUPS } from '../../config/constant/pricing/pricing.js';
+import { GST_RATES, HSN_CODE_REGEX } from '../../config/constant/gst/gst.js';
 
 /**
  * Schema for size and stock information
@@ -21,10 +27,66 @@ const SizeStockSchema = new mongoose.Schema(
       required: [true, 'Stock quantity is required'],
       min: [0, 'Stock cannot be negative'],
     },
+    /**
+     * Stock-keeping unit, unique across products (generated when not set by hand)
+     */
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [SKU_REGEX, SKU_MESSAGES.INVALID_SKU],
+    },
+    /**
+     * Optional EAN-13 or UPC-A barcode
+     */
+    barcode: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (v) => !v || isValidBarcode(v),
+        message: SKU_MESSAGES.INVALID_BARCODE,
+      },
+    },
   },
   { _id: true }
 );
 
+/**
+ * Schema for a quantity break: from minQuantity units up, buyers in the
+ * group pay price per unit
+ * @typedef {Object} PriceTierSchema
+ */
+const PriceTierSchema = new mongoose.Schema(
+  {
+    /**
+     * Customer group the tier belongs to
+     */
+    group: {
+      type: String,
+      enum: Object.values(CUSTOMER_GROUPS),
+      required: [true, 'Price tier group is required'],
+    },
+    /**
+     * Smallest quantity the tier applies to
+     */
+    minQuantity: {
+      type: Number,
+      required: [true, 'Price tier minimum quantity is required'],
+      min: [1, 'Price tier minimum quantity must be at least 1'],
+    },
+    /**
+     * Unit price (rounded to 2 decimals)
+     */
+    price: {
+      type: Number,
+      required: [true, 'Price tier price is required'],
+      min: [0, 'Price cannot be negative'],
+      set: v => Math.round(v * 100) / 100,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Schema for product variants
  * @typedef {Object} VariantSchema
@@ -94,6 +156,11 @@ const VariantSchema = new mongoose.Schema(
      * Array of size and stock details
      */
     sizes: [SizeStockSchema],
+    /**
+     * Quantity break prices per customer group; quantities below a group's
+     * first tier pay the variant price
+     */
+    priceTiers: [PriceTierSchema],
   },
   { _id: true }
 );
@@ -203,12 +270,56 @@ const ProductSchema = new mongoose.Schema(
       default: false,
     },
     /**
-     * Indicates if the product is sold out
+     * Indicates if the product is sold out (derived from variant stock)
      */
     isSoldOut: {
       type: Boolean,
       default: false,
     },
+    /**
+     * Stock at or below which a size counts as low stock (null uses the category's)
+     */
+    lowStockThreshold: {
+      type: Number,
+      default: null,
+      min: [0, 'Low stock threshold cannot be negative'],
+    },
+    /**
+     * HSN code for GST invoices (null uses the category's)
+     */
+    hsnCode: {
+      type: String,
+      trim: true,
+      default: null,
+      match: [HSN_CODE_REGEX, 'HSN code must be 4, 6 or 8 digits'],
+    },
+    /**
+     * GST rate in percent (null uses the category's)
+     */
+    gstRate: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: (rate) => rate === null || GST_RATES.includes(rate),
+        message: `GST rate must be one of: ${GST_RATES.join(', ')}`,
+      },
+    },
+    /**
+     * Fewest units a wholesale or distributor buyer may order
+     */
+    minOrderQuantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Minimum order quantity must be at least 1'],
+    },
+    /**
+     * Units per pack; wholesale and distributor orders are whole packs
+     */
+    packSize: {
+      type: Number,
+      default: 1,
+      min: [1, 'Pack size must be at least 1'],
+    },
     /**
      * Indicates if the product is visible
      */
@@ -216,6 +327,35 @@ const ProductSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    /**
+     * Lifecycle status; customers only see published products
+     */
+    status: {
+      type: String,
+      enum: Object.values(PRODUCT_STATUS),
+      default: PRODUCT_STATUS.PUBLISHED,
+    },
+    /**
+     * When a scheduled product is published
+     */
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    /**
+     * When a published product is archived
+     */
+    unpublishAt: {
+      type: Date,
+      default: null,
+    },
+    /**
+     * When the product last became published (used for New Arrivals)
+     */
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
     /**
      * SEO meta title for the product
      */
@@ -267,7 +407,7 @@ const ProductSchema = new mongoose.Schema(
       },
     ],
     /**
-     * Discount percentage for the product
+     * Legacy static discount percentage; customer prices now come from promotions
      */
     discount: {
       type: Number,
@@ -327,6 +467,11 @@ ProductSchema.index({ viewCount: -1 }); // Optimize view count sorting
 ProductSchema.index({ whatsappInquiryCount: -1 }); // Optimize WhatsApp inquiry sorting
 ProductSchema.index({ collections: 1 }); // Optimize collection queries
 ProductSchema.index({ 'variants.color': 1 }); // Optimize color queries
+ProductSchema.index(
+  { 'variants.sizes.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sizes.sku': { $type: 'string' } } }
+); // Unique SKUs; products from before SKUs existed are skipped
+ProductSchema.index({ 'variants.sizes.barcode': 1 }, { sparse: true }); // Optimize barcode scans
 ProductSchema.index({ tags: 1 }); // Optimize tag queries
 ProductSchema.index({ rating: -1 }); // Optimize rating sorting
 
@@ -337,6 +482,14 @@ ProductSchema.index({ category: 1, isActive: 1 });
 ProductSchema.index({ isFeatured: 1, isActive: 1 });
 ProductSchema.index({ isActive: 1, createdAt: -1 });
 ProductSchema.index({ isActive: 1, base_price: 1 });
+ProductSchema.index({ status: 1, publishAt: 1 }); // Scheduled publishing
+ProductSchema.index({ status: 1, unpublishAt: 1 }); // Scheduled archiving
+ProductSchema.index({ status: 1, publishedAt: -1 }); // New arrivals
+
+/**
+ * Trash support: deleted products are hidden from queries by default
+ */
+ProductSchema.plugin(softDeletePlugin);
 
 /**
  * Text search index for name
@@ -344,7 +497,43 @@ ProductSchema.index({ isActive: 1, base_price: 1 });
 ProductSchema.index({ name: 'text' });
 
 /**
- * Pre-save middleware to set slug, meta fields, and ensure single primary image
+ * Aggregation expression for the total stock of all variant sizes
+ */
+const TOTAL_STOCK_EXPRESSION = {
+  $sum: {
+    $map: {
+      input: { $ifNull: ['$variants', []] },
+      as: 'variant',
+      in: { $sum: { $ifNull: ['$$variant.sizes.stock', []] } },
+    },
+  },
+};
+
+/**
+ * Whether variants have no stock left in any size
+ * @param {Object[]} variants - Product variants
+ * @returns {boolean} True when sold out
+ */
+ProductSchema.statics.isOutOfStock = function (variants = []) {
+  return !variants.some((variant) => (variant.sizes || []).some((size) => size.stock > 0));
+};
+
+/**
+ * Recompute isSoldOut from stored variant stock for the matching products
+ * @param {Object} filter - Product filter
+ * @param {mongoose.ClientSession} [session] - Transaction session
+ * @returns {Promise<Object>} Update result
+ */
+ProductSchema.statics.refreshSoldOut = function (filter, session = null) {
+  return this.updateMany(
+    filter,
+    [{ $set: { isSoldOut: { $lte: [TOTAL_STOCK_EXPRESSION, 0] } } }],
+    { session }
+  );
+};
+
+/**
+ * Pre-save middleware to set slug, meta fields, sold-out state, and ensure single primary image
  * @param {Function} next - Mongoose middleware next function
  */
 ProductSchema.pre('save', async function (next) {
@@ -356,6 +545,16 @@ ProductSchema.pre('save', async function (next) {
       .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
   }
 
+  // Products published on creation are published now
+  if (this.isNew && this.status === PRODUCT_STATUS.PUBLISHED && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+
+  // Sold out whenever no size has stock left
+  if (this.isNew || this.isModified('variants')) {
+    this.isSoldOut = this.constructor.isOutOfStock(this.variants);
+  }
+
   // Set default metaTitle from name
   // if (!this.metaTitle && this.name) {
   //   this.metaTitle = this.name;
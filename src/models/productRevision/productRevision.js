@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import { toAuditSnapshot } from '../../utils/audit/audit.js';
+
+// Revision sources
+export const REVISION_SOURCES = {
+  BASELINE: 'baseline', // State before the first tracked change of a pre-existing product
+  CREATE: 'create',
+  UPDATE: 'update',
+  REVERT: 'revert',
+};
+
+/**
+ * Mongoose schema for ProductRevision model (immutable product snapshots)
+ * @typedef {Object} ProductRevisionSchema
+ */
+const productRevisionSchema = new mongoose.Schema(
+  {
+    /**
+     * Product this revision belongs to
+     */
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Revision number, sequential per product starting at 1
+     */
+    revision: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Full product state after the save (references stored as ids)
+     */
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * What produced the revision
+     */
+    source: {
+      type: String,
+      enum: Object.values(REVISION_SOURCES),
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Revision number that was restored (revert revisions only)
+     */
+    revertedFrom: {
+      type: Number,
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Admin who made the change
+     */
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Revisions are never edited
+  }
+);
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+/**
+ * Refuse query-level updates; revisions are append-only
+ */
+productRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function () {
+  throw new Error('Product revisions are immutable');
+});
+
+/**
+ * Refuse re-saving an existing revision
+ */
+productRevisionSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Product revisions are immutable');
+  }
+});
+
+/**
+ * Store a new revision of a product
+ * @param {Object} product - Product document in its saved state
+ * @param {Object} [options]
+ * @param {string} [options.source='update'] - One of REVISION_SOURCES
+ * @param {Object} [options.changedBy] - Admin making the change
+ * @param {Object} [options.previous] - Snapshot before the change; stored as a baseline
+ *   revision when the product has no history yet
+ * @param {number} [options.revertedFrom] - Revision number restored by a revert
+ * @param {mongoose.ClientSession} [options.session] - Transaction session
+ * @returns {Promise<Object>} Created revision
+ */
+productRevisionSchema.statics.record = async function (product, {
+  source = REVISION_SOURCES.UPDATE,
+  changedBy = null,
+  previous = null,
+  revertedFrom = null,
+  session = null,
+} = {}) {
+  const latest = await this.findOne({ product: product._id })
+    .sort({ revision: -1 })
+    .select('revision')
+    .session(session);
+
+  let nextRevision = (latest?.revision || 0) + 1;
+  const revisions = [];
+
+  if (!latest && previous) {
+    revisions.push({
+      product: product._id,
+      revision: nextRevision++,
+      snapshot: previous,
+      source: REVISION_SOURCES.BASELINE,
+    });
+  }
+
+  revisions.push({
+    product: product._id,
+    revision: nextRevision,
+    snapshot: toAuditSnapshot(product),
+    source,
+    revertedFrom,
+    changedBy: changedBy?._id || null,
+  });
+
+  const created = await this.create(revisions, { session, ordered: true });
+  return created[created.length - 1];
+};
+
+/**
+ * Mongoose model for ProductRevision
+ * @type {mongoose.Model}
+ */
+const ProductRevision = mongoose.model('ProductRevision', productRevisionSchema);
+
+export default ProductRevision;
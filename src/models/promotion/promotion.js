@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import {
+  DISCOUNT_TYPES,
+  PROMOTION_STATES,
+  PROMOTION_TARGETS,
+  PROMOTION_MESSAGES,
+} from '../../config/constant/promotion/promotion.js';
+
+/**
+ * Mongoose schema for Promotion model: a time-boxed discount on a set of
+ * products. When several running promotions match a product, the one with
+ * the highest priority applies; ties go to the lowest resulting price.
+ * @typedef {Object} PromotionSchema
+ */
+const promotionSchema = new mongoose.Schema(
+  {
+    /**
+     * Internal name
+     */
+    name: {
+      type: String,
+      required: [true, 'Promotion name is required'],
+      trim: true,
+      maxlength: [100, 'Promotion name cannot exceed 100 characters'],
+    },
+
+    /**
+     * Label shown to customers (e.g. 'Diwali Sale'); the name is used when empty
+     */
+    label: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [50, 'Label cannot exceed 50 characters'],
+    },
+
+    /**
+     * Optional notes
+     */
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    /**
+     * Percentage off or fixed amount off
+     */
+    discountType: {
+      type: String,
+      enum: Object.values(DISCOUNT_TYPES),
+      required: [true, 'Discount type is required'],
+    },
+
+    /**
+     * Percentage (0-100] or amount, depending on discountType
+     */
+    discountValue: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0.01, 'Discount value must be greater than zero'],
+      validate: {
+        validator: function (v) {
+          return this.discountType !== DISCOUNT_TYPES.PERCENTAGE || v <= 100;
+        },
+        message: PROMOTION_MESSAGES.PERCENTAGE_TOO_HIGH,
+      },
+    },
+
+    /**
+     * Apply to every product, ignoring the target lists
+     */
+    appliesToAll: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Targeted products
+     */
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+
+    /**
+     * Targeted categories
+     */
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+
+    /**
+     * Targeted brands
+     */
+    brands: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Brand' }],
+
+    /**
+     * Targeted collection names
+     */
+    collections: [{ type: String, trim: true }],
+
+    /**
+     * Targeted tags (stored lowercase, like product tags)
+     */
+    tags: [{ type: String, trim: true, lowercase: true }],
+
+    /**
+     * Start of the promotion
+     */
+    startsAt: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+
+    /**
+     * End of the promotion (exclusive)
+     */
+    endsAt: {
+      type: Date,
+      required: [true, 'End date is required'],
+      validate: {
+        validator: function (v) {
+          return !this.startsAt || v > this.startsAt;
+        },
+        message: PROMOTION_MESSAGES.INVALID_DATES,
+      },
+    },
+
+    /**
+     * Higher priority wins when several promotions match a product
+     */
+    priority: {
+      type: Number,
+      default: 0,
+      min: [0, 'Priority cannot be negative'],
+      max: [1000, 'Priority cannot exceed 1000'],
+    },
+
+    /**
+     * Switch to pause a promotion without changing its dates
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Admin who created the promotion
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Require a target unless the promotion applies to all products
+ * @param {Function} next - Mongoose middleware next function
+ */
+promotionSchema.pre('validate', function (next) {
+  if (!this.appliesToAll && PROMOTION_TARGETS.every((target) => !this[target]?.length)) {
+    this.invalidate('appliesToAll', PROMOTION_MESSAGES.NO_TARGETS);
+  }
+  next();
+});
+
+/**
+ * Where the promotion is in its schedule
+ * @param {Object} promotion - Promotion document or lean object
+ * @param {Date} [now] - Current time
+ * @returns {string} A PROMOTION_STATES value
+ */
+promotionSchema.statics.getState = function (promotion, now = new Date()) {
+  if (!promotion.isActive) return PROMOTION_STATES.PAUSED;
+  if (promotion.startsAt > now) return PROMOTION_STATES.SCHEDULED;
+  if (promotion.endsAt <= now) return PROMOTION_STATES.EXPIRED;
+  return PROMOTION_STATES.RUNNING;
+};
+
+/**
+ * Query filter for promotions in a given state
+ * @param {string} state - A PROMOTION_STATES value
+ * @param {Date} [now] - Current time
+ * @returns {Object} Mongo filter
+ */
+promotionSchema.statics.stateFilter = function (state, now = new Date()) {
+  switch (state) {
+    case PROMOTION_STATES.PAUSED:
+      return { isActive: false };
+    case PROMOTION_STATES.SCHEDULED:
+      return { isActive: true, startsAt: { $gt: now } };
+    case PROMOTION_STATES.EXPIRED:
+      return { isActive: true, endsAt: { $lte: now } };
+    default:
+      return { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } };
+  }
+};
+
+/**
+ * Indexes for improved query performance
+ */
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 }); // Running promotions
+promotionSchema.index({ name: 'text' }); // Enable text search on name
+
+/**
+ * Mongoose model for Promotion
+ * @type {mongoose.Model}
+ */
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import { QUOTE_STATUSES } from '../../config/constant/quote/quote.js';
+import { CUSTOMER_GROUPS } from '../../config/constant/pricing/pricing.js';
+
+/**
+ * Schema for one quoted line. Product details are copied at submission so the
+ * quote reads the same after the catalog changes.
+ * @typedef {Object} QuoteLineSchema
+ */
+const quoteLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  productName: { type: String, trim: true, required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+  color: { type: mongoose.Schema.Types.ObjectId, ref: 'Color', default: null },
+  colorName: { type: String, trim: true, default: '' },
+  size: { type: String, trim: true, required: true },
+  sku: { type: String, trim: true, default: '' },
+  quantity: { type: Number, required: true, min: 1 },
+
+  /**
+   * Unit price the buyer's group saw when submitting
+   */
+  listUnitPrice: { type: Number, required: true, min: 0 },
+
+  /**
+   * Unit price the admin quoted (null until priced)
+   */
+  quotedUnitPrice: { type: Number, default: null, min: 0 },
+
+  /**
+   * quotedUnitPrice × quantity (null until priced)
+   */
+  lineTotal: { type: Number, default: null, min: 0 },
+});
+
+/**
+ * Mongoose schema for QuoteRequest model: an enquiry cart submitted for
+ * pricing, which admins quote, then accept or reject
+ * @typedef {Object} QuoteRequestSchema
+ */
+const quoteRequestSchema = new mongoose.Schema(
+  {
+    /**
+     * Human-readable reference, e.g. QR-261019-4F7A
+     */
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+
+    /**
+     * Signed-in customer who asked, if any
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+      immutable: true,
+    },
+
+    /**
+     * Price list the list prices came from
+     */
+    customerGroup: {
+      type: String,
+      enum: Object.values(CUSTOMER_GROUPS),
+      default: CUSTOMER_GROUPS.RETAIL,
+      immutable: true,
+    },
+
+    /**
+     * Who the quote goes to
+     */
+    contact: {
+      name: { type: String, trim: true, required: [true, 'Name is required'] },
+      email: { type: String, trim: true, lowercase: true, required: [true, 'Email is required'] },
+      phone: { type: String, trim: true, default: '' },
+      company: { type: String, trim: true, default: '' },
+      gstin: { type: String, trim: true, uppercase: true, default: '' },
+    },
+
+    /**
+     * Buyer's note with the request
+     */
+    message: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    },
+
+    lines: {
+      type: [quoteLineSchema],
+      validate: [(lines) => lines.length > 0, 'A quote request needs at least one line'],
+    },
+
+    /**
+     * Sum of list prices at submission
+     */
+    listSubtotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    /**
+     * Sum of quoted line totals (null until priced)
+     */
+    quotedSubtotal: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(QUOTE_STATUSES),
+      default: QUOTE_STATUSES.PENDING,
+    },
+
+    /**
+     * Last day the quoted prices hold
+     */
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Terms or remarks printed on the quote
+     */
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    /**
+     * Admin-only notes, never shown to the buyer
+     */
+    internalNotes: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Internal notes cannot exceed 1000 characters'],
+    },
+
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    /**
+     * Last pricing, when the quote was last emailed, and the last status change
+     */
+    quotedAt: { type: Date, default: null },
+    quotedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    emailedAt: { type: Date, default: null },
+    statusChangedAt: { type: Date, default: null },
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Whether a priced quote's validity date has passed
+ * @returns {boolean} True once validUntil is in the past
+ */
+quoteRequestSchema.virtual('isExpired').get(function () {
+  return Boolean(this.validUntil && this.validUntil < new Date());
+});
+
+/**
+ * Indexes for improved query performance
+ */
+quoteRequestSchema.index({ status: 1, createdAt: -1 }); // Admin list
+quoteRequestSchema.index({ customer: 1, createdAt: -1 }); // Customer's quotes
+quoteRequestSchema.index({ 'contact.email': 1 });
+
+/**
+ * Mongoose model for QuoteRequest
+ * @type {mongoose.Model}
+ */
+const QuoteRequest = mongoose.model('QuoteRequest', quoteRequestSchema);
+
+export default QuoteRequest;
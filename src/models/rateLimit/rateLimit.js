@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for RateLimit model (attempt counters for the MongoDB limiter store)
+ * @typedef {Object} RateLimitSchema
+ */
+const rateLimitSchema = new mongoose.Schema({
+  /**
+   * Limiter key (e.g. 'login:ip:127.0.0.1')
+   */
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  /**
+   * Attempts counted in the current window
+   */
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  /**
+   * End of the current window; MongoDB removes the record after this date
+   */
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  /**
+   * Attempts are refused until this date
+   */
+  blockedUntil: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Let MongoDB drop stale counters on its own
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mongoose model for RateLimit
+ * @type {mongoose.Model}
+ */
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import {
+  RETURN_STATUSES,
+  RETURN_REASONS,
+  RETURN_RESOLUTIONS,
+} from '../../config/constant/return/return.js';
+
+/**
+ * Schema for one returned order line. Product details are copied from the
+ * order line so the return reads the same after the catalog changes.
+ * @typedef {Object} ReturnLineSchema
+ */
+const returnLineSchema = new mongoose.Schema({
+  /**
+   * Order line being returned
+   */
+  orderLine: { type: mongoose.Schema.Types.ObjectId, required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  productName: { type: String, trim: true, required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, required: true },
+  colorName: { type: String, trim: true, default: '' },
+  size: { type: String, trim: true, required: true },
+  sku: { type: String, trim: true, default: '' },
+  quantity: { type: Number, required: true, min: 1 },
+
+  /**
+   * Price the buyer paid per unit
+   */
+  unitPrice: { type: Number, required: true, min: 0 },
+
+  resolution: {
+    type: String,
+    enum: Object.values(RETURN_RESOLUTIONS),
+    default: RETURN_RESOLUTIONS.REFUND,
+  },
+
+  /**
+   * Variant and size of the same product sent in exchange
+   */
+  exchangeVariant: { type: mongoose.Schema.Types.ObjectId, default: null },
+  exchangeColorName: { type: String, trim: true, default: '' },
+  exchangeSize: { type: String, trim: true, default: '' },
+  exchangeSku: { type: String, trim: true, default: '' },
+
+  /**
+   * Whether the received goods went back into sellable stock (false for
+   * goods too damaged to resell); null until received
+   */
+  restocked: { type: Boolean, default: null },
+});
+
+/**
+ * Schema for a photo of the returned goods, stored on Cloudinary
+ * @typedef {Object} ReturnPhotoSchema
+ */
+const returnPhotoSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose schema for ReturnRequest model: goods a buyer wants to send back
+ * from a delivered order, for a refund or an exchange (RMA)
+ * @typedef {Object} ReturnRequestSchema
+ */
+const returnRequestSchema = new mongoose.Schema(
+  {
+    /**
+     * Human-readable reference, e.g. RMA-261019-4F7A
+     */
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      immutable: true,
+    },
+    orderNumber: { type: String, required: true },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+      immutable: true,
+    },
+
+    /**
+     * Who status emails go to, copied from the order
+     */
+    contact: {
+      name: { type: String, trim: true, required: true },
+      email: { type: String, trim: true, lowercase: true, required: true },
+    },
+
+    lines: {
+      type: [returnLineSchema],
+      validate: [(lines) => lines.length > 0, 'A return needs at least one line'],
+    },
+
+    reason: {
+      type: String,
+      enum: Object.values(RETURN_REASONS),
+      required: [true, 'Reason is required'],
+    },
+
+    /**
+     * Buyer's description of the problem
+     */
+    details: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Details cannot exceed 1000 characters'],
+    },
+
+    photos: {
+      type: [returnPhotoSchema],
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(RETURN_STATUSES),
+      default: RETURN_STATUSES.REQUESTED,
+    },
+    statusChangedAt: { type: Date, default: null },
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    /**
+     * Admin-only notes, never shown to the buyer
+     */
+    internalNotes: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [1000, 'Internal notes cannot exceed 1000 characters'],
+    },
+
+    /**
+     * Order sending the exchanged goods, created when the return is received
+     */
+    replacementOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+    optimisticConcurrency: true, // Goods can't be received twice
+  }
+);
+
+/**
+ * Indexes for improved query performance
+ */
+returnRequestSchema.index({ status: 1, createdAt: -1 }); // Admin list
+returnRequestSchema.index({ customer: 1, createdAt: -1 }); // Customer's returns
+returnRequestSchema.index({ order: 1 });
+
+/**
+ * Mongoose model for ReturnRequest
+ * @type {mongoose.Model}
+ */
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for Setting model (application-wide key/value settings)
+ * @typedef {Object} SettingSchema
+ */
+const settingSchema = new mongoose.Schema(
+  {
+    /**
+     * Setting key (e.g. 'security.require2FA')
+     */
+    key: {
+      type: String,
+      required: [true, 'Setting key is required'],
+      unique: true,
+      trim: true,
+    },
+
+    /**
+     * Setting value
+     */
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    /**
+     * Admin who last changed the setting
+     */
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Read a setting value
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting is not stored
+ * @returns {Promise<*>} Stored value or the default
+ */
+settingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Create or update a setting value
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @param {mongoose.Types.ObjectId} [updatedBy] - Admin making the change
+ * @returns {Promise<Object>} Updated setting document
+ */
+settingSchema.statics.setValue = function (key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Mongoose model for Setting
+ * @type {mongoose.Model}
+ */
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
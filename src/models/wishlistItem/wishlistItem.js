@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for WishlistItem model: one product a customer or a guest
+ * device has saved, optionally narrowed to a color and size. Guest items
+ * carry an expiry and are dropped by MongoDB once it passes.
+ * @typedef {Object} WishlistItemSchema
+ */
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    /**
+     * Owner when signed in
+     */
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+    },
+
+    /**
+     * Owner when browsing as a guest (device token)
+     */
+    guestToken: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Saved product
+     */
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+    },
+
+    /**
+     * Preferred color, null for any
+     */
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Color',
+      default: null,
+    },
+
+    /**
+     * Preferred size label, null for any
+     */
+    size: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    /**
+     * When a guest item is dropped (null for customer items)
+     */
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Exactly one owner: a customer or a guest device
+ */
+wishlistItemSchema.pre('validate', function (next) {
+  if (!this.customer === !this.guestToken) {
+    this.invalidate('customer', 'A wishlist item belongs to either a customer or a guest device');
+  }
+  next();
+});
+
+/**
+ * Indexes for improved query performance
+ */
+wishlistItemSchema.index(
+  { customer: 1, product: 1, color: 1, size: 1 },
+  { unique: true, partialFilterExpression: { customer: { $type: 'objectId' } } }
+);
+wishlistItemSchema.index(
+  { guestToken: 1, product: 1, color: 1, size: 1 },
+  { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } }
+);
+wishlistItemSchema.index({ product: 1 }); // Most wishlisted report
+wishlistItemSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop stale guest items
+
+/**
+ * Mongoose model for WishlistItem
+ * @type {mongoose.Model}
+ */
+const WishlistItem = mongoose.model('WishlistItem', wishlistItemSchema);
+
+export default WishlistItem;
@@ -0,0 +1,79 @@
+import express from 'express';
+import {
+  getAdmins,
+  getAdminById,
+  updateAdmin,
+  updateAdminStatus,
+  updateAdminRole,
+  forcePasswordReset,
+  deleteAdmin,
+} from '../../../controllers/admin/adminUser/adminUser.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  updateAdminUserValidation,
+  updateAdminStatusValidation,
+  updateAdminRoleValidation,
+} from '../../../validation/admin/adminUserValidation/adminUserValidation.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    All routes require the admins:manage permission.
+ *          New admins are added through invitations (/api/v1/admin/invites).
+ */
+router.use(auth, authorize(PERMISSIONS.ADMINS_MANAGE));
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List admins with paging, search, role and status filters
+ * @access  Super Admin (admins:manage)
+ */
+router.get('/', getAdmins);
+
+/**
+ * @route   GET /api/v1/admin/users/:id
+ * @desc    Get a single admin
+ * @access  Super Admin (admins:manage)
+ */
+router.get('/:id', getAdminById);
+
+/**
+ * @route   PUT /api/v1/admin/users/:id
+ * @desc    Update an admin's name or mobile number
+ * @access  Super Admin (admins:manage)
+ */
+router.put('/:id', validateRequest(updateAdminUserValidation), updateAdmin);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:id/status
+ * @desc    Activate or deactivate an admin
+ * @access  Super Admin (admins:manage)
+ */
+router.patch('/:id/status', validateRequest(updateAdminStatusValidation), updateAdminStatus);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:id/role
+ * @desc    Change an admin's role
+ * @access  Super Admin (admins:manage)
+ */
+router.patch('/:id/role', validateRequest(updateAdminRoleValidation), updateAdminRole);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/force-password-reset
+ * @desc    Void the admin's password, end their sessions and email a reset link
+ * @access  Super Admin (admins:manage)
+ */
+router.post('/:id/force-password-reset', forcePasswordReset);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:id
+ * @desc    Delete an admin
+ * @access  Super Admin (admins:manage)
+ */
+router.delete('/:id', deleteAdmin);
+
+export default router;
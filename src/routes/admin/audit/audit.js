@@ -0,0 +1,24 @@
+import express from 'express';
+import { getAuditLogs, getAuditLogById } from '../../../controllers/admin/audit/audit.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/audit
+ * @desc    List audit log entries (filters: actor, resourceType, resourceId, action, from, to)
+ * @access  Super Admin (audit:read)
+ */
+router.get('/', auth, authorize(PERMISSIONS.AUDIT_READ), getAuditLogs);
+
+/**
+ * @route   GET /api/v1/audit/:id
+ * @desc    Get a single audit log entry
+ * @access  Super Admin (audit:read)
+ */
+router.get('/:id', auth, authorize(PERMISSIONS.AUDIT_READ), getAuditLogById);
+
+export default router;
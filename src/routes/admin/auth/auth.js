@@ -7,9 +7,20 @@ import {
   changePassword,
   getprofile,
   updateProfile,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  loginTwoFactor,
 } from '../../../controllers/admin/authController/authController.js';
-import auth from '../../../middlewares/admin/auth/auth.js';
+import auth, { authAllowingTwoFactorSetup } from '../../../middlewares/admin/auth/auth.js';
 import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  loginRateLimit,
+  loginTwoFactorRateLimit,
+  forgotPasswordRateLimit,
+} from '../../../middlewares/admin/rateLimit/rateLimit.js';
 import { uploadProfileImage } from '../../../middlewares/multerConfig.js';
 import {
   registerValidation,
@@ -18,6 +29,8 @@ import {
   resetPasswordValidation,
   changePasswordValidation,
   updateProfileValidation,
+  refreshTokenValidation,
+  loginTwoFactorValidation,
 } from '../../../validation/admin/authValidation/authValidation.js';
 
 // Initialize Express router
@@ -29,24 +42,36 @@ const router = express.Router();
 
 /**
  * @route   POST /api/admin/register
- * @desc    Register a new admin
- * @access  Public
+ * @desc    Register a new admin using a super-admin invitation token
+ * @access  Public (requires a valid invitation)
  */
 router.post('/register', validateRequest(registerValidation), register);
 
 /**
  * @route   POST /api/admin/login
- * @desc    Authenticate admin and return JWT
+ * @desc    Authenticate admin and return JWT (throttled per IP and per account)
  * @access  Public
  */
-router.post('/login', validateRequest(loginValidation), login);
+router.post('/login', loginRateLimit, validateRequest(loginValidation), login);
+
+/**
+ * @route   POST /api/admin/login/2fa
+ * @desc    Complete login with an authenticator or recovery code
+ * @access  Public (requires a challenge token from /login)
+ */
+router.post('/login/2fa', loginTwoFactorRateLimit, validateRequest(loginTwoFactorValidation), loginTwoFactor);
 
 /**
  * @route   POST /api/admin/forgot-password
- * @desc    Initiate password reset process
+ * @desc    Initiate password reset process (throttled per IP and per email)
  * @access  Public
  */
-router.post('/forgot-password', validateRequest(forgotPasswordValidation), forgotPassword);
+router.post(
+  '/forgot-password',
+  forgotPasswordRateLimit,
+  validateRequest(forgotPasswordValidation),
+  forgotPassword
+);
 
 /**
  * @route   POST /api/admin/reset-password
@@ -55,6 +80,13 @@ router.post('/forgot-password', validateRequest(forgotPasswordValidation), forgo
  */
 router.post('/reset-password', validateRequest(resetPasswordValidation), resetPassword);
 
+/**
+ * @route   POST /api/admin/refresh-token
+ * @desc    Rotate a refresh token and issue a new access token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh-token', validateRequest(refreshTokenValidation), refreshToken);
+
 /**
  * @desc    Protected routes requiring authentication
  */
@@ -71,7 +103,7 @@ router.put('/change-password', auth, validateRequest(changePasswordValidation),
  * @desc    Retrieve authenticated admin's profile
  * @access  Private (Admin)
  */
-router.get('/profile', auth, getprofile);
+router.get('/profile', authAllowingTwoFactorSetup, getprofile);
 
 /**
  * @route   PUT /api/admin/UpdateProfile
@@ -80,4 +112,32 @@ router.get('/profile', auth, getprofile);
  */
 router.put('/UpdateProfile', auth, uploadProfileImage, validateRequest(updateProfileValidation), updateProfile);
 
+/**
+ * @route   POST /api/admin/logout
+ * @desc    Revoke the current session
+ * @access  Private (Admin)
+ */
+router.post('/logout', authAllowingTwoFactorSetup, logout);
+
+/**
+ * @route   POST /api/admin/logout-all
+ * @desc    Revoke every session of the authenticated admin
+ * @access  Private (Admin)
+ */
+router.post('/logout-all', authAllowingTwoFactorSetup, logoutAll);
+
+/**
+ * @route   GET /api/admin/sessions
+ * @desc    List the authenticated admin's active sessions
+ * @access  Private (Admin)
+ */
+router.get('/sessions', auth, getSessions);
+
+/**
+ * @route   DELETE /api/admin/sessions/:id
+ * @desc    Revoke one of the authenticated admin's sessions
+ * @access  Private (Admin)
+ */
+router.delete('/sessions/:id', auth, revokeSession);
+
 export default router;
\ No newline at end of file
@@ -8,6 +8,8 @@ import {
 } from '../../../controllers/admin/brand/brand.js';
 import { validateResource } from '../../../middlewares/admin/validate/validate.js';
 import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
 
 // Initialize Express router
 const router = express.Router();
@@ -39,20 +41,20 @@ router.get('/:id', getBrandById);
  * @desc    Create a new brand
  * @access  Private (Admin)
  */
-router.post('/', auth, validateResource('brand'), createBrand);
+router.post('/', auth, authorize(PERMISSIONS.CATALOG_WRITE), validateResource('brand'), createBrand);
 
 /**
  * @route   PUT /api/brands/:id
  * @desc    Update an existing brand
  * @access  Private (Admin)
  */
-router.put('/:id', auth, validateResource('brand'), updateBrand);
+router.put('/:id', auth, authorize(PERMISSIONS.CATALOG_WRITE), validateResource('brand'), updateBrand);
 
 /**
  * @route   DELETE /api/brands/:id
- * @desc    Delete a brand by ID
- * @access  Private (Admin)
+ * @desc    Move a brand to the trash
+ * @access  Super Admin (catalog:delete)
  */
-router.delete('/:id', auth, deleteBrand);
+router.delete('/:id', auth, authorize(PERMISSIONS.CATALOG_DELETE), deleteBrand);
 
 export default router;
\ No newline at end of file
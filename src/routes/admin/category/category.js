@@ -12,6 +12,8 @@ import {
 import { validateResource } from '../../../middlewares/admin/validate/validate.js';
 import { uploadCategoryImages } from '../../../middlewares/multerConfig.js';
 import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
 
 // Initialize express router
 const router = express.Router();
@@ -38,6 +40,7 @@ router.get('/:id', auth, getCategoryById);
 router.post(
   '/',
   auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   uploadCategoryImages,                  // Handle category image uploads
   parseJsonFields(['sizes']),            // Parse specific JSON fields like 'sizes'
   createCategory
@@ -51,6 +54,7 @@ router.post(
 router.put(
   '/:id',
   auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   uploadCategoryImages,
   parseJsonFields(['sizes']),
   validateResource('category'),
@@ -59,10 +63,10 @@ router.put(
 
 /**
  * @route   DELETE /api/v1/category/:id
- * @desc    Delete a category by ID
- * @access  Admin (Protected)
+ * @desc    Move a category to the trash
+ * @access  Super Admin (catalog:delete)
  */
-router.delete('/:id', auth, deleteCategory);
+router.delete('/:id', auth, authorize(PERMISSIONS.CATALOG_DELETE), deleteCategory);
 
 // Export the router to be used in the main app
 export default router;
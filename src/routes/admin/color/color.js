@@ -10,6 +10,8 @@ import {
 
 import { validateResource } from '../../../middlewares/admin/validate/validate.js';
 import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
 
 // Initialize express router
 const router = express.Router();
@@ -36,6 +38,7 @@ router.get('/:id', getColorById);
 router.post(
   '/',
   auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   validateResource('color'),  // Optional: You can remove this if it's not needed during creation
   createColor
 );
@@ -48,16 +51,17 @@ router.post(
 router.put(
   '/:id',
   auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   validateResource('color'),
   updateColor
 );
 
 /**
  * @route   DELETE /api/v1/color/:id
- * @desc    Delete a color by ID
- * @access  Admin (Protected)
+ * @desc    Move a color to the trash
+ * @access  Super Admin (catalog:delete)
  */
-router.delete('/:id', auth, deleteColor);
+router.delete('/:id', auth, authorize(PERMISSIONS.CATALOG_DELETE), deleteColor);
 
 // Export the router to be used in the main app
 export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+  recordCouponRedemption,
+  getCouponRedemptions,
+} from '../../../controllers/admin/coupon/coupon.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import { couponValidateRateLimit } from '../../../middlewares/admin/rateLimit/rateLimit.js';
+import { optionalCustomerAuth } from '../../../middlewares/customer/auth/auth.js';
+import {
+  createCouponValidation,
+  updateCouponValidation,
+  validateCouponValidation,
+  redeemCouponValidation,
+} from '../../../validation/admin/couponValidation/couponValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/coupons/validate
+ * @desc    Check a coupon code against cart lines and return the discount breakdown
+ *          (at the signed-in customer's prices, if any)
+ * @access  Public (rate limited per IP)
+ */
+router.post(
+  '/validate',
+  couponValidateRateLimit,
+  optionalCustomerAuth,
+  validateRequest(validateCouponValidation),
+  validateCoupon
+);
+
+/**
+ * @route   GET /api/v1/coupons
+ * @desc    List coupons
+ * @access  Admin (Protected)
+ */
+router.get('/', auth, getCoupons);
+
+/**
+ * @route   GET /api/v1/coupons/:id
+ * @desc    Get a coupon with its scope
+ * @access  Admin (Protected)
+ */
+router.get('/:id', auth, getCouponById);
+
+/**
+ * @route   GET /api/v1/coupons/:id/redemptions
+ * @desc    List a coupon's redemptions
+ * @access  Admin (Protected)
+ */
+router.get('/:id/redemptions', auth, getCouponRedemptions);
+
+/**
+ * @route   POST /api/v1/coupons
+ * @desc    Create a coupon
+ * @access  Admin (catalog:write)
+ */
+router.post('/', auth, authorize(PERMISSIONS.CATALOG_WRITE), validateRequest(createCouponValidation), createCoupon);
+
+/**
+ * @route   POST /api/v1/coupons/:id/redemptions
+ * @desc    Record a use of a coupon against its usage caps
+ * @access  Admin (catalog:write)
+ */
+router.post(
+  '/:id/redemptions',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  validateRequest(redeemCouponValidation),
+  recordCouponRedemption
+);
+
+/**
+ * @route   PUT /api/v1/coupons/:id
+ * @desc    Update or disable a coupon
+ * @access  Admin (catalog:write)
+ */
+router.put('/:id', auth, authorize(PERMISSIONS.CATALOG_WRITE), validateRequest(updateCouponValidation), updateCoupon);
+
+/**
+ * @route   DELETE /api/v1/coupons/:id
+ * @desc    Delete a coupon that has never been redeemed
+ * @access  Admin (catalog:write)
+ */
+router.delete('/:id', auth, authorize(PERMISSIONS.CATALOG_WRITE), deleteCoupon);
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+} from '../../../controllers/admin/customer/customer.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import { updateCustomerValidation } from '../../../validation/admin/customerValidation/customerValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Customer account routes; all need the customers:manage permission
+ */
+router.use(auth, authorize(PERMISSIONS.CUSTOMERS_MANAGE));
+
+/**
+ * @route   GET /api/v1/admin/customers
+ * @desc    List customers with counts per price group
+ * @access  Admin (customers:manage)
+ */
+router.get('/', getCustomers);
+
+/**
+ * @route   GET /api/v1/admin/customers/:id
+ * @desc    Get one customer
+ * @access  Admin (customers:manage)
+ */
+router.get('/:id', getCustomerById);
+
+/**
+ * @route   PATCH /api/v1/admin/customers/:id
+ * @desc    Move a customer to another price group
+ * @access  Admin (customers:manage)
+ */
+router.patch('/:id', validateRequest(updateCustomerValidation), updateCustomer);
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import {
+  getInquiries,
+  getInquiryById,
+  updateInquiryStatus,
+  getWhatsappNumberSetting,
+  updateWhatsappNumberSetting,
+} from '../../../controllers/admin/inquiry/inquiry.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  updateInquiryStatusValidation,
+  whatsappNumberValidation,
+} from '../../../validation/admin/inquiryValidation/inquiryValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/inquiries/whatsapp-number
+ * @desc    Get the business number inquiry links open a chat with
+ * @access  Admin (Protected)
+ */
+router.get('/whatsapp-number', auth, getWhatsappNumberSetting);
+
+/**
+ * @route   PUT /api/v1/inquiries/whatsapp-number
+ * @desc    Change the business number inquiry links open a chat with
+ * @access  Admin (leads:manage)
+ */
+router.put(
+  '/whatsapp-number',
+  auth,
+  authorize(PERMISSIONS.LEADS_MANAGE),
+  validateRequest(whatsappNumberValidation),
+  updateWhatsappNumberSetting
+);
+
+/**
+ * @route   GET /api/v1/inquiries
+ * @desc    List WhatsApp inquiry leads (filters: status, product, utmSource, from, to, search)
+ * @access  Admin (leads:manage)
+ */
+router.get('/', auth, authorize(PERMISSIONS.LEADS_MANAGE), getInquiries);
+
+/**
+ * @route   GET /api/v1/inquiries/:id
+ * @desc    Get one inquiry lead
+ * @access  Admin (leads:manage)
+ */
+router.get('/:id', auth, authorize(PERMISSIONS.LEADS_MANAGE), getInquiryById);
+
+/**
+ * @route   PATCH /api/v1/inquiries/:id/status
+ * @desc    Set a lead's status (new, contacted, converted, lost) and notes
+ * @access  Admin (leads:manage)
+ */
+router.patch(
+  '/:id/status',
+  auth,
+  authorize(PERMISSIONS.LEADS_MANAGE),
+  validateRequest(updateInquiryStatusValidation),
+  updateInquiryStatus
+);
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import {
+  createInvite,
+  getInvites,
+  verifyInvite,
+  revokeInvite,
+} from '../../../controllers/admin/invite/invite.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import { createInviteValidation } from '../../../validation/admin/inviteValidation/inviteValidation.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/admin/invites/verify/:token
+ * @desc    Check that an invitation token is valid before registering
+ * @access  Public
+ */
+router.get('/verify/:token', verifyInvite);
+
+/**
+ * @desc    Protected routes requiring the admins:manage permission
+ */
+
+/**
+ * @route   POST /api/v1/admin/invites
+ * @desc    Invite a new admin by email
+ * @access  Super Admin (admins:manage)
+ */
+router.post(
+  '/',
+  auth,
+  authorize(PERMISSIONS.ADMINS_MANAGE),
+  validateRequest(createInviteValidation),
+  createInvite
+);
+
+/**
+ * @route   GET /api/v1/admin/invites
+ * @desc    List invitations, optionally filtered by status
+ * @access  Super Admin (admins:manage)
+ */
+router.get('/', auth, authorize(PERMISSIONS.ADMINS_MANAGE), getInvites);
+
+/**
+ * @route   DELETE /api/v1/admin/invites/:id
+ * @desc    Revoke a pending invitation
+ * @access  Super Admin (admins:manage)
+ */
+router.delete('/:id', auth, authorize(PERMISSIONS.ADMINS_MANAGE), revokeInvite);
+
+export default router;
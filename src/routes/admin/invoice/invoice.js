@@ -0,0 +1,74 @@
+import express from 'express';
+import {
+  getInvoices,
+  getInvoiceById,
+  getInvoiceHtml,
+  downloadInvoicePdf,
+  createOrderInvoice,
+  getInvoiceSellerSetting,
+  updateInvoiceSellerSetting,
+} from '../../../controllers/admin/invoice/invoice.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import { invoiceSellerValidation } from '../../../validation/admin/invoiceValidation/invoiceValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Invoice routes; all need the orders:manage permission
+ */
+router.use(auth, authorize(PERMISSIONS.ORDERS_MANAGE));
+
+/**
+ * @route   GET /api/v1/invoices
+ * @desc    List issued GST invoices
+ * @access  Admin (orders:manage)
+ */
+router.get('/', getInvoices);
+
+/**
+ * @route   GET /api/v1/invoices/seller
+ * @desc    Get the seller details printed on invoices
+ * @access  Admin (orders:manage)
+ */
+router.get('/seller', getInvoiceSellerSetting);
+
+/**
+ * @route   PUT /api/v1/invoices/seller
+ * @desc    Change the seller details printed on invoices
+ * @access  Admin (orders:manage)
+ */
+router.put('/seller', validateRequest(invoiceSellerValidation), updateInvoiceSellerSetting);
+
+/**
+ * @route   POST /api/v1/invoices/orders/:orderId
+ * @desc    Issue the GST invoice for an order
+ * @access  Admin (orders:manage)
+ */
+router.post('/orders/:orderId', createOrderInvoice);
+
+/**
+ * @route   GET /api/v1/invoices/:id
+ * @desc    Get one invoice
+ * @access  Admin (orders:manage)
+ */
+router.get('/:id', getInvoiceById);
+
+/**
+ * @route   GET /api/v1/invoices/:id/html
+ * @desc    View the printable HTML invoice
+ * @access  Admin (orders:manage)
+ */
+router.get('/:id/html', getInvoiceHtml);
+
+/**
+ * @route   GET /api/v1/invoices/:id/pdf
+ * @desc    Download the PDF invoice
+ * @access  Admin (orders:manage)
+ */
+router.get('/:id/pdf', downloadInvoicePdf);
+
+export default router;
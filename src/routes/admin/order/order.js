@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+  getOrders,
+  getOrderById,
+  createOrderFromQuote,
+  updateOrderStatus,
+} from '../../../controllers/admin/order/order.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  createOrderFromQuoteValidation,
+  updateOrderStatusValidation,
+} from '../../../validation/admin/orderValidation/orderValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Order routes; all need the orders:manage permission
+ */
+router.use(auth, authorize(PERMISSIONS.ORDERS_MANAGE));
+
+/**
+ * @route   GET /api/v1/orders
+ * @desc    List orders with counts per status
+ * @access  Admin (orders:manage)
+ */
+router.get('/', getOrders);
+
+/**
+ * @route   POST /api/v1/orders/from-quote/:quoteId
+ * @desc    Create an order from an accepted quote
+ * @access  Admin (orders:manage)
+ */
+router.post('/from-quote/:quoteId', validateRequest(createOrderFromQuoteValidation), createOrderFromQuote);
+
+/**
+ * @route   GET /api/v1/orders/:id
+ * @desc    Get one order
+ * @access  Admin (orders:manage)
+ */
+router.get('/:id', getOrderById);
+
+/**
+ * @route   PATCH /api/v1/orders/:id/status
+ * @desc    Move an order to another status and email the buyer
+ * @access  Admin (orders:manage)
+ */
+router.patch('/:id/status', validateRequest(updateOrderStatusValidation), updateOrderStatus);
+
+export default router;
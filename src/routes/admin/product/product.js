@@ -9,10 +9,37 @@ import {
   searchProducts
   // getProductBySlug, // Uncomment if you plan to use slug-based product URLs
 } from '../../../controllers/admin/product/product.js';
+import {
+  getProductRevisions,
+  getProductRevision,
+  diffProductRevisions,
+  revertProductRevision,
+} from '../../../controllers/admin/productRevision/productRevision.js';
+import { importProducts } from '../../../controllers/admin/productImport/productImport.js';
+import { exportProducts } from '../../../controllers/admin/productExport/productExport.js';
+import {
+  adjustStock,
+  getProductStock,
+  getProductMovements,
+  getSkuMovements,
+  getLowStock,
+} from '../../../controllers/admin/inventory/inventory.js';
+import {
+  getProductBySku,
+  getSkuLabel,
+  generateProductSkus,
+  getSkuPatternSetting,
+  updateSkuPatternSetting,
+} from '../../../controllers/admin/sku/sku.js';
 
 import { validateResource } from '../../../middlewares/admin/validate/validate.js';
-import { uploadProductImages } from '../../../middlewares/multerConfig.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import { adjustStockValidation } from '../../../validation/admin/inventoryValidation/inventoryValidation.js';
+import { skuPatternValidation, generateSkusValidation } from '../../../validation/admin/skuValidation/skuValidation.js';
+import { uploadProductImages, uploadImportFile } from '../../../middlewares/multerConfig.js';
 import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
 
 // Initialize Express router
 const router = express.Router();
@@ -26,6 +53,54 @@ router.get('/', getProducts);
 
 router.get('/', searchProducts)
 
+/**
+ * @route   GET /api/v1/product/export?format=csv|xlsx|json
+ * @desc    Stream the catalog (same filters as the product list), one row per variant and size
+ * @access  Admin (Protected)
+ */
+router.get('/export', auth, exportProducts);
+
+/**
+ * @route   GET /api/v1/product/low-stock
+ * @desc    Out-of-stock and low-stock sizes across active products
+ * @access  Admin (Protected)
+ */
+router.get('/low-stock', auth, getLowStock);
+
+/**
+ * @route   GET /api/v1/product/sku-pattern
+ * @desc    Get the pattern used to generate SKUs
+ * @access  Admin (Protected)
+ */
+router.get('/sku-pattern', auth, getSkuPatternSetting);
+
+/**
+ * @route   PUT /api/v1/product/sku-pattern
+ * @desc    Change the pattern used to generate SKUs
+ * @access  Admin (catalog:write)
+ */
+router.put(
+  '/sku-pattern',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  validateRequest(skuPatternValidation),
+  updateSkuPatternSetting
+);
+
+/**
+ * @route   GET /api/v1/product/sku/:sku
+ * @desc    Look up a product size by SKU or barcode
+ * @access  Admin (Protected)
+ */
+router.get('/sku/:sku', auth, getProductBySku);
+
+/**
+ * @route   GET /api/v1/product/sku/:sku/label?format=svg|png
+ * @desc    Render a printable barcode label for a SKU
+ * @access  Admin (Protected)
+ */
+router.get('/sku/:sku/label', auth, getSkuLabel);
+
 /**
  * @route   GET /api/v1/product/:id
  * @desc    Get a single product by ID
@@ -33,6 +108,86 @@ router.get('/', searchProducts)
  */
 router.get('/:id', auth, getProductById);
 
+/**
+ * @route   GET /api/v1/product/:id/revisions
+ * @desc    List a product's revision history
+ * @access  Admin (Protected)
+ */
+router.get('/:id/revisions', auth, getProductRevisions);
+
+/**
+ * @route   GET /api/v1/product/:id/revisions/diff?from=&to=
+ * @desc    Field-level diff between two revisions
+ * @access  Admin (Protected)
+ */
+router.get('/:id/revisions/diff', auth, diffProductRevisions);
+
+/**
+ * @route   GET /api/v1/product/:id/revisions/:revision
+ * @desc    Get a single revision with its snapshot
+ * @access  Admin (Protected)
+ */
+router.get('/:id/revisions/:revision', auth, getProductRevision);
+
+/**
+ * @route   POST /api/v1/product/:id/revisions/:revision/revert
+ * @desc    Revert a product to an earlier revision
+ * @access  Admin (catalog:write)
+ */
+router.post(
+  '/:id/revisions/:revision/revert',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  revertProductRevision
+);
+
+/**
+ * @route   GET /api/v1/product/:id/inventory
+ * @desc    Current stock per variant size, with the stock derived from the ledger
+ * @access  Admin (Protected)
+ */
+router.get('/:id/inventory', auth, getProductStock);
+
+/**
+ * @route   GET /api/v1/product/:id/inventory/movements?type=&from=&to=
+ * @desc    Inventory movement history of a product
+ * @access  Admin (Protected)
+ */
+router.get('/:id/inventory/movements', auth, getProductMovements);
+
+/**
+ * @route   GET /api/v1/product/:id/inventory/:variantId/:size/movements
+ * @desc    Inventory movement history of one variant size
+ * @access  Admin (Protected)
+ */
+router.get('/:id/inventory/:variantId/:size/movements', auth, getSkuMovements);
+
+/**
+ * @route   POST /api/v1/product/:id/inventory/adjustments
+ * @desc    Apply stock adjustments (receipt, sale, return, damage, correction) atomically
+ * @access  Admin (catalog:write)
+ */
+router.post(
+  '/:id/inventory/adjustments',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  validateRequest(adjustStockValidation),
+  adjustStock
+);
+
+/**
+ * @route   POST /api/v1/product/:id/skus/generate
+ * @desc    Generate missing SKUs for a product ({ overwrite: true } regenerates all)
+ * @access  Admin (catalog:write)
+ */
+router.post(
+  '/:id/skus/generate',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  validateRequest(generateSkusValidation),
+  generateProductSkus
+);
+
 /**
  * @route   POST /api/v1/product/
  * @desc    Create a new product
@@ -41,11 +196,25 @@ router.get('/:id', auth, getProductById);
 router.post(
   '/',
   auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   uploadProductImages,              // Handles image uploads (single or multiple)
   // validateResource('product'),      // Validates product fields if schema is defined
   createProduct
 );
 
+/**
+ * @route   POST /api/v1/product/import?dryRun=true
+ * @desc    Bulk import products from a CSV or XLSX file ('file' field)
+ * @access  Admin (catalog:write)
+ */
+router.post(
+  '/import',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  uploadImportFile,
+  importProducts
+);
+
 /**
  * @route   PUT /api/v1/product/:id
  * @desc    Update an existing product
@@ -54,6 +223,7 @@ router.post(
 router.put(
   '/:id',
   auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   uploadProductImages,              // Re-upload or update images
   // validateResource('product'),
   updateProduct
@@ -61,10 +231,10 @@ router.put(
 
 /**
  * @route   DELETE /api/v1/product/:id
- * @desc    Delete a product by ID
- * @access  Admin (Protected)
+ * @desc    Move a product to the trash
+ * @access  Super Admin (catalog:delete)
  */
-router.delete('/:id', auth, deleteProduct);
+router.delete('/:id', auth, authorize(PERMISSIONS.CATALOG_DELETE), deleteProduct);
 
 // Optional route for slug-based fetching
 // router.get('/:slug', getProductBySlug);
@@ -0,0 +1,68 @@
+import express from 'express';
+import {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} from '../../../controllers/admin/promotion/promotion.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  createPromotionValidation,
+  updatePromotionValidation,
+} from '../../../validation/admin/promotionValidation/promotionValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/promotions?state=running|scheduled|expired|paused
+ * @desc    List promotions with their schedule state
+ * @access  Admin (Protected)
+ */
+router.get('/', auth, getPromotions);
+
+/**
+ * @route   GET /api/v1/promotions/:id
+ * @desc    Get a promotion with its targets
+ * @access  Admin (Protected)
+ */
+router.get('/:id', auth, getPromotionById);
+
+/**
+ * @route   POST /api/v1/promotions
+ * @desc    Create a time-boxed promotion
+ * @access  Admin (catalog:write)
+ */
+router.post(
+  '/',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  validateRequest(createPromotionValidation),
+  createPromotion
+);
+
+/**
+ * @route   PUT /api/v1/promotions/:id
+ * @desc    Update or pause a promotion
+ * @access  Admin (catalog:write)
+ */
+router.put(
+  '/:id',
+  auth,
+  authorize(PERMISSIONS.CATALOG_WRITE),
+  validateRequest(updatePromotionValidation),
+  updatePromotion
+);
+
+/**
+ * @route   DELETE /api/v1/promotions/:id
+ * @desc    Delete a promotion
+ * @access  Admin (catalog:write)
+ */
+router.delete('/:id', auth, authorize(PERMISSIONS.CATALOG_WRITE), deletePromotion);
+
+export default router;
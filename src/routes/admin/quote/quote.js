@@ -0,0 +1,61 @@
+import express from 'express';
+import {
+  getQuotes,
+  getQuoteById,
+  priceQuote,
+  acceptQuote,
+  rejectQuote,
+} from '../../../controllers/admin/quote/quote.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  priceQuoteValidation,
+  rejectQuoteValidation,
+} from '../../../validation/admin/quoteValidation/quoteValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Quote request routes; all need the leads:manage permission
+ */
+router.use(auth, authorize(PERMISSIONS.LEADS_MANAGE));
+
+/**
+ * @route   GET /api/v1/quotes
+ * @desc    List quote requests with counts per status
+ * @access  Admin (leads:manage)
+ */
+router.get('/', getQuotes);
+
+/**
+ * @route   GET /api/v1/quotes/:id
+ * @desc    Get one quote request
+ * @access  Admin (leads:manage)
+ */
+router.get('/:id', getQuoteById);
+
+/**
+ * @route   PUT /api/v1/quotes/:id/price
+ * @desc    Price a request and email the quote to the buyer
+ * @access  Admin (leads:manage)
+ */
+router.put('/:id/price', validateRequest(priceQuoteValidation), priceQuote);
+
+/**
+ * @route   POST /api/v1/quotes/:id/accept
+ * @desc    Accept a quoted request
+ * @access  Admin (leads:manage)
+ */
+router.post('/:id/accept', acceptQuote);
+
+/**
+ * @route   POST /api/v1/quotes/:id/reject
+ * @desc    Reject a pending or quoted request
+ * @access  Admin (leads:manage)
+ */
+router.post('/:id/reject', validateRequest(rejectQuoteValidation), rejectQuote);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from 'express';
+import {
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from '../../../controllers/admin/return/return.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  approveReturnValidation,
+  rejectReturnValidation,
+  receiveReturnValidation,
+} from '../../../validation/admin/returnValidation/returnValidation.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Return request routes; all need the orders:manage permission
+ */
+router.use(auth, authorize(PERMISSIONS.ORDERS_MANAGE));
+
+/**
+ * @route   GET /api/v1/returns
+ * @desc    List return requests with counts per status
+ * @access  Admin (orders:manage)
+ */
+router.get('/', getReturns);
+
+/**
+ * @route   GET /api/v1/returns/:id
+ * @desc    Get one return request
+ * @access  Admin (orders:manage)
+ */
+router.get('/:id', getReturnById);
+
+/**
+ * @route   POST /api/v1/returns/:id/approve
+ * @desc    Approve a requested return
+ * @access  Admin (orders:manage)
+ */
+router.post('/:id/approve', validateRequest(approveReturnValidation), approveReturn);
+
+/**
+ * @route   POST /api/v1/returns/:id/reject
+ * @desc    Reject a requested return with a reason
+ * @access  Admin (orders:manage)
+ */
+router.post('/:id/reject', validateRequest(rejectReturnValidation), rejectReturn);
+
+/**
+ * @route   POST /api/v1/returns/:id/receive
+ * @desc    Receive the goods: restock them and send any exchanges
+ * @access  Admin (orders:manage)
+ */
+router.post('/:id/receive', validateRequest(receiveReturnValidation), receiveReturn);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import { getTrash, restoreTrashItem, purgeTrashItem } from '../../../controllers/admin/trash/trash.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/trash?type=product|category|brand|color
+ * @desc    List trashed items of one type
+ * @access  Admin (catalog:write)
+ */
+router.get('/', auth, authorize(PERMISSIONS.CATALOG_WRITE), getTrash);
+
+/**
+ * @route   POST /api/v1/trash/:type/:id/restore
+ * @desc    Restore a trashed item
+ * @access  Admin (catalog:write)
+ */
+router.post('/:type/:id/restore', auth, authorize(PERMISSIONS.CATALOG_WRITE), restoreTrashItem);
+
+/**
+ * @route   DELETE /api/v1/trash/:type/:id
+ * @desc    Permanently delete a trashed item
+ * @access  Super Admin (catalog:delete)
+ */
+router.delete('/:type/:id', auth, authorize(PERMISSIONS.CATALOG_DELETE), purgeTrashItem);
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} from '../../../controllers/admin/twoFactor/twoFactor.js';
+import auth, { authAllowingTwoFactorSetup } from '../../../middlewares/admin/auth/auth.js';
+import authorize from '../../../middlewares/admin/authorize/authorize.js';
+import { validateRequest } from '../../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  twoFactorPolicyValidation,
+} from '../../../validation/admin/twoFactorValidation/twoFactorValidation.js';
+import { PERMISSIONS } from '../../../config/constant/permissions/permissions.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Enrollment routes, reachable even while 2FA is required but not yet set up
+ */
+
+/**
+ * @route   GET /api/v1/admin/2fa
+ * @desc    Get the authenticated admin's 2FA status
+ * @access  Private (Admin)
+ */
+router.get('/', authAllowingTwoFactorSetup, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/v1/admin/2fa/setup
+ * @desc    Start enrollment and return the otpauth URI and QR code
+ * @access  Private (Admin)
+ */
+router.post('/setup', authAllowingTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @route   POST /api/v1/admin/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private (Admin)
+ */
+router.post(
+  '/enable',
+  authAllowingTwoFactorSetup,
+  validateRequest(twoFactorCodeValidation),
+  enableTwoFactor
+);
+
+/**
+ * @desc    Routes for admins with 2FA enabled
+ */
+
+/**
+ * @route   POST /api/v1/admin/2fa/disable
+ * @desc    Disable 2FA with the password and a code
+ * @access  Private (Admin)
+ */
+router.post('/disable', auth, validateRequest(disableTwoFactorValidation), disableTwoFactor);
+
+/**
+ * @route   POST /api/v1/admin/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private (Admin)
+ */
+router.post('/recovery-codes', auth, validateRequest(twoFactorCodeValidation), regenerateRecoveryCodes);
+
+/**
+ * @desc    Policy routes requiring the admins:manage permission
+ */
+
+/**
+ * @route   GET /api/v1/admin/2fa/policy
+ * @desc    Get whether 2FA is required for every admin
+ * @access  Super Admin (admins:manage)
+ */
+router.get('/policy', auth, authorize(PERMISSIONS.ADMINS_MANAGE), getTwoFactorPolicy);
+
+/**
+ * @route   PUT /api/v1/admin/2fa/policy
+ * @desc    Require or stop requiring 2FA for every admin
+ * @access  Super Admin (admins:manage)
+ */
+router.put(
+  '/policy',
+  auth,
+  authorize(PERMISSIONS.ADMINS_MANAGE),
+  validateRequest(twoFactorPolicyValidation),
+  updateTwoFactorPolicy
+);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getMostWishlisted } from '../../../controllers/admin/wishlist/wishlist.js';
+import auth from '../../../middlewares/admin/auth/auth.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/wishlist/most-wishlisted
+ * @desc    Products saved to the most wishlists (filters: days, limit)
+ * @access  Admin (Protected)
+ */
+router.get('/most-wishlisted', auth, getMostWishlisted);
+
+export default router;
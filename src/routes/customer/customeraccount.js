@@ -0,0 +1,77 @@
+import express from 'express';
+import {
+  getProfile,
+  updateProfile,
+  changePassword,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} from '../../controllers/customer/customeraccount.js';
+import customerAuth from '../../middlewares/customer/auth/auth.js';
+import { validateRequest } from '../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  updateProfileValidation,
+  changePasswordValidation,
+  createAddressValidation,
+  updateAddressValidation,
+} from '../../validation/customer/customerAuthValidation/customerAuthValidation.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Every account route requires a customer token
+ */
+router.use(customerAuth);
+
+/**
+ * @route   GET /api/v1/customer/account/profile
+ * @desc    Retrieve the signed-in customer's profile
+ * @access  Private (Customer)
+ */
+router.get('/profile', getProfile);
+
+/**
+ * @route   PUT /api/v1/customer/account/profile
+ * @desc    Update the signed-in customer's name or mobile number
+ * @access  Private (Customer)
+ */
+router.put('/profile', validateRequest(updateProfileValidation), updateProfile);
+
+/**
+ * @route   PUT /api/v1/customer/account/change-password
+ * @desc    Change the signed-in customer's password
+ * @access  Private (Customer)
+ */
+router.put('/change-password', validateRequest(changePasswordValidation), changePassword);
+
+/**
+ * @route   GET /api/v1/customer/account/addresses
+ * @desc    List saved addresses
+ * @access  Private (Customer)
+ */
+router.get('/addresses', getAddresses);
+
+/**
+ * @route   POST /api/v1/customer/account/addresses
+ * @desc    Save a new address
+ * @access  Private (Customer)
+ */
+router.post('/addresses', validateRequest(createAddressValidation), addAddress);
+
+/**
+ * @route   PUT /api/v1/customer/account/addresses/:addressId
+ * @desc    Update a saved address
+ * @access  Private (Customer)
+ */
+router.put('/addresses/:addressId', validateRequest(updateAddressValidation), updateAddress);
+
+/**
+ * @route   DELETE /api/v1/customer/account/addresses/:addressId
+ * @desc    Delete a saved address
+ * @access  Private (Customer)
+ */
+router.delete('/addresses/:addressId', deleteAddress);
+
+export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import {
+  register,
+  verifyOtp,
+  resendOtp,
+  login,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  logout,
+  logoutAll,
+} from '../../controllers/customer/customerauth.js';
+import customerAuth from '../../middlewares/customer/auth/auth.js';
+import { validateRequest } from '../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  customerLoginRateLimit,
+  customerEmailRateLimit,
+  customerOtpRateLimit,
+} from '../../middlewares/admin/rateLimit/rateLimit.js';
+import {
+  registerValidation,
+  verifyOtpValidation,
+  emailOnlyValidation,
+  loginValidation,
+  refreshTokenValidation,
+  resetPasswordValidation,
+} from '../../validation/customer/customerAuthValidation/customerAuthValidation.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Public routes for customer sign-up, login and password reset
+ */
+
+/**
+ * @route   POST /api/v1/customer/auth/register
+ * @desc    Create a customer account and email a verification code
+ * @access  Public (throttled per IP and per email)
+ */
+router.post('/register', customerEmailRateLimit, validateRequest(registerValidation), register);
+
+/**
+ * @route   POST /api/v1/customer/auth/verify-otp
+ * @desc    Verify the email with the emailed code and log in
+ * @access  Public (throttled per IP)
+ */
+router.post('/verify-otp', customerOtpRateLimit, validateRequest(verifyOtpValidation), verifyOtp);
+
+/**
+ * @route   POST /api/v1/customer/auth/resend-otp
+ * @desc    Email a new verification code
+ * @access  Public (throttled per IP and per email)
+ */
+router.post('/resend-otp', customerEmailRateLimit, validateRequest(emailOnlyValidation), resendOtp);
+
+/**
+ * @route   POST /api/v1/customer/auth/login
+ * @desc    Log in with an email or mobile number and password
+ * @access  Public (throttled per IP and per account)
+ */
+router.post('/login', customerLoginRateLimit, validateRequest(loginValidation), login);
+
+/**
+ * @route   POST /api/v1/customer/auth/refresh-token
+ * @desc    Rotate a refresh token and issue a new access token
+ * @access  Public (requires a valid customer refresh token)
+ */
+router.post('/refresh-token', validateRequest(refreshTokenValidation), refreshToken);
+
+/**
+ * @route   POST /api/v1/customer/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public (throttled per IP and per email)
+ */
+router.post('/forgot-password', customerEmailRateLimit, validateRequest(emailOnlyValidation), forgotPassword);
+
+/**
+ * @route   POST /api/v1/customer/auth/reset-password
+ * @desc    Reset the password with the emailed token
+ * @access  Public
+ */
+router.post('/reset-password', validateRequest(resetPasswordValidation), resetPassword);
+
+/**
+ * @desc    Protected routes requiring a customer token
+ */
+
+/**
+ * @route   POST /api/v1/customer/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private (Customer)
+ */
+router.post('/logout', customerAuth, logout);
+
+/**
+ * @route   POST /api/v1/customer/auth/logout-all
+ * @desc    Revoke every session of the signed-in customer
+ * @access  Private (Customer)
+ */
+router.post('/logout-all', customerAuth, logoutAll);
+
+export default router;
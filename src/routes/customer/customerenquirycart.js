@@ -0,0 +1,69 @@
+import express from 'express';
+import {
+  getEnquiryCart,
+  addEnquiryCartLine,
+  updateEnquiryCartLine,
+  removeEnquiryCartLine,
+  clearEnquiryCart,
+  submitEnquiryCart,
+} from '../../controllers/customer/customerenquirycart.js';
+import { optionalCustomerAuth } from '../../middlewares/customer/auth/auth.js';
+import { quoteRequestRateLimit } from '../../middlewares/admin/rateLimit/rateLimit.js';
+import { validateRequest } from '../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  addEnquiryLineValidation,
+  updateEnquiryLineValidation,
+  submitEnquiryValidation,
+} from '../../validation/customer/enquiryCartValidation/enquiryCartValidation.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Enquiry cart routes; signed-in customers use their token, guests send X-Device-Token
+ */
+router.use(optionalCustomerAuth);
+
+/**
+ * @route   GET /api/v1/customer/enquiry-cart
+ * @desc    Get the cart with each line checked against stock, visibility and order rules
+ * @access  Public (customer token or device token)
+ */
+router.get('/', getEnquiryCart);
+
+/**
+ * @route   DELETE /api/v1/customer/enquiry-cart
+ * @desc    Remove every line
+ * @access  Public (customer token or device token)
+ */
+router.delete('/', clearEnquiryCart);
+
+/**
+ * @route   POST /api/v1/customer/enquiry-cart/lines
+ * @desc    Add a product in a color and size, or add to an existing line's quantity
+ * @access  Public (customer token or device token)
+ */
+router.post('/lines', validateRequest(addEnquiryLineValidation), addEnquiryCartLine);
+
+/**
+ * @route   PUT /api/v1/customer/enquiry-cart/lines/:lineId
+ * @desc    Change a line's quantity
+ * @access  Public (customer token or device token)
+ */
+router.put('/lines/:lineId', validateRequest(updateEnquiryLineValidation), updateEnquiryCartLine);
+
+/**
+ * @route   DELETE /api/v1/customer/enquiry-cart/lines/:lineId
+ * @desc    Remove a line
+ * @access  Public (customer token or device token)
+ */
+router.delete('/lines/:lineId', removeEnquiryCartLine);
+
+/**
+ * @route   POST /api/v1/customer/enquiry-cart/submit
+ * @desc    Submit the cart as a quote request
+ * @access  Public (customer token or device token; rate limited per IP)
+ */
+router.post('/submit', quoteRequestRateLimit, validateRequest(submitEnquiryValidation), submitEnquiryCart);
+
+export default router;
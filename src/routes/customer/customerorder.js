@@ -0,0 +1,51 @@
+import express from 'express';
+import {
+  placeOrder,
+  getMyOrders,
+  getMyOrderById,
+  cancelMyOrder,
+} from '../../controllers/customer/customerorder.js';
+import customerAuth from '../../middlewares/customer/auth/auth.js';
+import { validateRequest } from '../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  placeOrderValidation,
+  cancelOrderValidation,
+} from '../../validation/customer/orderValidation/orderValidation.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Orders of the signed-in customer
+ */
+router.use(customerAuth);
+
+/**
+ * @route   POST /api/v1/customer/orders
+ * @desc    Place an order and reserve its stock
+ * @access  Private (Customer)
+ */
+router.post('/', validateRequest(placeOrderValidation), placeOrder);
+
+/**
+ * @route   GET /api/v1/customer/orders
+ * @desc    List the customer's orders
+ * @access  Private (Customer)
+ */
+router.get('/', getMyOrders);
+
+/**
+ * @route   GET /api/v1/customer/orders/:id
+ * @desc    Get one of the customer's orders
+ * @access  Private (Customer)
+ */
+router.get('/:id', getMyOrderById);
+
+/**
+ * @route   POST /api/v1/customer/orders/:id/cancel
+ * @desc    Cancel an order that hasn't been packed yet
+ * @access  Private (Customer)
+ */
+router.post('/:id/cancel', validateRequest(cancelOrderValidation), cancelMyOrder);
+
+export default router;
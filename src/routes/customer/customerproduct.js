@@ -7,13 +7,19 @@ import {
   getDealsOfTheMonth,
   getFilterOptions
 } from '../../controllers/customer/customerproduct.js';
+import { logProductInquiry } from '../../controllers/customer/customerinquiry.js';
+import { optionalCustomerAuth } from '../../middlewares/customer/auth/auth.js';
+import { inquiryRateLimit } from '../../middlewares/admin/rateLimit/rateLimit.js';
+import { validateRequest } from '../../middlewares/admin/validaterequest/validateRequest.js';
+import { logInquiryValidation } from '../../validation/customer/inquiryValidation/inquiryValidation.js';
 
 // Initialize Express router
 const router = express.Router();
 
 /**
- * @desc    Public routes for customer product retrieval
+ * @desc    Public routes for customer product retrieval; signed-in customers see their group's prices
  */
+router.use(optionalCustomerAuth);
 
 /**
  * @route   GET /api/customer-products
@@ -51,6 +57,13 @@ router.get('/allfilters', getFilterOptions);
  */
 router.get('/:id', getCustomerProductById);
 
+/**
+ * @route   POST /api/customer-products/:id/inquiry
+ * @desc    Log a WhatsApp inquiry and return the wa.me link to open
+ * @access  Public (rate limited per IP)
+ */
+router.post('/:id/inquiry', inquiryRateLimit, validateRequest(logInquiryValidation), logProductInquiry);
+
 
 
 export default router;
\ No newline at end of file
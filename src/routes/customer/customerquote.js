@@ -0,0 +1,27 @@
+import express from 'express';
+import { getMyQuotes, getMyQuoteById } from '../../controllers/customer/customerquote.js';
+import customerAuth from '../../middlewares/customer/auth/auth.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Quote requests of the signed-in customer
+ */
+router.use(customerAuth);
+
+/**
+ * @route   GET /api/v1/customer/quotes
+ * @desc    List the customer's quote requests
+ * @access  Private (Customer)
+ */
+router.get('/', getMyQuotes);
+
+/**
+ * @route   GET /api/v1/customer/quotes/:id
+ * @desc    Get one of the customer's quote requests
+ * @access  Private (Customer)
+ */
+router.get('/:id', getMyQuoteById);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  requestReturn,
+  getMyReturns,
+  getMyReturnById,
+} from '../../controllers/customer/customerreturn.js';
+import customerAuth from '../../middlewares/customer/auth/auth.js';
+import { uploadReturnPhotos } from '../../middlewares/multerConfig.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Return requests of the signed-in customer
+ */
+router.use(customerAuth);
+
+/**
+ * @route   POST /api/v1/customer/returns
+ * @desc    Request a return of delivered goods, with photos
+ * @access  Private (Customer)
+ */
+router.post('/', uploadReturnPhotos, requestReturn);
+
+/**
+ * @route   GET /api/v1/customer/returns
+ * @desc    List the customer's return requests
+ * @access  Private (Customer)
+ */
+router.get('/', getMyReturns);
+
+/**
+ * @route   GET /api/v1/customer/returns/:id
+ * @desc    Get one of the customer's return requests
+ * @access  Private (Customer)
+ */
+router.get('/:id', getMyReturnById);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  clearWishlist,
+  mergeWishlist,
+} from '../../controllers/customer/customerwishlist.js';
+import customerAuth, { optionalCustomerAuth } from '../../middlewares/customer/auth/auth.js';
+import { validateRequest } from '../../middlewares/admin/validaterequest/validateRequest.js';
+import {
+  addWishlistItemValidation,
+  mergeWishlistValidation,
+} from '../../validation/customer/wishlistValidation/wishlistValidation.js';
+
+// Initialize Express router
+const router = express.Router();
+
+/**
+ * @desc    Wishlist routes; signed-in customers use their token, guests send X-Device-Token
+ */
+
+/**
+ * @route   POST /api/v1/customer/wishlist/merge
+ * @desc    Merge a guest device's wishlist into the signed-in customer's
+ * @access  Private (Customer)
+ */
+router.post('/merge', customerAuth, validateRequest(mergeWishlistValidation), mergeWishlist);
+
+/**
+ * @route   GET /api/v1/customer/wishlist
+ * @desc    List saved products with current price, stock and visibility
+ * @access  Public (customer token or device token)
+ */
+router.get('/', optionalCustomerAuth, getWishlist);
+
+/**
+ * @route   POST /api/v1/customer/wishlist
+ * @desc    Save a product, optionally in a color and size
+ * @access  Public (customer token or device token)
+ */
+router.post('/', optionalCustomerAuth, validateRequest(addWishlistItemValidation), addToWishlist);
+
+/**
+ * @route   DELETE /api/v1/customer/wishlist
+ * @desc    Remove every saved product
+ * @access  Public (customer token or device token)
+ */
+router.delete('/', optionalCustomerAuth, clearWishlist);
+
+/**
+ * @route   DELETE /api/v1/customer/wishlist/:itemId
+ * @desc    Remove a saved product
+ * @access  Public (customer token or device token)
+ */
+router.delete('/:itemId', optionalCustomerAuth, removeFromWishlist);
+
+export default router;
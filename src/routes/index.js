@@ -1,11 +1,32 @@
 import express from 'express';
 import adminRoutes from './admin/auth/auth.js';
+import inviteRoutes from './admin/invite/invite.js';
+import twoFactorRoutes from './admin/twoFactor/twoFactor.js';
+import adminUserRoutes from './admin/adminUser/adminUser.js';
+import adminCustomerRoutes from './admin/customer/customer.js';
 import categoryRoutes from './admin/category/category.js';
 import productRoutes from './admin/product/product.js';
 import customerCategoryRoutes from './customer/customercategory.js';
 import customerProductRoutes from './customer/customerproduct.js';
+import customerAuthRoutes from './customer/customerauth.js';
+import customerAccountRoutes from './customer/customeraccount.js';
+import customerWishlistRoutes from './customer/customerwishlist.js';
+import customerEnquiryCartRoutes from './customer/customerenquirycart.js';
+import customerQuoteRoutes from './customer/customerquote.js';
+import customerOrderRoutes from './customer/customerorder.js';
+import customerReturnRoutes from './customer/customerreturn.js';
 import colorRoutes from './admin/color/color.js';
 import brandRoutes from './admin/brand/brand.js';
+import auditRoutes from './admin/audit/audit.js';
+import trashRoutes from './admin/trash/trash.js';
+import promotionRoutes from './admin/promotion/promotion.js';
+import couponRoutes from './admin/coupon/coupon.js';
+import wishlistRoutes from './admin/wishlist/wishlist.js';
+import inquiryRoutes from './admin/inquiry/inquiry.js';
+import quoteRoutes from './admin/quote/quote.js';
+import orderRoutes from './admin/order/order.js';
+import invoiceRoutes from './admin/invoice/invoice.js';
+import returnRoutes from './admin/return/return.js';
 
 // Initialize Express router
 const router = express.Router();
@@ -27,10 +48,76 @@ router.use('/v1/customercategory', customerCategoryRoutes);
  */
 router.use('/v1/customerproducts', customerProductRoutes);
 
+/**
+ * @route   /api/v1/customer/auth
+ * @desc    Routes for customer sign-up, login and password reset
+ */
+router.use('/v1/customer/auth', customerAuthRoutes);
+
+/**
+ * @route   /api/v1/customer/account
+ * @desc    Routes for the signed-in customer's profile and address book
+ */
+router.use('/v1/customer/account', customerAccountRoutes);
+
+/**
+ * @route   /api/v1/customer/wishlist
+ * @desc    Routes for customer and guest wishlists
+ */
+router.use('/v1/customer/wishlist', customerWishlistRoutes);
+
+/**
+ * @route   /api/v1/customer/enquiry-cart
+ * @desc    Routes for customer and guest enquiry carts and quote submission
+ */
+router.use('/v1/customer/enquiry-cart', customerEnquiryCartRoutes);
+
+/**
+ * @route   /api/v1/customer/quotes
+ * @desc    Routes for the signed-in customer's quote requests
+ */
+router.use('/v1/customer/quotes', customerQuoteRoutes);
+
+/**
+ * @route   /api/v1/customer/orders
+ * @desc    Routes for placing, tracking and cancelling the customer's orders
+ */
+router.use('/v1/customer/orders', customerOrderRoutes);
+
+/**
+ * @route   /api/v1/customer/returns
+ * @desc    Routes for requesting and tracking returns of delivered goods
+ */
+router.use('/v1/customer/returns', customerReturnRoutes);
+
 /**
  * @desc    Admin and resource API routes (includes public and protected endpoints)
  */
 
+/**
+ * @route   /api/v1/admin/invites
+ * @desc    Routes for super-admin invitations of new admins
+ */
+router.use('/v1/admin/invites', inviteRoutes);
+
+/**
+ * @route   /api/v1/admin/2fa
+ * @desc    Routes for TOTP two-factor enrollment and policy
+ */
+router.use('/v1/admin/2fa', twoFactorRoutes);
+
+/**
+ * @route   /api/v1/admin/users
+ * @desc    Routes for super-admin management of admin accounts
+ */
+router.use('/v1/admin/users', adminUserRoutes);
+
+/**
+ * @route   /api/v1/admin/customers
+ * @desc    Routes for listing customers and setting their price group
+ */
+router.use('/v1/admin/customers', adminCustomerRoutes);
+
 /**
  * @route   /api/v1/admin
  * @desc    Routes for admin authentication and profile management
@@ -61,4 +148,64 @@ router.use('/v1/color', colorRoutes);
  */
 router.use('/v1/brand', brandRoutes);
 
+/**
+ * @route   /api/v1/audit
+ * @desc    Routes for reading the audit log
+ */
+router.use('/v1/audit', auditRoutes);
+
+/**
+ * @route   /api/v1/trash
+ * @desc    Routes for the catalog trash (restore and permanent delete)
+ */
+router.use('/v1/trash', trashRoutes);
+
+/**
+ * @route   /api/v1/promotions
+ * @desc    Routes for time-boxed sales and scheduled discounts
+ */
+router.use('/v1/promotions', promotionRoutes);
+
+/**
+ * @route   /api/v1/coupons
+ * @desc    Routes for coupon codes (public validation, admin management)
+ */
+router.use('/v1/coupons', couponRoutes);
+
+/**
+ * @route   /api/v1/wishlist
+ * @desc    Routes for wishlist reports
+ */
+router.use('/v1/wishlist', wishlistRoutes);
+
+/**
+ * @route   /api/v1/inquiries
+ * @desc    Routes for WhatsApp inquiry leads
+ */
+router.use('/v1/inquiries', inquiryRoutes);
+
+/**
+ * @route   /api/v1/quotes
+ * @desc    Routes for pricing, accepting and rejecting quote requests
+ */
+router.use('/v1/quotes', quoteRoutes);
+
+/**
+ * @route   /api/v1/orders
+ * @desc    Routes for listing orders and moving them through fulfilment
+ */
+router.use('/v1/orders', orderRoutes);
+
+/**
+ * @route   /api/v1/invoices
+ * @desc    Routes for issuing and downloading GST invoices
+ */
+router.use('/v1/invoices', invoiceRoutes);
+
+/**
+ * @route   /api/v1/returns
+ * @desc    Routes for approving, rejecting and receiving return requests
+ */
+router.use('/v1/returns', returnRoutes);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Bootstrap the first super-admin account.
+//
+// Usage:
+//   npm run seed:super-admin -- --name="Jane Doe" --email=jane@example.com --password=Secret123
+//
+// Values can also come from SUPER_ADMIN_NAME, SUPER_ADMIN_EMAIL and
+// SUPER_ADMIN_PASSWORD. Refuses to run once a super-admin exists; further
+// admins must be invited through POST /api/v1/admin/invites.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db/db.js';
+import Admin from '../models/admin/admin.js';
+import { ROLES } from '../config/constant/permissions/permissions.js';
+
+dotenv.config();
+
+/**
+ * Parse --key=value command-line arguments into an object
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed arguments
+ */
+const parseArgs = (argv) =>
+  argv.reduce((acc, arg) => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) acc[match[1]] = match[2];
+    return acc;
+  }, {});
+
+const seedSuperAdmin = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const name = args.name || process.env.SUPER_ADMIN_NAME;
+  const email = args.email || process.env.SUPER_ADMIN_EMAIL;
+  const password = args.password || process.env.SUPER_ADMIN_PASSWORD;
+
+  if (!name || !email || !password) {
+    console.error('Name, email and password are required (see usage at the top of this script).');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    const existingSuperAdmin = await Admin.findOne({ role: ROLES.SUPER_ADMIN });
+    if (existingSuperAdmin) {
+      console.error(`A super-admin already exists (${existingSuperAdmin.email}). Use invitations to add admins.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const existingAdmin = await Admin.findOne({ email: email.toLowerCase() });
+    if (existingAdmin) {
+      console.error(`An admin with email ${email} already exists.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = await Admin.create({ name, email, password, role: ROLES.SUPER_ADMIN });
+    console.log(`Super-admin created: ${admin.email} (${admin._id})`);
+  } catch (error) {
+    console.error('Super-admin seed failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+seedSuperAdmin();
@@ -7,6 +7,10 @@ import path from 'path';
 import morgan from 'morgan';
 import { fileURLToPath } from 'url';
 import { v2 as cloudinary } from 'cloudinary';
+import { startTrashPurgeScheduler } from './utils/trash/trash.js';
+import { startLowStockDigestScheduler } from './utils/lowStock/lowStock.js';
+import { backfillProductStatus, startPublishingScheduler } from './utils/publishing/publishing.js';
+import { trustProxySetting } from './config/proxy/proxy.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -29,8 +33,24 @@ console.log('Cloudinary Config:', {
 
 connectDB();
 
+// Permanently delete catalog items that have been in the trash past the retention period
+startTrashPurgeScheduler();
+
+// Email admins a daily digest of low and out-of-stock sizes
+startLowStockDigestScheduler();
+
+// Products saved before the publishing lifecycle count as published
+backfillProductStatus();
+
+// Publish scheduled products and archive expired ones
+startPublishingScheduler();
+
 const app = express();
 
+// Take the client IP from X-Forwarded-For when behind a proxy (TRUST_PROXY),
+// so per-IP rate limits count each client rather than the proxy
+app.set('trust proxy', trustProxySetting());
+
 app.use(cors());
 app.use(express.json());
 app.use(morgan('dev'));
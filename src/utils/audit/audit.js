@@ -0,0 +1,133 @@
+import AuditLog from '../../models/auditLog/auditLog.js';
+
+// Bookkeeping fields that would only add noise to a diff
+const IGNORED_FIELDS = new Set(['__v', 'createdAt', 'updatedAt']);
+
+// Secrets whose values must never reach the audit log; only the fact they changed is kept
+const REDACTED_FIELDS = new Set([
+  'password',
+  'resetPasswordToken',
+  'refreshTokenHash',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+]);
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Convert a document (or plain object) to JSON-safe data for diffing.
+ * Populated references are reduced to their ids so they compare equal to raw ids.
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object|null} Plain object
+ */
+export const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, flattenMaps: true })
+    : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Flatten a snapshot into dotted paths. Arrays of objects are walked by index;
+ * arrays of primitives are compared as a whole.
+ * @param {*} value - Snapshot value
+ * @param {string} [prefix=''] - Path so far
+ * @param {Object} [out={}] - Accumulator
+ * @returns {Object} Map of path to value
+ */
+const flatten = (value, prefix = '', out = {}) => {
+  const isObjectArray = Array.isArray(value) && value.some((item) => item && typeof item === 'object');
+  const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+
+  if (!REDACTED_FIELDS.has(prefix.split('.').pop()) && (isObjectArray || (isPlainObject && Object.keys(value).length > 0))) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!prefix && IGNORED_FIELDS.has(key)) continue;
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Hide the value of a secret field, keeping whether it was set
+ * @param {string} field - Dotted path
+ * @param {*} value - Raw value
+ * @returns {*} Value safe to store
+ */
+const redact = (field, value) => {
+  if (value === undefined || value === null) return null;
+  return REDACTED_FIELDS.has(field.split('.').pop()) ? REDACTED : value;
+};
+
+/**
+ * Compute field-level changes between two snapshots
+ * @param {Object|null} before - State before the change (null for creates)
+ * @param {Object|null} after - State after the change (null for deletes)
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+export const diffSnapshots = (before, after) => {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  for (const field of fields) {
+    const from = flatBefore[field];
+    const to = flatAfter[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from: redact(field, from), to: redact(field, to) });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Record an audit log entry. Failures are logged and swallowed so auditing
+ * never breaks the request that triggered it.
+ * @param {Object|null} req - Express request object (actor, IP and user agent are read from it);
+ *   null for background jobs
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.resourceType - One of AUDIT_RESOURCES
+ * @param {*} [entry.resourceId] - ID of the affected resource
+ * @param {Object} [entry.before] - Document or snapshot before the change
+ * @param {Object} [entry.after] - Document or snapshot after the change
+ * @param {Object} [entry.actor] - Admin performing the action, when req.admin isn't set (e.g. login)
+ * @param {Object} [entry.metadata] - Extra context
+ * @returns {Promise<Object|null>} Created entry, or null if it couldn't be saved
+ */
+export const recordAudit = async (req, {
+  action,
+  resourceType,
+  resourceId = null,
+  before = null,
+  after = null,
+  actor = null,
+  metadata = null,
+}) => {
+  try {
+    const performedBy = actor || req?.admin || null;
+    const beforeSnapshot = before && typeof before.toObject === 'function' ? toAuditSnapshot(before) : before;
+    const afterSnapshot = after && typeof after.toObject === 'function' ? toAuditSnapshot(after) : after;
+
+    return await AuditLog.create({
+      actor: performedBy?._id || null,
+      actorEmail: performedBy?.email || null,
+      action,
+      resourceType,
+      resourceId,
+      changes: beforeSnapshot || afterSnapshot ? diffSnapshots(beforeSnapshot, afterSnapshot) : [],
+      metadata,
+      ip: req?.ip || '',
+      userAgent: req?.headers?.['user-agent'] || '',
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
@@ -0,0 +1,57 @@
+import bwipjs from 'bwip-js';
+import { BARCODE_TYPES } from '../../config/constant/sku/sku.js';
+
+/**
+ * Compute the GS1 check digit shared by EAN-13 and UPC-A
+ * @param {string} digits - Code without its check digit
+ * @returns {number} Check digit
+ */
+export const getBarcodeCheckDigit = (digits) => {
+  // Weights alternate 3, 1, 3, ... starting from the rightmost digit
+  const sum = [...digits].reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Barcode symbology of a code, by length
+ * @param {string} code - Barcode digits
+ * @returns {string|null} 'ean13', 'upca', or null when not a supported length
+ */
+export const getBarcodeType = (code) => (/^\d+$/.test(code || '') ? BARCODE_TYPES[code.length] || null : null);
+
+/**
+ * Check an EAN-13 or UPC-A code, including its check digit
+ * @param {string} code - Barcode digits
+ * @returns {boolean} True when valid
+ */
+export const isValidBarcode = (code) =>
+  Boolean(getBarcodeType(code)) && getBarcodeCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+
+/**
+ * Render a printable barcode label. The size's barcode is used when it has one,
+ * otherwise the SKU is encoded as Code 128.
+ * @param {Object} label
+ * @param {string} label.sku - SKU (encoded when there is no barcode)
+ * @param {string} [label.barcode] - EAN-13 / UPC-A code
+ * @param {Object} [options]
+ * @param {string} [options.format='svg'] - 'svg' or 'png'
+ * @param {number} [options.scale=3] - Bar width multiplier (1-8)
+ * @returns {Promise<string|Buffer>} SVG markup or PNG data
+ */
+export const renderBarcodeLabel = async ({ sku, barcode }, { format = 'svg', scale = 3 } = {}) => {
+  const options = barcode
+    ? { bcid: getBarcodeType(barcode), text: barcode }
+    : { bcid: 'code128', text: sku };
+
+  Object.assign(options, {
+    scale: Math.min(Math.max(parseInt(scale) || 3, 1), 8),
+    height: 12,
+    includetext: true,
+    textxalign: 'center',
+    paddingwidth: 4,
+    paddingheight: 2,
+    backgroundcolor: 'FFFFFF',
+  });
+
+  return format === 'png' ? bwipjs.toBuffer(options) : bwipjs.toSVG(options);
+};
@@ -0,0 +1,189 @@
+import Product from '../../models/product/product.js';
+import Coupon from '../../models/coupon/coupon.js';
+import CouponRedemption from '../../models/couponRedemption/couponRedemption.js';
+import { priceProductsForBuyer, getUnitPrice, checkOrderQuantity, roundAmount } from '../pricing/pricing.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { COUPON_TYPES, COUPON_REJECTIONS } from '../../config/constant/coupon/coupon.js';
+
+/**
+ * ID of a reference that may be populated
+ * @param {*} ref - ObjectId, populated document or null
+ * @returns {string|null} ID as a string
+ */
+const idOf = (ref) => (ref ? String(ref._id ?? ref) : null);
+
+/**
+ * Normalise a coupon code the way it is stored
+ * @param {*} value - Code as typed
+ * @returns {string} Trimmed, uppercased code
+ */
+export const normalizeCouponCode = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Normalise a customer identifier so the same person always counts once:
+ * emails are lowercased, phone numbers keep only digits and a leading +
+ * @param {*} value - Phone number or email
+ * @returns {string} Identifier, empty when none was given
+ */
+export const normalizeCustomer = (value) => {
+  const customer = String(value ?? '').trim().toLowerCase();
+  return customer.includes('@') ? customer : customer.replace(/(?!^\+)[^\d]/g, '');
+};
+
+/**
+ * Price cart lines at today's prices for a customer group (quantity breaks
+ * and, for retail, running promotions included)
+ * @param {Object[]} items - { productId, variantId?, quantity }
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @returns {Promise<{lines?: Object[], error?: Object}>} Priced lines, or { message, data } for the
+ *   first item that can't be sold
+ */
+export const priceCartLines = async (items, group) => {
+  const products = await Product.find({
+    _id: { $in: [...new Set(items.map((item) => item.productId))] },
+    isVisible: true,
+    status: PRODUCT_STATUS.PUBLISHED,
+  })
+    .select('name base_price category brand collections tags minOrderQuantity packSize variants._id variants.price variants.priceTiers')
+    .lean();
+  const priced = new Map((await priceProductsForBuyer(products, group)).map((product) => [String(product._id), product]));
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    const product = priced.get(String(item.productId));
+    const variant = item.variantId
+      ? product?.variants.find((v) => String(v._id) === String(item.variantId))
+      : null;
+    if (!product || (item.variantId && !variant)) {
+      return { error: { message: COUPON_REJECTIONS.ITEM_NOT_FOUND, data: { index, item } } };
+    }
+    const quantityError = checkOrderQuantity(product, item.quantity);
+    if (quantityError) {
+      return {
+        error: {
+          message: quantityError,
+          data: { index, item, minOrderQuantity: product.minOrderQuantity, packSize: product.packSize },
+        },
+      };
+    }
+
+    const unitPrice = variant ? getUnitPrice(variant, item.quantity) : product.finalPrice;
+    lines.push({
+      productId: product._id,
+      variantId: variant?._id ?? null,
+      name: product.name,
+      category: product.category,
+      brand: product.brand,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal: roundAmount(unitPrice * item.quantity),
+    });
+  }
+  return { lines };
+};
+
+/**
+ * Check whether a cart line is in a coupon's scope
+ * @param {Object} coupon - Coupon
+ * @param {Object} line - Priced cart line
+ * @returns {boolean} True when the coupon applies to the line
+ */
+const inScope = (coupon, line) => {
+  const scoped = ['products', 'categories', 'brands'].some((key) => coupon[key]?.length);
+  if (!scoped) return true;
+
+  const has = (list, value) => value != null && (list || []).some((item) => String(item) === value);
+  return has(coupon.products, idOf(line.productId))
+    || has(coupon.categories, idOf(line.category))
+    || has(coupon.brands, idOf(line.brand));
+};
+
+/**
+ * Check a coupon against a priced cart and work out the discount. The
+ * discount is spread over the eligible lines in proportion to their totals.
+ * @param {Object} coupon - Coupon
+ * @param {Object[]} lines - Lines from priceCartLines
+ * @param {Object} [options]
+ * @param {string} [options.customer] - Normalised customer identifier
+ * @param {Date} [options.now] - Current time
+ * @param {mongoose.ClientSession} [options.session] - Transaction session
+ * @returns {Promise<{breakdown?: Object, error?: string}>} Discount breakdown, or a COUPON_REJECTIONS message
+ */
+export const evaluateCoupon = async (coupon, lines, { customer = '', now = new Date(), session = null } = {}) => {
+  if (!coupon || !coupon.isActive) return { error: COUPON_REJECTIONS.NOT_FOUND };
+  if (coupon.startsAt > now) return { error: COUPON_REJECTIONS.NOT_STARTED };
+  if (coupon.endsAt && coupon.endsAt <= now) return { error: COUPON_REJECTIONS.EXPIRED };
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: COUPON_REJECTIONS.USAGE_LIMIT_REACHED };
+  }
+
+  if (coupon.perCustomerLimit !== null) {
+    if (!customer) return { error: COUPON_REJECTIONS.CUSTOMER_REQUIRED };
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, customer }).session(session);
+    if (used >= coupon.perCustomerLimit) return { error: COUPON_REJECTIONS.CUSTOMER_LIMIT_REACHED };
+  }
+
+  const inScopeFlags = lines.map((line) => inScope(coupon, line));
+  const eligible = lines.filter((line, i) => inScopeFlags[i]);
+  if (eligible.length === 0) return { error: COUPON_REJECTIONS.NO_ELIGIBLE_ITEMS };
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const eligibleSubtotal = roundAmount(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+  if (eligibleSubtotal < coupon.minAmount) return { error: COUPON_REJECTIONS.MIN_AMOUNT_NOT_MET };
+
+  let discount = coupon.type === COUPON_TYPES.PERCENT
+    ? eligibleSubtotal * (coupon.value / 100)
+    : coupon.value;
+  if (coupon.type === COUPON_TYPES.PERCENT && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundAmount(Math.min(discount, eligibleSubtotal));
+
+  // Rounding remainder goes to the last eligible line so the parts add up
+  let remaining = discount;
+  const lastEligibleIndex = inScopeFlags.lastIndexOf(true);
+  const breakdownLines = lines.map(({ category, brand, ...line }, i) => {
+    if (!inScopeFlags[i]) return { ...line, eligible: false, discount: 0 };
+    const share = i === lastEligibleIndex
+      ? remaining
+      : roundAmount(eligibleSubtotal ? (discount * line.lineTotal) / eligibleSubtotal : 0);
+    remaining = roundAmount(remaining - share);
+    return { ...line, eligible: true, discount: share };
+  });
+
+  return {
+    breakdown: {
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      subtotal,
+      eligibleSubtotal,
+      discount,
+      total: roundAmount(subtotal - discount),
+      lines: breakdownLines,
+    },
+  };
+};
+
+/**
+ * Count a use of a coupon. The total cap is enforced atomically, so two
+ * customers can't both take the last use.
+ * @param {Object} coupon - Coupon being redeemed
+ * @param {Object} redemption - { customer, discount, reference, createdBy }
+ * @param {mongoose.ClientSession} [session] - Transaction session
+ * @returns {Promise<Object|null>} Redemption, or null when the cap was reached meanwhile
+ */
+export const redeemCoupon = async (coupon, redemption, session = null) => {
+  const { modifiedCount } = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (modifiedCount === 0) return null;
+
+  const [created] = await CouponRedemption.create([{ coupon: coupon._id, ...redemption }], { session });
+  return created;
+};
@@ -0,0 +1,32 @@
+import jwt from 'jsonwebtoken';
+import { CUSTOMER_TOKEN_AUDIENCE } from '../../config/constant/customer/customer.js';
+
+/**
+ * Secret customer access tokens are signed with; falls back to the admin
+ * secret, the audience claim keeps the two kinds of token apart either way
+ * @returns {string} Signing secret
+ */
+const customerTokenSecret = () => process.env.CUSTOMER_JWT_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a short-lived customer access token bound to a session
+ * @param {mongoose.Types.ObjectId|string} id - Customer ID
+ * @param {mongoose.Types.ObjectId|string} sessionId - CustomerSession ID
+ * @returns {string} JWT
+ */
+export const generateCustomerToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, customerTokenSecret(), {
+    audience: CUSTOMER_TOKEN_AUDIENCE,
+    expiresIn: process.env.CUSTOMER_JWT_ACCESS_EXPIRE || process.env.JWT_ACCESS_EXPIRE || '15m',
+  });
+};
+
+/**
+ * Verify a customer access token. Admin tokens carry no audience and are refused.
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} Decoded claims
+ * @throws {jwt.JsonWebTokenError} If the token is invalid, expired or not a customer token
+ */
+export const verifyCustomerToken = (token) => {
+  return jwt.verify(token, customerTokenSecret(), { audience: CUSTOMER_TOKEN_AUDIENCE });
+};
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+import { DEVICE_TOKEN_HEADER, DEVICE_TOKEN_REGEX } from '../../config/constant/customer/customer.js';
+
+/**
+ * Device token a guest sent, if it is well formed
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token, or null when missing or malformed
+ */
+export const readDeviceToken = (req) => {
+  const token = req.headers[DEVICE_TOKEN_HEADER];
+  return typeof token === 'string' && DEVICE_TOKEN_REGEX.test(token) ? token : null;
+};
+
+/**
+ * Issue a device token for a guest's first saved item
+ * @returns {string} Random URL-safe token
+ */
+export const generateDeviceToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Query filter for the records a request owns: the signed-in customer's,
+ * otherwise the guest device's
+ * @param {Object} req - Express request object (req.customer set by optionalCustomerAuth)
+ * @param {string|null} [deviceToken] - Guest device token
+ * @returns {Object|null} Filter, or null for a guest without a token
+ */
+export const ownerFilter = (req, deviceToken = readDeviceToken(req)) => {
+  if (req.customer) return { customer: req.customer._id };
+  if (deviceToken) return { guestToken: deviceToken };
+  return null;
+};
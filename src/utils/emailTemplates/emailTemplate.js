@@ -1,5 +1,6 @@
 import sendEmail from '../sendemail/sendemail.js';
 import { base } from './baseTemplate.js';
+import { escapeHtml, formatRupees } from '../format/format.js';
 
 class EmailTemplates {
   /**
@@ -271,6 +272,359 @@ class EmailTemplates {
     }
   }
 
+  /**
+   * Send account lockout notification email after repeated failed logins
+   * @param {Object} user - User object with email and name
+   * @param {Date} lockUntil - When the lock expires
+   * @param {string} ip - IP address of the last failed attempt
+   * @returns {Promise<boolean>} - Promise that resolves when email is sent
+   */
+  static async sendAccountLockedEmail(user, lockUntil, ip = '') {
+    const subject = 'Account Temporarily Locked';
+
+    const content = `
+      <h2>Account Locked</h2>
+
+      <p>Hi <b>${escapeHtml(user.name)}</b>,</p>
+
+      <p>Your admin account was locked after too many failed login attempts.</p>
+
+      <div style="text-align: center; margin: 30px 0; padding: 20px; background-color: #f8d7da; border-radius: 8px; border-left: 4px solid #dc3545;">
+        <p style="margin: 0; color: #721c24; font-weight: bold; font-size: 18px;">⚠ Account Locked</p>
+        <p style="margin: 5px 0 0 0; color: #666;">You can try again after ${new Date(lockUntil).toLocaleString()}</p>
+      </div>
+
+      ${ip ? `<p><strong>Last attempt from IP:</strong> ${escapeHtml(ip)}</p>` : ''}
+
+      <p>If this was you, wait until the lock expires or reset your password. If it wasn't, someone may be trying to guess your password; we recommend enabling two-factor authentication.</p>
+
+      <div style="border-top: 1px solid #ddd; margin: 20px 0; padding-top: 20px;"></div>
+
+      <p>Best Regards,<br>Misha Brands Factory Team</p>
+    `;
+
+    try {
+      await sendEmail(user.email, subject, this.getBaseTemplate(content), true);
+      console.log(`Account locked email sent to ${user.email}`);
+      return true;
+    } catch (error) {
+      console.error('Account locked email send failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send admin invitation email with a one-time registration link
+   * @param {Object} invite - Invite object with email and role
+   * @param {string} inviteUrl - Registration URL containing the signed token
+   * @param {string} inviterName - Name of the super-admin who sent the invite
+   * @returns {Promise<boolean>} - Promise that resolves when email is sent
+   */
+  static async sendAdminInviteEmail(invite, inviteUrl, inviterName = '') {
+    const subject = 'You have been invited to Misha Brands Factory Admin';
+
+    const content = `
+      <h2>Admin Invitation</h2>
+
+      <p>Hi,</p>
+
+      <p>${inviterName ? `<b>${escapeHtml(inviterName)}</b> has invited you` : 'You have been invited'} to join the Misha Brands Factory admin panel as <strong>${invite.role}</strong>.</p>
+
+      <div style="text-align: left; margin: 30px 0;">
+        <a href="${inviteUrl}" class="cta-button button">Accept Invitation</a>
+      </div>
+
+      <p>This link can only be used once and will expire on <strong>${new Date(invite.expiresAt).toLocaleString()}</strong>.</p>
+
+      <p>If you were not expecting this invitation, please ignore this email.</p>
+
+      <div style="border-top: 1px solid #ddd; margin: 20px 0; padding-top: 20px;"></div>
+
+      <p>Best Regards,<br>Misha Brands Factory Team</p>
+    `;
+
+    try {
+      await sendEmail(invite.email, subject, this.getBaseTemplate(content), true);
+      console.log(`Admin invite email sent to ${invite.email}`);
+      return true;
+    } catch (error) {
+      console.error('Admin invite email send failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the daily digest of out-of-stock and low-stock sizes to an admin
+   * @param {Object} admin - Admin object with email and name
+   * @param {Object} report - Report from getLowStockReport
+   * @returns {Promise<boolean>} - Promise that resolves when email is sent
+   */
+  static async sendLowStockDigestEmail(admin, report) {
+    const maxRows = 50;
+    const subject = `Stock Alert: ${report.outOfStock.length} out of stock, ${report.lowStock.length} low`;
+
+    const table = (title, entries) => {
+      if (entries.length === 0) return '';
+      const rows = entries.slice(0, maxRows).map((entry) => `
+          <tr>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(entry.product.name)}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(entry.color)}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(entry.size)}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${entry.stock}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${entry.threshold}</td>
+          </tr>`).join('');
+
+      return `
+      <h3>${title} (${entries.length})</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <tr style="background-color: #f5f5f5; text-align: left;">
+          <th style="padding: 6px;">Product</th>
+          <th style="padding: 6px;">Color</th>
+          <th style="padding: 6px;">Size</th>
+          <th style="padding: 6px; text-align: right;">Stock</th>
+          <th style="padding: 6px; text-align: right;">Threshold</th>
+        </tr>${rows}
+      </table>
+      ${entries.length > maxRows ? `<p>…and ${entries.length - maxRows} more.</p>` : ''}`;
+    };
+
+    const content = `
+      <h2>Daily Stock Digest</h2>
+
+      <p>Hi <b>${escapeHtml(admin.name || '')}</b>,</p>
+
+      <p>These sizes were out of stock or at/below their low stock threshold on <strong>${new Date(report.generatedAt).toLocaleString()}</strong>.</p>
+      ${table('Out of Stock', report.outOfStock)}
+      ${table('Low Stock', report.lowStock)}
+
+      <div style="text-align: left; margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/products" class="cta-button button">Open Products</a>
+      </div>
+
+      <div style="border-top: 1px solid #ddd; margin: 20px 0; padding-top: 20px;"></div>
+
+      <p>Best Regards,<br>Misha Brands Factory Team</p>
+    `;
+
+    try {
+      await sendEmail(admin.email, subject, this.getBaseTemplate(content), true);
+      console.log(`Low stock digest email sent to ${admin.email}`);
+      return true;
+    } catch (error) {
+      console.error('Low stock digest email send failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a priced quote to the buyer who requested it
+   * @param {Object} quote - QuoteRequest priced by an admin
+   * @returns {Promise<boolean>} - Promise that resolves when email is sent
+   */
+  static async sendQuoteEmail(quote) {
+    const subject = `Your Quote ${quote.number} - Misha Brands Factory`;
+    const cell = 'padding: 6px; border-bottom: 1px solid #eee;';
+
+    const rows = quote.lines.map((line) => `
+          <tr>
+            <td style="${cell}">${escapeHtml(line.productName)}${line.sku ? `<br><span style="color: #666; font-size: 12px;">${escapeHtml(line.sku)}</span>` : ''}</td>
+            <td style="${cell}">${escapeHtml(line.colorName)}</td>
+            <td style="${cell}">${escapeHtml(line.size)}</td>
+            <td style="${cell} text-align: right;">${line.quantity}</td>
+            <td style="${cell} text-align: right;">${formatRupees(line.quotedUnitPrice)}</td>
+            <td style="${cell} text-align: right;">${formatRupees(line.lineTotal)}</td>
+          </tr>`).join('');
+
+    const content = `
+      <h2>Quote ${quote.number}</h2>
+
+      <p>Dear <b>${escapeHtml(quote.contact.name)}</b>,</p>
+
+      <p>Thank you for your enquiry. Here are our prices for the products you asked about${quote.contact.company ? ` on behalf of <b>${escapeHtml(quote.contact.company)}</b>` : ''}.</p>
+
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <tr style="background-color: #f5f5f5; text-align: left;">
+          <th style="padding: 6px;">Product</th>
+          <th style="padding: 6px;">Color</th>
+          <th style="padding: 6px;">Size</th>
+          <th style="padding: 6px; text-align: right;">Qty</th>
+          <th style="padding: 6px; text-align: right;">Unit Price</th>
+          <th style="padding: 6px; text-align: right;">Total</th>
+        </tr>${rows}
+        <tr>
+          <td colspan="5" style="padding: 6px; text-align: right;"><strong>Subtotal</strong></td>
+          <td style="padding: 6px; text-align: right;"><strong>${formatRupees(quote.quotedSubtotal)}</strong></td>
+        </tr>
+      </table>
+
+      <ul>
+        <li><strong>Quote number:</strong> ${quote.number}</li>
+        <li><strong>Valid until:</strong> ${new Date(quote.validUntil).toLocaleDateString('en-IN')}</li>
+        ${quote.contact.gstin ? `<li><strong>GSTIN:</strong> ${escapeHtml(quote.contact.gstin)}</li>` : ''}
+      </ul>
+
+      <p style="color: #666; font-size: 13px;">Prices exclude taxes and shipping, and are subject to stock at the time of order.</p>
+
+      ${quote.notes ? `
+      <div style="background-color: #f8f9fa; border-radius: 8px; padding: 15px; margin: 20px 0; border-left: 4px solid #007bff;">
+        ${escapeHtml(quote.notes).replace(/\n/g, '<br>')}
+      </div>
+      ` : ''}
+
+      <p>To go ahead, reply to this email quoting <strong>${quote.number}</strong>.</p>
+
+      <div style="border-top: 1px solid #ddd; margin: 20px 0; padding-top: 20px;"></div>
+
+      <p>Best Regards,<br>Misha Brands Factory Team</p>
+    `;
+
+    try {
+      await sendEmail(quote.contact.email, subject, this.getBaseTemplate(content), true);
+      console.log(`Quote ${quote.number} emailed to ${quote.contact.email}`);
+      return true;
+    } catch (error) {
+      console.error('Quote email send failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the buyer their order moved to a new status
+   * @param {Object} order - Order after the change
+   * @returns {Promise<boolean>} - Promise that resolves when email is sent
+   */
+  static async sendOrderStatusEmail(order) {
+    const headlines = {
+      pending: ['Order Received', 'We have received your order and reserved the stock for it. We will confirm it shortly.'],
+      confirmed: ['Order Confirmed', 'Your order is confirmed and will be packed soon.'],
+      packed: ['Order Packed', 'Your order is packed and waiting for pickup by the courier.'],
+      shipped: ['Order Shipped', 'Your order is on its way.'],
+      delivered: ['Order Delivered', 'Your order has been delivered. Thank you for your business!'],
+      cancelled: ['Order Cancelled', 'Your order has been cancelled.'],
+      returned: ['Order Returned', 'We have recorded the return of your order.'],
+    };
+    const [headline, intro] = headlines[order.status] || ['Order Update', `Your order is now ${order.status}.`];
+    const subject = `${headline}: ${order.number} - Misha Brands Factory`;
+    const cell = 'padding: 6px; border-bottom: 1px solid #eee;';
+    const note = order.statusHistory?.[order.statusHistory.length - 1]?.note;
+
+    const rows = order.lines.map((line) => `
+          <tr>
+            <td style="${cell}">${escapeHtml(line.productName)}</td>
+            <td style="${cell}">${escapeHtml(line.colorName)}</td>
+            <td style="${cell}">${escapeHtml(line.size)}</td>
+            <td style="${cell} text-align: right;">${line.quantity}</td>
+            <td style="${cell} text-align: right;">${formatRupees(line.lineTotal)}</td>
+          </tr>`).join('');
+
+    const tracking = order.tracking?.number ? `
+      <div style="background-color: #f8f9fa; border-radius: 8px; padding: 15px; margin: 20px 0; border-left: 4px solid #007bff;">
+        <strong>Courier:</strong> ${escapeHtml(order.tracking.carrier || '-')}<br>
+        <strong>Tracking number:</strong> ${escapeHtml(order.tracking.number)}
+        ${order.tracking.url ? `<br><a href="${escapeHtml(order.tracking.url)}">Track your shipment</a>` : ''}
+      </div>` : '';
+
+    const content = `
+      <h2>${headline}</h2>
+
+      <p>Dear <b>${escapeHtml(order.contact.name)}</b>,</p>
+
+      <p>${intro}</p>
+
+      ${note ? `<p><strong>Note:</strong> ${escapeHtml(note)}</p>` : ''}
+      ${tracking}
+
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <tr style="background-color: #f5f5f5; text-align: left;">
+          <th style="padding: 6px;">Product</th>
+          <th style="padding: 6px;">Color</th>
+          <th style="padding: 6px;">Size</th>
+          <th style="padding: 6px; text-align: right;">Qty</th>
+          <th style="padding: 6px; text-align: right;">Total</th>
+        </tr>${rows}
+        <tr>
+          <td colspan="4" style="padding: 6px; text-align: right;"><strong>Order Total</strong></td>
+          <td style="padding: 6px; text-align: right;"><strong>${formatRupees(order.total)}</strong></td>
+        </tr>
+      </table>
+
+      <p><strong>Order number:</strong> ${order.number}</p>
+
+      <div style="border-top: 1px solid #ddd; margin: 20px 0; padding-top: 20px;"></div>
+
+      <p>Best Regards,<br>Misha Brands Factory Team</p>
+    `;
+
+    try {
+      await sendEmail(order.contact.email, subject, this.getBaseTemplate(content), true);
+      console.log(`Order ${order.number} ${order.status} email sent to ${order.contact.email}`);
+      return true;
+    } catch (error) {
+      console.error('Order status email send failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a buyer an update on their return request
+   * @param {Object} returnRequest - ReturnRequest with contact, lines and status
+   * @returns {Promise<boolean>} - Promise that resolves when email is sent
+   */
+  static async sendReturnStatusEmail(returnRequest) {
+    const headlines = {
+      requested: ['Return Requested', 'We have received your return request and will review it shortly.'],
+      approved: ['Return Approved', 'Your return has been approved. Please send the items below back to us, quoting the return number.'],
+      rejected: ['Return Not Approved', 'We are unable to accept this return.'],
+      received: ['Return Received', 'We have received and inspected the returned items.'],
+    };
+    const [headline, intro] = headlines[returnRequest.status] || ['Return Update', `Your return is now ${returnRequest.status}.`];
+    const subject = `${headline}: ${returnRequest.number} - Misha Brands Factory`;
+    const cell = 'padding: 6px; border-bottom: 1px solid #eee;';
+
+    const rows = returnRequest.lines.map((line) => `
+          <tr>
+            <td style="${cell}">${escapeHtml(line.productName)}</td>
+            <td style="${cell}">${escapeHtml([line.colorName, line.size].filter(Boolean).join(' / '))}</td>
+            <td style="${cell} text-align: right;">${line.quantity}</td>
+            <td style="${cell}">${line.resolution === 'exchange' ? `Exchange for ${escapeHtml([line.exchangeColorName, line.exchangeSize].filter(Boolean).join(' / '))}` : 'Refund'}</td>
+          </tr>`).join('');
+
+    const content = `
+      <h2>${headline}</h2>
+
+      <p>Dear <b>${escapeHtml(returnRequest.contact.name)}</b>,</p>
+
+      <p>${intro}</p>
+
+      ${returnRequest.rejectionReason ? `<p><strong>Reason:</strong> ${escapeHtml(returnRequest.rejectionReason)}</p>` : ''}
+
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <tr style="background-color: #f5f5f5; text-align: left;">
+          <th style="padding: 6px;">Product</th>
+          <th style="padding: 6px;">Variant</th>
+          <th style="padding: 6px; text-align: right;">Qty</th>
+          <th style="padding: 6px;">Resolution</th>
+        </tr>${rows}
+      </table>
+
+      <p><strong>Return number:</strong> ${returnRequest.number}<br>
+      <strong>Order number:</strong> ${returnRequest.orderNumber}</p>
+
+      <div style="border-top: 1px solid #ddd; margin: 20px 0; padding-top: 20px;"></div>
+
+      <p>Best Regards,<br>Misha Brands Factory Team</p>
+    `;
+
+    try {
+      await sendEmail(returnRequest.contact.email, subject, this.getBaseTemplate(content), true);
+      console.log(`Return ${returnRequest.number} ${returnRequest.status} email sent to ${returnRequest.contact.email}`);
+      return true;
+    } catch (error) {
+      console.error('Return status email send failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send contact form confirmation email to user
    * @param {Object} contact - Contact object with form details
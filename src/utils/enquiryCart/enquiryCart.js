@@ -0,0 +1,155 @@
+import Product from '../../models/product/product.js';
+import EnquiryCart from '../../models/enquiryCart/enquiryCart.js';
+import { getRunningPromotions } from '../promotions/promotions.js';
+import { priceForBuyer, getUnitPrice, checkOrderQuantity, roundAmount } from '../pricing/pricing.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import {
+  ENQUIRY_CART_MESSAGES,
+  guestEnquiryCartTtlDays,
+  MAX_ENQUIRY_CART_LINES,
+  MAX_ENQUIRY_LINE_QUANTITY,
+} from '../../config/constant/quote/quote.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ID of a reference that may be populated
+ * @param {*} ref - ObjectId, populated document or null
+ * @returns {string|null} ID as a string
+ */
+const idOf = (ref) => (ref ? String(ref._id ?? ref) : null);
+
+/**
+ * When a guest cart changed now should be dropped
+ * @returns {Date} Expiry date
+ */
+export const guestEnquiryCartExpiry = () => new Date(Date.now() + guestEnquiryCartTtlDays() * DAY_MS);
+
+/**
+ * Describe cart lines with the product's current visibility, stock and unit
+ * price for the buyer's group. A line that can't be quoted as it stands
+ * carries an issue: the product is gone, the color or size is no longer
+ * offered, the quantity is more than the stock, or it breaks the group's
+ * minimum order quantity or pack size.
+ * @param {Object[]} lines - Cart lines ({ _id, product, color, size, quantity })
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @returns {Promise<Object[]>} Lines with product, color, variant, sku, stock,
+ *   unitPrice, lineTotal and issue (null when the line can be quoted)
+ */
+export const describeCartLines = async (lines, group) => {
+  const products = await Product.find({ _id: { $in: lines.map((line) => line.product) } })
+    .select('name slug base_price category brand collections tags isVisible status minOrderQuantity packSize variants')
+    .populate('variants.color', 'name hex')
+    .lean();
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+  const promotions = await getRunningPromotions();
+
+  return lines.map((line) => {
+    const product = byId.get(String(line.product));
+    const entry = {
+      _id: line._id,
+      color: line.color,
+      size: line.size,
+      quantity: line.quantity,
+      variant: null,
+      sku: null,
+      stock: 0,
+      unitPrice: null,
+      lineTotal: null,
+    };
+
+    // Deleted, hidden or unpublished products stay listed without a price
+    if (!product || !product.isVisible || product.status !== PRODUCT_STATUS.PUBLISHED) {
+      return {
+        ...entry,
+        product: product ? { _id: product._id, name: product.name, slug: product.slug, image: null } : null,
+        issue: ENQUIRY_CART_MESSAGES.PRODUCT_UNAVAILABLE,
+      };
+    }
+
+    const priced = priceForBuyer(product, group, promotions);
+    const variant = priced.variants.find((v) => idOf(v.color) === String(line.color));
+    const size = variant?.sizes.find((s) => s.size === line.size);
+    const images = variant?.images || priced.variants[0]?.images || [];
+    const described = {
+      ...entry,
+      product: {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        image: images.find((image) => image.isPrimary) || images[0] || null,
+      },
+      color: variant ? variant.color : line.color,
+    };
+
+    if (!variant) return { ...described, issue: ENQUIRY_CART_MESSAGES.COLOR_NOT_OFFERED };
+    if (!size) return { ...described, variant: variant._id, issue: ENQUIRY_CART_MESSAGES.SIZE_NOT_OFFERED };
+
+    const unitPrice = getUnitPrice(variant, line.quantity);
+    let issue = checkOrderQuantity(priced, line.quantity);
+    if (size.stock <= 0) issue = ENQUIRY_CART_MESSAGES.OUT_OF_STOCK;
+    else if (line.quantity > size.stock) issue = `${ENQUIRY_CART_MESSAGES.NOT_ENOUGH_STOCK} (${size.stock})`;
+
+    return {
+      ...described,
+      variant: variant._id,
+      sku: size.sku || null,
+      stock: size.stock,
+      unitPrice,
+      lineTotal: roundAmount(unitPrice * line.quantity),
+      issue,
+    };
+  });
+};
+
+/**
+ * Totals of described cart lines, counting only lines that can be quoted
+ * @param {Object[]} lines - Lines from describeCartLines
+ * @returns {{lines: number, units: number, estimatedSubtotal: number, hasIssues: boolean}} Totals
+ */
+export const summarizeCartLines = (lines) => {
+  const quotable = lines.filter((line) => !line.issue);
+  return {
+    lines: lines.length,
+    units: quotable.reduce((sum, line) => sum + line.quantity, 0),
+    estimatedSubtotal: roundAmount(quotable.reduce((sum, line) => sum + line.lineTotal, 0)),
+    hasIssues: quotable.length < lines.length,
+  };
+};
+
+/**
+ * Move a guest device's enquiry cart to a customer. Lines the customer
+ * already has keep the larger quantity; lines beyond the cart limit are dropped.
+ * @param {string|null} deviceToken - Guest device token
+ * @param {mongoose.Types.ObjectId|string} customerId - Customer ID
+ * @returns {Promise<number>} Lines added to the customer's cart
+ */
+export const mergeGuestEnquiryCart = async (deviceToken, customerId) => {
+  if (!deviceToken) return 0;
+
+  const guestCart = await EnquiryCart.findOne({ guestToken: deviceToken });
+  if (!guestCart) return 0;
+
+  const cart = (await EnquiryCart.findOne({ customer: customerId })) || new EnquiryCart({ customer: customerId });
+  let added = 0;
+
+  guestCart.lines.forEach((guestLine) => {
+    const line = cart.findLine(guestLine.product, guestLine.color, guestLine.size);
+    if (line) {
+      line.quantity = Math.min(Math.max(line.quantity, guestLine.quantity), MAX_ENQUIRY_LINE_QUANTITY);
+    } else if (cart.lines.length < MAX_ENQUIRY_CART_LINES) {
+      cart.lines.push({
+        product: guestLine.product,
+        color: guestLine.color,
+        size: guestLine.size,
+        quantity: guestLine.quantity,
+      });
+      added += 1;
+    }
+  });
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return added;
+};
@@ -0,0 +1,24 @@
+/**
+ * Escape text before putting it in HTML
+ * @param {*} value - Text to escape
+ * @returns {string} HTML-safe text
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[char]));
+
+/**
+ * Format an amount with Indian digit grouping and two decimals, e.g. 1,25,000.00
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+export const formatAmount = (amount) =>
+  Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Format an amount in rupees, e.g. ₹1,250.00
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+export const formatRupees = (amount) => `₹${formatAmount(amount)}`;
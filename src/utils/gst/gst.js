@@ -0,0 +1,64 @@
+import { roundAmount } from '../pricing/pricing.js';
+import { GST_STATES, GST_STATE_ALIASES, GST_FOREIGN_PLACE_OF_SUPPLY } from '../../config/constant/gst/gst.js';
+
+/**
+ * Lower-case a state name and drop punctuation and extra spaces so
+ * "Tamil Nadu", "tamil-nadu" and "TAMIL NADU" compare equal
+ * @param {string} name - State name
+ * @returns {string} Comparable name
+ */
+const normalizeStateName = (name) =>
+  String(name ?? '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z]+/g, ' ').trim();
+
+// Normalized state names and aliases mapped to their GST state codes
+const STATE_CODES_BY_NAME = new Map([
+  ...Object.entries(GST_STATES).map(([code, name]) => [normalizeStateName(name), code]),
+  ...Object.entries(GST_STATE_ALIASES).map(([name, code]) => [normalizeStateName(name), code]),
+]);
+
+/**
+ * GST state code of a GSTIN (its first two digits)
+ * @param {string} gstin - GSTIN
+ * @returns {string|null} State code, or null when it isn't a known state
+ */
+export const stateCodeFromGstin = (gstin) => {
+  const code = String(gstin ?? '').slice(0, 2);
+  return GST_STATES[code] ? code : null;
+};
+
+/**
+ * GST state code of a state name as typed in an address
+ * @param {string} name - State name, e.g. "Maharashtra" or "Orissa"
+ * @returns {string|null} State code, or null when the name isn't recognised
+ */
+export const stateCodeFromName = (name) => STATE_CODES_BY_NAME.get(normalizeStateName(name)) ?? null;
+
+/**
+ * Where goods are supplied for GST: the state of the shipping address, or
+ * the buyer's GSTIN state when the address state isn't recognised. Goods
+ * shipped abroad are supplied outside India.
+ * @param {Object} address - Shipping address with state and country
+ * @param {string} [gstin] - Buyer's GSTIN
+ * @returns {{stateCode: string, state: string}|null} Place of supply, or null when unknown
+ */
+export const placeOfSupply = (address, gstin = '') => {
+  if (address?.country && normalizeStateName(address.country) !== 'india') return { ...GST_FOREIGN_PLACE_OF_SUPPLY };
+
+  const stateCode = stateCodeFromName(address?.state) ?? stateCodeFromGstin(gstin);
+  return stateCode ? { stateCode, state: GST_STATES[stateCode] } : null;
+};
+
+/**
+ * GST on a taxable value: CGST and SGST at half the rate each within the
+ * seller's state, IGST at the full rate between states
+ * @param {number} taxableValue - Value GST is charged on
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} interState - Whether the supply crosses a state border
+ * @returns {{cgst: number, sgst: number, igst: number}} Tax by head, in rupees
+ */
+export const calculateGst = (taxableValue, rate, interState) => {
+  if (interState) return { cgst: 0, sgst: 0, igst: roundAmount((taxableValue * rate) / 100) };
+
+  const half = roundAmount((taxableValue * rate) / 200);
+  return { cgst: half, sgst: half, igst: 0 };
+};
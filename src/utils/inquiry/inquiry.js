@@ -0,0 +1,44 @@
+import Setting from '../../models/setting/setting.js';
+import { SETTING_KEYS } from '../../config/constant/settings/settings.js';
+import { WHATSAPP_NUMBER_REGEX } from '../../config/constant/inquiry/inquiry.js';
+
+/**
+ * Strip a phone number down to digits and a leading +
+ * @param {*} value - Phone number as typed
+ * @returns {string} Normalised number, empty when none was given
+ */
+export const normalizePhone = (value) => String(value ?? '').trim().replace(/(?!^\+)[^\d]/g, '');
+
+/**
+ * Business WhatsApp number in wa.me form. The stored setting wins over the
+ * WHATSAPP_BUSINESS_NUMBER environment variable.
+ * @returns {Promise<string|null>} Digits with country code, or null when not configured
+ */
+export const getWhatsappNumber = async () => {
+  const stored = await Setting.getValue(SETTING_KEYS.WHATSAPP_NUMBER, null);
+  const number = normalizePhone(stored || process.env.WHATSAPP_BUSINESS_NUMBER).replace(/^\+/, '');
+  return WHATSAPP_NUMBER_REGEX.test(number) ? number : null;
+};
+
+/**
+ * Text a shopper sends about a product, with the color and size they chose
+ * @param {Object} product - Product document (for its whatsappMessage virtual)
+ * @param {Object} [details]
+ * @param {string} [details.color] - Color name
+ * @param {string} [details.size] - Size label
+ * @returns {string} Message text
+ */
+export const buildInquiryMessage = (product, { color, size } = {}) => {
+  const details = [color && `Color: ${color}`, size && `Size: ${size}`].filter(Boolean);
+  return details.length ? `${product.whatsappMessage}\n${details.join(', ')}` : product.whatsappMessage;
+};
+
+/**
+ * wa.me deep link that opens a chat with the message typed in. Without a
+ * number WhatsApp asks the shopper to pick a contact.
+ * @param {string|null} number - Business number in wa.me form
+ * @param {string} message - Prefilled text
+ * @returns {string} Deep link
+ */
+export const buildWhatsappLink = (number, message) =>
+  `https://wa.me/${number || ''}?text=${encodeURIComponent(message)}`;
@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import Product from '../../models/product/product.js';
+import InventoryMovement from '../../models/inventoryMovement/inventoryMovement.js';
+import {
+  MOVEMENT_TYPES,
+  MOVEMENT_DIRECTIONS,
+  INVENTORY_MESSAGES,
+} from '../../config/constant/inventory/inventory.js';
+
+/**
+ * Key identifying a stock-keeping unit (variant + size label)
+ * @param {*} variantId - Variant ID
+ * @param {string} size - Size label
+ * @returns {string} Key
+ */
+export const skuKey = (variantId, size) => `${variantId}:${size}`;
+
+/**
+ * List the stock of every variant size of a product
+ * @param {Object} product - Product document, lean object or snapshot
+ * @returns {Object[]} Units with variant, color, size and stock
+ */
+export const getStockLevels = (product) =>
+  (product?.variants || []).flatMap((variant) =>
+    (variant.sizes || []).map((size) => ({
+      variant: variant._id.toString(),
+      color: (variant.color?._id ?? variant.color)?.toString() || null,
+      size: size.size,
+      stock: size.stock,
+    }))
+  );
+
+/**
+ * Rebase the sizes of an edited product on the stock it holds now. Sizes the
+ * edit did not touch take the current stock, so sales, returns and adjustments
+ * committed since the product was loaded are kept; sizes whose stock the edit
+ * changed are returned as deltas to apply with applyStockAdjustment.
+ * @param {Object[]} variants - Edited variants (plain objects)
+ * @param {Object} loaded - Product as loaded before the edit
+ * @param {Object} current - Product as it is now
+ * @returns {{variants: Object[], edits: Object[]}} Variants carrying the current
+ *   stock and the stock edits (variantId, size, quantity)
+ */
+export const rebaseStock = (variants, loaded, current) => {
+  const loadedLevels = new Map(getStockLevels(loaded).map((unit) => [skuKey(unit.variant, unit.size), unit.stock]));
+  const currentLevels = new Map(getStockLevels(current).map((unit) => [skuKey(unit.variant, unit.size), unit.stock]));
+  const edits = [];
+
+  const rebased = variants.map((variant) => ({
+    ...variant,
+    sizes: (variant.sizes || []).map((size) => {
+      const key = skuKey(variant._id, size.size);
+      // New sizes start at the stock given in the edit
+      if (!loadedLevels.has(key) || !currentLevels.has(key)) return size;
+
+      const change = Number(size.stock ?? loadedLevels.get(key)) - loadedLevels.get(key);
+      if (change !== 0) edits.push({ variantId: variant._id.toString(), size: size.size, quantity: change });
+      return { ...size, stock: currentLevels.get(key) };
+    }),
+  }));
+
+  return { variants: rebased, edits };
+};
+
+/**
+ * Build the movement that brings the ledger in line with stock that existed
+ * before the ledger did (or was changed without a movement)
+ * @param {Object} unit - Stock-keeping unit (product, variant, color, size)
+ * @param {number} stock - Actual stock before the change
+ * @param {number} ledgerStock - Sum of recorded movements
+ * @returns {Object|null} Opening correction, or null when the ledger already matches
+ */
+const openingMovement = (unit, stock, ledgerStock) => {
+  if (stock === ledgerStock) return null;
+  return {
+    ...unit,
+    type: MOVEMENT_TYPES.CORRECTION,
+    quantity: stock - ledgerStock,
+    balanceAfter: stock,
+    reason: INVENTORY_MESSAGES.OPENING_BALANCE,
+  };
+};
+
+/**
+ * Record ledger movements for the stock differences between two states of a
+ * product, e.g. after a create, edit, import or revert
+ * @param {Object|null} before - Product before the change (null when created)
+ * @param {Object} after - Product after the change
+ * @param {Object} [options]
+ * @param {string} [options.type='correction'] - One of MOVEMENT_TYPES
+ * @param {string} [options.reason] - Explanation stored on each movement
+ * @param {Object} [options.admin] - Admin making the change
+ * @param {mongoose.ClientSession} [options.session] - Transaction session
+ * @returns {Promise<Object[]>} Created movements
+ */
+export const recordStockChanges = async (before, after, {
+  type = MOVEMENT_TYPES.CORRECTION,
+  reason = '',
+  admin = null,
+  session = null,
+} = {}) => {
+  const productId = after._id;
+  const beforeLevels = new Map(getStockLevels(before).map((unit) => [skuKey(unit.variant, unit.size), unit]));
+  const afterLevels = new Map(getStockLevels(after).map((unit) => [skuKey(unit.variant, unit.size), unit]));
+
+  const changed = [...new Set([...beforeLevels.keys(), ...afterLevels.keys()])].filter(
+    (key) => (beforeLevels.get(key)?.stock || 0) !== (afterLevels.get(key)?.stock || 0)
+  );
+  if (changed.length === 0) return [];
+
+  const ledger = await InventoryMovement.getLedgerStock(productId, session);
+  const movements = [];
+
+  changed.forEach((key) => {
+    const level = afterLevels.get(key) || beforeLevels.get(key);
+    const unit = { product: productId, variant: level.variant, color: level.color, size: level.size };
+    const previous = beforeLevels.get(key)?.stock || 0;
+    const next = afterLevels.get(key)?.stock || 0;
+
+    const opening = openingMovement(unit, previous, ledger.get(key) || 0);
+    if (opening) movements.push(opening);
+
+    movements.push({
+      ...unit,
+      type,
+      quantity: next - previous,
+      balanceAfter: next,
+      reason,
+      createdBy: admin?._id || null,
+    });
+  });
+
+  return InventoryMovement.insertMany(movements, { session });
+};
+
+/**
+ * Atomically change the stock of one variant size and record the movement.
+ * The update only matches when the result stays at or above zero.
+ * @param {*} productId - Product ID
+ * @param {Object} adjustment
+ * @param {string} adjustment.variantId - Variant ID
+ * @param {string} adjustment.size - Size label
+ * @param {string} adjustment.type - One of MOVEMENT_TYPES
+ * @param {number} adjustment.quantity - Units moved (signed for corrections)
+ * @param {string} [adjustment.reason] - Explanation
+ * @param {string} [adjustment.reference] - External reference
+ * @param {Object} [options]
+ * @param {Object} [options.admin] - Admin making the change
+ * @param {mongoose.ClientSession} [options.session] - Transaction session
+ * @returns {Promise<{movement?: Object, product?: Object, error?: string}>} Created movement
+ *   and updated product, or an INVENTORY_MESSAGES error
+ */
+export const applyStockAdjustment = async (productId, {
+  variantId,
+  size,
+  type,
+  quantity,
+  reason = '',
+  reference = '',
+}, { admin = null, session = null } = {}) => {
+  const direction = MOVEMENT_DIRECTIONS[type];
+  const change = direction === 0 ? Number(quantity) : direction * Math.abs(Number(quantity));
+  const variantObjectId = new mongoose.Types.ObjectId(String(variantId));
+
+  const product = await Product.findOneAndUpdate(
+    {
+      _id: productId,
+      variants: {
+        $elemMatch: { _id: variantObjectId, sizes: { $elemMatch: { size, stock: { $gte: -change } } } },
+      },
+    },
+    { $inc: { 'variants.$[v].sizes.$[s].stock': change } },
+    { arrayFilters: [{ 'v._id': variantObjectId }, { 's.size': size }], new: true, session }
+  );
+
+  if (!product) {
+    const exists = await Product.exists({
+      _id: productId,
+      variants: { $elemMatch: { _id: variantObjectId, 'sizes.size': size } },
+    }).session(session);
+    return { error: exists ? INVENTORY_MESSAGES.INSUFFICIENT_STOCK : INVENTORY_MESSAGES.SIZE_NOT_FOUND };
+  }
+
+  // Keep the sold-out flag in step with the new stock
+  if (product.isSoldOut !== Product.isOutOfStock(product.variants)) {
+    await Product.refreshSoldOut({ _id: product._id }, session);
+    product.isSoldOut = !product.isSoldOut;
+  }
+
+  const variant = product.variants.id(variantObjectId);
+  const balanceAfter = variant.sizes.find((s) => s.size === size).stock;
+  const unit = { product: product._id, variant: variant._id, color: variant.color, size };
+
+  const ledger = await InventoryMovement.getLedgerStock(product._id, session);
+  const opening = openingMovement(unit, balanceAfter - change, ledger.get(skuKey(variant._id, size)) || 0);
+
+  const [movement] = (await InventoryMovement.insertMany(
+    [
+      ...(opening ? [opening] : []),
+      { ...unit, type, quantity: change, balanceAfter, reason, reference, createdBy: admin?._id || null },
+    ],
+    { session }
+  )).slice(-1);
+
+  return { movement, product };
+};
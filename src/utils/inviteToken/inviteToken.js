@@ -0,0 +1,42 @@
+import jwt from 'jsonwebtoken';
+
+// Claim that distinguishes invitation tokens from admin auth tokens
+const INVITE_PURPOSE = 'admin-invite';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Expiry date for an invitation created now. The lifetime in hours
+ * (INVITE_EXPIRE_HOURS, 72 by default) is read on use so the environment
+ * is loaded by then.
+ * @returns {Date} Expiry date
+ */
+export const inviteExpiry = () =>
+  new Date(Date.now() + (parseInt(process.env.INVITE_EXPIRE_HOURS) || 72) * HOUR_MS);
+
+/**
+ * Sign a one-time invitation token for an Invite document
+ * @param {Object} invite - Invite document
+ * @returns {string} Signed JWT carrying the invite id and email
+ */
+export const signInviteToken = (invite) => {
+  return jwt.sign(
+    { inviteId: invite._id.toString(), email: invite.email, purpose: INVITE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor((invite.expiresAt.getTime() - Date.now()) / 1000) }
+  );
+};
+
+/**
+ * Verify an invitation token's signature, expiry and purpose
+ * @param {string} token - Token from the invitation link
+ * @returns {Object|null} Decoded payload, or null if the token is invalid
+ */
+export const verifyInviteToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === INVITE_PURPOSE ? decoded : null;
+  } catch {
+    return null;
+  }
+};
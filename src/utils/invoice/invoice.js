@@ -0,0 +1,255 @@
+import mongoose from 'mongoose';
+import Product from '../../models/product/product.js';
+import Invoice from '../../models/invoice/invoice.js';
+import Counter from '../../models/counter/counter.js';
+import Setting from '../../models/setting/setting.js';
+import { roundAmount } from '../pricing/pricing.js';
+import { isDuplicateKeyError } from '../reference/reference.js';
+import { stateCodeFromGstin, placeOfSupply, calculateGst } from '../gst/gst.js';
+import { renderInvoiceHtml } from './invoiceHtml.js';
+import { renderInvoicePdf } from './invoicePdf.js';
+import { SETTING_KEYS } from '../../config/constant/settings/settings.js';
+import {
+  INVOICE_NUMBER_PREFIX,
+  INVOICE_SEQUENCE_DIGITS,
+  INVOICE_MESSAGES,
+} from '../../config/constant/invoice/invoice.js';
+
+// Attempts at issuing an invoice when a simultaneous one takes the counter
+const MAX_INVOICE_ATTEMPTS = 5;
+
+// India Standard Time is UTC+05:30 all year
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Financial year (April to March, in India Standard Time) a date falls in
+ * @param {Date} [date=new Date()] - Date
+ * @returns {string} Financial year, e.g. 26-27 for April 2026 to March 2027
+ */
+export const financialYearOf = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const yy = (year) => String(year % 100).padStart(2, '0');
+  return `${yy(startYear)}-${yy(startYear + 1)}`;
+};
+
+/**
+ * Invoice number for a position within a financial year
+ * @param {string} financialYear - Financial year, e.g. 26-27
+ * @param {number} sequence - Position within the year, from 1
+ * @returns {string} Invoice number, e.g. INV/26-27/000123
+ */
+export const formatInvoiceNumber = (financialYear, sequence) =>
+  `${INVOICE_NUMBER_PREFIX}/${financialYear}/${String(sequence).padStart(INVOICE_SEQUENCE_DIGITS, '0')}`;
+
+/**
+ * Words for a whole number below 1000
+ * @param {number} n - Number
+ * @returns {string} Words, empty for 0
+ */
+const hundredsInWords = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const restWords = rest < 20 ? ONES[rest] : `${TENS[Math.floor(rest / 10)]} ${ONES[rest % 10]}`.trim();
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', restWords].filter(Boolean).join(' ');
+};
+
+/**
+ * Words for a whole number with Indian numbering (thousand, lakh, crore)
+ * @param {number} n - Number
+ * @returns {string} Words, empty for 0
+ */
+const indianNumberInWords = (n) => {
+  const parts = [];
+  let rest = n;
+  const crores = Math.floor(rest / 10000000);
+  rest %= 10000000;
+  if (crores) parts.push(`${indianNumberInWords(crores)} Crore`);
+  [[100000, 'Lakh'], [1000, 'Thousand']].forEach(([unit, name]) => {
+    const count = Math.floor(rest / unit);
+    rest %= unit;
+    if (count) parts.push(`${hundredsInWords(count)} ${name}`);
+  });
+  if (rest) parts.push(hundredsInWords(rest));
+  return parts.join(' ');
+};
+
+/**
+ * Amount in words, as printed on invoices
+ * @param {number} amount - Amount in rupees
+ * @returns {string} e.g. "Rupees One Lakh Twenty Thousand Five Hundred Only"
+ */
+export const amountInWords = (amount) => {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+  const words = `Rupees ${indianNumberInWords(rupees) || 'Zero'}`;
+  return `${paise ? `${words} and ${hundredsInWords(paise)} Paise` : words} Only`;
+};
+
+/**
+ * Seller details printed on invoices, with the state taken from the GSTIN
+ * @returns {Promise<Object|null>} { name, gstin, stateCode, address, phone, email },
+ *   or null when not configured
+ */
+export const getInvoiceSeller = async () => {
+  const seller = await Setting.getValue(SETTING_KEYS.INVOICE_SELLER, null);
+  const stateCode = stateCodeFromGstin(seller?.gstin);
+  return seller?.name && stateCode ? { ...seller, stateCode } : null;
+};
+
+/**
+ * Work out an order's invoice lines and totals. Each product's own HSN code
+ * and GST rate win over its category's; products deleted since the order
+ * was placed are still looked up.
+ * @param {Object} order - Order document
+ * @param {Object} seller - Seller from getInvoiceSeller
+ * @returns {Promise<{details?: Object, error?: Object}>} Invoice fields other than the
+ *   number, date and rendered files, or { message, data } when it can't be issued
+ */
+export const buildInvoiceDetails = async (order, seller) => {
+  const supply = placeOfSupply(order.shippingAddress, order.contact.gstin);
+  if (!supply) {
+    return { error: { message: INVOICE_MESSAGES.UNKNOWN_BUYER_STATE, data: { state: order.shippingAddress.state } } };
+  }
+  const interState = supply.stateCode !== seller.stateCode;
+
+  const products = await Product.find({ _id: { $in: order.lines.map((line) => line.product) } })
+    .setOptions({ withDeleted: true })
+    .select('name hsnCode gstRate category')
+    .populate({ path: 'category', select: 'hsnCode gstRate', options: { withDeleted: true } })
+    .lean();
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+
+  const missing = new Map();
+  const lines = order.lines.map((line) => {
+    const product = byId.get(String(line.product));
+    const hsnCode = product?.hsnCode || product?.category?.hsnCode || null;
+    const gstRate = product?.gstRate ?? product?.category?.gstRate ?? null;
+    if (!hsnCode || gstRate === null) {
+      missing.set(String(line.product), { _id: line.product, name: line.productName });
+    }
+
+    const taxableValue = line.lineTotal;
+    const tax = calculateGst(taxableValue, gstRate ?? 0, interState);
+    return {
+      product: line.product,
+      productName: line.productName,
+      sku: line.sku,
+      colorName: line.colorName,
+      size: line.size,
+      hsnCode,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      discount: line.discount,
+      taxableValue,
+      gstRate,
+      ...tax,
+      total: roundAmount(taxableValue + tax.cgst + tax.sgst + tax.igst),
+    };
+  });
+
+  if (missing.size > 0) {
+    return { error: { message: INVOICE_MESSAGES.MISSING_TAX_DETAILS, data: { products: [...missing.values()] } } };
+  }
+
+  const sum = (field) => roundAmount(lines.reduce((total, line) => total + line[field], 0));
+  const taxableTotal = sum('taxableValue');
+  const cgstTotal = sum('cgst');
+  const sgstTotal = sum('sgst');
+  const igstTotal = sum('igst');
+  const taxTotal = roundAmount(cgstTotal + sgstTotal + igstTotal);
+  const grandTotal = Math.round(taxableTotal + taxTotal);
+
+  return {
+    details: {
+      seller: {
+        name: seller.name,
+        gstin: seller.gstin,
+        stateCode: seller.stateCode,
+        address: seller.address,
+        phone: seller.phone,
+        email: seller.email,
+      },
+      buyer: {
+        name: order.contact.name,
+        company: order.contact.company,
+        gstin: order.contact.gstin,
+        email: order.contact.email,
+        phone: order.contact.phone || order.shippingAddress.mobileNumber,
+        address: order.shippingAddress,
+      },
+      placeOfSupply: supply,
+      interState,
+      lines,
+      taxableTotal,
+      cgstTotal,
+      sgstTotal,
+      igstTotal,
+      taxTotal,
+      roundOff: roundAmount(grandTotal - taxableTotal - taxTotal),
+      grandTotal,
+      amountInWords: amountInWords(grandTotal),
+    },
+  };
+};
+
+/**
+ * Issue the GST invoice for an order. The number is taken from the
+ * financial year's counter in the same transaction that saves the invoice,
+ * so numbers are consecutive and a failed save never uses one up.
+ * @param {Object} order - Order document
+ * @param {Object} seller - Seller from getInvoiceSeller
+ * @param {Object} [options]
+ * @param {Object} [options.admin] - Admin issuing the invoice
+ * @returns {Promise<{invoice?: Object, error?: Object}>} Saved invoice (without the
+ *   rendered files), or { message, data } when it can't be issued
+ */
+export const createInvoice = async (order, seller, { admin = null } = {}) => {
+  const built = await buildInvoiceDetails(order, seller);
+  if (built.error) return built;
+
+  const invoiceDate = new Date();
+  const financialYear = financialYearOf(invoiceDate);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sequence = await Counter.next(`invoice:${financialYear}`, session);
+      const invoice = new Invoice({
+        ...built.details,
+        number: formatInvoiceNumber(financialYear, sequence),
+        financialYear,
+        sequence,
+        invoiceDate,
+        order: order._id,
+        orderNumber: order.number,
+        createdBy: admin?._id ?? null,
+      });
+      invoice.html = renderInvoiceHtml(invoice);
+      invoice.pdf = await renderInvoicePdf(invoice);
+      await invoice.save({ session });
+
+      await session.commitTransaction();
+
+      const saved = invoice.toObject();
+      delete saved.html;
+      delete saved.pdf;
+      return { invoice: saved };
+    } catch (error) {
+      await session.abortTransaction();
+      if (isDuplicateKeyError(error, 'order')) return { error: { message: INVOICE_MESSAGES.ALREADY_INVOICED } };
+      // Two invoices issued at once both write the counter; the loser is retried
+      if (!error.hasErrorLabel?.('TransientTransactionError') || attempt >= MAX_INVOICE_ATTEMPTS) throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+};
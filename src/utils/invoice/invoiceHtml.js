@@ -0,0 +1,182 @@
+import { escapeHtml, formatAmount } from '../format/format.js';
+import { roundAmount } from '../pricing/pricing.js';
+import { GST_STATES } from '../../config/constant/gst/gst.js';
+
+/**
+ * Invoice date as printed, e.g. 19/10/2026, in India Standard Time
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+export const formatInvoiceDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+/**
+ * Address as printed lines, skipping empty parts
+ * @param {Object} [address] - Address with line1, line2, city, state, postalCode, country
+ * @returns {string[]} Lines
+ */
+export const addressLines = (address = {}) => [
+  address.line1,
+  address.line2,
+  [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+  address.country && address.country !== 'India' ? address.country : '',
+].filter(Boolean);
+
+/**
+ * Taxable value and GST of an invoice's lines grouped by HSN code and rate,
+ * as the invoice's HSN summary
+ * @param {Object[]} lines - Invoice lines
+ * @returns {Object[]} { hsnCode, gstRate, taxableValue, cgst, sgst, igst }
+ */
+export const hsnSummary = (lines) => {
+  const groups = new Map();
+  lines.forEach((line) => {
+    const key = `${line.hsnCode}:${line.gstRate}`;
+    const group = groups.get(key) || { hsnCode: line.hsnCode, gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    ['taxableValue', 'cgst', 'sgst', 'igst'].forEach((field) => { group[field] = roundAmount(group[field] + line[field]); });
+    groups.set(key, group);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Render a GST tax invoice as a standalone, printable HTML page
+ * @param {Object} invoice - Invoice document
+ * @returns {string} HTML document
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const { seller, buyer, interState } = invoice;
+  const cell = 'border: 1px solid #999; padding: 4px 6px;';
+  const num = `${cell} text-align: right;`;
+  const taxHeads = interState ? ['igst'] : ['cgst', 'sgst'];
+
+  const lines = invoice.lines.map((line, index) => `
+        <tr>
+          <td style="${cell}">${index + 1}</td>
+          <td style="${cell}">${escapeHtml(line.productName)}${[line.colorName, line.size].some(Boolean) ? `<br><small>${escapeHtml([line.colorName, line.size].filter(Boolean).join(' / '))}</small>` : ''}${line.sku ? `<br><small>SKU: ${escapeHtml(line.sku)}</small>` : ''}</td>
+          <td style="${cell}">${escapeHtml(line.hsnCode)}</td>
+          <td style="${num}">${line.quantity}</td>
+          <td style="${num}">${formatAmount(line.unitPrice)}</td>
+          <td style="${num}">${formatAmount(line.taxableValue)}</td>
+          <td style="${num}">${line.gstRate}%</td>
+          ${taxHeads.map((head) => `<td style="${num}">${formatAmount(line[head])}</td>`).join('')}
+          <td style="${num}">${formatAmount(line.total)}</td>
+        </tr>`).join('');
+
+  const summary = hsnSummary(invoice.lines).map((group) => `
+        <tr>
+          <td style="${cell}">${escapeHtml(group.hsnCode)}</td>
+          <td style="${num}">${formatAmount(group.taxableValue)}</td>
+          <td style="${num}">${group.gstRate}%</td>
+          ${taxHeads.map((head) => `<td style="${num}">${formatAmount(group[head])}</td>`).join('')}
+        </tr>`).join('');
+
+  const totals = [
+    ['Taxable value', invoice.taxableTotal],
+    ...(interState ? [['IGST', invoice.igstTotal]] : [['CGST', invoice.cgstTotal], ['SGST', invoice.sgstTotal]]),
+    ['Round off', invoice.roundOff],
+  ].map(([label, amount]) => `
+        <tr><td style="padding: 3px 6px;">${label}</td><td style="padding: 3px 6px; text-align: right;">${formatAmount(amount)}</td></tr>`).join('');
+
+  const headLabels = interState ? ['IGST'] : ['CGST', 'SGST'];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; }
+    h1 { font-size: 20px; text-align: center; margin: 0 0 16px; }
+    th { background: #f2f2f2; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>TAX INVOICE</h1>
+  <table style="margin-bottom: 12px;">
+    <tr>
+      <td style="vertical-align: top; width: 50%;">
+        <strong>${escapeHtml(seller.name)}</strong><br>
+        ${addressLines(seller.address).map(escapeHtml).join('<br>')}<br>
+        GSTIN: ${escapeHtml(seller.gstin)}<br>
+        State: ${escapeHtml(GST_STATES[seller.stateCode] || '')} (${escapeHtml(seller.stateCode)})
+        ${seller.phone ? `<br>Phone: ${escapeHtml(seller.phone)}` : ''}
+        ${seller.email ? `<br>Email: ${escapeHtml(seller.email)}` : ''}
+      </td>
+      <td style="vertical-align: top; text-align: right;">
+        <strong>Invoice No:</strong> ${escapeHtml(invoice.number)}<br>
+        <strong>Invoice Date:</strong> ${formatInvoiceDate(invoice.invoiceDate)}<br>
+        <strong>Order No:</strong> ${escapeHtml(invoice.orderNumber)}<br>
+        <strong>Place of Supply:</strong> ${escapeHtml(invoice.placeOfSupply.state)} (${escapeHtml(invoice.placeOfSupply.stateCode)})<br>
+        <strong>Reverse Charge:</strong> No
+      </td>
+    </tr>
+  </table>
+
+  <table style="margin-bottom: 12px;">
+    <tr>
+      <td style="${cell} vertical-align: top;">
+        <strong>Billed and shipped to</strong><br>
+        ${escapeHtml(buyer.company || buyer.name)}<br>
+        ${buyer.company ? `Attn: ${escapeHtml(buyer.name)}<br>` : ''}
+        ${addressLines(buyer.address).map(escapeHtml).join('<br>')}<br>
+        ${buyer.gstin ? `GSTIN: ${escapeHtml(buyer.gstin)}<br>` : 'Unregistered buyer<br>'}
+        ${buyer.phone ? `Phone: ${escapeHtml(buyer.phone)}` : ''}
+      </td>
+    </tr>
+  </table>
+
+  <table style="margin-bottom: 12px;">
+    <thead>
+      <tr>
+        <th style="${cell}">#</th>
+        <th style="${cell} text-align: left;">Description</th>
+        <th style="${cell}">HSN</th>
+        <th style="${cell}">Qty</th>
+        <th style="${cell}">Rate</th>
+        <th style="${cell}">Taxable Value</th>
+        <th style="${cell}">GST</th>
+        ${headLabels.map((label) => `<th style="${cell}">${label}</th>`).join('')}
+        <th style="${cell}">Total</th>
+      </tr>
+    </thead>
+    <tbody>${lines}
+    </tbody>
+  </table>
+
+  <table style="margin-bottom: 12px;">
+    <tr>
+      <td style="vertical-align: top; width: 60%;">
+        <table>
+          <thead>
+            <tr>
+              <th style="${cell}">HSN</th>
+              <th style="${cell}">Taxable Value</th>
+              <th style="${cell}">Rate</th>
+              ${headLabels.map((label) => `<th style="${cell}">${label}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${summary}
+          </tbody>
+        </table>
+      </td>
+      <td style="vertical-align: top; padding-left: 12px;">
+        <table>${totals}
+          <tr><td style="padding: 6px; border-top: 2px solid #222;"><strong>Grand Total</strong></td><td style="padding: 6px; border-top: 2px solid #222; text-align: right;"><strong>₹${formatAmount(invoice.grandTotal)}</strong></td></tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+
+  <p><strong>Amount in words:</strong> ${escapeHtml(invoice.amountInWords)}</p>
+
+  <p style="text-align: right; margin-top: 48px;">
+    For <strong>${escapeHtml(seller.name)}</strong><br><br><br>
+    Authorised Signatory
+  </p>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,185 @@
+import PDFDocument from 'pdfkit';
+import { formatAmount } from '../format/format.js';
+import { formatInvoiceDate, addressLines, hsnSummary } from './invoiceHtml.js';
+import { GST_STATES } from '../../config/constant/gst/gst.js';
+
+// A4 page margin, in points
+const MARGIN = 40;
+
+// Room kept at the bottom of a page before a table row moves to the next
+const FOOTER_SPACE = 60;
+
+/**
+ * Line table columns: [header, width, align, value(line, index)]. The
+ * built-in PDF fonts have no rupee sign, so amounts are plain figures.
+ * @param {boolean} interState - Whether the invoice charges IGST
+ * @returns {Array[]} Columns adding up to the printable width
+ */
+const lineColumns = (interState) => [
+  ['#', 20, 'left', (line, index) => String(index + 1)],
+  ['Description', interState ? 180 : 135, 'left', (line) =>
+    [line.productName, [line.colorName, line.size].filter(Boolean).join(' / '), line.sku ? `SKU: ${line.sku}` : '']
+      .filter(Boolean).join('\n')],
+  ['HSN', 45, 'left', (line) => line.hsnCode],
+  ['Qty', 32, 'right', (line) => String(line.quantity)],
+  ['Rate', 50, 'right', (line) => formatAmount(line.unitPrice)],
+  ['Taxable', 58, 'right', (line) => formatAmount(line.taxableValue)],
+  ['GST', 32, 'right', (line) => `${line.gstRate}%`],
+  ...(interState
+    ? [['IGST', 45, 'right', (line) => formatAmount(line.igst)]]
+    : [['CGST', 45, 'right', (line) => formatAmount(line.cgst)], ['SGST', 45, 'right', (line) => formatAmount(line.sgst)]]),
+  ['Total', 53, 'right', (line) => formatAmount(line.total)],
+];
+
+/**
+ * Height a table row needs for its tallest cell
+ * @param {PDFDocument} doc - Document, with the row's font set
+ * @param {Array[]} columns - Columns as from lineColumns
+ * @param {string[]} cells - Text per column
+ * @returns {number} Row height in points
+ */
+const rowHeight = (doc, columns, cells) =>
+  Math.max(...columns.map(([, width], i) => doc.heightOfString(cells[i], { width: width - 6 }))) + 6;
+
+/**
+ * Draw one table row with a border and return where the next row starts
+ * @param {PDFDocument} doc - Document
+ * @param {Array[]} columns - Columns as from lineColumns
+ * @param {string[]} cells - Text per column
+ * @param {number} y - Top of the row
+ * @param {Object} [options]
+ * @param {boolean} [options.bold=false] - Draw the row in bold (headers)
+ * @returns {number} Top of the next row
+ */
+const drawRow = (doc, columns, cells, y, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  const height = rowHeight(doc, columns, cells);
+
+  let x = MARGIN;
+  columns.forEach(([, width, align], i) => {
+    doc.rect(x, y, width, height).stroke('#999999');
+    doc.fillColor('#222222').text(cells[i], x + 3, y + 3, { width: width - 6, align });
+    x += width;
+  });
+  return y + height;
+};
+
+/**
+ * Render a GST tax invoice as an A4 PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>} PDF file
+ */
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const { seller, buyer, interState } = invoice;
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Tax Invoice ${invoice.number}`, Author: seller.name } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const width = doc.page.width - MARGIN * 2;
+  const bottom = doc.page.height - MARGIN - FOOTER_SPACE;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', MARGIN, MARGIN, { width, align: 'center' });
+
+  // Seller on the left, invoice details on the right
+  const top = doc.y + 10;
+  doc.font('Helvetica-Bold').fontSize(10).text(seller.name, MARGIN, top, { width: width / 2 });
+  doc.font('Helvetica').fontSize(9).text([
+    ...addressLines(seller.address),
+    `GSTIN: ${seller.gstin}`,
+    `State: ${GST_STATES[seller.stateCode] || ''} (${seller.stateCode})`,
+    seller.phone ? `Phone: ${seller.phone}` : '',
+    seller.email ? `Email: ${seller.email}` : '',
+  ].filter(Boolean).join('\n'), { width: width / 2 });
+  const sellerBottom = doc.y;
+
+  doc.text([
+    `Invoice No: ${invoice.number}`,
+    `Invoice Date: ${formatInvoiceDate(invoice.invoiceDate)}`,
+    `Order No: ${invoice.orderNumber}`,
+    `Place of Supply: ${invoice.placeOfSupply.state} (${invoice.placeOfSupply.stateCode})`,
+    'Reverse Charge: No',
+  ].join('\n'), MARGIN + width / 2, top, { width: width / 2, align: 'right' });
+
+  // Buyer
+  let y = Math.max(sellerBottom, doc.y) + 12;
+  doc.font('Helvetica-Bold').fontSize(9).text('Billed and shipped to', MARGIN, y);
+  doc.font('Helvetica').text([
+    buyer.company || buyer.name,
+    buyer.company ? `Attn: ${buyer.name}` : '',
+    ...addressLines(buyer.address),
+    buyer.gstin ? `GSTIN: ${buyer.gstin}` : 'Unregistered buyer',
+    buyer.phone ? `Phone: ${buyer.phone}` : '',
+  ].filter(Boolean).join('\n'), { width });
+
+  // Lines, repeating the header on each new page
+  const columns = lineColumns(interState);
+  const header = columns.map(([title]) => title);
+  y = drawRow(doc, columns, header, doc.y + 12, { bold: true });
+  invoice.lines.forEach((line, index) => {
+    const cells = columns.map(([, , , value]) => value(line, index));
+    doc.font('Helvetica').fontSize(8);
+    if (y + rowHeight(doc, columns, cells) > bottom) {
+      doc.addPage();
+      y = drawRow(doc, columns, header, MARGIN, { bold: true });
+    }
+    y = drawRow(doc, columns, cells, y);
+  });
+
+  // HSN summary on the left, totals on the right
+  const taxHeads = interState ? [['IGST', 'igst']] : [['CGST', 'cgst'], ['SGST', 'sgst']];
+  const summaryColumns = [
+    ['HSN', 60, 'left'],
+    ['Taxable', 70, 'right'],
+    ['Rate', 40, 'right'],
+    ...taxHeads.map(([title]) => [title, interState ? 110 : 55, 'right']),
+  ];
+  const summaryRows = hsnSummary(invoice.lines).map((group) => [
+    group.hsnCode,
+    formatAmount(group.taxableValue),
+    `${group.gstRate}%`,
+    ...taxHeads.map(([, field]) => formatAmount(group[field])),
+  ]);
+  const totals = [
+    ['Taxable value', invoice.taxableTotal],
+    ...taxHeads.map(([title, field]) => [title, invoice[`${field}Total`]]),
+    ['Round off', invoice.roundOff],
+  ];
+
+  const blockHeight = (summaryRows.length + 1) * 16 + 90;
+  if (y + 12 + blockHeight > bottom) {
+    doc.addPage();
+    y = MARGIN;
+  } else {
+    y += 12;
+  }
+
+  let summaryY = drawRow(doc, summaryColumns, summaryColumns.map(([title]) => title), y, { bold: true });
+  summaryRows.forEach((row) => { summaryY = drawRow(doc, summaryColumns, row, summaryY); });
+
+  const totalsX = MARGIN + 300;
+  const totalsWidth = width - 300;
+  let totalsY = y;
+  doc.font('Helvetica').fontSize(9);
+  totals.forEach(([label, amount]) => {
+    doc.text(label, totalsX, totalsY, { width: totalsWidth / 2 });
+    doc.text(formatAmount(amount), totalsX + totalsWidth / 2, totalsY, { width: totalsWidth / 2, align: 'right' });
+    totalsY += 14;
+  });
+  doc.moveTo(totalsX, totalsY).lineTo(totalsX + totalsWidth, totalsY).stroke('#222222');
+  doc.font('Helvetica-Bold').fontSize(10);
+  doc.text('Grand Total (Rs.)', totalsX, totalsY + 4, { width: totalsWidth / 2 });
+  doc.text(formatAmount(invoice.grandTotal), totalsX + totalsWidth / 2, totalsY + 4, { width: totalsWidth / 2, align: 'right' });
+
+  y = Math.max(summaryY, totalsY + 20) + 14;
+  doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', MARGIN, y, { continued: true })
+    .font('Helvetica').text(invoice.amountInWords, { width });
+
+  doc.moveDown(3);
+  doc.font('Helvetica').text(`For ${seller.name}`, MARGIN, doc.y, { width, align: 'right' });
+  doc.moveDown(3);
+  doc.text('Authorised Signatory', { width, align: 'right' });
+
+  doc.end();
+});
@@ -0,0 +1,147 @@
+import Product from '../../models/product/product.js';
+import Admin from '../../models/admin/admin.js';
+import Setting from '../../models/setting/setting.js';
+import EmailTemplates from '../emailTemplates/emailTemplate.js';
+import { DEFAULT_LOW_STOCK_THRESHOLD, STOCK_STATES } from '../../config/constant/inventory/inventory.js';
+import { PERMISSIONS, ROLE_PERMISSIONS } from '../../config/constant/permissions/permissions.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { SETTING_KEYS } from '../../config/constant/settings/settings.js';
+import { isDuplicateKeyError } from '../reference/reference.js';
+
+// How often the scheduler checks whether the digest is due
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Threshold used when neither the product nor its category sets one
+ * (LOW_STOCK_THRESHOLD, default DEFAULT_LOW_STOCK_THRESHOLD)
+ * @returns {number} Threshold
+ */
+const getDefaultThreshold = () => {
+  const threshold = Number(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_LOW_STOCK_THRESHOLD;
+};
+
+/**
+ * List every size of an active, published product that is out of stock or at/below its
+ * low stock threshold (product threshold, else category threshold, else the default)
+ * @returns {Promise<{generatedAt: Date, outOfStock: Object[], lowStock: Object[]}>} Report
+ */
+export const getLowStockReport = async () => {
+  const defaultThreshold = getDefaultThreshold();
+  const products = await Product.find({ isActive: true, status: PRODUCT_STATUS.PUBLISHED })
+    .select('name slug category lowStockThreshold variants.color variants.sizes')
+    .populate('category', 'name lowStockThreshold')
+    .populate('variants.color', 'name')
+    .sort({ name: 1 })
+    .lean();
+
+  const outOfStock = [];
+  const lowStock = [];
+
+  products.forEach((product) => {
+    const threshold = product.lowStockThreshold ?? product.category?.lowStockThreshold ?? defaultThreshold;
+
+    product.variants.forEach((variant) => {
+      variant.sizes.forEach((size) => {
+        if (size.stock > threshold) return;
+
+        const entry = {
+          product: { _id: product._id, name: product.name, slug: product.slug },
+          category: product.category?.name || '',
+          variant: variant._id,
+          color: variant.color?.name || '',
+          size: size.size,
+          stock: size.stock,
+          threshold,
+          state: size.stock === 0 ? STOCK_STATES.OUT : STOCK_STATES.LOW,
+        };
+        (size.stock === 0 ? outOfStock : lowStock).push(entry);
+      });
+    });
+  });
+
+  return { generatedAt: new Date(), outOfStock, lowStock };
+};
+
+/**
+ * Reconcile sold-out flags, then email the low-stock report to every active
+ * admin who can edit the catalog. Nothing is sent when all stock is healthy.
+ * @returns {Promise<{recipients: number, outOfStock: number, lowStock: number}>} Summary
+ */
+export const sendLowStockDigest = async () => {
+  // Catch products whose flag predates derived sold-out state
+  await Product.refreshSoldOut({});
+
+  const report = await getLowStockReport();
+  const summary = { recipients: 0, outOfStock: report.outOfStock.length, lowStock: report.lowStock.length };
+  if (!summary.outOfStock && !summary.lowStock) return summary;
+
+  const roles = Object.keys(ROLE_PERMISSIONS).filter((role) =>
+    ROLE_PERMISSIONS[role].includes(PERMISSIONS.CATALOG_WRITE)
+  );
+  const admins = await Admin.find({ isActive: true, role: { $in: roles } }).select('name email').lean();
+
+  for (const admin of admins) {
+    try {
+      await EmailTemplates.sendLowStockDigestEmail(admin, report);
+      summary.recipients++;
+    } catch (error) {
+      console.error(`Low stock digest failed for ${admin.email}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Record that the digest is being sent, provided the last one went out at
+ * least intervalMs ago. Only one process wins the claim for each period.
+ * @param {number} intervalMs - Time between digests
+ * @param {Date} [now] - Current time
+ * @returns {Promise<boolean>} True when the digest is due and now claimed
+ */
+const claimLowStockDigest = async (intervalMs, now = new Date()) => {
+  try {
+    const setting = await Setting.findOneAndUpdate(
+      {
+        key: SETTING_KEYS.LOW_STOCK_DIGEST_SENT_AT,
+        $or: [{ value: null }, { value: { $lte: new Date(now.getTime() - intervalMs) } }],
+      },
+      { $set: { value: now } },
+      { new: true, upsert: true }
+    );
+    return Boolean(setting);
+  } catch (error) {
+    // The setting exists and the last digest is too recent
+    if (isDuplicateKeyError(error, 'key')) return false;
+    throw error;
+  }
+};
+
+/**
+ * Send the digest whenever LOW_STOCK_DIGEST_INTERVAL_MS (default daily; 0 disables)
+ * has passed since the last one. The last send time is stored as a setting, so
+ * restarts don't push the digest back.
+ * @returns {NodeJS.Timeout|null} Interval handle
+ */
+export const startLowStockDigestScheduler = () => {
+  const intervalMs = Number(process.env.LOW_STOCK_DIGEST_INTERVAL_MS ?? 24 * 60 * 60 * 1000);
+  if (!intervalMs) return null;
+
+  const run = async () => {
+    try {
+      if (!(await claimLowStockDigest(intervalMs))) return;
+      const summary = await sendLowStockDigest();
+      console.log('Low stock digest completed:', summary);
+    } catch (error) {
+      console.error('Low stock digest error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, Math.min(intervalMs, DIGEST_CHECK_INTERVAL_MS));
+
+  // Don't keep the process alive just for the digest
+  timer.unref();
+  return timer;
+};
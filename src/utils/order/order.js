@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import Product from '../../models/product/product.js';
+import Order from '../../models/order/order.js';
+import { applyStockAdjustment } from '../inventory/inventory.js';
+import { priceProductsForBuyer, getUnitPrice, checkOrderQuantity, roundAmount } from '../pricing/pricing.js';
+import { generateReference, isDuplicateKeyError } from '../reference/reference.js';
+import EmailTemplates from '../emailTemplates/emailTemplate.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { MOVEMENT_TYPES } from '../../config/constant/inventory/inventory.js';
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  ORDER_NUMBER_PREFIX,
+  ORDER_MESSAGES,
+} from '../../config/constant/order/order.js';
+
+// Attempts at a free order number before giving up
+const MAX_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Whether an order may move from one status to another
+ * @param {string} from - Current ORDER_STATUSES value
+ * @param {string} to - Requested ORDER_STATUSES value
+ * @returns {boolean} True when the transition table allows it
+ */
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Price order items at today's prices for a customer group and copy the
+ * product details onto order lines
+ * @param {Object[]} items - { productId, variantId, size, quantity }
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @returns {Promise<{lines?: Object[], error?: Object}>} Order lines, or { message, data } for the
+ *   first item that can't be sold
+ */
+export const buildOrderLines = async (items, group) => {
+  const products = await Product.find({
+    _id: { $in: [...new Set(items.map((item) => String(item.productId)))] },
+    isVisible: true,
+    status: PRODUCT_STATUS.PUBLISHED,
+  })
+    .select('name base_price category brand collections tags minOrderQuantity packSize variants')
+    .populate('variants.color', 'name')
+    .lean();
+  const priced = new Map((await priceProductsForBuyer(products, group)).map((product) => [String(product._id), product]));
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    const product = priced.get(String(item.productId));
+    const variant = product?.variants.find((v) => String(v._id) === String(item.variantId));
+    const size = variant?.sizes.find((s) => s.size === item.size);
+    if (!size) {
+      return { error: { message: ORDER_MESSAGES.ITEM_NOT_FOUND, data: { index, item } } };
+    }
+
+    const quantity = Number(item.quantity);
+    const quantityError = checkOrderQuantity(product, quantity);
+    if (quantityError) {
+      return {
+        error: {
+          message: quantityError,
+          data: { index, item, minOrderQuantity: product.minOrderQuantity, packSize: product.packSize },
+        },
+      };
+    }
+
+    const unitPrice = getUnitPrice(variant, quantity);
+    lines.push({
+      product: product._id,
+      productName: product.name,
+      variant: variant._id,
+      color: variant.color?._id ?? null,
+      colorName: variant.color?.name || '',
+      size: size.size,
+      sku: size.sku || '',
+      quantity,
+      listPrice: variant.price,
+      unitPrice,
+      discount: roundAmount(Math.max(variant.price - unitPrice, 0) * quantity),
+      promotion: product.promotion?.label || '',
+      lineTotal: roundAmount(unitPrice * quantity),
+    });
+  }
+  return { lines };
+};
+
+/**
+ * Order lines for an accepted quote, at the quoted prices
+ * @param {Object} quote - QuoteRequest priced by an admin
+ * @returns {Object[]} Order lines
+ */
+export const buildQuoteOrderLines = (quote) =>
+  quote.lines.map((line) => ({
+    product: line.product,
+    productName: line.productName,
+    variant: line.variant,
+    color: line.color,
+    colorName: line.colorName,
+    size: line.size,
+    sku: line.sku,
+    quantity: line.quantity,
+    listPrice: line.listUnitPrice,
+    unitPrice: line.quotedUnitPrice,
+    discount: roundAmount(Math.max(line.listUnitPrice - line.quotedUnitPrice, 0) * line.quantity),
+    lineTotal: line.lineTotal,
+  }));
+
+/**
+ * Money totals of order lines
+ * @param {Object[]} lines - Order lines
+ * @returns {{subtotal: number, discountTotal: number, total: number}} Totals
+ */
+export const orderTotals = (lines) => {
+  const total = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const discountTotal = roundAmount(lines.reduce((sum, line) => sum + line.discount, 0));
+  return { subtotal: roundAmount(total + discountTotal), discountTotal, total };
+};
+
+/**
+ * Take each line's quantity out of stock for an order
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {Object} [options.admin] - Admin placing the order
+ * @param {mongoose.ClientSession} options.session - Transaction session
+ * @returns {Promise<{error?: string, index?: number}>} An INVENTORY_MESSAGES error and the
+ *   line it happened on, or an empty object when every line was reserved
+ */
+const reserveOrderStock = async (order, { admin = null, session }) => {
+  for (const [index, line] of order.lines.entries()) {
+    const result = await applyStockAdjustment(line.product, {
+      variantId: line.variant,
+      size: line.size,
+      type: MOVEMENT_TYPES.SALE,
+      quantity: line.quantity,
+      reason: `Order ${order.number}`,
+      reference: order.number,
+    }, { admin, session });
+    if (result.error) return { error: result.error, index };
+  }
+  return {};
+};
+
+/**
+ * Put a cancelled order's stock back. Lines whose variant or size has since
+ * been removed from the product are skipped.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {Object} [options.admin] - Admin cancelling the order
+ * @param {mongoose.ClientSession} options.session - Transaction session
+ * @returns {Promise<number[]>} Indexes of the lines that could not be restocked
+ */
+const releaseOrderStock = async (order, { admin = null, session }) => {
+  const skipped = [];
+  for (const [index, line] of order.lines.entries()) {
+    const result = await applyStockAdjustment(line.product, {
+      variantId: line.variant,
+      size: line.size,
+      type: MOVEMENT_TYPES.CANCELLATION,
+      quantity: line.quantity,
+      reason: `Order ${order.number} cancelled`,
+      reference: order.number,
+    }, { admin, session });
+    if (result.error) skipped.push(index);
+  }
+  return skipped;
+};
+
+/**
+ * Save an order and reserve its stock inside the caller's transaction. The
+ * caller aborts the transaction when an error is returned.
+ * @param {Object} data - Order fields other than number, status and history
+ * @param {Object} options
+ * @param {Object} [options.admin] - Admin creating the order
+ * @param {mongoose.ClientSession} options.session - Transaction session
+ * @returns {Promise<{order?: Object, error?: Object}>} Saved order, or
+ *   { message, index } for the first line without enough stock
+ */
+export const insertOrder = async (data, { admin = null, session }) => {
+  const [order] = await Order.create([{
+    ...data,
+    ...orderTotals(data.lines),
+    number: generateReference(ORDER_NUMBER_PREFIX, { bytes: 3 }),
+    status: ORDER_STATUSES.PENDING,
+    statusHistory: [{
+      status: ORDER_STATUSES.PENDING,
+      admin: admin?._id ?? null,
+      customer: admin ? null : data.customer ?? null,
+    }],
+    createdBy: admin?._id ?? null,
+  }], { session });
+
+  const reservation = await reserveOrderStock(order, { admin, session });
+  if (reservation.error) return { error: { message: reservation.error, index: reservation.index } };
+
+  return { order };
+};
+
+/**
+ * Create an order and reserve its stock in one transaction: either every
+ * line's stock is taken and the order saved, or nothing changes
+ * @param {Object} data - Order fields other than number, status and history
+ * @param {Object} [options]
+ * @param {Object} [options.admin] - Admin creating the order
+ * @returns {Promise<{order?: Object, error?: Object}>} Created order, or
+ *   { message, index } for the first line without enough stock
+ */
+export const createOrder = async (data, { admin = null } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const result = await insertOrder(data, { admin, session });
+      if (result.error) {
+        await session.abortTransaction();
+        return result;
+      }
+
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      if (!isDuplicateKeyError(error, 'number') || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * Move an order to a new status and record it in the history. Cancelling
+ * puts the reserved stock back in the same transaction. The caller checks
+ * the transition first.
+ * @param {Object} order - Order document
+ * @param {string} status - New ORDER_STATUSES value
+ * @param {Object} [options]
+ * @param {Object} [options.admin] - Admin making the change
+ * @param {Object} [options.customer] - Customer making the change
+ * @param {string} [options.note] - Note for the history entry
+ * @returns {Promise<{order?: Object, skippedLines?: number[], error?: string}>} Updated order and
+ *   lines that could not be restocked, or ORDER_CHANGED when it was changed meanwhile
+ */
+export const changeOrderStatus = async (order, status, { admin = null, customer = null, note = '' } = {}) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let skippedLines = [];
+  try {
+    if (status === ORDER_STATUSES.CANCELLED && order.stockReserved) {
+      skippedLines = await releaseOrderStock(order, { admin, session });
+      order.stockReserved = false;
+    }
+
+    order.status = status;
+    order.statusHistory.push({ status, admin: admin?._id ?? null, customer: customer?._id ?? null, note });
+    await order.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof mongoose.Error.VersionError) return { error: ORDER_MESSAGES.ORDER_CHANGED };
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return { order, skippedLines };
+};
+
+/**
+ * Email the buyer about the order's current status. A failed send is logged
+ * rather than thrown; the status change stands.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} True when the email was sent
+ */
+export const notifyOrderStatus = async (order) => {
+  try {
+    await EmailTemplates.sendOrderStatusEmail(order);
+    return true;
+  } catch (error) {
+    console.error('Order status email error:', error);
+    return false;
+  }
+};
@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+import EmailTemplates, { getPasswordResetTemplate } from '../emailTemplates/emailTemplate.js';
+
+// Reset links stay valid for 30 minutes
+const RESET_TOKEN_EXPIRE_MS = 30 * 60 * 1000;
+
+/**
+ * Issue a password reset token for an account and email them the reset link
+ * @param {Object} account - Admin or Customer document
+ * @param {string} [resetPath='/reset-password'] - Frontend page that takes the token
+ * @returns {Promise<void>} Resolves once the email is sent
+ */
+export const sendPasswordResetLink = async (account, resetPath = '/reset-password') => {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+  account.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  account.resetPasswordExpire = Date.now() + RESET_TOKEN_EXPIRE_MS;
+  await account.save({ validateBeforeSave: false });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}${resetPath}/${resetToken}`;
+
+  await EmailTemplates.sendPasswordResetEmail(
+    account.email,
+    'Password Reset Request',
+    getPasswordResetTemplate(account.name, resetUrl),
+    true
+  );
+};
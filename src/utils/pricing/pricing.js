@@ -0,0 +1,175 @@
+import { applyDiscount, getRunningPromotions, priceProduct } from '../promotions/promotions.js';
+import {
+  CUSTOMER_GROUPS,
+  DEFAULT_CUSTOMER_GROUP,
+  B2B_GROUPS,
+  PRICING_MESSAGES,
+} from '../../config/constant/pricing/pricing.js';
+
+/**
+ * Round an amount to 2 decimals
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+export const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Customer group whose prices a request should see. Buyers who are not
+ * signed in, or have no group, see retail prices.
+ * @param {Object} req - Express request object
+ * @returns {string} A CUSTOMER_GROUPS value
+ */
+export const resolveCustomerGroup = (req) => {
+  const group = req.customer?.group;
+  return Object.values(CUSTOMER_GROUPS).includes(group) ? group : DEFAULT_CUSTOMER_GROUP;
+};
+
+/**
+ * Whether a group orders in packs above a minimum quantity
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @returns {boolean} True for wholesale and distributor buyers
+ */
+export const isB2BGroup = (group) => B2B_GROUPS.includes(group);
+
+/**
+ * Find price tiers that repeat a group and minimum quantity on the same variant
+ * @param {Object[]} variants - Variants with optional priceTiers
+ * @returns {string[]} Error messages, empty when all is well
+ */
+export const findPriceTierErrors = (variants = []) => {
+  const errors = [];
+  variants.forEach((variant, index) => {
+    const seen = new Set();
+    (variant.priceTiers || []).forEach((tier) => {
+      const minQuantity = Number(tier?.minQuantity);
+      if (
+        !Object.values(CUSTOMER_GROUPS).includes(tier?.group)
+        || !Number.isInteger(minQuantity) || minQuantity < 1
+        || !(Number(tier.price) >= 0)
+      ) {
+        errors.push(`Variant ${index + 1}: ${PRICING_MESSAGES.INVALID_TIER}`);
+        return;
+      }
+      const key = `${tier.group}:${minQuantity}`;
+      if (seen.has(key)) errors.push(`Variant ${index + 1}: ${PRICING_MESSAGES.DUPLICATE_TIER}`);
+      seen.add(key);
+    });
+  });
+  return errors;
+};
+
+/**
+ * Quantity ranges and unit prices a group pays for a variant, starting at the
+ * smallest quantity the group may order
+ * @param {Object} variant - Variant with price and optional priceTiers
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @param {number} [startQuantity=1] - Smallest orderable quantity
+ * @returns {Object[]} [{ minQuantity, maxQuantity, price }], maxQuantity null on the last range
+ */
+export const getGroupTiers = (variant, group, startQuantity = 1) => {
+  const breaks = (variant.priceTiers || [])
+    .filter((tier) => tier.group === group)
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+
+  // The tier in force at startQuantity (or the variant price) opens the list
+  const opening = breaks.filter((tier) => tier.minQuantity <= startQuantity).pop();
+  const points = [
+    { minQuantity: startQuantity, price: opening ? opening.price : variant.price },
+    ...breaks.filter((tier) => tier.minQuantity > startQuantity),
+  ];
+
+  return points.map((tier, i) => ({
+    minQuantity: tier.minQuantity,
+    maxQuantity: points[i + 1] ? points[i + 1].minQuantity - 1 : null,
+    price: tier.price,
+  }));
+};
+
+/**
+ * Unit price for a quantity, from a variant priced by priceForBuyer
+ * @param {Object} variant - Priced variant with tiers
+ * @param {number} quantity - Units ordered
+ * @returns {number} Unit price
+ */
+export const getUnitPrice = (variant, quantity) => {
+  const tier = variant.tiers.filter((t) => t.minQuantity <= quantity).pop() ?? variant.tiers[0];
+  return tier.price;
+};
+
+/**
+ * Check a quantity against a priced product's order rules
+ * @param {Object} product - Product priced by priceForBuyer
+ * @param {number} quantity - Units ordered
+ * @returns {string|null} A PRICING_MESSAGES error, or null when allowed
+ */
+export const checkOrderQuantity = (product, quantity) => {
+  if (quantity < product.minOrderQuantity) return PRICING_MESSAGES.BELOW_MIN_ORDER_QUANTITY;
+  if (quantity % product.packSize !== 0) return PRICING_MESSAGES.NOT_PACK_MULTIPLE;
+  return null;
+};
+
+/**
+ * Prices a buyer in a group sees for a product. Retail buyers get running
+ * promotions on top of retail tiers; wholesale and distributor buyers get
+ * their own price list from the product's minimum order quantity, without
+ * promotions. Other groups' tiers are removed from the response.
+ * @param {Object} product - Lean product
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @param {Object[]} promotions - Running promotions
+ * @returns {Object} Product with finalPrice, compareAtPrice, promotion, order rules
+ *   and, on each variant, finalPrice, compareAtPrice and tiers
+ */
+export const priceForBuyer = (product, group, promotions) => {
+  const b2b = isB2BGroup(group);
+  const minOrderQuantity = b2b ? product.minOrderQuantity || 1 : 1;
+  const packSize = b2b ? product.packSize || 1 : 1;
+  // Start at the first whole pack at or above the minimum
+  const startQuantity = Math.ceil(minOrderQuantity / packSize) * packSize;
+
+  const priced = b2b ? { ...product, promotion: null } : priceProduct(product, promotions);
+  const discount = (price) => (priced.promotion ? applyDiscount(price, priced.promotion) : price);
+
+  const variants = Array.isArray(priced.variants)
+    ? priced.variants.map(({ priceTiers, ...variant }) => {
+        if (variant.price === undefined) return variant;
+        const tiers = getGroupTiers({ price: variant.price, priceTiers }, group, startQuantity)
+          .map((tier) => ({ ...tier, price: discount(tier.price) }));
+        const finalPrice = tiers[0].price;
+        return {
+          ...variant,
+          finalPrice,
+          compareAtPrice: finalPrice < variant.price ? variant.price : null,
+          tiers,
+        };
+      })
+    : priced.variants;
+
+  const result = {
+    ...priced,
+    variants,
+    customerGroup: group,
+    minOrderQuantity: startQuantity,
+    packSize,
+  };
+
+  // Wholesale buyers see the lowest variant price as the product's "from" price
+  if (b2b && product.base_price !== undefined) {
+    const prices = (variants || []).map((variant) => variant.finalPrice).filter((price) => price !== undefined);
+    result.finalPrice = prices.length ? Math.min(...prices) : product.base_price;
+    result.compareAtPrice = result.finalPrice < product.base_price ? product.base_price : null;
+  }
+
+  return result;
+};
+
+/**
+ * Price a list of products for a customer group against the promotions running now
+ * @param {Object[]} products - Lean products
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @param {Object[]} [promotions] - Running promotions, loaded when omitted
+ * @returns {Promise<Object[]>} Priced products
+ */
+export const priceProductsForBuyer = async (products, group, promotions) => {
+  const running = promotions ?? (await getRunningPromotions());
+  return products.map((product) => priceForBuyer(product, group, running));
+};
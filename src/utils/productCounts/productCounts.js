@@ -0,0 +1,49 @@
+import Category from '../../models/category/category.js';
+import Color from '../../models/color/color.js';
+
+/**
+ * Get the unique color IDs used by a product's variants
+ * @param {Array} [variants=[]] - Variants (color may be populated or a raw ID)
+ * @returns {string[]} Color IDs
+ */
+export const getVariantColorIds = (variants = []) => [
+  ...new Set(variants.map((v) => (v.color?._id ?? v.color)?.toString()).filter(Boolean)),
+];
+
+/**
+ * Keep Category and Color productCount in step when a product moves between
+ * categories or its variant colors change. Pass null for `from` when a product
+ * is added and null for `to` when it is removed.
+ * @param {{category: *, colorIds: string[]}|null} from - Category and colors before
+ * @param {{category: *, colorIds: string[]}|null} to - Category and colors after
+ * @param {mongoose.ClientSession} [session] - Transaction session
+ * @returns {Promise<void>}
+ */
+export const syncProductCounts = async (from, to, session = null) => {
+  const fromCategory = from?.category ? (from.category._id ?? from.category).toString() : null;
+  const toCategory = to?.category ? (to.category._id ?? to.category).toString() : null;
+
+  if (fromCategory !== toCategory) {
+    if (fromCategory) {
+      await Category.findByIdAndUpdate(fromCategory, { $inc: { productCount: -1 } }, { session });
+    }
+    if (toCategory) {
+      await Category.findByIdAndUpdate(toCategory, { $inc: { productCount: 1 } }, { session });
+    }
+  }
+
+  const fromColorIds = from?.colorIds || [];
+  const toColorIds = to?.colorIds || [];
+
+  // Colors to increment (added colors)
+  const colorsToIncrement = toColorIds.filter((id) => !fromColorIds.includes(id));
+  // Colors to decrement (removed colors)
+  const colorsToDecrement = fromColorIds.filter((id) => !toColorIds.includes(id));
+
+  if (colorsToIncrement.length > 0) {
+    await Color.updateMany({ _id: { $in: colorsToIncrement } }, { $inc: { productCount: 1 } }, { session });
+  }
+  if (colorsToDecrement.length > 0) {
+    await Color.updateMany({ _id: { $in: colorsToDecrement } }, { $inc: { productCount: -1 } }, { session });
+  }
+};
@@ -0,0 +1,179 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+// Supported export formats and their content types
+export const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+// Export columns: [header, key]. Headers match the bulk import columns where they overlap.
+const EXPORT_COLUMNS = [
+  ['Product ID', 'productId'],
+  ['Name', 'name'],
+  ['Slug', 'slug'],
+  ['Brand', 'brand'],
+  ['Category', 'category'],
+  ['Color', 'color'],
+  ['Color Hex', 'colorHex'],
+  ['Size', 'size'],
+  ['Stock', 'stock'],
+  ['SKU', 'sku'],
+  ['Barcode', 'barcode'],
+  ['Base Price', 'basePrice'],
+  ['Price', 'price'],
+  ['Discount', 'discount'],
+  ['Min Order Qty', 'minOrderQuantity'],
+  ['Pack Size', 'packSize'],
+  ['Tags', 'tags'],
+  ['Collections', 'collections'],
+  ['Primary Image', 'primaryImage'],
+  ['Active', 'isActive'],
+  ['Featured', 'isFeatured'],
+  ['Visible', 'isVisible'],
+  ['Sold Out', 'isSoldOut'],
+  ['Status', 'status'],
+  ['Published At', 'publishedAt'],
+  ['Created At', 'createdAt'],
+  ['Updated At', 'updatedAt'],
+];
+
+/**
+ * Flatten a product (brand, category and variant colors populated) into one row
+ * per variant and size. Variants without sizes, and products without variants,
+ * still produce a row.
+ * @param {Object} product - Lean product
+ * @returns {Object[]} Rows keyed by EXPORT_COLUMNS keys
+ */
+export const flattenProductForExport = (product) => {
+  const base = {
+    productId: product._id.toString(),
+    name: product.name,
+    slug: product.slug,
+    brand: product.brand?.name || '',
+    category: product.category?.name || '',
+    basePrice: product.base_price,
+    discount: product.discount ?? 0,
+    minOrderQuantity: product.minOrderQuantity ?? 1,
+    packSize: product.packSize ?? 1,
+    tags: (product.tags || []).join(', '),
+    collections: (product.collections || []).join(', '),
+    isActive: product.isActive,
+    isFeatured: product.isFeatured,
+    isVisible: product.isVisible,
+    isSoldOut: product.isSoldOut,
+    status: product.status || '',
+    publishedAt: product.publishedAt ? new Date(product.publishedAt).toISOString() : '',
+    createdAt: product.createdAt ? new Date(product.createdAt).toISOString() : '',
+    updatedAt: product.updatedAt ? new Date(product.updatedAt).toISOString() : '',
+  };
+
+  const variants = product.variants || [];
+  const fallbackImage = variants.flatMap((v) => v.images || [])[0]?.url || '';
+
+  if (variants.length === 0) {
+    return [{ ...base, color: '', colorHex: '', size: '', stock: '', sku: '', barcode: '', price: '', primaryImage: '' }];
+  }
+
+  return variants.flatMap((variant) => {
+    const images = variant.images || [];
+    const variantRow = {
+      ...base,
+      color: variant.color?.name || '',
+      colorHex: variant.color?.hex || '',
+      price: variant.price,
+      primaryImage: (images.find((img) => img.isPrimary) || images[0])?.url || fallbackImage,
+    };
+
+    const sizes = variant.sizes?.length ? variant.sizes : [{ size: '', stock: '' }];
+    return sizes.map((size) => ({
+      ...variantRow,
+      size: size.size,
+      stock: size.stock,
+      sku: size.sku || '',
+      barcode: size.barcode || '',
+    }));
+  });
+};
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+export const CSV_FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when needed (RFC 4180). Text that would start a formula
+ * (names and tags are typed by admins) is prefixed with ' so Excel shows it
+ * as text instead of running it; the bulk import strips the prefix again.
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+const toCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && CSV_FORMULA_TRIGGER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {import('stream').Writable} stream - Destination
+ * @param {string} chunk - Data
+ * @returns {Promise<void>}
+ */
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+};
+
+/**
+ * Create a row writer that streams an export to a writable stream
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {import('stream').Writable} stream - Destination (e.g. the Express response)
+ * @returns {{writeRow: function(Object): Promise<void>, end: function(): Promise<void>}} Writer
+ */
+export const createExportWriter = (format, stream) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Products');
+    worksheet.columns = EXPORT_COLUMNS.map(([header, key]) => ({ header, key }));
+
+    return {
+      writeRow: async (row) => worksheet.addRow(row).commit(),
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  if (format === 'json') {
+    let first = true;
+    return {
+      writeRow: async (row) => {
+        await write(stream, `${first ? '[\n' : ',\n'}${JSON.stringify(row)}`);
+        first = false;
+      },
+      end: async () => {
+        stream.end(first ? '[]\n' : '\n]\n');
+      },
+    };
+  }
+
+  // BOM first so Excel opens the file as UTF-8
+  const header = `\uFEFF${EXPORT_COLUMNS.map(([title]) => toCsvField(title)).join(',')}\r\n`;
+  let headerWritten = false;
+  const writeHeader = async () => {
+    if (headerWritten) return;
+    await write(stream, header);
+    headerWritten = true;
+  };
+
+  return {
+    writeRow: async (row) => {
+      await writeHeader();
+      await write(stream, `${EXPORT_COLUMNS.map(([, key]) => toCsvField(row[key])).join(',')}\r\n`);
+    },
+    end: async () => {
+      await writeHeader();
+      stream.end();
+    },
+  };
+};
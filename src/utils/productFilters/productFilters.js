@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import Category from '../../models/category/category.js';
+import { PRODUCT_MESSAGES } from '../../config/constant/product/productMessages.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+
+// Fields products can be sorted by in admin listings and exports
+const SORT_FIELDS = ['createdAt', 'publishedAt', 'base_price', 'rating', 'viewCount'];
+
+/**
+ * Build the product query used by the admin listing and export from query params
+ * @param {Object} params - Request query
+ * @param {string} [params.search] - Matches name, description or tags
+ * @param {string} [params.category] - Category ID or slug of an active category
+ * @param {string} [params.minPrice] - Minimum base price
+ * @param {string} [params.maxPrice] - Maximum base price
+ * @param {string} [params.tags] - Comma-separated tags, all of which must match
+ * @param {string} [params.status] - Comma-separated lifecycle statuses
+ * @returns {Promise<{query: Object|null, message: string}>} Mongo filter (null when the
+ *   category slug is unknown) and a listing message describing the filters
+ */
+export const buildProductFilter = async ({ search, category, minPrice, maxPrice, tags, status } = {}) => {
+  const query = {};
+  let message = PRODUCT_MESSAGES.PRODUCTS_FETCHED;
+
+  if (search?.trim()) {
+    const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { name: { $regex: escapedSearch, $options: 'i' } },
+      { description: { $regex: escapedSearch, $options: 'i' } },
+      { tags: { $regex: escapedSearch, $options: 'i' } },
+    ];
+    message += ` matching "${search}"`;
+  }
+
+  if (category?.trim()) {
+    if (mongoose.isValidObjectId(category)) {
+      query.category = new mongoose.Types.ObjectId(category);
+    } else {
+      const categoryDoc = await Category.findOne({ slug: category, isActive: true }).lean();
+      if (!categoryDoc) {
+        return { query: null, message };
+      }
+      query.category = categoryDoc._id;
+    }
+    message += ` in category "${category}"`;
+  }
+
+  if (minPrice || maxPrice) {
+    query.base_price = {};
+    if (minPrice) {
+      query.base_price.$gte = parseFloat(minPrice);
+      message += ` with price >= ${minPrice}`;
+    }
+    if (maxPrice) {
+      query.base_price.$lte = parseFloat(maxPrice);
+      message += ` with price <= ${maxPrice}`;
+    }
+  }
+
+  if (tags?.trim()) {
+    const tagArray = tags.split(',').map((tag) => tag.trim().toLowerCase());
+    query.tags = { $all: tagArray };
+    message += ` with tags "${tags}"`;
+  }
+
+  const statuses = (status || '').split(',').map((s) => s.trim()).filter((s) => Object.values(PRODUCT_STATUS).includes(s));
+  if (statuses.length > 0) {
+    query.status = { $in: statuses };
+    message += ` with status "${statuses.join(', ')}"`;
+  }
+
+  return { query, message };
+};
+
+/**
+ * Build the product sort from query params (defaults to newest first)
+ * @param {string} [sortBy='createdAt'] - One of createdAt, publishedAt, base_price, rating, viewCount
+ * @param {string} [sortOrder='desc'] - 'asc' or 'desc'
+ * @returns {Object} Mongo sort
+ */
+export const buildProductSort = (sortBy = 'createdAt', sortOrder = 'desc') => {
+  if (SORT_FIELDS.includes(sortBy)) {
+    return { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+  }
+  return { createdAt: -1 };
+};
@@ -0,0 +1,359 @@
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import Product from '../../models/product/product.js';
+import Category from '../../models/category/category.js';
+import Brand from '../../models/brand/brand.js';
+import Color from '../../models/color/color.js';
+import { productImportSchema } from '../../validation/admin/producatvalidation/productValidation.js';
+import { normalizeSkuFields, findSkuConflicts } from '../sku/sku.js';
+import { SKU_MESSAGES } from '../../config/constant/sku/sku.js';
+import { CSV_FORMULA_TRIGGER } from '../productExport/productExport.js';
+
+// Maximum number of data rows accepted in one file
+export const IMPORT_MAX_ROWS = 5000;
+
+// Row statuses in the import report
+export const IMPORT_ROW_STATUS = {
+  VALID: 'valid', // Passed validation (dry run)
+  INVALID: 'invalid', // Has its own errors
+  SKIPPED: 'skipped', // Belongs to a product with errors on another row
+  CREATED: 'created',
+  FAILED: 'failed', // Valid, but the product could not be saved
+};
+
+// Spreadsheet header (lowercased, spaces/underscores removed) -> field
+const COLUMN_ALIASES = {
+  name: 'name',
+  productname: 'name',
+  category: 'category',
+  brand: 'brand',
+  baseprice: 'base_price',
+  description: 'description',
+  tags: 'tags',
+  collections: 'collections',
+  specifications: 'specifications',
+  discount: 'discount',
+  isactive: 'isActive',
+  active: 'isActive',
+  isfeatured: 'isFeatured',
+  featured: 'isFeatured',
+  isvisible: 'isVisible',
+  visible: 'isVisible',
+  videourl: 'videoUrl',
+  color: 'color',
+  price: 'price',
+  variantprice: 'price',
+  size: 'size',
+  stock: 'stock',
+  sku: 'sku',
+  barcode: 'barcode',
+  ean: 'barcode',
+  upc: 'barcode',
+  images: 'images',
+  imageurls: 'images',
+};
+
+const REQUIRED_COLUMNS = ['name', 'category', 'brand', 'base_price', 'color', 'price', 'size', 'stock'];
+
+// Product-level columns; taken from the first row of a product that has a value
+const PRODUCT_COLUMNS = [
+  'category', 'brand', 'base_price', 'description', 'tags', 'collections',
+  'specifications', 'discount', 'isActive', 'isFeatured', 'isVisible', 'videoUrl',
+];
+
+/**
+ * Turn a name into the slug format used across the catalog
+ * @param {string} value - Name
+ * @returns {string} Slug
+ */
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Split a multi-value cell on commas or pipes
+ * @param {string} value - Cell text
+ * @returns {string[]} Non-empty values
+ */
+const splitList = (value) => (value ? value.split(/[|,]/).map((v) => v.trim()).filter(Boolean) : []);
+
+/**
+ * Parse a yes/no cell; unrecognised text is passed on for Joi to reject
+ * @param {string} value - Cell text
+ * @returns {boolean|string|undefined} Parsed value, or undefined when empty
+ */
+const parseBoolean = (value) => {
+  if (!value) return undefined;
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return value;
+};
+
+/**
+ * Parse "key: value; key: value" specifications
+ * @param {string} value - Cell text
+ * @returns {Object} Specifications
+ */
+const parseSpecifications = (value) => {
+  const specifications = {};
+  (value ? value.split(';') : []).forEach((pair) => {
+    const index = pair.indexOf(':');
+    if (index === -1) return;
+    const key = pair.slice(0, index).trim();
+    if (key) specifications[key] = pair.slice(index + 1).trim();
+  });
+  return specifications;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (first worksheet) into row objects
+ * @param {Object} file - Multer file kept in memory
+ * @returns {Promise<{rows: Object[], missingColumns: string[]}>} Rows keyed by field,
+ *   with `rowNumber` matching the spreadsheet, and any required columns not found
+ */
+export const readImportFile = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = path.extname(file.originalname).toLowerCase() === '.csv';
+  // CSV fields are kept as typed: ExcelJS would otherwise turn numeric-looking
+  // text into numbers, dropping the leading zeros of SKUs and UPC-A barcodes
+  const worksheet = isCsv
+    ? await workbook.csv.read(Readable.from(file.buffer), { map: (value) => (value === '' ? null : value) })
+    : (await workbook.xlsx.load(file.buffer), workbook.worksheets[0]);
+
+  if (!worksheet) return { rows: [], missingColumns: REQUIRED_COLUMNS };
+
+  const columns = {};
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const field = COLUMN_ALIASES[cell.text.replace(/^\uFEFF/, '').toLowerCase().replace(/[\s_]+/g, '')];
+    if (field) columns[colNumber] = field;
+  });
+
+  const found = Object.values(columns);
+  const missingColumns = REQUIRED_COLUMNS.filter((field) => !found.includes(field));
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = { rowNumber };
+    Object.entries(columns).forEach(([colNumber, field]) => {
+      const text = row.getCell(Number(colNumber)).text;
+      // Undo the ' the CSV export puts before text that would start a formula
+      values[field] = (isCsv && text.startsWith("'") && CSV_FORMULA_TRIGGER.test(text.slice(1)) ? text.slice(1) : text).trim();
+    });
+
+    // Ignore rows that are blank in every known column
+    if (Object.keys(values).some((key) => key !== 'rowNumber' && values[key])) {
+      rows.push(values);
+    }
+  });
+
+  return { rows, missingColumns };
+};
+
+/**
+ * Build a lookup of documents by lowercased name and by slug
+ * @param {Object[]} docs - Lean documents with name and slug
+ * @returns {Map<string, Object>} Lookup
+ */
+const buildLookup = (docs) => {
+  const lookup = new Map();
+  docs.forEach((doc) => {
+    lookup.set(doc.name.toLowerCase(), doc);
+    if (doc.slug) lookup.set(doc.slug, doc);
+  });
+  return lookup;
+};
+
+/**
+ * Find a document by the name or slug typed in a cell
+ * @param {Map<string, Object>} lookup - Lookup from buildLookup
+ * @param {string} value - Cell text
+ * @returns {Object|undefined} Matching document
+ */
+const resolve = (lookup, value) => lookup.get(value.toLowerCase()) || lookup.get(slugify(value));
+
+/**
+ * Group rows into products (by name) and variants (by color), resolve brands,
+ * categories and colors by name or slug, and validate each product with
+ * productImportSchema. A product is only imported if all of its rows are valid.
+ * @param {Object[]} rows - Rows from readImportFile
+ * @returns {Promise<{report: Object[], products: Object[]}>} Per-row report and the
+ *   products with their validated `data`, report indexes (`rowIndexes`) and `valid` flag
+ */
+export const buildImportPlan = async (rows) => {
+  const [categories, brands, colors] = await Promise.all([
+    Category.find().select('name slug').lean(),
+    Brand.find().select('name slug').lean(),
+    Color.find().select('name slug').lean(),
+  ]);
+  const categoryLookup = buildLookup(categories);
+  const brandLookup = buildLookup(brands);
+  const colorLookup = buildLookup(colors);
+
+  const report = rows.map((row) => ({
+    row: row.rowNumber,
+    name: row.name || '',
+    color: row.color || '',
+    size: row.size || '',
+    status: IMPORT_ROW_STATUS.VALID,
+    errors: [],
+  }));
+
+  // Group rows by product slug
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    if (!row.name) {
+      report[index].errors.push('Product name is required');
+      return;
+    }
+    const slug = slugify(row.name);
+    if (!groups.has(slug)) groups.set(slug, { slug, name: row.name, indexes: [] });
+    groups.get(slug).indexes.push(index);
+  });
+
+  const existing = await Product.find({ slug: { $in: [...groups.keys()] } })
+    .setOptions({ withDeleted: true })
+    .select('slug')
+    .lean();
+  const existingSlugs = new Set(existing.map((p) => p.slug));
+
+  const products = [];
+  // SKUs and barcodes claimed by earlier products in the file
+  const fileSkus = new Set();
+  const fileBarcodes = new Set();
+
+  for (const group of groups.values()) {
+    const groupRows = group.indexes.map((index) => rows[index]);
+    const firstIndex = group.indexes[0];
+    const productErrors = [];
+
+    // Product-level values come from the first row that has them
+    const pick = (field) => groupRows.find((row) => row[field])?.[field] || '';
+    const fields = Object.fromEntries(PRODUCT_COLUMNS.map((field) => [field, pick(field)]));
+
+    if (existingSlugs.has(group.slug)) {
+      productErrors.push(`A product named "${group.name}" already exists`);
+    }
+
+    const category = fields.category && resolve(categoryLookup, fields.category);
+    if (fields.category && !category) productErrors.push(`Unknown category "${fields.category}"`);
+
+    const brand = fields.brand && resolve(brandLookup, fields.brand);
+    if (fields.brand && !brand) productErrors.push(`Unknown brand "${fields.brand}"`);
+
+    // Group rows into variants by color, remembering which row produced what
+    const variants = [];
+    const variantSources = [];
+    groupRows.forEach((row, i) => {
+      const index = group.indexes[i];
+
+      if (!row.color) {
+        report[index].errors.push('Color is required');
+        return;
+      }
+      const color = resolve(colorLookup, row.color);
+      if (!color) {
+        report[index].errors.push(`Unknown color "${row.color}"`);
+        return;
+      }
+
+      let v = variants.findIndex((variant) => variant.color === color._id.toString());
+      if (v === -1) {
+        variants.push({ color: color._id.toString(), price: row.price, images: [], sizes: [] });
+        variantSources.push({ row: index, sizes: [], images: [] });
+        v = variants.length - 1;
+      }
+      const variant = variants[v];
+
+      if (row.size && variant.sizes.some((s) => s.size.toLowerCase() === row.size.toLowerCase())) {
+        report[index].errors.push(`Duplicate size "${row.size}" for color "${row.color}"`);
+        return;
+      }
+      variant.sizes.push({ size: row.size, stock: row.stock, sku: row.sku, barcode: row.barcode });
+      variantSources[v].sizes.push(index);
+
+      splitList(row.images).forEach((url) => {
+        if (variant.images.some((img) => img.url === url)) return;
+        variant.images.push({ url, alt: `${group.name} ${color.name}`.slice(0, 100), isPrimary: variant.images.length === 0 });
+        variantSources[v].images.push(index);
+      });
+    });
+
+    const { error, value } = productImportSchema.validate(
+      {
+        name: group.name,
+        category: category ? category._id.toString() : fields.category || undefined,
+        brand: brand ? brand._id.toString() : fields.brand || undefined,
+        base_price: fields.base_price || undefined,
+        description: fields.description,
+        variants,
+        isActive: parseBoolean(fields.isActive),
+        tags: splitList(fields.tags).map(slugify),
+        videoUrl: fields.videoUrl || null,
+        isFeatured: parseBoolean(fields.isFeatured),
+        isVisible: parseBoolean(fields.isVisible),
+        specifications: parseSpecifications(fields.specifications),
+        collections: splitList(fields.collections).map(slugify),
+        discount: fields.discount || undefined,
+      },
+      { abortEarly: false }
+    );
+
+    // Attribute each Joi error to the row that supplied the value
+    (error?.details || []).forEach(({ path: errorPath, message }) => {
+      const [field, v, subField, s] = errorPath;
+
+      // Unresolved references are already reported by name
+      if ((field === 'category' && fields.category && !category) || (field === 'brand' && fields.brand && !brand)) return;
+
+      if (field === 'variants' && typeof v === 'number') {
+        const source = variantSources[v];
+        const index = subField === 'sizes' && typeof s === 'number' ? source.sizes[s]
+          : subField === 'images' && typeof s === 'number' ? source.images[s]
+            : source.row;
+        report[index].errors.push(message);
+      } else {
+        productErrors.push(message);
+      }
+    });
+
+    // Hand-set SKUs and barcodes must be unique in the catalog and in the file
+    if (!error) {
+      normalizeSkuFields(value.variants);
+      const sizes = value.variants.flatMap((variant) => variant.sizes);
+      productErrors.push(...await findSkuConflicts(value.variants));
+      sizes.forEach(({ sku, barcode }) => {
+        if (sku && fileSkus.has(sku)) productErrors.push(`${sku}: ${SKU_MESSAGES.DUPLICATE_SKU}`);
+        if (barcode && fileBarcodes.has(barcode)) productErrors.push(`${barcode}: ${SKU_MESSAGES.DUPLICATE_BARCODE}`);
+      });
+      sizes.forEach(({ sku, barcode }) => {
+        if (sku) fileSkus.add(sku);
+        if (barcode) fileBarcodes.add(barcode);
+      });
+    }
+
+    report[firstIndex].errors.push(...productErrors);
+
+    const valid = group.indexes.every((index) => report[index].errors.length === 0);
+    if (!valid) {
+      const invalidRows = group.indexes.filter((index) => report[index].errors.length).map((index) => report[index].row);
+      group.indexes.forEach((index) => {
+        if (report[index].errors.length === 0) {
+          report[index].status = IMPORT_ROW_STATUS.SKIPPED;
+          report[index].errors.push(`Product "${group.name}" has errors on row(s) ${invalidRows.join(', ')}`);
+        }
+      });
+    }
+
+    products.push({ slug: group.slug, name: group.name, data: value, rowIndexes: group.indexes, valid });
+  }
+
+  report.forEach((entry) => {
+    if (entry.status === IMPORT_ROW_STATUS.VALID && entry.errors.length) {
+      entry.status = IMPORT_ROW_STATUS.INVALID;
+    }
+  });
+
+  return { report, products };
+};
@@ -0,0 +1,151 @@
+import Promotion from '../../models/promotion/promotion.js';
+import { DISCOUNT_TYPES, PROMOTION_STATES } from '../../config/constant/promotion/promotion.js';
+
+/**
+ * Round a price to 2 decimals, like Product.base_price
+ * @param {number} value - Price
+ * @returns {number} Rounded price
+ */
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * ID of a reference that may be populated
+ * @param {*} ref - ObjectId, populated document or null
+ * @returns {string|null} ID as a string
+ */
+const idOf = (ref) => (ref ? String(ref._id ?? ref) : null);
+
+/**
+ * Promotions running right now, highest priority first
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object[]>} Lean promotions
+ */
+export const getRunningPromotions = (now = new Date()) =>
+  Promotion.find(Promotion.stateFilter(PROMOTION_STATES.RUNNING, now))
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+/**
+ * Check whether a promotion targets a product
+ * @param {Object} promotion - Promotion
+ * @param {Object} product - Product (category and brand may be populated)
+ * @returns {boolean} True when it applies
+ */
+export const promotionMatches = (promotion, product) => {
+  if (promotion.appliesToAll) return true;
+
+  const has = (list, value) => value != null && (list || []).some((item) => String(item) === value);
+  const lower = (values) => (values || []).map((v) => String(v).toLowerCase());
+
+  return has(promotion.products, idOf(product._id))
+    || has(promotion.categories, idOf(product.category))
+    || has(promotion.brands, idOf(product.brand))
+    || (product.collections || []).some((collection) => has(promotion.collections, collection))
+    || lower(product.tags).some((tag) => lower(promotion.tags).includes(tag));
+};
+
+/**
+ * Price after a promotion's discount
+ * @param {number} price - Regular price
+ * @param {Object} promotion - Promotion
+ * @returns {number} Discounted price, never negative
+ */
+export const applyDiscount = (price, { discountType, discountValue }) => {
+  const discounted = discountType === DISCOUNT_TYPES.PERCENTAGE
+    ? price * (1 - discountValue / 100)
+    : price - discountValue;
+  return roundPrice(Math.max(discounted, 0));
+};
+
+/**
+ * Pick the promotion that applies to a product: the highest priority among the
+ * matching ones, then the one giving the lowest price
+ * @param {Object} product - Product
+ * @param {Object[]} promotions - Running promotions
+ * @returns {Object|null} Winning promotion
+ */
+export const selectPromotion = (product, promotions) => {
+  let best = null;
+  for (const promotion of promotions) {
+    if (!promotionMatches(promotion, product)) continue;
+    if (
+      !best
+      || promotion.priority > best.priority
+      || (promotion.priority === best.priority
+        && applyDiscount(product.base_price ?? 0, promotion) < applyDiscount(product.base_price ?? 0, best))
+    ) {
+      best = promotion;
+    }
+  }
+  return best;
+};
+
+/**
+ * Add computed prices to a product for customers: finalPrice and
+ * compareAtPrice on the product and each variant, and the promotion applied.
+ * Without a promotion finalPrice equals the regular price and compareAtPrice is null.
+ * @param {Object} product - Lean product
+ * @param {Object[]} promotions - Running promotions
+ * @returns {Object} Product with pricing fields
+ */
+export const priceProduct = (product, promotions) => {
+  const promotion = selectPromotion(product, promotions);
+  const price = (regular) => ({
+    finalPrice: promotion ? applyDiscount(regular, promotion) : regular,
+    compareAtPrice: promotion ? regular : null,
+  });
+
+  return {
+    ...product,
+    ...(product.base_price !== undefined ? price(product.base_price) : {}),
+    ...(Array.isArray(product.variants)
+      ? {
+          variants: product.variants.map((variant) =>
+            variant.price !== undefined ? { ...variant, ...price(variant.price) } : variant
+          ),
+        }
+      : {}),
+    promotion: promotion
+      ? {
+          _id: promotion._id,
+          label: promotion.label || promotion.name,
+          discountType: promotion.discountType,
+          discountValue: promotion.discountValue,
+          endsAt: promotion.endsAt,
+        }
+      : null,
+  };
+};
+
+/**
+ * Price a list of products against the promotions running now
+ * @param {Object[]} products - Lean products
+ * @param {Object[]} [promotions] - Running promotions, loaded when omitted
+ * @returns {Promise<Object[]>} Products with pricing fields
+ */
+export const priceProducts = async (products, promotions) => {
+  const running = promotions ?? (await getRunningPromotions());
+  return products.map((product) => priceProduct(product, running));
+};
+
+/**
+ * Mongo filter matching every product targeted by any of the promotions
+ * @param {Object[]} promotions - Promotions
+ * @returns {Object|null} Filter, or null when none target anything
+ */
+export const promotionProductFilter = (promotions) => {
+  if (promotions.some((promotion) => promotion.appliesToAll)) return {};
+
+  const union = (key) => [...new Set(promotions.flatMap((promotion) => (promotion[key] || []).map(String)))];
+  const clauses = [
+    ['_id', union('products')],
+    ['category', union('categories')],
+    ['brand', union('brands')],
+    ['collections', union('collections')],
+    ['tags', union('tags')],
+  ]
+    .filter(([, values]) => values.length > 0)
+    .map(([field, values]) => ({ [field]: { $in: values } }));
+
+  return clauses.length ? { $or: clauses } : null;
+};
@@ -0,0 +1,165 @@
+import Product from '../../models/product/product.js';
+import { PRODUCT_STATUS, PUBLISHING_MESSAGES } from '../../config/constant/product/productStatus.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../config/constant/audit/audit.js';
+import { recordAudit } from '../audit/audit.js';
+
+/**
+ * Parse a publishing date from the request body
+ * @param {*} value - Date string, Date, '' or null
+ * @returns {Date|null|undefined} Date, null to clear it, undefined when not sent, or an Invalid Date
+ */
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+  return new Date(value);
+};
+
+/**
+ * Work out the status and publishing dates to store for a product being created,
+ * edited or reverted. A schedule that is already due is published straight away.
+ * @param {Object} input - Requested status, publishAt and unpublishAt (any may be omitted)
+ * @param {Object} [current] - Product as stored, when updating
+ * @param {Date} [now] - Current time
+ * @returns {{fields?: Object, error?: string}} Fields to $set, or a PUBLISHING_MESSAGES error
+ */
+export const resolvePublishing = ({ status, publishAt, unpublishAt } = {}, current = null, now = new Date()) => {
+  if (status !== undefined && !Object.values(PRODUCT_STATUS).includes(status)) {
+    return { error: PUBLISHING_MESSAGES.INVALID_STATUS };
+  }
+
+  const parsedPublishAt = parseDate(publishAt);
+  const parsedUnpublishAt = parseDate(unpublishAt);
+  if ([parsedPublishAt, parsedUnpublishAt].some((date) => date && isNaN(date))) {
+    return { error: PUBLISHING_MESSAGES.INVALID_DATE };
+  }
+
+  const nextPublishAt = parsedPublishAt === undefined ? current?.publishAt ?? null : parsedPublishAt;
+  const nextUnpublishAt = parsedUnpublishAt === undefined ? current?.unpublishAt ?? null : parsedUnpublishAt;
+
+  // A new product with a future publishAt and no explicit status is scheduled
+  let nextStatus = status ?? current?.status
+    ?? (nextPublishAt && nextPublishAt > now ? PRODUCT_STATUS.SCHEDULED : PRODUCT_STATUS.PUBLISHED);
+
+  if (nextStatus === PRODUCT_STATUS.SCHEDULED) {
+    if (!nextPublishAt) return { error: PUBLISHING_MESSAGES.PUBLISH_AT_REQUIRED };
+    if (nextPublishAt <= now) nextStatus = PRODUCT_STATUS.PUBLISHED;
+  }
+
+  if (nextPublishAt && nextUnpublishAt && nextUnpublishAt <= nextPublishAt) {
+    return { error: PUBLISHING_MESSAGES.UNPUBLISH_BEFORE_PUBLISH };
+  }
+  if (nextStatus === PRODUCT_STATUS.PUBLISHED && nextUnpublishAt && nextUnpublishAt <= now) {
+    return { error: PUBLISHING_MESSAGES.UNPUBLISH_IN_PAST };
+  }
+
+  const wasPublished = current?.status === PRODUCT_STATUS.PUBLISHED;
+  const fields = {
+    status: nextStatus,
+    publishAt: nextPublishAt,
+    unpublishAt: nextUnpublishAt,
+    publishedAt: current?.publishedAt ?? null,
+  };
+  if (nextStatus === PRODUCT_STATUS.PUBLISHED && !wasPublished) {
+    fields.publishedAt = now;
+  }
+
+  return { fields };
+};
+
+/**
+ * Move products whose status changes on a schedule, recording each change in the audit log
+ * @param {Object} filter - Products to change
+ * @param {Object} update - Fields to $set
+ * @param {string} event - Audit metadata event
+ * @returns {Promise<number>} Number of products changed
+ */
+const transition = async (filter, update, event) => {
+  const due = await Product.find(filter).select('status').lean();
+  if (due.length === 0) return 0;
+
+  const ids = due.map((product) => product._id);
+  // Re-check the filter so a product edited in the meantime is left alone
+  const { modifiedCount } = await Product.updateMany({ ...filter, _id: { $in: ids } }, { $set: update });
+
+  for (const product of due) {
+    await recordAudit(null, {
+      action: AUDIT_ACTIONS.UPDATE,
+      resourceType: AUDIT_RESOURCES.PRODUCT,
+      resourceId: product._id,
+      before: { status: product.status },
+      after: { status: update.status },
+      metadata: { event },
+    });
+  }
+
+  return modifiedCount;
+};
+
+/**
+ * Mark products saved before the lifecycle existed as published, with their
+ * creation date as publish date. Run once at startup, whether or not the
+ * scheduler is enabled.
+ * @returns {Promise<number>} Products updated (0 when the update failed)
+ */
+export const backfillProductStatus = async () => {
+  try {
+    const { modifiedCount } = await Product.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: PRODUCT_STATUS.PUBLISHED, publishedAt: { $ifNull: ['$publishedAt', '$createdAt'] } } }]
+    ).setOptions({ withDeleted: true });
+
+    if (modifiedCount) console.log(`Marked ${modifiedCount} existing products as published`);
+    return modifiedCount;
+  } catch (error) {
+    console.error('Product status backfill error:', error);
+    return 0;
+  }
+};
+
+/**
+ * Publish scheduled products that are due and archive published products whose
+ * unpublishAt has passed
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{published: number, archived: number}>} Counts
+ */
+export const runPublishingSchedule = async (now = new Date()) => {
+  const published = await transition(
+    { status: PRODUCT_STATUS.SCHEDULED, publishAt: { $ne: null, $lte: now } },
+    { status: PRODUCT_STATUS.PUBLISHED, publishedAt: now },
+    'scheduled-publish'
+  );
+
+  const archived = await transition(
+    { status: PRODUCT_STATUS.PUBLISHED, unpublishAt: { $ne: null, $lte: now } },
+    { status: PRODUCT_STATUS.ARCHIVED },
+    'scheduled-unpublish'
+  );
+
+  return { published, archived };
+};
+
+/**
+ * Run runPublishingSchedule now and then on an interval
+ * (PUBLISHING_INTERVAL_MS, default 1 minute; 0 disables)
+ * @returns {NodeJS.Timeout|null} Interval handle
+ */
+export const startPublishingScheduler = () => {
+  const intervalMs = Number(process.env.PUBLISHING_INTERVAL_MS ?? 60 * 1000);
+  if (!intervalMs) return null;
+
+  const run = async () => {
+    try {
+      const result = await runPublishingSchedule();
+      if (result.published || result.archived) console.log('Publishing schedule completed:', result);
+    } catch (error) {
+      console.error('Publishing schedule error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  // Don't keep the process alive just for the schedule
+  timer.unref();
+  return timer;
+};
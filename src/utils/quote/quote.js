@@ -0,0 +1,30 @@
+import QuoteRequest from '../../models/quoteRequest/quoteRequest.js';
+import { QUOTE_NUMBER_PREFIX, quoteValidityDays } from '../../config/constant/quote/quote.js';
+import { generateReference, isDuplicateKeyError } from '../reference/reference.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attempts at a free quote number before giving up
+const MAX_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Default validity date for a quote priced now
+ * @returns {Date} End of the validity period
+ */
+export const defaultQuoteValidUntil = () => new Date(Date.now() + quoteValidityDays() * DAY_MS);
+
+/**
+ * Create a quote request under a fresh number, retrying when the random
+ * suffix collides with an existing one
+ * @param {Object} data - QuoteRequest fields other than number
+ * @returns {Promise<Object>} Created QuoteRequest document
+ */
+export const createQuoteRequest = async (data) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await QuoteRequest.create({ ...data, number: generateReference(QUOTE_NUMBER_PREFIX) });
+    } catch (error) {
+      if (!isDuplicateKeyError(error, 'number') || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
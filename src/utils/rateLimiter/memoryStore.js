@@ -0,0 +1,84 @@
+/**
+ * In-memory limiter store. Counters live in this process only, so use the
+ * MongoDB store when running more than one instance.
+ */
+export default class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.cleanupIntervalMs=60000] - How often expired counters are dropped
+   */
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.records = new Map();
+
+    // Don't keep the process alive just to prune counters
+    this.cleanupTimer = setInterval(() => this.prune(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Drop counters whose window has ended
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Read a counter
+   * @param {string} key - Limiter key
+   * @returns {Promise<{count: number, expiresAt: number, blockedUntil: number|null}|null>}
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record || record.expiresAt <= Date.now()) {
+      return null;
+    }
+    return { ...record };
+  }
+
+  /**
+   * Count an attempt, starting a new window if the previous one ended
+   * @param {string} key - Limiter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{count: number, expiresAt: number, blockedUntil: number|null}>}
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let record = this.records.get(key);
+
+    if (!record || record.expiresAt <= now) {
+      record = { count: 0, expiresAt: now + windowMs, blockedUntil: null };
+      this.records.set(key, record);
+    }
+
+    record.count += 1;
+    return { ...record };
+  }
+
+  /**
+   * Refuse attempts until a date, keeping the counter at least until then
+   * @param {string} key - Limiter key
+   * @param {number} until - Timestamp (ms) the block ends
+   * @param {number} windowMs - Extra time the counter is kept after the block ends
+   * @returns {Promise<void>}
+   */
+  async block(key, until, windowMs) {
+    const record = this.records.get(key) || { count: 0, expiresAt: 0 };
+    record.blockedUntil = until;
+    record.expiresAt = Math.max(record.expiresAt, until + windowMs);
+    this.records.set(key, record);
+  }
+
+  /**
+   * Clear a counter
+   * @param {string} key - Limiter key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.records.delete(key);
+  }
+}
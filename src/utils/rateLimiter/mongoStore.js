@@ -0,0 +1,79 @@
+import RateLimit from '../../models/rateLimit/rateLimit.js';
+
+/**
+ * MongoDB limiter store. Counters are shared by every instance of the API.
+ */
+export default class MongoStore {
+  /**
+   * Read a counter
+   * @param {string} key - Limiter key
+   * @returns {Promise<{count: number, expiresAt: number, blockedUntil: number|null}|null>}
+   */
+  async get(key) {
+    const record = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return record ? toPlain(record) : null;
+  }
+
+  /**
+   * Count an attempt atomically, starting a new window if the previous one ended
+   * @param {string} key - Limiter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{count: number, expiresAt: number, blockedUntil: number|null}>}
+   */
+  async increment(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$expiresAt', now] };
+
+    // Update pipeline so the window check and increment happen in one round trip
+    const record = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+            blockedUntil: { $cond: [windowOpen, '$blockedUntil', null] },
+            expiresAt: { $cond: [windowOpen, '$expiresAt', new Date(now.getTime() + windowMs)] },
+          },
+        },
+      ],
+      { new: true, upsert: true, lean: true }
+    );
+
+    return toPlain(record);
+  }
+
+  /**
+   * Refuse attempts until a date, keeping the counter at least until then
+   * @param {string} key - Limiter key
+   * @param {number} until - Timestamp (ms) the block ends
+   * @param {number} windowMs - Extra time the counter is kept after the block ends
+   * @returns {Promise<void>}
+   */
+  async block(key, until, windowMs) {
+    await RateLimit.updateOne(
+      { key },
+      { $set: { blockedUntil: new Date(until) }, $max: { expiresAt: new Date(until + windowMs) } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Clear a counter
+   * @param {string} key - Limiter key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+/**
+ * Convert a stored record to the shape shared by all stores
+ * @param {Object} record - RateLimit document
+ * @returns {{count: number, expiresAt: number, blockedUntil: number|null}}
+ */
+const toPlain = (record) => ({
+  count: record.count,
+  expiresAt: record.expiresAt.getTime(),
+  blockedUntil: record.blockedUntil ? record.blockedUntil.getTime() : null,
+});
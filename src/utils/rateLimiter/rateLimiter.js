@@ -0,0 +1,99 @@
+import MemoryStore from './memoryStore.js';
+import MongoStore from './mongoStore.js';
+
+/**
+ * Limiter stores selectable through RATE_LIMIT_STORE
+ */
+const STORES = {
+  memory: () => new MemoryStore(),
+  mongo: () => new MongoStore(),
+};
+
+let defaultStore = null;
+
+/**
+ * Get the shared store named by RATE_LIMIT_STORE ('memory' by default).
+ * Resolved on first use so the environment is loaded by then.
+ * @returns {Object} Limiter store
+ */
+export const getDefaultStore = () => {
+  if (!defaultStore) {
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    if (!STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    defaultStore = STORES[name]();
+  }
+  return defaultStore;
+};
+
+/**
+ * Replace the shared store, e.g. with a custom implementation of
+ * get(key), increment(key, windowMs), block(key, until, windowMs) and reset(key)
+ * @param {Object} store - Limiter store
+ */
+export const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+/**
+ * Create a limiter that allows `max` attempts per window, then blocks with
+ * exponential backoff: blockMs, 2 × blockMs, 4 × blockMs, … up to maxBlockMs.
+ * @param {Object} options
+ * @param {string} options.prefix - Namespace for the limiter's keys
+ * @param {number} options.max - Attempts allowed per window before blocking
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.blockMs - First block duration in milliseconds
+ * @param {number} [options.maxBlockMs=86400000] - Longest block duration in milliseconds
+ * @param {Object} [options.store] - Limiter store (defaults to the shared store)
+ * @returns {{check: Function, hit: Function, reset: Function}}
+ */
+export const createRateLimiter = ({
+  prefix,
+  max,
+  windowMs,
+  blockMs,
+  maxBlockMs = 24 * 60 * 60 * 1000,
+  store,
+}) => {
+  const storeFor = () => store || getDefaultStore();
+  const keyFor = (key) => `${prefix}:${key}`;
+
+  return {
+    /**
+     * Check whether an attempt is currently allowed, without counting it
+     * @param {string} key - Client identifier (IP, email, …)
+     * @returns {Promise<{allowed: boolean, retryAfterMs: number}>}
+     */
+    async check(key) {
+      const record = await storeFor().get(keyFor(key));
+      const retryAfterMs = record?.blockedUntil ? record.blockedUntil - Date.now() : 0;
+      return retryAfterMs > 0 ? { allowed: false, retryAfterMs } : { allowed: true, retryAfterMs: 0 };
+    },
+
+    /**
+     * Count an attempt and block the key once it goes over the limit
+     * @param {string} key - Client identifier (IP, email, …)
+     * @returns {Promise<{allowed: boolean, retryAfterMs: number, count: number}>}
+     */
+    async hit(key) {
+      const record = await storeFor().increment(keyFor(key), windowMs);
+      if (record.count <= max) {
+        return { allowed: true, retryAfterMs: 0, count: record.count };
+      }
+
+      const retryAfterMs = Math.min(blockMs * 2 ** (record.count - max - 1), maxBlockMs);
+      await storeFor().block(keyFor(key), Date.now() + retryAfterMs, windowMs);
+      return { allowed: false, retryAfterMs, count: record.count };
+    },
+
+    /**
+     * Forget all attempts for a key (e.g. after a successful login)
+     * @param {string} key - Client identifier (IP, email, …)
+     * @returns {Promise<void>}
+     */
+    async reset(key) {
+      await storeFor().reset(keyFor(key));
+    },
+  };
+};
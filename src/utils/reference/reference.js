@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+/**
+ * Human-readable reference for a date with a random hex suffix,
+ * e.g. QR-261019-4F7A
+ * @param {string} prefix - Reference prefix
+ * @param {Object} [options]
+ * @param {number} [options.bytes=2] - Random bytes in the suffix (two hex digits each)
+ * @param {Date} [options.date=new Date()] - Date the reference is issued on
+ * @returns {string} Reference
+ */
+export const generateReference = (prefix, { bytes = 2, date = new Date() } = {}) => {
+  const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+  return `${prefix}-${day}-${crypto.randomBytes(bytes).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Whether an error is a duplicate-key error on a field, e.g. a reference
+ * that collided with an existing one
+ * @param {Error} error - Error thrown by MongoDB
+ * @param {string} field - Field name
+ * @returns {boolean} True for a duplicate on that field
+ */
+export const isDuplicateKeyError = (error, field) => error?.code === 11000 && Boolean(error.keyPattern?.[field]);
@@ -0,0 +1,342 @@
+import mongoose from 'mongoose';
+import Order from '../../models/order/order.js';
+import Product from '../../models/product/product.js';
+import ReturnRequest from '../../models/returnRequest/returnRequest.js';
+import { applyStockAdjustment } from '../inventory/inventory.js';
+import { insertOrder } from '../order/order.js';
+import { roundAmount } from '../pricing/pricing.js';
+import { generateReference, isDuplicateKeyError } from '../reference/reference.js';
+import EmailTemplates from '../emailTemplates/emailTemplate.js';
+import { MOVEMENT_TYPES, INVENTORY_MESSAGES } from '../../config/constant/inventory/inventory.js';
+import { ORDER_STATUSES, ORDER_SOURCES } from '../../config/constant/order/order.js';
+import {
+  RETURN_STATUSES,
+  RETURN_RESOLUTIONS,
+  RETURN_NUMBER_PREFIX,
+  returnWindowDays,
+  RETURN_MESSAGES,
+} from '../../config/constant/return/return.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attempts at a free return or replacement order number, or after a write
+// conflict with another return on the same order, before giving up
+const MAX_NUMBER_ATTEMPTS = 5;
+
+/**
+ * When an order was delivered
+ * @param {Object} order - Order
+ * @returns {Date|null} Time of the last move to delivered, or null when never delivered
+ */
+export const deliveredAt = (order) =>
+  order.statusHistory.findLast((event) => event.status === ORDER_STATUSES.DELIVERED)?.at ?? null;
+
+/**
+ * Whether the return window of a delivered order is still open
+ * @param {Object} order - Order
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True while returns may be requested
+ */
+export const isWithinReturnWindow = (order, now = new Date()) => {
+  const delivered = deliveredAt(order);
+  return Boolean(delivered) && now.getTime() - new Date(delivered).getTime() <= returnWindowDays() * DAY_MS;
+};
+
+/**
+ * Units of each order line that may still be returned: those delivered less
+ * those on returns that weren't rejected
+ * @param {Object} order - Order
+ * @returns {Map<string, number>} Returnable units by order line ID
+ */
+export const returnableQuantities = (order) =>
+  new Map(order.lines.map((line) => [String(line._id), line.quantity - (line.returnedQuantity || 0)]));
+
+/**
+ * Turn requested items into return lines copied from the order. Exchanges
+ * must be for another variant or size of the same product.
+ * @param {Object} order - Order the goods came on
+ * @param {Object[]} items - { lineId, quantity, resolution, exchangeVariantId, exchangeSize }
+ * @returns {Promise<{lines?: Object[], error?: Object}>} Return lines, or { message, data } for
+ *   the first item that can't be returned
+ */
+export const buildReturnLines = async (order, items) => {
+  const remaining = returnableQuantities(order);
+  const exchangeProducts = await Product.find({
+    _id: {
+      $in: items
+        .filter((item) => item.resolution === RETURN_RESOLUTIONS.EXCHANGE)
+        .map((item) => order.lines.find((line) => String(line._id) === String(item.lineId))?.product)
+        .filter(Boolean),
+    },
+  })
+    .select('variants._id variants.color variants.sizes.size variants.sizes.sku')
+    .populate('variants.color', 'name')
+    .lean();
+  const productsById = new Map(exchangeProducts.map((product) => [String(product._id), product]));
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    const line = order.lines.find((l) => String(l._id) === String(item.lineId));
+    if (!line) return { error: { message: RETURN_MESSAGES.LINE_NOT_FOUND, data: { index, item } } };
+
+    const quantity = Number(item.quantity);
+    if (quantity > (remaining.get(String(line._id)) ?? 0)) {
+      return {
+        error: {
+          message: RETURN_MESSAGES.QUANTITY_EXCEEDED,
+          data: { index, item, returnable: Math.max(remaining.get(String(line._id)) ?? 0, 0) },
+        },
+      };
+    }
+
+    const resolution = item.resolution || RETURN_RESOLUTIONS.REFUND;
+    let exchange = { exchangeVariant: null, exchangeColorName: '', exchangeSize: '', exchangeSku: '' };
+    if (resolution === RETURN_RESOLUTIONS.EXCHANGE) {
+      const product = productsById.get(String(line.product));
+      const variant = product?.variants.find((v) => String(v._id) === String(item.exchangeVariantId || line.variant));
+      const size = variant?.sizes.find((s) => s.size === item.exchangeSize.trim());
+      if (!size) return { error: { message: RETURN_MESSAGES.EXCHANGE_NOT_OFFERED, data: { index, item } } };
+      exchange = {
+        exchangeVariant: variant._id,
+        exchangeColorName: variant.color?.name || '',
+        exchangeSize: size.size,
+        exchangeSku: size.sku || '',
+      };
+    }
+
+    lines.push({
+      orderLine: line._id,
+      product: line.product,
+      productName: line.productName,
+      variant: line.variant,
+      colorName: line.colorName,
+      size: line.size,
+      sku: line.sku,
+      quantity,
+      unitPrice: line.unitPrice,
+      resolution,
+      ...exchange,
+    });
+  }
+  return { lines };
+};
+
+/**
+ * Count a return's units against its order lines, each only if the line
+ * still has that many units not already returned
+ * @param {Object} order - Order the goods came on
+ * @param {Object[]} lines - Return lines
+ * @param {mongoose.ClientSession} session - Transaction session
+ * @returns {Promise<number>} Index of the first line without enough units left, or -1
+ */
+const claimReturnedQuantities = async (order, lines, session) => {
+  for (const [index, line] of lines.entries()) {
+    const ordered = order.lines.find((l) => String(l._id) === String(line.orderLine))?.quantity ?? 0;
+    const { modifiedCount } = await Order.updateOne(
+      {
+        _id: order._id,
+        // $not $gt also matches lines from before returnedQuantity existed
+        lines: { $elemMatch: { _id: line.orderLine, returnedQuantity: { $not: { $gt: ordered - line.quantity } } } },
+      },
+      { $inc: { 'lines.$.returnedQuantity': line.quantity } },
+      { session }
+    );
+    if (modifiedCount === 0) return index;
+  }
+  return -1;
+};
+
+/**
+ * Give a rejected return's units back to its order lines
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {mongoose.ClientSession} session - Transaction session
+ * @returns {Promise<void>}
+ */
+const releaseReturnedQuantities = async (returnRequest, session) => {
+  for (const line of returnRequest.lines) {
+    await Order.updateOne(
+      { _id: returnRequest.order },
+      { $inc: { 'lines.$[line].returnedQuantity': -line.quantity } },
+      { arrayFilters: [{ 'line._id': line.orderLine }], session }
+    );
+  }
+};
+
+/**
+ * Create a return request under a fresh number. Its units are counted
+ * against the order lines in the same transaction, so two requests for the
+ * same units can't both be created.
+ * @param {Object} order - Order the goods came on
+ * @param {Object} data - ReturnRequest fields other than number
+ * @returns {Promise<{returnRequest?: Object, error?: Object}>} Created ReturnRequest
+ *   document, or { message, data } when a line no longer has enough units left
+ */
+export const createReturnRequest = async (order, data) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const index = await claimReturnedQuantities(order, data.lines, session);
+      if (index !== -1) {
+        await session.abortTransaction();
+        return { error: { message: RETURN_MESSAGES.QUANTITY_EXCEEDED, data: { index } } };
+      }
+
+      const [returnRequest] = await ReturnRequest.create(
+        [{ ...data, number: generateReference(RETURN_NUMBER_PREFIX) }],
+        { session }
+      );
+
+      await session.commitTransaction();
+      return { returnRequest };
+    } catch (error) {
+      await session.abortTransaction();
+      const retry = isDuplicateKeyError(error, 'number') || error.hasErrorLabel?.('TransientTransactionError');
+      if (!retry || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * Save a requested return as rejected and give its units back to the order
+ * lines, in one transaction. The caller sets the status and reason first.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @returns {Promise<{returnRequest?: Object, error?: Object}>} Updated return, or
+ *   { message } when the return was changed meanwhile
+ */
+export const rejectReturnRequest = async (returnRequest) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await returnRequest.save({ session });
+    await releaseReturnedQuantities(returnRequest, session);
+
+    await session.commitTransaction();
+    return { returnRequest };
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof mongoose.Error.VersionError) return { error: { message: RETURN_MESSAGES.RETURN_CHANGED } };
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Replacement order lines for a return's exchanges. The goods were paid
+ * for on the original order, so each line is discounted to nothing.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @returns {Object[]} Order lines (empty when nothing is exchanged)
+ */
+export const buildExchangeOrderLines = (returnRequest) =>
+  returnRequest.lines
+    .filter((line) => line.resolution === RETURN_RESOLUTIONS.EXCHANGE)
+    .map((line) => ({
+      product: line.product,
+      productName: line.productName,
+      variant: line.exchangeVariant,
+      colorName: line.exchangeColorName,
+      size: line.exchangeSize,
+      sku: line.exchangeSku,
+      quantity: line.quantity,
+      listPrice: line.unitPrice,
+      unitPrice: 0,
+      discount: roundAmount(line.unitPrice * line.quantity),
+      lineTotal: 0,
+    }));
+
+/**
+ * Record the goods of an approved return as received, in one transaction:
+ * lines the admin passes are restocked to their variant size, and
+ * exchanged lines are sent on a new replacement order with their stock
+ * reserved. Either all of it happens or nothing changes.
+ * @param {Object} returnRequest - Approved ReturnRequest document
+ * @param {Object} order - Order the goods came on
+ * @param {Object} options
+ * @param {Set<string>} options.rejectedLines - IDs of return lines not fit to restock
+ * @param {Object} options.admin - Admin receiving the goods
+ * @returns {Promise<{returnRequest?: Object, replacementOrder?: Object, error?: Object}>}
+ *   Updated return and any replacement order, or { message, index } when an
+ *   exchange is out of stock or the return was changed meanwhile
+ */
+export const receiveReturn = async (returnRequest, order, { rejectedLines, admin }) => {
+  const exchangeLines = buildExchangeOrderLines(returnRequest);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      for (const line of returnRequest.lines) {
+        line.restocked = false;
+        if (rejectedLines.has(String(line._id))) continue;
+
+        const result = await applyStockAdjustment(line.product, {
+          variantId: line.variant,
+          size: line.size,
+          type: MOVEMENT_TYPES.RETURN,
+          quantity: line.quantity,
+          reason: `Return ${returnRequest.number}`,
+          reference: returnRequest.number,
+        }, { admin, session });
+        // A size since removed from the product can't take the goods back
+        if (result.error && result.error !== INVENTORY_MESSAGES.SIZE_NOT_FOUND) throw new Error(result.error);
+        line.restocked = !result.error;
+      }
+
+      let replacementOrder = null;
+      if (exchangeLines.length > 0) {
+        const result = await insertOrder({
+          source: ORDER_SOURCES.EXCHANGE,
+          customer: order.customer,
+          customerGroup: order.customerGroup,
+          returnRequest: returnRequest._id,
+          contact: order.contact,
+          shippingAddress: order.shippingAddress,
+          lines: exchangeLines,
+          notes: `Exchange for return ${returnRequest.number} on order ${order.number}`,
+        }, { admin, session });
+        if (result.error) {
+          await session.abortTransaction();
+          return { error: result.error };
+        }
+        replacementOrder = result.order;
+        returnRequest.replacementOrder = replacementOrder._id;
+      }
+
+      returnRequest.status = RETURN_STATUSES.RECEIVED;
+      returnRequest.statusChangedAt = new Date();
+      returnRequest.statusChangedBy = admin._id;
+      await returnRequest.save({ session });
+
+      await session.commitTransaction();
+      return { returnRequest, replacementOrder };
+    } catch (error) {
+      await session.abortTransaction();
+      if (error instanceof mongoose.Error.VersionError) return { error: { message: RETURN_MESSAGES.RETURN_CHANGED } };
+      if (!isDuplicateKeyError(error, 'number') || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * Email the buyer about the return's current status. A failed send is
+ * logged rather than thrown; the status change stands.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @returns {Promise<boolean>} True when the email was sent
+ */
+export const notifyReturnStatus = async (returnRequest) => {
+  try {
+    await EmailTemplates.sendReturnStatusEmail(returnRequest);
+    return true;
+  } catch (error) {
+    console.error('Return status email error:', error);
+    return false;
+  }
+};
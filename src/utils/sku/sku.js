@@ -0,0 +1,234 @@
+import Product from '../../models/product/product.js';
+import Brand from '../../models/brand/brand.js';
+import Category from '../../models/category/category.js';
+import Color from '../../models/color/color.js';
+import Setting from '../../models/setting/setting.js';
+import { isValidBarcode } from '../barcode/barcode.js';
+import { SETTING_KEYS } from '../../config/constant/settings/settings.js';
+import {
+  DEFAULT_SKU_PATTERN,
+  SKU_TOKENS,
+  SKU_REGEX,
+  SKU_MESSAGES,
+} from '../../config/constant/sku/sku.js';
+
+// {TOKEN} or {TOKEN:length}
+const TOKEN_REGEX = /\{([A-Z]+)(?::(\d{1,2}))?\}/g;
+
+/**
+ * Normalise a SKU the way it is stored
+ * @param {*} value - SKU as typed
+ * @returns {string} Trimmed, uppercased SKU
+ */
+export const normalizeSku = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check that a SKU pattern only uses known tokens and produces valid SKUs
+ * @param {string} pattern - Pattern, e.g. '{BRAND}-{CATEGORY}-{COLOR}-{SIZE}'
+ * @returns {boolean} True when usable
+ */
+export const isValidSkuPattern = (pattern) => {
+  if (typeof pattern !== 'string') return false;
+  const tokens = [...pattern.matchAll(TOKEN_REGEX)].map(([, token]) => token);
+  if (tokens.length === 0 || tokens.some((token) => !(token in SKU_TOKENS))) return false;
+  return SKU_REGEX.test(pattern.replace(TOKEN_REGEX, 'A').toUpperCase());
+};
+
+/**
+ * Pattern currently used to generate SKUs
+ * @returns {Promise<string>} Stored pattern, or DEFAULT_SKU_PATTERN
+ */
+export const getSkuPattern = async () => {
+  const pattern = await Setting.getValue(SETTING_KEYS.SKU_PATTERN, DEFAULT_SKU_PATTERN);
+  return isValidSkuPattern(pattern) ? pattern : DEFAULT_SKU_PATTERN;
+};
+
+/**
+ * Fill a SKU pattern
+ * @param {string} pattern - SKU pattern
+ * @param {Object} values - Names keyed by lowercased token (brand, category, product, color, size)
+ * @returns {string} SKU
+ */
+export const buildSku = (pattern, values) =>
+  normalizeSku(
+    pattern.replace(TOKEN_REGEX, (match, token, length) =>
+      String(values[token.toLowerCase()] ?? '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, '')
+        .slice(0, length ? Number(length) : SKU_TOKENS[token])
+    )
+  )
+    // Empty tokens would leave doubled or dangling separators
+    .replace(/([._-])[._-]+/g, '$1')
+    .replace(/^[._-]+|[._-]+$/g, '');
+
+/**
+ * Trim SKUs and barcodes on every size; empty values are removed so they can be generated
+ * @param {Object[]} variants - Variants (mutated)
+ * @returns {Object[]} The same variants
+ */
+export const normalizeSkuFields = (variants = []) => {
+  variants.forEach((variant) => {
+    (variant.sizes || []).forEach((size) => {
+      if (size.sku) size.sku = normalizeSku(size.sku);
+      else delete size.sku;
+      if (size.barcode) size.barcode = String(size.barcode).trim();
+      else delete size.barcode;
+    });
+  });
+  return variants;
+};
+
+/**
+ * Keep the SKU and barcode of sizes that were re-sent without them (e.g. an
+ * edit form that only posts size and stock)
+ * @param {Object[]} variants - Incoming variants (mutated)
+ * @param {Object[]} previousVariants - Variants currently stored
+ * @returns {Object[]} The same variants
+ */
+export const carryOverSkuFields = (variants = [], previousVariants = []) => {
+  variants.forEach((variant) => {
+    const previous = previousVariants.find((v) => variant._id && v._id.toString() === variant._id.toString());
+    (variant.sizes || []).forEach((size) => {
+      const previousSize = previous?.sizes.find((s) => s.size === size.size);
+      if (!previousSize) return;
+      if (size.sku === undefined && previousSize.sku) size.sku = previousSize.sku;
+      if (size.barcode === undefined && previousSize.barcode) size.barcode = previousSize.barcode;
+    });
+  });
+  return variants;
+};
+
+/**
+ * Find SKUs and barcodes that are malformed, repeated within the variants,
+ * or already used by another product (including products in the trash)
+ * @param {Object[]} variants - Normalised variants
+ * @param {*} [productId] - Product being saved, ignored in the uniqueness check
+ * @param {mongoose.ClientSession} [session] - Transaction session
+ * @returns {Promise<string[]>} Error messages, empty when all is well
+ */
+export const findSkuConflicts = async (variants = [], productId = null, session = null) => {
+  const errors = [];
+  const skus = new Set();
+  const barcodes = new Set();
+
+  variants.forEach((variant) => {
+    (variant.sizes || []).forEach((size) => {
+      if (size.sku) {
+        if (!SKU_REGEX.test(size.sku)) errors.push(`${size.sku}: ${SKU_MESSAGES.INVALID_SKU}`);
+        else if (skus.has(size.sku)) errors.push(`${size.sku}: ${SKU_MESSAGES.DUPLICATE_SKU}`);
+        skus.add(size.sku);
+      }
+      if (size.barcode) {
+        if (!isValidBarcode(size.barcode)) errors.push(`${size.barcode}: ${SKU_MESSAGES.INVALID_BARCODE}`);
+        else if (barcodes.has(size.barcode)) errors.push(`${size.barcode}: ${SKU_MESSAGES.DUPLICATE_BARCODE}`);
+        barcodes.add(size.barcode);
+      }
+    });
+  });
+
+  if (errors.length || (skus.size === 0 && barcodes.size === 0)) return errors;
+
+  const others = await Product.find({
+    _id: { $ne: productId },
+    $or: [
+      { 'variants.sizes.sku': { $in: [...skus] } },
+      { 'variants.sizes.barcode': { $in: [...barcodes] } },
+    ],
+  })
+    .setOptions({ withDeleted: true })
+    .select('variants.sizes.sku variants.sizes.barcode')
+    .session(session)
+    .lean();
+
+  others.flatMap((p) => p.variants.flatMap((v) => v.sizes)).forEach((size) => {
+    if (size.sku && skus.has(size.sku)) errors.push(`${size.sku}: ${SKU_MESSAGES.SKU_TAKEN}`);
+    if (size.barcode && barcodes.has(size.barcode)) errors.push(`${size.barcode}: ${SKU_MESSAGES.BARCODE_TAKEN}`);
+  });
+
+  return errors;
+};
+
+/**
+ * Generate SKUs from the configured pattern for sizes that have none (or all
+ * sizes when overwriting). A numeric suffix is added when a SKU is taken.
+ * @param {Object} product - Product data with name, brand, category and variants
+ *   (references may be IDs or populated documents; variants are mutated)
+ * @param {Object} [options]
+ * @param {*} [options.productId] - Product being saved, whose own SKUs may be reused
+ * @param {boolean} [options.overwrite=false] - Regenerate SKUs that are already set
+ * @param {mongoose.ClientSession} [options.session] - Transaction session
+ * @returns {Promise<Object[]>} The variants
+ */
+export const assignSkus = async ({ name, brand, category, variants = [] }, {
+  productId = null,
+  overwrite = false,
+  session = null,
+} = {}) => {
+  const pending = variants.flatMap((variant) =>
+    (variant.sizes || []).filter((size) => overwrite || !size.sku).map((size) => ({ variant, size }))
+  );
+  if (pending.length === 0) return variants;
+
+  const idOf = (ref) => ref?._id ?? ref;
+  const [pattern, brandDoc, categoryDoc, colors] = await Promise.all([
+    getSkuPattern(),
+    brand ? Brand.findById(idOf(brand)).select('name').lean() : null,
+    category ? Category.findById(idOf(category)).select('name').lean() : null,
+    Color.find({ _id: { $in: pending.map(({ variant }) => idOf(variant.color)) } }).select('name').lean(),
+  ]);
+  const colorNames = new Map(colors.map((color) => [color._id.toString(), color.name]));
+
+  const bases = pending.map(({ variant, size }) =>
+    buildSku(pattern, {
+      brand: brandDoc?.name,
+      category: categoryDoc?.name,
+      product: name,
+      color: colorNames.get(String(idOf(variant.color))),
+      size: size.size,
+    })
+  );
+
+  // SKUs kept on this product, plus any on other products that could clash with a base or its suffixes
+  const used = new Set(
+    variants.flatMap((v) => v.sizes || []).filter((s) => s.sku && !overwrite).map((s) => s.sku)
+  );
+  const clashes = await Product.find({
+    _id: { $ne: productId },
+    'variants.sizes.sku': { $regex: `^(${[...new Set(bases)].map(escapeRegex).join('|')})(-\\d+)?$` },
+  })
+    .setOptions({ withDeleted: true })
+    .select('variants.sizes.sku')
+    .session(session)
+    .lean();
+  clashes.flatMap((p) => p.variants.flatMap((v) => v.sizes)).forEach((s) => s.sku && used.add(s.sku));
+
+  pending.forEach(({ size }, i) => {
+    let sku = bases[i] || 'SKU';
+    for (let n = 2; used.has(sku); n++) sku = `${bases[i] || 'SKU'}-${n}`;
+    used.add(sku);
+    size.sku = sku;
+  });
+
+  return variants;
+};
+
+/**
+ * Normalise, validate and complete the SKUs of a product before it is saved
+ * @param {Object} product - Product data with name, brand, category and variants (mutated)
+ * @param {Object} [options] - See assignSkus
+ * @returns {Promise<string[]>} Error messages; SKUs are only generated when there are none
+ */
+export const prepareSkus = async (product, options = {}) => {
+  normalizeSkuFields(product.variants);
+  const errors = await findSkuConflicts(product.variants, options.productId, options.session);
+  if (errors.length === 0) await assignSkus(product, options);
+  return errors;
+};
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Query hooks that hide soft-deleted documents
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany',
+];
+
+/**
+ * Decide whether a query or aggregate should see soft-deleted documents, and
+ * strip the custom option so it isn't passed on to the driver.
+ * @param {Object} options - Query or aggregate options
+ * @returns {boolean} True if deleted documents were explicitly requested
+ */
+const takeWithDeleted = (options) => {
+  const withDeleted = !!options?.withDeleted;
+  if (options) delete options.withDeleted;
+  return withDeleted;
+};
+
+/**
+ * Mongoose plugin adding soft delete. Adds `deletedAt`/`deletedBy` and hides
+ * deleted documents from queries and aggregates unless the filter mentions
+ * `deletedAt` or the query is run with `setOptions({ withDeleted: true })`
+ * (`.option({ withDeleted: true })` for aggregates).
+ * Hard deletes (`deleteOne`, `deleteMany`) are not filtered.
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    /**
+     * When the document was moved to the trash (null while live)
+     */
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Admin who moved the document to the trash
+     */
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (takeWithDeleted(this.options)) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (takeWithDeleted(this.options)) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  /**
+   * Move the document to the trash. The caller saves.
+   * @param {Object} [admin] - Admin performing the delete
+   */
+  schema.methods.softDelete = function (admin = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = admin?._id || null;
+  };
+
+  /**
+   * Take the document out of the trash. The caller saves.
+   */
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+  };
+};
+
+export default softDeletePlugin;
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by every common authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} 160-bit secret, base32 encoded
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return binary.toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number} Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD);
+
+/**
+ * Generate the TOTP code for a timestamp (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {string} Current code
+ */
+export const generateTOTP = (secret, timestamp = Date.now()) => hotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Number of steps accepted before/after the current one
+ * @param {number} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+export const verifyTOTP = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (usually the email)
+ * @param {string} [issuer='Misha Brands Factory'] - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = 'Misha Brands Factory') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,120 @@
+import { v2 as cloudinary } from 'cloudinary';
+import Product from '../../models/product/product.js';
+import Category from '../../models/category/category.js';
+import Brand from '../../models/brand/brand.js';
+import Color from '../../models/color/color.js';
+import ProductRevision from '../../models/productRevision/productRevision.js';
+import { TRASH_TYPES } from '../../config/constant/trash/trash.js';
+import { AUDIT_ACTIONS, AUDIT_RESOURCES } from '../../config/constant/audit/audit.js';
+import { recordAudit } from '../audit/audit.js';
+
+// Soft-deletable models and the product field that references each of them.
+// Products come first so the scheduled purge frees up their references.
+export const TRASH_REGISTRY = {
+  [TRASH_TYPES.PRODUCT]: { model: Product, resourceType: AUDIT_RESOURCES.PRODUCT, productField: null },
+  [TRASH_TYPES.CATEGORY]: { model: Category, resourceType: AUDIT_RESOURCES.CATEGORY, productField: 'category' },
+  [TRASH_TYPES.BRAND]: { model: Brand, resourceType: AUDIT_RESOURCES.BRAND, productField: 'brand' },
+  [TRASH_TYPES.COLOR]: { model: Color, resourceType: AUDIT_RESOURCES.COLOR, productField: 'variants.color' },
+};
+
+/**
+ * Destroy Cloudinary assets, logging failures so a missing asset never blocks a purge
+ * @param {string[]} publicIds - Cloudinary public IDs
+ * @returns {Promise<void>}
+ */
+const destroyAssets = async (publicIds) => {
+  for (const publicId of publicIds.filter(Boolean)) {
+    try {
+      await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+      console.error(`Error deleting ${publicId} from Cloudinary:`, error);
+    }
+  }
+};
+
+/**
+ * Count products, trashed ones included, that still reference a category, brand or color
+ * @param {string} type - One of TRASH_TYPES
+ * @param {*} id - Document ID
+ * @returns {Promise<number>} Number of referencing products (always 0 for products)
+ */
+export const countTrashReferences = async (type, id) => {
+  const { productField } = TRASH_REGISTRY[type];
+  if (!productField) return 0;
+  return Product.countDocuments({ [productField]: id }).setOptions({ withDeleted: true });
+};
+
+/**
+ * Permanently delete a trashed document and its Cloudinary assets.
+ * Category and color product counts were already adjusted when it was trashed.
+ * @param {string} type - One of TRASH_TYPES
+ * @param {Object} doc - Trashed document
+ * @returns {Promise<void>}
+ */
+export const purgeTrashedDocument = async (type, doc) => {
+  const { model } = TRASH_REGISTRY[type];
+
+  if (type === TRASH_TYPES.PRODUCT) {
+    await destroyAssets(doc.variants.flatMap((variant) => variant.images.map((img) => img.public_id)));
+    await ProductRevision.deleteMany({ product: doc._id });
+  } else if (type === TRASH_TYPES.CATEGORY) {
+    await destroyAssets([doc.bannerImagePublicId, doc.iconPublicId]);
+  }
+
+  await model.deleteOne({ _id: doc._id });
+};
+
+/**
+ * Permanently delete everything that has been in the trash longer than the
+ * retention period. Items still referenced by trashed products are skipped
+ * until those products are purged.
+ * @param {number} [retentionDays] - Days to keep trashed items (TRASH_RETENTION_DAYS, default 30)
+ * @returns {Promise<Object>} Number of purged items per type
+ */
+export const purgeExpiredTrash = async (retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const [type, { model, resourceType }] of Object.entries(TRASH_REGISTRY)) {
+    purged[type] = 0;
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    for (const doc of expired) {
+      if (await countTrashReferences(type, doc._id)) continue;
+
+      await purgeTrashedDocument(type, doc);
+      await recordAudit(null, {
+        action: AUDIT_ACTIONS.PURGE,
+        resourceType,
+        resourceId: doc._id,
+        before: doc,
+        metadata: { event: 'scheduled', retentionDays },
+      });
+      purged[type]++;
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Run purgeExpiredTrash on an interval (TRASH_PURGE_INTERVAL_MS, default 6 hours; 0 disables)
+ * @returns {NodeJS.Timeout|null} Interval handle
+ */
+export const startTrashPurgeScheduler = () => {
+  const intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS ?? 6 * 60 * 60 * 1000);
+  if (!intervalMs) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      console.log('Trash purge completed:', purged);
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,116 @@
+import Product from '../../models/product/product.js';
+import WishlistItem from '../../models/wishlistItem/wishlistItem.js';
+import { getRunningPromotions } from '../promotions/promotions.js';
+import { priceForBuyer } from '../pricing/pricing.js';
+import { PRODUCT_STATUS } from '../../config/constant/product/productStatus.js';
+import { guestWishlistTtlDays } from '../../config/constant/wishlist/wishlist.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ID of a reference that may be populated
+ * @param {*} ref - ObjectId, populated document or null
+ * @returns {string|null} ID as a string
+ */
+const idOf = (ref) => (ref ? String(ref._id ?? ref) : null);
+
+/**
+ * When a guest item saved now should be dropped
+ * @returns {Date} Expiry date
+ */
+export const guestWishlistExpiry = () => new Date(Date.now() + guestWishlistTtlDays() * DAY_MS);
+
+/**
+ * Move a guest device's wishlist to a customer. Products the customer had
+ * already saved are not duplicated.
+ * @param {string|null} deviceToken - Guest device token
+ * @param {mongoose.Types.ObjectId|string} customerId - Customer ID
+ * @returns {Promise<number>} Items added to the customer's wishlist
+ */
+export const mergeGuestWishlist = async (deviceToken, customerId) => {
+  if (!deviceToken) return 0;
+
+  const items = await WishlistItem.find({ guestToken: deviceToken }).lean();
+  if (items.length === 0) return 0;
+
+  const result = await WishlistItem.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: { customer: customerId, product: item.product, color: item.color, size: item.size },
+        update: { $setOnInsert: { guestToken: null, expiresAt: null } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  await WishlistItem.deleteMany({ _id: { $in: items.map((item) => item._id) } });
+
+  return result.upsertedCount;
+};
+
+/**
+ * Describe wishlist items with the product's current visibility, stock and
+ * price for the buyer's group
+ * @param {Object[]} items - Lean wishlist items
+ * @param {string} group - A CUSTOMER_GROUPS value
+ * @returns {Promise<Object[]>} Items with product, available, inStock, price,
+ *   compareAtPrice and promotion
+ */
+export const describeWishlistItems = async (items, group) => {
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } })
+    .select('name slug base_price category brand collections tags isVisible status minOrderQuantity packSize variants')
+    .populate('variants.color', 'name hex')
+    .lean();
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+  const promotions = await getRunningPromotions();
+
+  return items.map((item) => {
+    const product = byId.get(String(item.product));
+    const entry = {
+      _id: item._id,
+      color: item.color,
+      size: item.size,
+      addedAt: item.createdAt,
+    };
+
+    // Deleted, hidden or unpublished products stay listed without a price
+    if (!product || !product.isVisible || product.status !== PRODUCT_STATUS.PUBLISHED) {
+      return {
+        ...entry,
+        product: product ? { _id: product._id, name: product.name, slug: product.slug } : null,
+        available: false,
+        inStock: false,
+        price: null,
+        compareAtPrice: null,
+        promotion: null,
+      };
+    }
+
+    const priced = priceForBuyer(product, group, promotions);
+    const variant = item.color
+      ? priced.variants.find((v) => idOf(v.color) === String(item.color))
+      : null;
+    const candidates = variant ? [variant] : item.color ? [] : priced.variants;
+    const stock = candidates
+      .flatMap((v) => (v.sizes || []).filter((size) => !item.size || size.size === item.size))
+      .reduce((sum, size) => sum + size.stock, 0);
+    const images = candidates[0]?.images || [];
+
+    return {
+      ...entry,
+      color: variant ? variant.color : item.color,
+      product: {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        image: images.find((image) => image.isPrimary) || images[0] || null,
+      },
+      // A color dropped from the product no longer matches anything
+      available: candidates.length > 0,
+      inStock: stock > 0,
+      price: (variant ?? priced).finalPrice ?? null,
+      compareAtPrice: (variant ?? priced).compareAtPrice ?? null,
+      promotion: priced.promotion,
+    };
+  });
+};
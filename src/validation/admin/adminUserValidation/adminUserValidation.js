@@ -0,0 +1,76 @@
+import Joi from 'joi';
+import { ROLES } from '../../../config/constant/permissions/permissions.js';
+
+/**
+ * Validation schema for a super-admin editing another admin's details
+ * @type {Joi.ObjectSchema}
+ */
+export const updateAdminUserValidation = Joi.object({
+  /**
+   * Admin name, optional, 2-50 characters
+   */
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(50)
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name must not exceed 50 characters',
+    }),
+  /**
+   * Mobile number, optional, E.164 format or null to clear
+   */
+  mobileNumber: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Please enter a valid mobile number (e.g., +1234567890)',
+    }),
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update',
+  });
+
+/**
+ * Validation schema for activating or deactivating an admin
+ * @type {Joi.ObjectSchema}
+ */
+export const updateAdminStatusValidation = Joi.object({
+  /**
+   * New active state, required
+   */
+  isActive: Joi.boolean()
+    .required()
+    .messages({
+      'boolean.base': 'isActive must be true or false',
+      'any.required': 'isActive is required',
+    }),
+  /**
+   * Reason included in the deactivation email, optional
+   */
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters',
+    }),
+});
+
+/**
+ * Validation schema for changing an admin's role
+ * @type {Joi.ObjectSchema}
+ */
+export const updateAdminRoleValidation = Joi.object({
+  /**
+   * New role, required
+   */
+  role: Joi.string()
+    .valid(...Object.values(ROLES))
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${Object.values(ROLES).join(', ')}`,
+      'any.required': 'Role is required',
+    }),
+});
@@ -41,13 +41,14 @@ export const registerValidation = Joi.object({
         'Password must contain at least one uppercase letter, one lowercase letter, and one number',
     }),
   /**
-   * Admin role, defaults to 'admin', must be 'admin' or 'superadmin'
+   * Signed invitation token from the invite email, required
+   * (the role is taken from the invitation, never from the request)
    */
-  role: Joi.string()
-    .valid('admin', 'superadmin')
-    .default('admin')
+  inviteToken: Joi.string()
+    .required()
     .messages({
-      'any.only': 'Role must be either admin or superadmin',
+      'string.empty': 'Invitation token is required',
+      'any.required': 'Invitation token is required',
     }),
 
     mobileNumber: Joi.string()
@@ -204,4 +205,57 @@ export const updateProfileValidation = Joi.object({
     .messages({
       'string.pattern.base': 'Please enter a valid mobile number (e.g., +1234567890)',
     }),
-});
\ No newline at end of file
+});
+
+/**
+ * Validation schema for refreshing an access token
+ * @type {Joi.ObjectSchema}
+ */
+export const refreshTokenValidation = Joi.object({
+  /**
+   * Refresh token issued at login or on the previous refresh, required
+   */
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Refresh token is required',
+      'any.required': 'Refresh token is required',
+    }),
+});
+
+/**
+ * Validation schema for completing a two-factor login
+ * @type {Joi.ObjectSchema}
+ */
+export const loginTwoFactorValidation = Joi.object({
+  /**
+   * Challenge token returned by the password step, required
+   */
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Challenge token is required',
+      'any.required': 'Challenge token is required',
+    }),
+  /**
+   * 6-digit code from the authenticator app
+   */
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({
+      'string.pattern.base': 'Code must be a 6-digit number',
+    }),
+  /**
+   * One-time recovery code, accepted instead of a code
+   */
+  recoveryCode: Joi.string()
+    .trim()
+    .messages({
+      'string.empty': 'Recovery code cannot be empty',
+    }),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Either code or recoveryCode is required',
+    'object.xor': 'Provide either code or recoveryCode, not both',
+  });
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { GST_RATES, HSN_CODE_REGEX } from '../../../config/constant/gst/gst.js';
 
 const sizeSchema = Joi.object({
   label: Joi.string()
@@ -58,6 +59,29 @@ const categorySchema = Joi.object({
     .messages({
       'number.min': 'Product count cannot be negative',
     }),
+  lowStockThreshold: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Low stock threshold must be a number',
+      'number.integer': 'Low stock threshold must be a whole number',
+      'number.min': 'Low stock threshold cannot be negative',
+    }),
+  hsnCode: Joi.string()
+    .trim()
+    .pattern(HSN_CODE_REGEX)
+    .allow(null, '')
+    .messages({
+      'string.pattern.base': 'HSN code must be 4, 6 or 8 digits',
+    }),
+  gstRate: Joi.number()
+    .valid(...GST_RATES)
+    .allow(null)
+    .messages({
+      'number.base': 'GST rate must be a number',
+      'any.only': `GST rate must be one of: ${GST_RATES.join(', ')}`,
+    }),
   sizes: Joi.array()
     .items(sizeSchema)
     .default([])
@@ -0,0 +1,212 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { COUPON_TYPES, COUPON_CODE_REGEX, COUPON_MESSAGES } from '../../../config/constant/coupon/coupon.js';
+import { CUSTOMER_GROUPS } from '../../../config/constant/pricing/pricing.js';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Coupon code, checked once uppercased
+ * @type {Joi.StringSchema}
+ */
+const code = Joi.string()
+  .trim()
+  .uppercase()
+  .pattern(COUPON_CODE_REGEX)
+  .messages({
+    'string.empty': 'Coupon code is required',
+    'string.pattern.base': COUPON_MESSAGES.INVALID_CODE,
+  });
+
+/**
+ * Customer phone number or email
+ * @type {Joi.StringSchema}
+ */
+const customer = Joi.string()
+  .trim()
+  .max(100)
+  .messages({
+    'string.max': 'Customer cannot exceed 100 characters',
+  });
+
+/**
+ * Cart lines to price
+ * @type {Joi.ArraySchema}
+ */
+const items = Joi.array()
+  .items(
+    Joi.object({
+      productId: objectId.required().messages({ 'any.required': 'Product ID is required' }),
+      variantId: objectId,
+      quantity: Joi.number().integer().min(1).max(100000).required().messages({
+        'number.base': 'Quantity must be a number',
+        'number.integer': 'Quantity must be a whole number',
+        'number.min': 'Quantity must be at least 1',
+        'number.max': 'Quantity cannot exceed 100000',
+        'any.required': 'Quantity is required',
+      }),
+    })
+  )
+  .min(1)
+  .max(100)
+  .messages({
+    'array.min': 'Provide at least one item',
+    'array.max': 'No more than 100 items per cart',
+  });
+
+/**
+ * Coupon fields; required-ness is added by the create schema
+ * @type {Object}
+ */
+const couponFields = {
+  code,
+  /**
+   * Notes, optional, max 500 characters
+   */
+  description: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Description cannot exceed 500 characters',
+  }),
+  /**
+   * Percent or fixed amount off
+   */
+  type: Joi.string()
+    .valid(...Object.values(COUPON_TYPES))
+    .messages({
+      'any.only': `Coupon type must be one of: ${Object.values(COUPON_TYPES).join(', ')}`,
+    }),
+  /**
+   * Value, greater than zero; at most 100 for percent coupons
+   */
+  value: Joi.when('type', {
+    is: COUPON_TYPES.PERCENT,
+    then: Joi.number().positive().max(100),
+    otherwise: Joi.number().positive(),
+  }).messages({
+    'number.base': 'Coupon value must be a number',
+    'number.positive': 'Coupon value must be greater than zero',
+    'number.max': COUPON_MESSAGES.PERCENTAGE_TOO_HIGH,
+  }),
+  /**
+   * Cap on a percent discount, null for none
+   */
+  maxDiscount: Joi.number().min(0).allow(null).messages({
+    'number.base': 'Maximum discount must be a number',
+    'number.min': 'Maximum discount cannot be negative',
+  }),
+  /**
+   * Scope; empty everywhere means the whole cart
+   */
+  products: Joi.array().items(objectId).unique().max(500),
+  categories: Joi.array().items(objectId).unique().max(100),
+  brands: Joi.array().items(objectId).unique().max(100),
+  /**
+   * Smallest eligible subtotal
+   */
+  minAmount: Joi.number().min(0).messages({
+    'number.base': 'Minimum amount must be a number',
+    'number.min': 'Minimum amount cannot be negative',
+  }),
+  /**
+   * Validity window; endsAt may be null for an open-ended coupon
+   */
+  startsAt: Joi.date().iso().messages({
+    'date.base': 'startsAt must be a valid date',
+    'date.format': 'startsAt must be an ISO date',
+  }),
+  endsAt: Joi.date()
+    .iso()
+    .allow(null)
+    .when('startsAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startsAt')) })
+    .messages({
+      'date.base': 'endsAt must be a valid date',
+      'date.format': 'endsAt must be an ISO date',
+      'date.greater': COUPON_MESSAGES.INVALID_DATES,
+    }),
+  /**
+   * Usage caps, null for unlimited
+   */
+  usageLimit: Joi.number().integer().min(1).allow(null).messages({
+    'number.base': 'Usage limit must be a number',
+    'number.integer': 'Usage limit must be a whole number',
+    'number.min': 'Usage limit must be at least 1',
+  }),
+  perCustomerLimit: Joi.number().integer().min(1).allow(null).messages({
+    'number.base': 'Per-customer limit must be a number',
+    'number.integer': 'Per-customer limit must be a whole number',
+    'number.min': 'Per-customer limit must be at least 1',
+  }),
+  /**
+   * Enable switch
+   */
+  isActive: Joi.boolean().messages({
+    'boolean.base': 'isActive must be a boolean',
+  }),
+};
+
+/**
+ * Validation schema for creating a coupon
+ * @type {Joi.ObjectSchema}
+ */
+export const createCouponValidation = Joi.object({
+  ...couponFields,
+  code: code.required().messages({ 'any.required': 'Coupon code is required' }),
+  type: couponFields.type.required().messages({ 'any.required': 'Coupon type is required' }),
+  value: couponFields.value.required().messages({ 'any.required': 'Coupon value is required' }),
+  startsAt: couponFields.startsAt.required().messages({ 'any.required': 'Start date is required' }),
+});
+
+/**
+ * Validation schema for updating a coupon; at least one field is required
+ * @type {Joi.ObjectSchema}
+ */
+export const updateCouponValidation = Joi.object(couponFields)
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update',
+  });
+
+/**
+ * Validation schema for checking a coupon against a cart
+ * @type {Joi.ObjectSchema}
+ */
+export const validateCouponValidation = Joi.object({
+  code: code.required().messages({ 'any.required': 'Coupon code is required' }),
+  customer: customer.allow(''),
+  items: items.required().messages({ 'any.required': 'Items are required' }),
+});
+
+/**
+ * Validation schema for recording a coupon redemption
+ * @type {Joi.ObjectSchema}
+ */
+export const redeemCouponValidation = Joi.object({
+  customer: customer.required().messages({
+    'string.empty': 'Customer is required',
+    'any.required': 'Customer is required',
+  }),
+  reference: Joi.string().trim().max(100).allow('').messages({
+    'string.max': 'Reference cannot exceed 100 characters',
+  }),
+  items: items.required().messages({ 'any.required': 'Items are required' }),
+  /**
+   * Price list the sale was made at, defaults to retail
+   */
+  customerGroup: Joi.string()
+    .valid(...Object.values(CUSTOMER_GROUPS))
+    .messages({
+      'any.only': `Customer group must be one of: ${Object.values(CUSTOMER_GROUPS).join(', ')}`,
+    }),
+});
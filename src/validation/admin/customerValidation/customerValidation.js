@@ -0,0 +1,16 @@
+import Joi from 'joi';
+import { CUSTOMER_GROUPS } from '../../../config/constant/pricing/pricing.js';
+
+/**
+ * Validation schema for moving a customer to another price group
+ * @type {Joi.ObjectSchema}
+ */
+export const updateCustomerValidation = Joi.object({
+  group: Joi.string()
+    .valid(...Object.values(CUSTOMER_GROUPS))
+    .required()
+    .messages({
+      'any.only': `Group must be one of: ${Object.values(CUSTOMER_GROUPS).join(', ')}`,
+      'any.required': 'Group is required',
+    }),
+});
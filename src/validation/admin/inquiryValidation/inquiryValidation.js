@@ -0,0 +1,47 @@
+import Joi from 'joi';
+import { INQUIRY_STATUSES, INQUIRY_MESSAGES, WHATSAPP_NUMBER_REGEX } from '../../../config/constant/inquiry/inquiry.js';
+
+/**
+ * Validation schema for moving a lead through the pipeline
+ * @type {Joi.ObjectSchema}
+ */
+export const updateInquiryStatusValidation = Joi.object({
+  /**
+   * New status, required
+   */
+  status: Joi.string()
+    .valid(...Object.values(INQUIRY_STATUSES))
+    .required()
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(INQUIRY_STATUSES).join(', ')}`,
+      'any.required': 'Status is required',
+    }),
+  /**
+   * Notes replacing the current ones, optional
+   */
+  notes: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Notes cannot exceed 1000 characters',
+  }),
+});
+
+/**
+ * Validation schema for setting the business WhatsApp number
+ * @type {Joi.ObjectSchema}
+ */
+export const whatsappNumberValidation = Joi.object({
+  /**
+   * Number with country code; spaces, dashes and a leading + are ignored
+   */
+  number: Joi.string()
+    .trim()
+    .required()
+    .custom((value, helpers) => {
+      const digits = value.replace(/[\s()+-]/g, '');
+      return WHATSAPP_NUMBER_REGEX.test(digits) ? value : helpers.error('any.invalid');
+    })
+    .messages({
+      'string.empty': 'WhatsApp number is required',
+      'any.required': 'WhatsApp number is required',
+      'any.invalid': INQUIRY_MESSAGES.INVALID_WHATSAPP_NUMBER,
+    }),
+});
@@ -0,0 +1,98 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { MOVEMENT_TYPES } from '../../../config/constant/inventory/inventory.js';
+
+/**
+ * Sub-schema for one stock adjustment
+ * @type {Joi.ObjectSchema}
+ */
+const adjustmentSchema = Joi.object({
+  /**
+   * Variant ID, required, valid MongoDB ObjectId
+   */
+  variantId: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    })
+    .required()
+    .messages({
+      'any.required': 'Variant ID is required',
+      'any.invalid': 'Invalid variant ID',
+    }),
+  /**
+   * Size label, required
+   */
+  size: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Size is required',
+      'any.required': 'Size is required',
+    }),
+  /**
+   * Movement type, required
+   */
+  type: Joi.string()
+    .valid(...Object.values(MOVEMENT_TYPES))
+    .required()
+    .messages({
+      'any.only': `Type must be one of: ${Object.values(MOVEMENT_TYPES).join(', ')}`,
+      'any.required': 'Type is required',
+    }),
+  /**
+   * Units moved: positive for receipts, sales, returns, damage and cancellations (the type sets
+   * the direction); a signed non-zero change for corrections
+   */
+  quantity: Joi.when('type', {
+    is: MOVEMENT_TYPES.CORRECTION,
+    then: Joi.number().integer().invalid(0),
+    otherwise: Joi.number().integer().min(1),
+  })
+    .required()
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'number.min': 'Quantity must be at least 1',
+      'any.invalid': 'Correction quantity cannot be zero',
+      'any.required': 'Quantity is required',
+    }),
+  /**
+   * Explanation, optional, max 500 characters
+   */
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters',
+    }),
+  /**
+   * External reference (PO, invoice), optional, max 100 characters
+   */
+  reference: Joi.string()
+    .trim()
+    .max(100)
+    .allow('')
+    .messages({
+      'string.max': 'Reference cannot exceed 100 characters',
+    }),
+});
+
+/**
+ * Validation schema for adjusting stock; all adjustments apply together or not at all
+ * @type {Joi.ObjectSchema}
+ */
+export const adjustStockValidation = Joi.object({
+  adjustments: Joi.array()
+    .items(adjustmentSchema)
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'array.min': 'Provide at least one adjustment',
+      'array.max': 'No more than 100 adjustments per request',
+      'any.required': 'Adjustments are required',
+    }),
+});
@@ -0,0 +1,30 @@
+import Joi from 'joi';
+import { ROLES } from '../../../config/constant/permissions/permissions.js';
+
+/**
+ * Validation schema for creating an admin invitation
+ * @type {Joi.ObjectSchema}
+ */
+export const createInviteValidation = Joi.object({
+  /**
+   * Invitee email, required, valid email format
+   */
+  email: Joi.string()
+    .email()
+    .trim()
+    .lowercase()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please enter a valid email address',
+    }),
+  /**
+   * Role granted on registration, defaults to 'admin'
+   */
+  role: Joi.string()
+    .valid(...Object.values(ROLES))
+    .default(ROLES.ADMIN)
+    .messages({
+      'any.only': `Role must be one of: ${Object.values(ROLES).join(', ')}`,
+    }),
+});
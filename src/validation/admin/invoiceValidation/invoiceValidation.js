@@ -0,0 +1,64 @@
+import Joi from 'joi';
+import { GSTIN_REGEX } from '../../../config/constant/quote/quote.js';
+import { GST_STATES } from '../../../config/constant/gst/gst.js';
+
+/**
+ * Validation schema for the seller details printed on GST invoices
+ * @type {Joi.ObjectSchema}
+ */
+export const invoiceSellerValidation = Joi.object({
+  /**
+   * Registered business name, required
+   */
+  name: Joi.string().trim().max(200).required().messages({
+    'string.empty': 'Business name is required',
+    'any.required': 'Business name is required',
+    'string.max': 'Business name cannot exceed 200 characters',
+  }),
+  /**
+   * Seller's GSTIN, required; its first two digits decide the seller's state
+   */
+  gstin: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(GSTIN_REGEX)
+    .custom((value, helpers) => (GST_STATES[value.slice(0, 2)] ? value : helpers.error('any.invalid')))
+    .required()
+    .messages({
+      'string.empty': 'GSTIN is required',
+      'any.required': 'GSTIN is required',
+      'string.pattern.base': 'GSTIN must be a valid 15-character GSTIN',
+      'any.invalid': 'GSTIN does not start with a valid state code',
+    }),
+  /**
+   * Registered address, required
+   */
+  address: Joi.object({
+    line1: Joi.string().trim().max(200).required().messages({
+      'string.empty': 'Address line 1 is required',
+      'any.required': 'Address line 1 is required',
+    }),
+    line2: Joi.string().trim().max(200).allow(''),
+    city: Joi.string().trim().max(100).required().messages({
+      'string.empty': 'City is required',
+      'any.required': 'City is required',
+    }),
+    state: Joi.string().trim().max(100).required().messages({
+      'string.empty': 'State is required',
+      'any.required': 'State is required',
+    }),
+    postalCode: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Postal code must be 6 digits',
+      'any.required': 'Postal code is required',
+    }),
+  }).required().messages({
+    'any.required': 'Address is required',
+  }),
+  /**
+   * Contact phone and email printed on the invoice, optional
+   */
+  phone: Joi.string().trim().max(20).allow(''),
+  email: Joi.string().trim().email().allow('').messages({
+    'string.email': 'Email must be a valid email address',
+  }),
+});
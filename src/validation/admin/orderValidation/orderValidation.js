@@ -0,0 +1,98 @@
+import Joi from 'joi';
+import { ORDER_STATUSES } from '../../../config/constant/order/order.js';
+
+/**
+ * Validation schema for the address an order ships to
+ * @type {Joi.ObjectSchema}
+ */
+const shippingAddress = Joi.object({
+  name: Joi.string().trim().min(2).max(50).required().messages({
+    'string.empty': 'Recipient name is required',
+    'string.min': 'Recipient name must be at least 2 characters long',
+    'string.max': 'Recipient name cannot exceed 50 characters',
+    'any.required': 'Recipient name is required',
+  }),
+  mobileNumber: Joi.string().trim().pattern(/^\+?[1-9]\d{1,14}$/).required().messages({
+    'string.empty': 'Mobile number is required',
+    'string.pattern.base': 'Please enter a valid mobile number (e.g., +1234567890)',
+    'any.required': 'Mobile number is required',
+  }),
+  line1: Joi.string().trim().max(120).required().messages({
+    'string.empty': 'Address line 1 is required',
+    'string.max': 'Address line cannot exceed 120 characters',
+    'any.required': 'Address line 1 is required',
+  }),
+  line2: Joi.string().trim().max(120).allow('').messages({
+    'string.max': 'Address line cannot exceed 120 characters',
+  }),
+  city: Joi.string().trim().max(50).required().messages({
+    'string.empty': 'City is required',
+    'string.max': 'City cannot exceed 50 characters',
+    'any.required': 'City is required',
+  }),
+  state: Joi.string().trim().max(50).required().messages({
+    'string.empty': 'State is required',
+    'string.max': 'State cannot exceed 50 characters',
+    'any.required': 'State is required',
+  }),
+  postalCode: Joi.string().trim().max(12).required().messages({
+    'string.empty': 'Postal code is required',
+    'string.max': 'Postal code cannot exceed 12 characters',
+    'any.required': 'Postal code is required',
+  }),
+  country: Joi.string().trim().max(50).messages({
+    'string.max': 'Country cannot exceed 50 characters',
+  }),
+});
+
+/**
+ * Validation schema for turning an accepted quote into an order
+ * @type {Joi.ObjectSchema}
+ */
+export const createOrderFromQuoteValidation = Joi.object({
+  shippingAddress: shippingAddress.required().messages({
+    'any.required': 'Shipping address is required',
+  }),
+  internalNotes: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Internal notes cannot exceed 1000 characters',
+  }),
+});
+
+/**
+ * Validation schema for moving an order to another status. Whether the move
+ * is allowed from the current status is checked against ORDER_TRANSITIONS.
+ * @type {Joi.ObjectSchema}
+ */
+export const updateOrderStatusValidation = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(ORDER_STATUSES))
+    .required()
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(ORDER_STATUSES).join(', ')}`,
+      'any.required': 'Status is required',
+    }),
+  /**
+   * Note for the buyer, shown in the status email (the reason when cancelling)
+   */
+  note: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Note cannot exceed 500 characters',
+  }),
+  /**
+   * Shipment tracking, when shipping
+   */
+  tracking: Joi.object({
+    carrier: Joi.string().trim().max(50).allow('').messages({
+      'string.max': 'Carrier cannot exceed 50 characters',
+    }),
+    number: Joi.string().trim().max(50).allow('').messages({
+      'string.max': 'Tracking number cannot exceed 50 characters',
+    }),
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).allow('').messages({
+      'string.uri': 'Tracking URL must be a valid http(s) URL',
+      'string.uriCustomScheme': 'Tracking URL must be a valid http(s) URL',
+    }),
+  }),
+  internalNotes: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Internal notes cannot exceed 1000 characters',
+  }),
+});
@@ -1,5 +1,10 @@
 import Joi from 'joi';
 import mongoose from 'mongoose';
+import { isValidBarcode } from '../../../utils/barcode/barcode.js';
+import { SKU_REGEX, SKU_MESSAGES } from '../../../config/constant/sku/sku.js';
+import { PRODUCT_STATUS } from '../../../config/constant/product/productStatus.js';
+import { CUSTOMER_GROUPS, PRICING_MESSAGES } from '../../../config/constant/pricing/pricing.js';
+import { GST_RATES, HSN_CODE_REGEX } from '../../../config/constant/gst/gst.js';
 
 /**
  * Sub-schema for size and stock details
@@ -28,6 +33,69 @@ const sizeStockSchema = Joi.object({
       'number.integer': 'Stock must be an integer',
       'any.required': 'Stock is required',
     }),
+  /**
+   * SKU, optional (generated from the SKU pattern when empty)
+   */
+  sku: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(SKU_REGEX)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': SKU_MESSAGES.INVALID_SKU,
+    }),
+  /**
+   * EAN-13 or UPC-A barcode, optional, check digit validated
+   */
+  barcode: Joi.string()
+    .trim()
+    .allow('', null)
+    .custom((value, helpers) => (isValidBarcode(value) ? value : helpers.error('any.invalid')))
+    .messages({
+      'any.invalid': SKU_MESSAGES.INVALID_BARCODE,
+    }),
+});
+
+/**
+ * Sub-schema for a quantity break price
+ * @type {Joi.ObjectSchema}
+ */
+const priceTierSchema = Joi.object({
+  /**
+   * Customer group, required
+   */
+  group: Joi.string()
+    .valid(...Object.values(CUSTOMER_GROUPS))
+    .required()
+    .messages({
+      'any.only': `Price tier group must be one of: ${Object.values(CUSTOMER_GROUPS).join(', ')}`,
+      'any.required': 'Price tier group is required',
+    }),
+  /**
+   * Smallest quantity the tier applies to, required, at least 1
+   */
+  minQuantity: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.base': 'Price tier minimum quantity must be a number',
+      'number.integer': 'Price tier minimum quantity must be a whole number',
+      'number.min': 'Price tier minimum quantity must be at least 1',
+      'any.required': 'Price tier minimum quantity is required',
+    }),
+  /**
+   * Unit price, required, non-negative, 2 decimal precision
+   */
+  price: Joi.number()
+    .min(0)
+    .precision(2)
+    .required()
+    .messages({
+      'number.base': 'Price tier price must be a number',
+      'number.min': 'Price cannot be negative',
+      'any.required': 'Price tier price is required',
+    }),
 });
 
 /**
@@ -118,6 +186,17 @@ const variantSchema = Joi.object({
     .messages({
       'array.base': 'Sizes must be an array of size-stock objects',
     }),
+  /**
+   * Quantity break prices per customer group, defaults to empty array
+   */
+  priceTiers: Joi.array()
+    .items(priceTierSchema)
+    .unique((a, b) => a.group === b.group && a.minQuantity === b.minQuantity)
+    .default([])
+    .messages({
+      'array.base': 'Price tiers must be an array',
+      'array.unique': PRICING_MESSAGES.DUPLICATE_TIER,
+    }),
 });
 
 /**
@@ -243,14 +322,6 @@ const productSchema = Joi.object({
     .messages({
       'boolean.base': 'isFeatured must be a boolean',
     }),
-  /**
-   * Indicates if product is sold out, defaults to false
-   */
-  isSoldOut: Joi.boolean()
-    .default(false)
-    .messages({
-      'boolean.base': 'isSoldOut must be a boolean',
-    }),
   /**
    * Indicates if product is visible, defaults to true
    */
@@ -302,6 +373,84 @@ const productSchema = Joi.object({
       'number.min': 'Discount cannot be negative',
       'number.max': 'Discount cannot exceed 100%',
     }),
+  /**
+   * Lifecycle status, optional (a future publishAt schedules the product)
+   */
+  status: Joi.string()
+    .valid(...Object.values(PRODUCT_STATUS))
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(PRODUCT_STATUS).join(', ')}`,
+    }),
+  /**
+   * When a scheduled product is published, optional
+   */
+  publishAt: Joi.date()
+    .allow(null, '')
+    .messages({
+      'date.base': 'publishAt must be a valid date',
+    }),
+  /**
+   * When a published product is archived, optional, after publishAt
+   */
+  unpublishAt: Joi.date()
+    .allow(null, '')
+    .messages({
+      'date.base': 'unpublishAt must be a valid date',
+    }),
+  /**
+   * Stock at or below which a size is reported as low, optional (null uses the category's)
+   */
+  lowStockThreshold: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Low stock threshold must be a number',
+      'number.integer': 'Low stock threshold must be a whole number',
+      'number.min': 'Low stock threshold cannot be negative',
+    }),
+  /**
+   * HSN code for GST invoices, optional (null uses the category's)
+   */
+  hsnCode: Joi.string()
+    .trim()
+    .pattern(HSN_CODE_REGEX)
+    .allow(null, '')
+    .messages({
+      'string.pattern.base': 'HSN code must be 4, 6 or 8 digits',
+    }),
+  /**
+   * GST rate in percent, optional (null uses the category's)
+   */
+  gstRate: Joi.number()
+    .valid(...GST_RATES)
+    .allow(null)
+    .messages({
+      'number.base': 'GST rate must be a number',
+      'any.only': `GST rate must be one of: ${GST_RATES.join(', ')}`,
+    }),
+  /**
+   * Fewest units a wholesale or distributor buyer may order, defaults to 1
+   */
+  minOrderQuantity: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.base': 'Minimum order quantity must be a number',
+      'number.integer': 'Minimum order quantity must be a whole number',
+      'number.min': 'Minimum order quantity must be at least 1',
+    }),
+  /**
+   * Units per pack for wholesale and distributor orders, defaults to 1
+   */
+  packSize: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.base': 'Pack size must be a number',
+      'number.integer': 'Pack size must be a whole number',
+      'number.min': 'Pack size must be at least 1',
+    }),
 });
 
 
@@ -334,5 +483,47 @@ const searchQuerySchema = Joi.object({
     }),
 });
 
+/**
+ * Image sub-schema for bulk import: images are given as URLs and uploaded to
+ * Cloudinary on commit, so there is no public ID yet
+ * @type {Joi.ObjectSchema}
+ */
+const importImageSchema = Joi.object({
+  url: Joi.string()
+    .required()
+    .pattern(/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp|svg)$/i)
+    .messages({
+      'string.pattern.base':
+        'Image must be a valid image URL with a valid extension (jpg, jpeg, png, gif, webp, svg)',
+      'any.required': 'Image URL is required',
+    }),
+  alt: Joi.string().max(100).allow('').default(''),
+  isPrimary: Joi.boolean().default(false),
+});
+
+/**
+ * Joi schema for one product assembled from bulk import rows. Same rules as
+ * productSchema, but tags, collections and specifications arrive already
+ * parsed and every variant needs a color.
+ * @type {Joi.ObjectSchema}
+ */
+export const productImportSchema = productSchema.keys({
+  variants: Joi.array()
+    .items(
+      variantSchema.keys({
+        color: variantSchema.extract('color').required(),
+        images: Joi.array().items(importImageSchema).default([]),
+      })
+    )
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one variant is required',
+      'any.required': 'Variants are required',
+    }),
+  tags: Joi.array().items(Joi.string().trim()).default([]),
+  collections: Joi.array().items(Joi.string().trim().max(100)).default([]),
+  specifications: Joi.object().pattern(Joi.string(), Joi.string().allow('')).default({}),
+});
 
 export default productSchema;
\ No newline at end of file
@@ -0,0 +1,142 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { DISCOUNT_TYPES } from '../../../config/constant/promotion/promotion.js';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Promotion fields; required-ness is added by the create schema
+ * @type {Object}
+ */
+const promotionFields = {
+  /**
+   * Internal name, max 100 characters
+   */
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.empty': 'Promotion name is required',
+      'string.max': 'Promotion name cannot exceed 100 characters',
+    }),
+  /**
+   * Customer-facing label, optional, max 50 characters
+   */
+  label: Joi.string()
+    .trim()
+    .max(50)
+    .allow('')
+    .messages({
+      'string.max': 'Label cannot exceed 50 characters',
+    }),
+  /**
+   * Notes, optional, max 500 characters
+   */
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters',
+    }),
+  /**
+   * Percentage or fixed amount off
+   */
+  discountType: Joi.string()
+    .valid(...Object.values(DISCOUNT_TYPES))
+    .messages({
+      'any.only': `Discount type must be one of: ${Object.values(DISCOUNT_TYPES).join(', ')}`,
+    }),
+  /**
+   * Discount value, greater than zero; at most 100 for percentages
+   */
+  discountValue: Joi.when('discountType', {
+    is: DISCOUNT_TYPES.PERCENTAGE,
+    then: Joi.number().positive().max(100),
+    otherwise: Joi.number().positive(),
+  }).messages({
+    'number.base': 'Discount value must be a number',
+    'number.positive': 'Discount value must be greater than zero',
+    'number.max': 'A percentage discount cannot exceed 100',
+  }),
+  /**
+   * Apply to every product
+   */
+  appliesToAll: Joi.boolean().messages({
+    'boolean.base': 'appliesToAll must be a boolean',
+  }),
+  /**
+   * Targets
+   */
+  products: Joi.array().items(objectId).unique().max(500),
+  categories: Joi.array().items(objectId).unique().max(100),
+  brands: Joi.array().items(objectId).unique().max(100),
+  collections: Joi.array().items(Joi.string().trim().max(100)).unique().max(100),
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).unique().max(100),
+  /**
+   * Schedule; endsAt must follow startsAt when both are sent
+   */
+  startsAt: Joi.date().iso().messages({
+    'date.base': 'startsAt must be a valid date',
+    'date.format': 'startsAt must be an ISO date',
+  }),
+  endsAt: Joi.date()
+    .iso()
+    .when('startsAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startsAt')) })
+    .messages({
+      'date.base': 'endsAt must be a valid date',
+      'date.format': 'endsAt must be an ISO date',
+      'date.greater': 'endsAt must be later than startsAt',
+    }),
+  /**
+   * Priority, 0-1000, higher wins
+   */
+  priority: Joi.number().integer().min(0).max(1000).messages({
+    'number.base': 'Priority must be a number',
+    'number.integer': 'Priority must be a whole number',
+    'number.min': 'Priority cannot be negative',
+    'number.max': 'Priority cannot exceed 1000',
+  }),
+  /**
+   * Pause switch
+   */
+  isActive: Joi.boolean().messages({
+    'boolean.base': 'isActive must be a boolean',
+  }),
+};
+
+/**
+ * Validation schema for creating a promotion
+ * @type {Joi.ObjectSchema}
+ */
+export const createPromotionValidation = Joi.object({
+  ...promotionFields,
+  name: promotionFields.name.required().messages({ 'any.required': 'Promotion name is required' }),
+  discountType: promotionFields.discountType.required().messages({ 'any.required': 'Discount type is required' }),
+  discountValue: promotionFields.discountValue.required().messages({ 'any.required': 'Discount value is required' }),
+  startsAt: promotionFields.startsAt.required().messages({ 'any.required': 'Start date is required' }),
+  endsAt: promotionFields.endsAt.required().messages({ 'any.required': 'End date is required' }),
+});
+
+/**
+ * Validation schema for updating a promotion; at least one field is required
+ * @type {Joi.ObjectSchema}
+ */
+export const updatePromotionValidation = Joi.object(promotionFields)
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update',
+  });
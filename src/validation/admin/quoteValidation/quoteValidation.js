@@ -0,0 +1,74 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Validation schema for pricing a quote request. Lines left out are quoted at
+ * the list price the buyer saw.
+ * @type {Joi.ObjectSchema}
+ */
+export const priceQuoteValidation = Joi.object({
+  lines: Joi.array()
+    .items(
+      Joi.object({
+        lineId: objectId.required().messages({ 'any.required': 'Line ID is required' }),
+        /**
+         * Quoted unit price, non-negative, 2 decimal precision
+         */
+        unitPrice: Joi.number().min(0).precision(2).required().messages({
+          'number.base': 'Unit price must be a number',
+          'number.min': 'Unit price cannot be negative',
+          'number.precision': 'Unit price can have at most 2 decimal places',
+          'any.required': 'Unit price is required',
+        }),
+      })
+    )
+    .unique('lineId')
+    .default([])
+    .messages({
+      'array.unique': 'Each line can be priced only once',
+    }),
+  /**
+   * Last day the prices hold, defaults to the standard validity period
+   */
+  validUntil: Joi.date().iso().greater('now').messages({
+    'date.base': 'Valid until must be a valid date',
+    'date.format': 'Valid until must be an ISO date',
+    'date.greater': 'Valid until must be in the future',
+  }),
+  /**
+   * Terms or remarks printed on the quote
+   */
+  notes: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Notes cannot exceed 1000 characters',
+  }),
+  internalNotes: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Internal notes cannot exceed 1000 characters',
+  }),
+});
+
+/**
+ * Validation schema for rejecting a quote request
+ * @type {Joi.ObjectSchema}
+ */
+export const rejectQuoteValidation = Joi.object({
+  reason: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Reason is required',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Reason is required',
+  }),
+});
@@ -0,0 +1,61 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Admin-only notes replacing the current ones, optional
+ * @type {Joi.StringSchema}
+ */
+const internalNotes = Joi.string().trim().max(1000).allow('').messages({
+  'string.max': 'Internal notes cannot exceed 1000 characters',
+});
+
+/**
+ * Validation schema for approving a return request
+ * @type {Joi.ObjectSchema}
+ */
+export const approveReturnValidation = Joi.object({
+  internalNotes,
+});
+
+/**
+ * Validation schema for rejecting a return request
+ * @type {Joi.ObjectSchema}
+ */
+export const rejectReturnValidation = Joi.object({
+  reason: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Reason is required',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Reason is required',
+  }),
+  internalNotes,
+});
+
+/**
+ * Validation schema for receiving the goods of an approved return
+ * @type {Joi.ObjectSchema}
+ */
+export const receiveReturnValidation = Joi.object({
+  /**
+   * Return lines whose goods can't be resold and so are not restocked
+   */
+  unsellableLines: Joi.array().items(objectId).unique().default([]).messages({
+    'array.base': 'Unsellable lines must be an array of return line IDs',
+    'array.unique': 'Each return line can appear only once',
+  }),
+  internalNotes,
+});
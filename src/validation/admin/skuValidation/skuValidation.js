@@ -0,0 +1,37 @@
+import Joi from 'joi';
+import { isValidSkuPattern } from '../../../utils/sku/sku.js';
+import { SKU_TOKENS } from '../../../config/constant/sku/sku.js';
+
+/**
+ * Validation schema for updating the SKU pattern
+ * @type {Joi.ObjectSchema}
+ */
+export const skuPatternValidation = Joi.object({
+  /**
+   * Pattern built from {TOKEN} or {TOKEN:length} placeholders and separators
+   */
+  pattern: Joi.string()
+    .trim()
+    .required()
+    .custom((value, helpers) => (isValidSkuPattern(value) ? value : helpers.error('any.invalid')))
+    .messages({
+      'string.empty': 'SKU pattern is required',
+      'any.required': 'SKU pattern is required',
+      'any.invalid': `SKU pattern must use tokens from ${Object.keys(SKU_TOKENS).map((t) => `{${t}}`).join(', ')} with letters, numbers, ".", "_" or "-" between them`,
+    }),
+});
+
+/**
+ * Validation schema for generating a product's SKUs
+ * @type {Joi.ObjectSchema}
+ */
+export const generateSkusValidation = Joi.object({
+  /**
+   * Regenerate SKUs that are already set, defaults to false
+   */
+  overwrite: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'overwrite must be a boolean',
+    }),
+});
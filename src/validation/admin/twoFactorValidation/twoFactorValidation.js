@@ -0,0 +1,72 @@
+import Joi from 'joi';
+
+/**
+ * Reusable 6-digit authenticator code rule
+ */
+const totpCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.empty': 'Code is required',
+    'string.pattern.base': 'Code must be a 6-digit number',
+    'any.required': 'Code is required',
+  });
+
+/**
+ * Validation schema for confirming 2FA enrollment or regenerating recovery codes
+ * @type {Joi.ObjectSchema}
+ */
+export const twoFactorCodeValidation = Joi.object({
+  /**
+   * Current code from the authenticator app, required
+   */
+  code: totpCode.required(),
+});
+
+/**
+ * Validation schema for disabling 2FA
+ * @type {Joi.ObjectSchema}
+ */
+export const disableTwoFactorValidation = Joi.object({
+  /**
+   * Current password, required
+   */
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'any.required': 'Password is required',
+    }),
+  /**
+   * Current code from the authenticator app
+   */
+  code: totpCode,
+  /**
+   * One-time recovery code, accepted instead of a code
+   */
+  recoveryCode: Joi.string()
+    .trim()
+    .messages({
+      'string.empty': 'Recovery code cannot be empty',
+    }),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Either code or recoveryCode is required',
+    'object.xor': 'Provide either code or recoveryCode, not both',
+  });
+
+/**
+ * Validation schema for updating the 2FA policy
+ * @type {Joi.ObjectSchema}
+ */
+export const twoFactorPolicyValidation = Joi.object({
+  /**
+   * Whether every admin must enroll in 2FA, required
+   */
+  required: Joi.boolean()
+    .required()
+    .messages({
+      'boolean.base': 'Required must be true or false',
+      'any.required': 'Required is required',
+    }),
+});
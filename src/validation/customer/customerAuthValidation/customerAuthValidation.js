@@ -0,0 +1,231 @@
+import Joi from 'joi';
+import { CUSTOMER_OTP } from '../../../config/constant/customer/customer.js';
+
+/**
+ * Customer email
+ * @type {Joi.StringSchema}
+ */
+const email = Joi.string()
+  .trim()
+  .email()
+  .messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please enter a valid email address',
+    'any.required': 'Email is required',
+  });
+
+/**
+ * Mobile number in international format
+ * @type {Joi.StringSchema}
+ */
+const mobileNumber = Joi.string()
+  .trim()
+  .pattern(/^\+?[1-9]\d{1,14}$/)
+  .messages({
+    'string.empty': 'Mobile number is required',
+    'string.pattern.base': 'Please enter a valid mobile number (e.g., +1234567890)',
+    'any.required': 'Mobile number is required',
+  });
+
+/**
+ * New password, min 6 characters, must include uppercase, lowercase, and number
+ * @type {Joi.StringSchema}
+ */
+const newPassword = Joi.string()
+  .min(6)
+  .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])'))
+  .messages({
+    'string.empty': 'Password is required',
+    'string.min': 'Password must be at least 6 characters long',
+    'string.pattern.base':
+      'Password must contain at least one uppercase letter, one lowercase letter, and one number',
+    'any.required': 'Password is required',
+  });
+
+/**
+ * Customer or recipient name, 2-50 characters
+ * @type {Joi.StringSchema}
+ */
+const name = Joi.string()
+  .trim()
+  .min(2)
+  .max(50)
+  .messages({
+    'string.empty': 'Name is required',
+    'string.min': 'Name must be at least 2 characters long',
+    'string.max': 'Name cannot exceed 50 characters',
+    'any.required': 'Name is required',
+  });
+
+/**
+ * Validation schema for customer registration
+ * @type {Joi.ObjectSchema}
+ */
+export const registerValidation = Joi.object({
+  name: name.required(),
+  email: email.required(),
+  /**
+   * Optional; lets the customer log in with their phone
+   */
+  mobileNumber,
+  password: newPassword.required(),
+});
+
+/**
+ * Validation schema for confirming an email with the emailed code
+ * @type {Joi.ObjectSchema}
+ */
+export const verifyOtpValidation = Joi.object({
+  email: email.required(),
+  otp: Joi.string()
+    .trim()
+    .length(CUSTOMER_OTP.LENGTH)
+    .pattern(/^\d+$/)
+    .required()
+    .messages({
+      'string.empty': 'Verification code is required',
+      'string.length': `Verification code must be ${CUSTOMER_OTP.LENGTH} digits`,
+      'string.pattern.base': `Verification code must be ${CUSTOMER_OTP.LENGTH} digits`,
+      'any.required': 'Verification code is required',
+    }),
+});
+
+/**
+ * Validation schema for requests that only carry an email (new code, forgot password)
+ * @type {Joi.ObjectSchema}
+ */
+export const emailOnlyValidation = Joi.object({
+  email: email.required(),
+});
+
+/**
+ * Validation schema for customer login with either an email or a mobile number
+ * @type {Joi.ObjectSchema}
+ */
+export const loginValidation = Joi.object({
+  email,
+  mobileNumber,
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required',
+    'any.required': 'Password is required',
+  }),
+})
+  .xor('email', 'mobileNumber')
+  .messages({
+    'object.missing': 'Email or mobile number is required',
+    'object.xor': 'Provide either an email or a mobile number, not both',
+  });
+
+/**
+ * Validation schema for resetting a password with the emailed token
+ * @type {Joi.ObjectSchema}
+ */
+export const resetPasswordValidation = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Reset token is required',
+    'any.required': 'Reset token is required',
+  }),
+  password: newPassword.required(),
+});
+
+/**
+ * Validation schema for exchanging a refresh token
+ * @type {Joi.ObjectSchema}
+ */
+export const refreshTokenValidation = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'string.empty': 'Refresh token is required',
+    'any.required': 'Refresh token is required',
+  }),
+});
+
+/**
+ * Validation schema for changing the password of a signed-in customer
+ * @type {Joi.ObjectSchema}
+ */
+export const changePasswordValidation = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'string.empty': 'Current password is required',
+    'any.required': 'Current password is required',
+  }),
+  newPassword: newPassword.required(),
+});
+
+/**
+ * Validation schema for updating the profile. The email can't be changed here
+ * because it is the verified address codes and reset links go to.
+ * @type {Joi.ObjectSchema}
+ */
+export const updateProfileValidation = Joi.object({
+  name,
+  mobileNumber: mobileNumber.allow(null, ''),
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update',
+  });
+
+/**
+ * Address book fields; required-ness is added by the create schema
+ * @type {Object}
+ */
+const addressFields = {
+  label: Joi.string().trim().max(30).allow('').messages({
+    'string.max': 'Label cannot exceed 30 characters',
+  }),
+  name,
+  mobileNumber,
+  line1: Joi.string().trim().max(120).messages({
+    'string.empty': 'Address line 1 is required',
+    'string.max': 'Address line cannot exceed 120 characters',
+    'any.required': 'Address line 1 is required',
+  }),
+  line2: Joi.string().trim().max(120).allow('').messages({
+    'string.max': 'Address line cannot exceed 120 characters',
+  }),
+  city: Joi.string().trim().max(50).messages({
+    'string.empty': 'City is required',
+    'string.max': 'City cannot exceed 50 characters',
+    'any.required': 'City is required',
+  }),
+  state: Joi.string().trim().max(50).messages({
+    'string.empty': 'State is required',
+    'string.max': 'State cannot exceed 50 characters',
+    'any.required': 'State is required',
+  }),
+  postalCode: Joi.string().trim().max(12).messages({
+    'string.empty': 'Postal code is required',
+    'string.max': 'Postal code cannot exceed 12 characters',
+    'any.required': 'Postal code is required',
+  }),
+  country: Joi.string().trim().max(50).messages({
+    'string.max': 'Country cannot exceed 50 characters',
+  }),
+  isDefault: Joi.boolean().messages({
+    'boolean.base': 'isDefault must be a boolean',
+  }),
+};
+
+/**
+ * Validation schema for adding an address
+ * @type {Joi.ObjectSchema}
+ */
+export const createAddressValidation = Joi.object({
+  ...addressFields,
+  name: addressFields.name.required(),
+  mobileNumber: addressFields.mobileNumber.required(),
+  line1: addressFields.line1.required(),
+  city: addressFields.city.required(),
+  state: addressFields.state.required(),
+  postalCode: addressFields.postalCode.required(),
+});
+
+/**
+ * Validation schema for updating an address; at least one field is required
+ * @type {Joi.ObjectSchema}
+ */
+export const updateAddressValidation = Joi.object(addressFields)
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update',
+  });
@@ -0,0 +1,97 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { INQUIRY_PHONE_REGEX } from '../../../config/constant/inquiry/inquiry.js';
+import { GSTIN_REGEX, MAX_ENQUIRY_LINE_QUANTITY } from '../../../config/constant/quote/quote.js';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Units asked for on one line
+ * @type {Joi.NumberSchema}
+ */
+const quantity = Joi.number()
+  .integer()
+  .min(1)
+  .max(MAX_ENQUIRY_LINE_QUANTITY)
+  .required()
+  .messages({
+    'number.base': 'Quantity must be a number',
+    'number.integer': 'Quantity must be a whole number',
+    'number.min': 'Quantity must be at least 1',
+    'number.max': `Quantity cannot exceed ${MAX_ENQUIRY_LINE_QUANTITY}`,
+    'any.required': 'Quantity is required',
+  });
+
+/**
+ * Validation schema for adding a product to the enquiry cart. Adding a line
+ * that is already in the cart adds to its quantity.
+ * @type {Joi.ObjectSchema}
+ */
+export const addEnquiryLineValidation = Joi.object({
+  productId: objectId.required().messages({ 'any.required': 'Product ID is required' }),
+  color: objectId.required().messages({ 'any.required': 'Color is required' }),
+  size: Joi.string().trim().max(20).required().messages({
+    'string.empty': 'Size is required',
+    'string.max': 'Size cannot exceed 20 characters',
+    'any.required': 'Size is required',
+  }),
+  quantity,
+});
+
+/**
+ * Validation schema for changing a line's quantity
+ * @type {Joi.ObjectSchema}
+ */
+export const updateEnquiryLineValidation = Joi.object({
+  quantity,
+});
+
+/**
+ * Validation schema for submitting the cart as a quote request. Signed-in
+ * customers may leave out name, email and phone to use their profile's.
+ * @type {Joi.ObjectSchema}
+ */
+export const submitEnquiryValidation = Joi.object({
+  name: Joi.string().trim().min(2).max(50).messages({
+    'string.empty': 'Name cannot be empty',
+    'string.min': 'Name must be at least 2 characters',
+    'string.max': 'Name cannot exceed 50 characters',
+  }),
+  email: Joi.string().trim().email().messages({
+    'string.empty': 'Email cannot be empty',
+    'string.email': 'Please enter a valid email address',
+  }),
+  phone: Joi.string().trim().pattern(INQUIRY_PHONE_REGEX).allow('').messages({
+    'string.pattern.base': 'Please enter a valid phone number',
+  }),
+  /**
+   * Business details for the quote, optional
+   */
+  company: Joi.string().trim().max(100).allow('').messages({
+    'string.max': 'Company cannot exceed 100 characters',
+  }),
+  gstin: Joi.string()
+    .trim()
+    .uppercase()
+    .allow('')
+    .custom((value, helpers) => (!value || GSTIN_REGEX.test(value.toUpperCase()) ? value : helpers.error('any.invalid')))
+    .messages({
+      'any.invalid': 'Please enter a valid GSTIN',
+    }),
+  message: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Message cannot exceed 1000 characters',
+  }),
+});
@@ -0,0 +1,59 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { INQUIRY_PHONE_REGEX } from '../../../config/constant/inquiry/inquiry.js';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Short tracking value (UTM parameters)
+ * @type {Joi.StringSchema}
+ */
+const tracking = Joi.string().trim().max(100).allow('').messages({
+  'string.max': 'Tracking values cannot exceed 100 characters',
+});
+
+/**
+ * Validation schema for logging a WhatsApp inquiry about a product
+ * @type {Joi.ObjectSchema}
+ */
+export const logInquiryValidation = Joi.object({
+  /**
+   * Variant and size asked about, optional
+   */
+  variantId: objectId,
+  size: Joi.string().trim().max(20).messages({
+    'string.empty': 'Size cannot be empty',
+    'string.max': 'Size cannot exceed 20 characters',
+  }),
+  /**
+   * Contact details the shopper chose to leave
+   */
+  name: Joi.string().trim().max(50).allow('').messages({
+    'string.max': 'Name cannot exceed 50 characters',
+  }),
+  phone: Joi.string().trim().pattern(INQUIRY_PHONE_REGEX).allow('').messages({
+    'string.pattern.base': 'Please enter a valid phone number',
+  }),
+  /**
+   * Campaign attribution and the page the shopper came from
+   */
+  utmSource: tracking,
+  utmMedium: tracking,
+  utmCampaign: tracking,
+  referrer: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Referrer cannot exceed 500 characters',
+  }),
+});
@@ -0,0 +1,87 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { MAX_ORDER_LINES } from '../../../config/constant/order/order.js';
+import { GSTIN_REGEX } from '../../../config/constant/quote/quote.js';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Validation schema for placing an order
+ * @type {Joi.ObjectSchema}
+ */
+export const placeOrderValidation = Joi.object({
+  /**
+   * Variant sizes ordered, each at most once
+   */
+  items: Joi.array()
+    .items(
+      Joi.object({
+        productId: objectId.required().messages({ 'any.required': 'Product ID is required' }),
+        variantId: objectId.required().messages({ 'any.required': 'Variant ID is required' }),
+        size: Joi.string().trim().max(20).required().messages({
+          'string.empty': 'Size is required',
+          'string.max': 'Size cannot exceed 20 characters',
+          'any.required': 'Size is required',
+        }),
+        quantity: Joi.number().integer().min(1).required().messages({
+          'number.base': 'Quantity must be a number',
+          'number.integer': 'Quantity must be a whole number',
+          'number.min': 'Quantity must be at least 1',
+          'any.required': 'Quantity is required',
+        }),
+      })
+    )
+    .min(1)
+    .max(MAX_ORDER_LINES)
+    .unique((a, b) => a.variantId === b.variantId && a.size === b.size)
+    .required()
+    .messages({
+      'array.min': 'Add at least one item',
+      'array.max': `An order cannot have more than ${MAX_ORDER_LINES} items`,
+      'array.unique': 'Each variant size can appear only once',
+      'any.required': 'Items are required',
+    }),
+  /**
+   * Saved address to ship to; the default address when left out
+   */
+  addressId: objectId,
+  /**
+   * Business details for the invoice, optional
+   */
+  company: Joi.string().trim().max(100).allow('').messages({
+    'string.max': 'Company cannot exceed 100 characters',
+  }),
+  gstin: Joi.string()
+    .trim()
+    .allow('')
+    .custom((value, helpers) => (!value || GSTIN_REGEX.test(value.toUpperCase()) ? value : helpers.error('any.invalid')))
+    .messages({
+      'any.invalid': 'Please enter a valid GSTIN',
+    }),
+  notes: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Notes cannot exceed 1000 characters',
+  }),
+});
+
+/**
+ * Validation schema for a customer cancelling their order
+ * @type {Joi.ObjectSchema}
+ */
+export const cancelOrderValidation = Joi.object({
+  reason: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Reason cannot exceed 500 characters',
+  }),
+});
@@ -0,0 +1,88 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { RETURN_REASONS, RETURN_RESOLUTIONS } from '../../../config/constant/return/return.js';
+import { MAX_ORDER_LINES } from '../../../config/constant/order/order.js';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Validation schema for requesting a return. Sent as multipart form data
+ * with the photos, so `lines` arrives as a JSON string and is parsed first.
+ * @type {Joi.ObjectSchema}
+ */
+export const requestReturnValidation = Joi.object({
+  /**
+   * Delivered order the goods came on, required
+   */
+  orderId: objectId.required().messages({ 'any.required': 'Order ID is required' }),
+  /**
+   * Order lines being returned, each at most once
+   */
+  lines: Joi.array()
+    .items(
+      Joi.object({
+        lineId: objectId.required().messages({ 'any.required': 'Order line ID is required' }),
+        quantity: Joi.number().integer().min(1).required().messages({
+          'number.base': 'Quantity must be a number',
+          'number.integer': 'Quantity must be a whole number',
+          'number.min': 'Quantity must be at least 1',
+          'any.required': 'Quantity is required',
+        }),
+        resolution: Joi.string()
+          .valid(...Object.values(RETURN_RESOLUTIONS))
+          .messages({
+            'any.only': `Resolution must be one of: ${Object.values(RETURN_RESOLUTIONS).join(', ')}`,
+          }),
+        /**
+         * Variant and size wanted in exchange; the variant defaults to the one returned
+         */
+        exchangeVariantId: objectId,
+        exchangeSize: Joi.when('resolution', {
+          is: RETURN_RESOLUTIONS.EXCHANGE,
+          then: Joi.string().trim().max(20).required(),
+          otherwise: Joi.forbidden(),
+        }).messages({
+          'string.empty': 'Exchange size is required',
+          'any.required': 'Exchange size is required for an exchange',
+          'any.unknown': 'Exchange size is only allowed for an exchange',
+        }),
+      })
+    )
+    .min(1)
+    .max(MAX_ORDER_LINES)
+    .unique((a, b) => a.lineId === b.lineId)
+    .required()
+    .messages({
+      'array.base': 'Lines must be an array',
+      'array.min': 'Add at least one line',
+      'array.max': `A return cannot have more than ${MAX_ORDER_LINES} lines`,
+      'array.unique': 'Each order line can appear only once',
+      'any.required': 'Lines are required',
+    }),
+  reason: Joi.string()
+    .valid(...Object.values(RETURN_REASONS))
+    .required()
+    .messages({
+      'any.only': `Reason must be one of: ${Object.values(RETURN_REASONS).join(', ')}`,
+      'any.required': 'Reason is required',
+    }),
+  /**
+   * What is wrong with the goods, optional
+   */
+  details: Joi.string().trim().max(1000).allow('').messages({
+    'string.max': 'Details cannot exceed 1000 characters',
+  }),
+});
@@ -0,0 +1,49 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { DEVICE_TOKEN_REGEX, CUSTOMER_MESSAGES } from '../../../config/constant/customer/customer.js';
+
+/**
+ * MongoDB ObjectId string
+ * @type {Joi.StringSchema}
+ */
+const objectId = Joi.string()
+  .custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'any.invalid': 'Invalid ID',
+  });
+
+/**
+ * Validation schema for saving a product to the wishlist
+ * @type {Joi.ObjectSchema}
+ */
+export const addWishlistItemValidation = Joi.object({
+  productId: objectId.required().messages({ 'any.required': 'Product ID is required' }),
+  /**
+   * Preferred color ID, optional
+   */
+  color: objectId.allow(null),
+  /**
+   * Preferred size label, optional
+   */
+  size: Joi.string().trim().max(20).allow(null).messages({
+    'string.empty': 'Size cannot be empty',
+    'string.max': 'Size cannot exceed 20 characters',
+  }),
+});
+
+/**
+ * Validation schema for merging a guest wishlist into the signed-in customer's
+ * @type {Joi.ObjectSchema}
+ */
+export const mergeWishlistValidation = Joi.object({
+  deviceToken: Joi.string().pattern(DEVICE_TOKEN_REGEX).required().messages({
+    'string.empty': 'Device token is required',
+    'string.pattern.base': CUSTOMER_MESSAGES.INVALID_DEVICE_TOKEN,
+    'any.required': 'Device token is required',
+  }),
+});
@@ -0,0 +1,218 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../../src/models/product/product.js';
+import InventoryMovement from '../../src/models/inventoryMovement/inventoryMovement.js';
+import {
+  getStockLevels,
+  rebaseStock,
+  recordStockChanges,
+  applyStockAdjustment,
+} from '../../src/utils/inventory/inventory.js';
+import { MOVEMENT_TYPES, INVENTORY_MESSAGES } from '../../src/config/constant/inventory/inventory.js';
+
+const productId = new mongoose.Types.ObjectId();
+const variantId = new mongoose.Types.ObjectId();
+const colorId = new mongoose.Types.ObjectId();
+
+const productWith = (sizes) => ({
+  _id: productId,
+  variants: [{ _id: variantId, color: colorId, sizes }],
+});
+
+// Ledger totals keyed like getLedgerStock
+const ledgerOf = (entries) => new Map(entries.map(([size, quantity]) => [`${variantId}:${size}`, quantity]));
+
+// Capture the movements passed to insertMany and hand them back
+const captureMovements = () =>
+  mock.method(InventoryMovement, 'insertMany', async (movements) => movements);
+
+afterEach(() => mock.restoreAll());
+
+describe('getStockLevels', () => {
+  it('lists every size with its variant and color', () => {
+    assert.deepEqual(getStockLevels(productWith([{ size: 'M', stock: 4 }])), [
+      { variant: variantId.toString(), color: colorId.toString(), size: 'M', stock: 4 },
+    ]);
+  });
+
+  it('returns nothing for a missing product', () => {
+    assert.deepEqual(getStockLevels(null), []);
+  });
+});
+
+describe('rebaseStock', () => {
+  const loaded = productWith([{ size: 'S', stock: 10 }, { size: 'M', stock: 5 }]);
+  const current = productWith([{ size: 'S', stock: 7 }, { size: 'M', stock: 2 }]);
+
+  it('keeps stock changed since the product was loaded for sizes the edit did not touch', () => {
+    const { variants, edits } = rebaseStock(loaded.variants, loaded, current);
+
+    assert.deepEqual(variants[0].sizes.map((size) => size.stock), [7, 2]);
+    assert.deepEqual(edits, []);
+  });
+
+  it('returns stock typed into the edit as deltas on the current stock', () => {
+    const edited = [{ _id: variantId, sizes: [{ size: 'S', stock: 10 }, { size: 'M', stock: '8' }] }];
+    const { variants, edits } = rebaseStock(edited, loaded, current);
+
+    assert.deepEqual(variants[0].sizes.map((size) => size.stock), [7, 2]);
+    assert.deepEqual(edits, [{ variantId: variantId.toString(), size: 'M', quantity: 3 }]);
+  });
+
+  it('keeps the stock given for sizes the edit adds', () => {
+    const edited = [{ _id: variantId, sizes: [{ size: 'S', stock: 10 }, { size: 'L', stock: 6 }] }];
+    const { variants, edits } = rebaseStock(edited, loaded, current);
+
+    assert.deepEqual(variants[0].sizes, [{ size: 'S', stock: 7 }, { size: 'L', stock: 6 }]);
+    assert.deepEqual(edits, []);
+  });
+});
+
+describe('recordStockChanges', () => {
+  it('records nothing when stock did not change', async () => {
+    const insertMany = captureMovements();
+    const product = productWith([{ size: 'M', stock: 3 }]);
+
+    assert.deepEqual(await recordStockChanges(product, product), []);
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('records the difference as a correction on top of the ledger', async () => {
+    mock.method(InventoryMovement, 'getLedgerStock', async () => ledgerOf([['M', 3]]));
+    captureMovements();
+
+    const movements = await recordStockChanges(
+      productWith([{ size: 'M', stock: 3 }]),
+      productWith([{ size: 'M', stock: 8 }]),
+      { reason: 'Product edit' }
+    );
+
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].type, MOVEMENT_TYPES.CORRECTION);
+    assert.equal(movements[0].quantity, 5);
+    assert.equal(movements[0].balanceAfter, 8);
+    assert.equal(movements[0].reason, 'Product edit');
+  });
+
+  it('opens the ledger for stock that existed before it', async () => {
+    mock.method(InventoryMovement, 'getLedgerStock', async () => new Map());
+    captureMovements();
+
+    const movements = await recordStockChanges(
+      productWith([{ size: 'M', stock: 4 }]),
+      productWith([{ size: 'M', stock: 1 }])
+    );
+
+    assert.deepEqual(movements.map((m) => [m.reason, m.quantity, m.balanceAfter]), [
+      [INVENTORY_MESSAGES.OPENING_BALANCE, 4, 4],
+      ['', -3, 1],
+    ]);
+  });
+
+  it('records removed sizes as going to zero', async () => {
+    mock.method(InventoryMovement, 'getLedgerStock', async () => ledgerOf([['S', 2]]));
+    captureMovements();
+
+    const movements = await recordStockChanges(
+      productWith([{ size: 'S', stock: 2 }, { size: 'M', stock: 1 }]),
+      productWith([{ size: 'M', stock: 1 }]),
+      { type: MOVEMENT_TYPES.CORRECTION }
+    );
+
+    assert.deepEqual(movements.map((m) => [m.size, m.quantity, m.balanceAfter]), [['S', -2, 0]]);
+  });
+});
+
+describe('applyStockAdjustment', () => {
+  const hydrated = (stock, isSoldOut = false) =>
+    Product.hydrate({ ...productWith([{ size: 'M', stock }]), isSoldOut });
+
+  it('takes sold units out with a conditional $inc and records the movement', async () => {
+    const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', async () => hydrated(6));
+    mock.method(InventoryMovement, 'getLedgerStock', async () => ledgerOf([['M', 10]]));
+    captureMovements();
+
+    const { movement, error } = await applyStockAdjustment(productId, {
+      variantId,
+      size: 'M',
+      type: MOVEMENT_TYPES.SALE,
+      quantity: 4,
+      reference: 'ORD-1',
+    });
+
+    assert.equal(error, undefined);
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter.variants.$elemMatch.sizes.$elemMatch.stock, { $gte: 4 });
+    assert.deepEqual(update, { $inc: { 'variants.$[v].sizes.$[s].stock': -4 } });
+    assert.equal(movement.quantity, -4);
+    assert.equal(movement.balanceAfter, 6);
+    assert.equal(movement.reference, 'ORD-1');
+  });
+
+  it('opens the ledger before the movement when they disagree', async () => {
+    mock.method(Product, 'findOneAndUpdate', async () => hydrated(12));
+    mock.method(InventoryMovement, 'getLedgerStock', async () => new Map());
+    const insertMany = captureMovements();
+
+    await applyStockAdjustment(productId, {
+      variantId,
+      size: 'M',
+      type: MOVEMENT_TYPES.RECEIPT,
+      quantity: 2,
+    });
+
+    const [movements] = insertMany.mock.calls[0].arguments;
+    assert.deepEqual(movements.map((m) => [m.type, m.quantity, m.balanceAfter]), [
+      [MOVEMENT_TYPES.CORRECTION, 10, 10],
+      [MOVEMENT_TYPES.RECEIPT, 2, 12],
+    ]);
+  });
+
+  it('refreshes the sold-out flag when the last unit goes', async () => {
+    mock.method(Product, 'findOneAndUpdate', async () => hydrated(0));
+    mock.method(InventoryMovement, 'getLedgerStock', async () => ledgerOf([['M', 1]]));
+    const refreshSoldOut = mock.method(Product, 'refreshSoldOut', async () => ({}));
+    captureMovements();
+
+    const { product } = await applyStockAdjustment(productId, {
+      variantId,
+      size: 'M',
+      type: MOVEMENT_TYPES.SALE,
+      quantity: 1,
+    });
+
+    assert.equal(refreshSoldOut.mock.callCount(), 1);
+    assert.equal(product.isSoldOut, true);
+  });
+
+  it('refuses to take stock below zero', async () => {
+    mock.method(Product, 'findOneAndUpdate', async () => null);
+    mock.method(Product, 'exists', () => ({ session: async () => ({ _id: productId }) }));
+    const insertMany = captureMovements();
+
+    const result = await applyStockAdjustment(productId, {
+      variantId,
+      size: 'M',
+      type: MOVEMENT_TYPES.SALE,
+      quantity: 50,
+    });
+
+    assert.deepEqual(result, { error: INVENTORY_MESSAGES.INSUFFICIENT_STOCK });
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('reports a size the product does not have', async () => {
+    mock.method(Product, 'findOneAndUpdate', async () => null);
+    mock.method(Product, 'exists', () => ({ session: async () => null }));
+
+    const result = await applyStockAdjustment(productId, {
+      variantId,
+      size: 'XXL',
+      type: MOVEMENT_TYPES.RECEIPT,
+      quantity: 1,
+    });
+
+    assert.deepEqual(result, { error: INVENTORY_MESSAGES.SIZE_NOT_FOUND });
+  });
+});
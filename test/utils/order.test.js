@@ -0,0 +1,198 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../../src/models/product/product.js';
+import Order from '../../src/models/order/order.js';
+import InventoryMovement from '../../src/models/inventoryMovement/inventoryMovement.js';
+import { canTransition, createOrder, changeOrderStatus } from '../../src/utils/order/order.js';
+import { ORDER_STATUSES, ORDER_TRANSITIONS, ORDER_MESSAGES } from '../../src/config/constant/order/order.js';
+import { MOVEMENT_TYPES, INVENTORY_MESSAGES } from '../../src/config/constant/inventory/inventory.js';
+
+const productId = new mongoose.Types.ObjectId();
+const variantId = new mongoose.Types.ObjectId();
+
+const line = (size, quantity) => ({
+  product: productId,
+  productName: 'Cotton Kurta',
+  variant: variantId,
+  size,
+  quantity,
+  listPrice: 500,
+  unitPrice: 500,
+  discount: 0,
+  lineTotal: 500 * quantity,
+});
+
+const hydratedProduct = (sizes) =>
+  Product.hydrate({ _id: productId, isSoldOut: false, variants: [{ _id: variantId, sizes }] });
+
+let session;
+
+beforeEach(() => {
+  session = {
+    startTransaction: mock.fn(),
+    commitTransaction: mock.fn(async () => {}),
+    abortTransaction: mock.fn(async () => {}),
+    endSession: mock.fn(),
+  };
+  mock.method(mongoose, 'startSession', async () => session);
+  mock.method(InventoryMovement, 'getLedgerStock', async () => new Map());
+  mock.method(InventoryMovement, 'insertMany', async (movements) => movements);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('canTransition', () => {
+  it('follows the transition table', () => {
+    assert.equal(canTransition(ORDER_STATUSES.PENDING, ORDER_STATUSES.CONFIRMED), true);
+    assert.equal(canTransition(ORDER_STATUSES.SHIPPED, ORDER_STATUSES.DELIVERED), true);
+    assert.equal(canTransition(ORDER_STATUSES.PENDING, ORDER_STATUSES.SHIPPED), false);
+    assert.equal(canTransition(ORDER_STATUSES.DELIVERED, ORDER_STATUSES.CANCELLED), false);
+  });
+
+  it('treats cancelled and returned as final', () => {
+    Object.values(ORDER_STATUSES).forEach((status) => {
+      assert.equal(canTransition(ORDER_STATUSES.CANCELLED, status), false);
+      assert.equal(canTransition(ORDER_STATUSES.RETURNED, status), false);
+    });
+  });
+
+  it('refuses unknown statuses', () => {
+    assert.equal(canTransition('lost', ORDER_STATUSES.CONFIRMED), false);
+  });
+
+  it('only names known statuses as targets', () => {
+    const statuses = Object.values(ORDER_STATUSES);
+    Object.values(ORDER_TRANSITIONS).flat().forEach((status) => assert.ok(statuses.includes(status)));
+  });
+});
+
+describe('createOrder', () => {
+  it('saves the order and reserves each line in one transaction', async () => {
+    mock.method(Order, 'create', async ([data]) => [Order.hydrate({ _id: new mongoose.Types.ObjectId(), ...data })]);
+    const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', async () => hydratedProduct([
+      { size: 'M', stock: 8 },
+      { size: 'L', stock: 1 },
+    ]));
+
+    const { order, error } = await createOrder({ lines: [line('M', 2), line('L', 1)] });
+
+    assert.equal(error, undefined);
+    assert.equal(order.status, ORDER_STATUSES.PENDING);
+    assert.equal(order.total, 1500);
+    assert.deepEqual(
+      findOneAndUpdate.mock.calls.map((call) => call.arguments[1].$inc['variants.$[v].sizes.$[s].stock']),
+      [-2, -1]
+    );
+    assert.equal(session.commitTransaction.mock.callCount(), 1);
+    assert.equal(session.abortTransaction.mock.callCount(), 0);
+  });
+
+  it('aborts when a line is out of stock', async () => {
+    mock.method(Order, 'create', async ([data]) => [Order.hydrate({ _id: new mongoose.Types.ObjectId(), ...data })]);
+    mock.method(Product, 'findOneAndUpdate', async (filter) =>
+      filter.variants.$elemMatch.sizes.$elemMatch.size === 'L' ? null : hydratedProduct([{ size: 'M', stock: 8 }])
+    );
+    mock.method(Product, 'exists', () => ({ session: async () => ({ _id: productId }) }));
+
+    const result = await createOrder({ lines: [line('M', 2), line('L', 5)] });
+
+    assert.deepEqual(result, { error: { message: INVENTORY_MESSAGES.INSUFFICIENT_STOCK, index: 1 } });
+    assert.equal(session.commitTransaction.mock.callCount(), 0);
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+  });
+
+  it('retries under a new number when the number is taken', async () => {
+    const duplicate = Object.assign(new Error('E11000'), { code: 11000, keyPattern: { number: 1 } });
+    const numbers = [];
+    mock.method(Order, 'create', async ([data]) => {
+      numbers.push(data.number);
+      if (numbers.length === 1) throw duplicate;
+      return [Order.hydrate({ _id: new mongoose.Types.ObjectId(), ...data })];
+    });
+    mock.method(Product, 'findOneAndUpdate', async () => hydratedProduct([{ size: 'M', stock: 8 }]));
+
+    const { order } = await createOrder({ lines: [line('M', 2)] });
+
+    assert.equal(numbers.length, 2);
+    assert.notEqual(numbers[0], numbers[1]);
+    assert.equal(order.number, numbers[1]);
+  });
+});
+
+describe('changeOrderStatus', () => {
+  const orderIn = (status, stockReserved = true) => {
+    const order = Order.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      number: 'ORD-261019-4F7A2C',
+      status,
+      stockReserved,
+      lines: [line('M', 2)],
+      statusHistory: [{ status }],
+    });
+    mock.method(order, 'save', async () => order);
+    return order;
+  };
+
+  it('moves the order and records the change in its history', async () => {
+    const admin = { _id: new mongoose.Types.ObjectId() };
+    const order = orderIn(ORDER_STATUSES.PENDING);
+    const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', async () => null);
+
+    const result = await changeOrderStatus(order, ORDER_STATUSES.CONFIRMED, { admin, note: 'Paid' });
+
+    assert.equal(result.order.status, ORDER_STATUSES.CONFIRMED);
+    assert.equal(order.statusHistory.at(-1).status, ORDER_STATUSES.CONFIRMED);
+    assert.equal(String(order.statusHistory.at(-1).admin), String(admin._id));
+    assert.equal(order.statusHistory.at(-1).note, 'Paid');
+    assert.equal(order.save.mock.calls[0].arguments[0].session, session);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(session.commitTransaction.mock.callCount(), 1);
+  });
+
+  it('puts reserved stock back when the order is cancelled', async () => {
+    const order = orderIn(ORDER_STATUSES.CONFIRMED);
+    const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', async () => hydratedProduct([{ size: 'M', stock: 10 }]));
+    const insertMany = InventoryMovement.insertMany;
+
+    const { skippedLines } = await changeOrderStatus(order, ORDER_STATUSES.CANCELLED);
+
+    assert.deepEqual(skippedLines, []);
+    assert.equal(order.stockReserved, false);
+    assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[1], { $inc: { 'variants.$[v].sizes.$[s].stock': 2 } });
+    assert.equal(insertMany.mock.calls.at(-1).arguments[0].at(-1).type, MOVEMENT_TYPES.CANCELLATION);
+  });
+
+  it('does not restock a cancelled order whose stock was already released', async () => {
+    const order = orderIn(ORDER_STATUSES.PENDING, false);
+    const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', async () => null);
+
+    await changeOrderStatus(order, ORDER_STATUSES.CANCELLED);
+
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('skips lines whose size was removed from the product', async () => {
+    const order = orderIn(ORDER_STATUSES.PENDING);
+    mock.method(Product, 'findOneAndUpdate', async () => null);
+    mock.method(Product, 'exists', () => ({ session: async () => null }));
+
+    const { skippedLines } = await changeOrderStatus(order, ORDER_STATUSES.CANCELLED);
+
+    assert.deepEqual(skippedLines, [0]);
+    assert.equal(order.status, ORDER_STATUSES.CANCELLED);
+  });
+
+  it('reports an order changed by someone else', async () => {
+    const order = orderIn(ORDER_STATUSES.PENDING);
+    order.save.mock.mockImplementation(async () => {
+      throw new mongoose.Error.VersionError(order, 0, []);
+    });
+
+    const result = await changeOrderStatus(order, ORDER_STATUSES.CONFIRMED);
+
+    assert.deepEqual(result, { error: ORDER_MESSAGES.ORDER_CHANGED });
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+    assert.equal(session.commitTransaction.mock.callCount(), 0);
+  });
+});
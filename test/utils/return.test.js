@@ -0,0 +1,218 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../src/models/order/order.js';
+import ReturnRequest from '../../src/models/returnRequest/returnRequest.js';
+import {
+  returnableQuantities,
+  isWithinReturnWindow,
+  createReturnRequest,
+  rejectReturnRequest,
+  buildExchangeOrderLines,
+} from '../../src/utils/return/return.js';
+import { ORDER_STATUSES } from '../../src/config/constant/order/order.js';
+import { RETURN_RESOLUTIONS, RETURN_MESSAGES } from '../../src/config/constant/return/return.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lineId = new mongoose.Types.ObjectId();
+const otherLineId = new mongoose.Types.ObjectId();
+
+const order = {
+  _id: new mongoose.Types.ObjectId(),
+  lines: [
+    { _id: lineId, quantity: 5, returnedQuantity: 2 },
+    { _id: otherLineId, quantity: 3 },
+  ],
+};
+
+const returnLine = (orderLine, quantity, resolution = RETURN_RESOLUTIONS.REFUND) => ({
+  orderLine,
+  product: new mongoose.Types.ObjectId(),
+  productName: 'Cotton Kurta',
+  variant: new mongoose.Types.ObjectId(),
+  size: 'M',
+  quantity,
+  unitPrice: 400,
+  resolution,
+});
+
+let session;
+
+beforeEach(() => {
+  session = {
+    startTransaction: mock.fn(),
+    commitTransaction: mock.fn(async () => {}),
+    abortTransaction: mock.fn(async () => {}),
+    endSession: mock.fn(),
+  };
+  mock.method(mongoose, 'startSession', async () => session);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.RETURN_WINDOW_DAYS;
+});
+
+describe('returnableQuantities', () => {
+  it('leaves out units already on a return', () => {
+    const remaining = returnableQuantities(order);
+
+    assert.equal(remaining.get(String(lineId)), 3);
+    assert.equal(remaining.get(String(otherLineId)), 3);
+  });
+});
+
+describe('isWithinReturnWindow', () => {
+  const deliveredOrder = (daysAgo, now) => ({
+    statusHistory: [
+      { status: ORDER_STATUSES.SHIPPED, at: new Date(now - (daysAgo + 2) * DAY_MS) },
+      { status: ORDER_STATUSES.DELIVERED, at: new Date(now - daysAgo * DAY_MS) },
+    ],
+  });
+
+  it('is open for the configured days after delivery', () => {
+    const now = new Date();
+    process.env.RETURN_WINDOW_DAYS = '3';
+
+    assert.equal(isWithinReturnWindow(deliveredOrder(2, now), now), true);
+    assert.equal(isWithinReturnWindow(deliveredOrder(4, now), now), false);
+    assert.match(RETURN_MESSAGES.RETURN_WINDOW_CLOSED, /within 3 days/);
+  });
+
+  it('is closed for an order that was never delivered', () => {
+    assert.equal(isWithinReturnWindow({ statusHistory: [{ status: ORDER_STATUSES.SHIPPED, at: new Date() }] }), false);
+  });
+});
+
+describe('createReturnRequest', () => {
+  it('claims each line against the units not yet returned', async () => {
+    const updateOne = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(ReturnRequest, 'create', async ([data]) => [data]);
+
+    const { returnRequest, error } = await createReturnRequest(order, {
+      order: order._id,
+      lines: [returnLine(lineId, 3), returnLine(otherLineId, 1)],
+    });
+
+    assert.equal(error, undefined);
+    assert.match(returnRequest.number, /^RMA-/);
+    const [filter, update, options] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter.lines.$elemMatch.returnedQuantity, { $not: { $gt: 2 } });
+    assert.deepEqual(update, { $inc: { 'lines.$.returnedQuantity': 3 } });
+    assert.equal(options.session, session);
+    assert.deepEqual(updateOne.mock.calls[1].arguments[0].lines.$elemMatch.returnedQuantity, { $not: { $gt: 2 } });
+    assert.equal(session.commitTransaction.mock.callCount(), 1);
+  });
+
+  it('refuses a line whose units were claimed meanwhile', async () => {
+    mock.method(Order, 'updateOne', async (filter) => ({
+      modifiedCount: String(filter.lines.$elemMatch._id) === String(otherLineId) ? 0 : 1,
+    }));
+    const create = mock.method(ReturnRequest, 'create', async ([data]) => [data]);
+
+    const result = await createReturnRequest(order, {
+      order: order._id,
+      lines: [returnLine(lineId, 1), returnLine(otherLineId, 3)],
+    });
+
+    assert.deepEqual(result, { error: { message: RETURN_MESSAGES.QUANTITY_EXCEEDED, data: { index: 1 } } });
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+    assert.equal(session.commitTransaction.mock.callCount(), 0);
+  });
+
+  it('retries after a write conflict with another return on the order', async () => {
+    const conflict = Object.assign(new Error('WriteConflict'), {
+      hasErrorLabel: (label) => label === 'TransientTransactionError',
+    });
+    let attempts = 0;
+    mock.method(Order, 'updateOne', async () => {
+      attempts += 1;
+      if (attempts === 1) throw conflict;
+      return { modifiedCount: 1 };
+    });
+    mock.method(ReturnRequest, 'create', async ([data]) => [data]);
+
+    const { returnRequest } = await createReturnRequest(order, { order: order._id, lines: [returnLine(lineId, 1)] });
+
+    assert.ok(returnRequest);
+    assert.equal(attempts, 2);
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+    assert.equal(session.commitTransaction.mock.callCount(), 1);
+  });
+
+  it('does not retry other errors', async () => {
+    mock.method(Order, 'updateOne', async () => {
+      throw new Error('connection lost');
+    });
+
+    await assert.rejects(
+      createReturnRequest(order, { order: order._id, lines: [returnLine(lineId, 1)] }),
+      /connection lost/
+    );
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+  });
+});
+
+describe('rejectReturnRequest', () => {
+  const requested = () => {
+    const returnRequest = ReturnRequest.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      order: order._id,
+      lines: [returnLine(lineId, 2), returnLine(otherLineId, 1)],
+    });
+    mock.method(returnRequest, 'save', async () => returnRequest);
+    return returnRequest;
+  };
+
+  it('gives the units back to the order lines', async () => {
+    const updateOne = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const returnRequest = requested();
+
+    const result = await rejectReturnRequest(returnRequest);
+
+    assert.equal(result.returnRequest, returnRequest);
+    assert.deepEqual(
+      updateOne.mock.calls.map((call) => [
+        String(call.arguments[2].arrayFilters[0]['line._id']),
+        call.arguments[1].$inc['lines.$[line].returnedQuantity'],
+      ]),
+      [[String(lineId), -2], [String(otherLineId), -1]]
+    );
+    assert.equal(session.commitTransaction.mock.callCount(), 1);
+  });
+
+  it('leaves the claim in place when the return was changed meanwhile', async () => {
+    const updateOne = mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const returnRequest = requested();
+    returnRequest.save.mock.mockImplementation(async () => {
+      throw new mongoose.Error.VersionError(returnRequest, 0, []);
+    });
+
+    const result = await rejectReturnRequest(returnRequest);
+
+    assert.deepEqual(result, { error: { message: RETURN_MESSAGES.RETURN_CHANGED } });
+    assert.equal(updateOne.mock.callCount(), 0);
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+  });
+});
+
+describe('buildExchangeOrderLines', () => {
+  it('sends exchanged lines free of charge', () => {
+    const exchangeVariant = new mongoose.Types.ObjectId();
+    const lines = buildExchangeOrderLines({
+      lines: [
+        returnLine(lineId, 2),
+        { ...returnLine(otherLineId, 1, RETURN_RESOLUTIONS.EXCHANGE), exchangeVariant, exchangeSize: 'L' },
+      ],
+    });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].variant, exchangeVariant);
+    assert.equal(lines[0].size, 'L');
+    assert.equal(lines[0].unitPrice, 0);
+    assert.equal(lines[0].lineTotal, 0);
+    assert.equal(lines[0].discount, 400);
+  });
+});